@@ -0,0 +1,168 @@
+// db/migrate.js
+import "dotenv/config.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { pool } from "./pool.js";
+
+/**
+ * Versioned SQL migrations.
+ *
+ * Files live in db/migrations as NNN_name.up.sql / NNN_name.down.sql.
+ * Applied versions are tracked in the schema_migrations table; each migration
+ * runs in its own transaction.
+ *
+ * Usage:
+ *   npm run migrate                 apply all pending migrations
+ *   npm run migrate -- down [n]     roll back the last n migrations (default 1)
+ *   npm run migrate -- status       list applied / pending migrations
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const migrationsDir = path.join(path.dirname(__filename), "migrations");
+
+// Arbitrary constant so two processes never migrate at the same time
+const MIGRATION_LOCK_ID = 72_450_001;
+
+/** Read migration files from disk, sorted by version */
+export function loadMigrations(dir = migrationsDir) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const entry = byVersion.get(version) || { version, name };
+    if (entry.name !== name) {
+      throw new Error(`Migration ${version} has mismatched file names: ${entry.name} vs ${name}`);
+    }
+    entry[direction] = fs.readFileSync(path.join(dir, file), "utf8");
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+  for (const m of migrations) {
+    if (!m.up) throw new Error(`Migration ${m.version}_${m.name} is missing its .up.sql file`);
+    if (!m.down) throw new Error(`Migration ${m.version}_${m.name} is missing its .down.sql file`);
+  }
+  return migrations;
+}
+
+async function ensureStateTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     VARCHAR(20) PRIMARY KEY,
+      name        VARCHAR(255) NOT NULL,
+      applied_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const result = await client.query("SELECT version FROM schema_migrations ORDER BY version");
+  return new Set(result.rows.map((r) => r.version));
+}
+
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await ensureStateTable(client);
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runInTransaction(client, sql, after) {
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await after();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+/** Apply every pending migration. Returns the list of versions applied. */
+export async function migrateUp() {
+  return withMigrationLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const done = [];
+
+    for (const m of loadMigrations()) {
+      if (applied.has(m.version)) continue;
+      console.log(`⬆️  Applying ${m.version}_${m.name}`);
+      await runInTransaction(client, m.up, () =>
+        client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [m.version, m.name])
+      );
+      done.push(m.version);
+    }
+    return done;
+  });
+}
+
+/** Roll back the most recent `steps` migrations. Returns the versions reverted. */
+export async function migrateDown(steps = 1) {
+  return withMigrationLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const targets = loadMigrations().filter((m) => applied.has(m.version)).reverse().slice(0, steps);
+
+    for (const m of targets) {
+      console.log(`⬇️  Reverting ${m.version}_${m.name}`);
+      await runInTransaction(client, m.down, () =>
+        client.query("DELETE FROM schema_migrations WHERE version = $1", [m.version])
+      );
+    }
+    return targets.map((m) => m.version);
+  });
+}
+
+/** List every known migration with its applied state */
+export async function migrationStatus() {
+  return withMigrationLock(async (client) => {
+    const result = await client.query("SELECT version, applied_at FROM schema_migrations");
+    const appliedAt = new Map(result.rows.map((r) => [r.version, r.applied_at]));
+    return loadMigrations().map((m) => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: appliedAt.get(m.version) || null,
+    }));
+  });
+}
+
+async function main() {
+  const [command = "up", arg] = process.argv.slice(2);
+
+  try {
+    if (command === "up") {
+      const done = await migrateUp();
+      console.log(done.length ? `✅ Applied ${done.length} migration(s)` : "✅ Database is up to date");
+    } else if (command === "down") {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error(`Invalid step count "${arg}"`);
+      const done = await migrateDown(steps);
+      console.log(`✅ Reverted ${done.length} migration(s)`);
+    } else if (command === "status") {
+      for (const m of await migrationStatus()) {
+        const state = m.appliedAt ? `applied ${new Date(m.appliedAt).toISOString()}` : "pending";
+        console.log(`${m.appliedAt ? "✅" : "⏳"} ${m.version}_${m.name} (${state})`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } catch (err) {
+    console.error("❌ Migration failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
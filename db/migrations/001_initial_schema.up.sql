@@ -0,0 +1,50 @@
+-- 001: tables index.js has always assumed (users, submissions, user_votes)
+
+CREATE TABLE users (
+  id          SERIAL PRIMARY KEY,
+  email       VARCHAR(255) NOT NULL UNIQUE,
+  username    VARCHAR(100) NOT NULL,
+  password    VARCHAR(255) NOT NULL,
+  is_admin    BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE submissions (
+  id               SERIAL PRIMARY KEY,
+  user_id          INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_name        VARCHAR(100),
+  email            VARCHAR(255),
+  part_name        VARCHAR(255) NOT NULL,
+  part_type        VARCHAR(100) NOT NULL,
+  car_model        VARCHAR(255) NOT NULL,
+  description      TEXT NOT NULL DEFAULT '',
+  file_path        TEXT NOT NULL,
+  file_size        BIGINT,
+  week_number      INTEGER NOT NULL,
+  status           VARCHAR(20) NOT NULL DEFAULT 'PENDING', -- PENDING | QUALIFIED | winner
+  is_winner        BOOLEAN NOT NULL DEFAULT FALSE,
+  anonymous_id     VARCHAR(50),
+  times_shown      INTEGER NOT NULL DEFAULT 0,
+  thumbs_up        INTEGER NOT NULL DEFAULT 0,
+  thumbs_down      INTEGER NOT NULL DEFAULT 0,
+  total_votes      INTEGER NOT NULL DEFAULT 0,
+  votes_completed  INTEGER NOT NULL DEFAULT 0,
+  votes_required   INTEGER NOT NULL DEFAULT 25,
+  qualified_at     TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_submissions_user ON submissions (user_id);
+CREATE INDEX idx_submissions_week_status ON submissions (week_number, status);
+CREATE INDEX idx_submissions_created ON submissions (created_at DESC);
+
+CREATE TABLE user_votes (
+  id             SERIAL PRIMARY KEY,
+  voter_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  submission_id  INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  vote_value     SMALLINT NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (voter_id, submission_id)
+);
+
+CREATE INDEX idx_user_votes_submission ON user_votes (submission_id);
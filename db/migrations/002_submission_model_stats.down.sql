@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_submissions_triangles;
+ALTER TABLE submissions DROP COLUMN IF EXISTS model_stats;
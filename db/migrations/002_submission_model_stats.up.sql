@@ -0,0 +1,5 @@
+-- 002: glTF inspector output stored per submission (see services/gltfInspectorService.js)
+
+ALTER TABLE submissions ADD COLUMN model_stats JSONB;
+
+CREATE INDEX idx_submissions_triangles ON submissions (((model_stats->>'triangleCount')::INT));
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_submissions_competition_week;
+ALTER TABLE submissions DROP COLUMN IF EXISTS competition_id;
+DROP TABLE IF EXISTS competitions;
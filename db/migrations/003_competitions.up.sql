@@ -0,0 +1,26 @@
+-- 003: configurable competitions/seasons (replaces the hard-coded getCurrentWeek)
+
+CREATE TABLE competitions (
+  id                  SERIAL PRIMARY KEY,
+  slug                VARCHAR(100) NOT NULL UNIQUE,
+  name                VARCHAR(255) NOT NULL,
+  description         TEXT NOT NULL DEFAULT '',
+  start_date          TIMESTAMPTZ NOT NULL,
+  week_length_days    INTEGER NOT NULL DEFAULT 7 CHECK (week_length_days > 0),
+  rounds              INTEGER NOT NULL DEFAULT 10 CHECK (rounds > 0),
+  votes_required      INTEGER NOT NULL DEFAULT 25 CHECK (votes_required >= 0),
+  allowed_part_types  TEXT[], -- NULL = any part type
+  is_active           BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The season that used to be hard-coded in index.js
+INSERT INTO competitions (slug, name, start_date, week_length_days, rounds, votes_required)
+VALUES ('season-1', 'CarMod Showdown Season 1', '2025-10-07', 7, 10, 25);
+
+ALTER TABLE submissions ADD COLUMN competition_id INTEGER REFERENCES competitions(id);
+UPDATE submissions SET competition_id = (SELECT id FROM competitions WHERE slug = 'season-1');
+ALTER TABLE submissions ALTER COLUMN competition_id SET NOT NULL;
+
+CREATE INDEX idx_submissions_competition_week ON submissions (competition_id, week_number, status);
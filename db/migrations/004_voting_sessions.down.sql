@@ -0,0 +1,3 @@
+ALTER TABLE user_votes DROP COLUMN IF EXISTS session_id;
+DROP TABLE IF EXISTS voting_session_entries;
+DROP TABLE IF EXISTS voting_sessions;
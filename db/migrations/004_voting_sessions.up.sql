@@ -0,0 +1,24 @@
+-- 004: server-issued voting batches
+-- A voting session records exactly which entries were handed to a voter, so
+-- only votes on issued entries count toward qualification.
+
+CREATE TABLE voting_sessions (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  voter_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  competition_id  INTEGER NOT NULL REFERENCES competitions(id),
+  issued_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at      TIMESTAMPTZ NOT NULL,
+  completed_at    TIMESTAMPTZ
+);
+
+CREATE INDEX idx_voting_sessions_voter ON voting_sessions (voter_id, competition_id, expires_at);
+
+CREATE TABLE voting_session_entries (
+  session_id     UUID NOT NULL REFERENCES voting_sessions(id) ON DELETE CASCADE,
+  submission_id  INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  position       INTEGER NOT NULL,
+  voted_at       TIMESTAMPTZ,
+  PRIMARY KEY (session_id, submission_id)
+);
+
+ALTER TABLE user_votes ADD COLUMN session_id UUID REFERENCES voting_sessions(id) ON DELETE SET NULL;
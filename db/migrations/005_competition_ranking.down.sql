@@ -0,0 +1,3 @@
+ALTER TABLE competitions
+  DROP COLUMN IF EXISTS ranking_options,
+  DROP COLUMN IF EXISTS ranking_strategy;
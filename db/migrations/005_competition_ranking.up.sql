@@ -0,0 +1,6 @@
+-- 005: per-competition ranking strategy for winners (see services/rankingService.js)
+
+ALTER TABLE competitions
+  ADD COLUMN ranking_strategy VARCHAR(20) NOT NULL DEFAULT 'wilson'
+    CHECK (ranking_strategy IN ('wilson', 'bayesian', 'approval')),
+  ADD COLUMN ranking_options JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS week_closeouts;
+ALTER TABLE submissions DROP COLUMN IF EXISTS frozen_at;
+ALTER TABLE competitions DROP COLUMN IF EXISTS winners_per_week;
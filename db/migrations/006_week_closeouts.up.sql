@@ -0,0 +1,38 @@
+-- 006: automated week close-outs
+-- Every close-out run (scheduled, manual, re-run or admin override) is kept as history.
+
+ALTER TABLE competitions
+  ADD COLUMN winners_per_week INTEGER NOT NULL DEFAULT 1 CHECK (winners_per_week >= 1);
+
+ALTER TABLE submissions ADD COLUMN frozen_at TIMESTAMPTZ;
+
+CREATE TABLE week_closeouts (
+  id                   SERIAL PRIMARY KEY,
+  competition_id       INTEGER NOT NULL REFERENCES competitions(id),
+  week_number          INTEGER NOT NULL,
+  run_type             VARCHAR(20) NOT NULL CHECK (run_type IN ('scheduled', 'manual', 'rerun', 'override', 'backfill')),
+  ranking_strategy     VARCHAR(20),
+  ranking              JSONB NOT NULL DEFAULT '{}',
+  winner_ids           INTEGER[] NOT NULL DEFAULT '{}',
+  previous_winner_ids  INTEGER[] NOT NULL DEFAULT '{}',
+  triggered_by         INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  notes                TEXT,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_week_closeouts_week ON week_closeouts (competition_id, week_number, created_at DESC);
+
+-- Weeks that already ended were closed by hand (or not at all); record them as
+-- backfilled so the scheduler doesn't re-pick winners or email anyone retroactively.
+INSERT INTO week_closeouts (competition_id, week_number, run_type, winner_ids, notes)
+SELECT c.id, w.week_number, 'backfill',
+       COALESCE((SELECT ARRAY_AGG(s.id ORDER BY s.id) FROM submissions s
+                 WHERE s.competition_id = c.id AND s.week_number = w.week_number AND s.is_winner), '{}'),
+       'Week ended before automated close-outs existed'
+FROM competitions c
+CROSS JOIN LATERAL generate_series(1, c.rounds) AS w(week_number)
+WHERE c.start_date + (w.week_number * c.week_length_days) * INTERVAL '1 day' <= NOW();
+
+UPDATE submissions s SET frozen_at = NOW()
+FROM week_closeouts wc
+WHERE wc.competition_id = s.competition_id AND wc.week_number = s.week_number;
@@ -0,0 +1,27 @@
+-- 007: transactional email outbox
+-- Emails are written here (inside the same transaction as the change that
+-- triggers them) and delivered by a background worker with retries.
+
+CREATE TABLE email_outbox (
+  id                   SERIAL PRIMARY KEY,
+  template             VARCHAR(100) NOT NULL,
+  to_address           VARCHAR(255) NOT NULL,
+  variables            JSONB NOT NULL DEFAULT '{}',
+  subject              TEXT NOT NULL,
+  html                 TEXT NOT NULL,
+  text                 TEXT NOT NULL,
+  status               VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts             INTEGER NOT NULL DEFAULT 0,
+  max_attempts         INTEGER NOT NULL DEFAULT 8,
+  next_attempt_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at            TIMESTAMPTZ,
+  last_error           TEXT,
+  transport            VARCHAR(20),
+  provider_message_id  VARCHAR(255),
+  dedupe_key           VARCHAR(255) UNIQUE,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at              TIMESTAMPTZ
+);
+
+CREATE INDEX idx_email_outbox_due ON email_outbox (next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX idx_email_outbox_status ON email_outbox (status, created_at DESC);
@@ -0,0 +1,24 @@
+-- 008: email verification and password reset tokens
+
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMPTZ;
+
+-- Accounts created before verification existed are trusted as-is
+UPDATE users SET email_verified_at = created_at;
+
+-- Only a SHA-256 hash of each token is stored; the raw token only exists in the email
+CREATE TABLE account_tokens (
+  id            SERIAL PRIMARY KEY,
+  user_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose       VARCHAR(20) NOT NULL CHECK (purpose IN ('verify_email', 'password_reset')),
+  token_hash    CHAR(64) NOT NULL UNIQUE,
+  email         VARCHAR(255) NOT NULL,
+  expires_at    TIMESTAMPTZ NOT NULL,
+  used_at       TIMESTAMPTZ,
+  requested_ip  VARCHAR(64),
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_account_tokens_user ON account_tokens (user_id, purpose, created_at DESC);
+
+-- Emails that carry a token link are scrubbed from the outbox once delivered
+ALTER TABLE email_outbox ADD COLUMN sensitive BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,26 @@
+-- 009: short-lived access tokens + rotating refresh tokens
+-- Access tokens carry users.token_version; bumping it invalidates every access
+-- token issued before (logout everywhere, password reset).
+
+ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+
+-- One row per refresh token. Every login starts a family; each refresh rotates
+-- the token and adds a row to the same family. Presenting a token that was
+-- already rotated means it leaked, so the whole family is revoked.
+CREATE TABLE refresh_tokens (
+  id              SERIAL PRIMARY KEY,
+  user_id         INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  family_id       UUID NOT NULL,
+  token_hash      CHAR(64) NOT NULL UNIQUE,
+  parent_id       INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  expires_at      TIMESTAMPTZ NOT NULL,
+  rotated_at      TIMESTAMPTZ,
+  revoked_at      TIMESTAMPTZ,
+  revoked_reason  VARCHAR(30),
+  ip              VARCHAR(64),
+  user_agent      VARCHAR(255),
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id);
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens (user_id) WHERE revoked_at IS NULL;
@@ -0,0 +1,50 @@
+-- 010: role-based access control and an append-only audit log
+
+CREATE TABLE user_roles (
+  user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role        VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'moderator', 'judge')),
+  granted_by  INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  granted_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, role)
+);
+
+CREATE INDEX idx_user_roles_role ON user_roles (role);
+
+-- Roles replace the old is_admin flag
+INSERT INTO user_roles (user_id, role)
+SELECT id, 'admin' FROM users WHERE is_admin;
+
+ALTER TABLE users DROP COLUMN is_admin;
+
+-- Actor and target ids are plain values (no foreign keys) so history survives
+-- deleted users and rows can never be touched by cascades.
+CREATE TABLE audit_log (
+  id           BIGSERIAL PRIMARY KEY,
+  actor_id     INTEGER,
+  action       VARCHAR(60) NOT NULL,
+  target_type  VARCHAR(40) NOT NULL,
+  target_id    VARCHAR(60),
+  before       JSONB,
+  after        JSONB,
+  metadata     JSONB NOT NULL DEFAULT '{}',
+  ip           VARCHAR(64),
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_log_actor ON audit_log (actor_id, created_at DESC);
+CREATE INDEX idx_audit_log_target ON audit_log (target_type, target_id, created_at DESC);
+CREATE INDEX idx_audit_log_action ON audit_log (action, created_at DESC);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_update_delete
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
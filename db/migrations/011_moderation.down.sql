@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS submission_reports;
+ALTER TABLE submissions
+  DROP COLUMN IF EXISTS moderated_by,
+  DROP COLUMN IF EXISTS moderated_at,
+  DROP COLUMN IF EXISTS moderation_reason,
+  DROP COLUMN IF EXISTS moderation_status;
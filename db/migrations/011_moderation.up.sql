@@ -0,0 +1,27 @@
+-- 011: user reports and moderation
+-- Moderation state is separate from the voting status (PENDING/QUALIFIED/winner)
+-- so restoring an entry puts it back exactly where it was.
+
+ALTER TABLE submissions
+  ADD COLUMN moderation_status  VARCHAR(20) NOT NULL DEFAULT 'visible'
+    CHECK (moderation_status IN ('visible', 'hidden', 'disqualified')),
+  ADD COLUMN moderation_reason  TEXT,
+  ADD COLUMN moderated_at       TIMESTAMPTZ,
+  ADD COLUMN moderated_by       INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_submissions_moderation ON submissions (moderation_status) WHERE moderation_status <> 'visible';
+
+CREATE TABLE submission_reports (
+  id             SERIAL PRIMARY KEY,
+  submission_id  INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  reporter_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason         VARCHAR(20) NOT NULL CHECK (reason IN ('inappropriate', 'stolen', 'spam', 'broken', 'other')),
+  details        TEXT NOT NULL DEFAULT '',
+  status         VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'actioned', 'dismissed')),
+  resolved_by    INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at    TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (submission_id, reporter_id)
+);
+
+CREATE INDEX idx_submission_reports_open ON submission_reports (submission_id) WHERE status = 'open';
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_submissions_gallery_wilson;
+DROP INDEX IF EXISTS idx_submissions_gallery_approval;
+DROP INDEX IF EXISTS idx_submissions_gallery_votes;
+DROP INDEX IF EXISTS idx_submissions_gallery_newest;
+DROP INDEX IF EXISTS idx_submissions_search;
+ALTER TABLE submissions
+  DROP COLUMN IF EXISTS wilson_score,
+  DROP COLUMN IF EXISTS approval_rating;
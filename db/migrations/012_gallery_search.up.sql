@@ -0,0 +1,29 @@
+-- 012: gallery pagination, sorting and full-text search
+-- approval_rating and wilson_score are stored so the gallery can sort and
+-- keyset-paginate on them with an index instead of computing them per row.
+
+ALTER TABLE submissions
+  ADD COLUMN approval_rating DOUBLE PRECISION GENERATED ALWAYS AS (
+    CASE WHEN total_votes > 0 THEN thumbs_up::DOUBLE PRECISION / total_votes * 100 ELSE 0 END
+  ) STORED,
+  -- Lower bound of the 95% Wilson score interval, as a percentage
+  ADD COLUMN wilson_score DOUBLE PRECISION GENERATED ALWAYS AS (
+    CASE WHEN total_votes > 0 THEN
+      (
+        thumbs_up::DOUBLE PRECISION / total_votes + 1.9208 / total_votes
+        - 1.96 * sqrt((thumbs_up::DOUBLE PRECISION / total_votes * (1 - thumbs_up::DOUBLE PRECISION / total_votes) + 0.9604 / total_votes) / total_votes)
+      ) / (1 + 3.8416 / total_votes) * 100
+    ELSE 0 END
+  ) STORED;
+
+-- Expression index rather than a stored column so SELECT s.* stays readable.
+-- Must match SEARCH_VECTOR in services/galleryService.js exactly.
+CREATE INDEX idx_submissions_search ON submissions USING GIN ((
+  setweight(to_tsvector('english', coalesce(part_name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(car_model, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'C')
+));
+CREATE INDEX idx_submissions_gallery_newest ON submissions (created_at DESC, id DESC) WHERE moderation_status = 'visible';
+CREATE INDEX idx_submissions_gallery_votes ON submissions (total_votes DESC, id DESC) WHERE moderation_status = 'visible';
+CREATE INDEX idx_submissions_gallery_approval ON submissions (approval_rating DESC, id DESC) WHERE moderation_status = 'visible';
+CREATE INDEX idx_submissions_gallery_wilson ON submissions (wilson_score DESC, id DESC) WHERE moderation_status = 'visible';
@@ -0,0 +1,7 @@
+-- Rows without a legacy URL get the download route back as their file_path
+UPDATE submissions SET file_path = '/api/files/submissions/' || id WHERE file_path IS NULL;
+ALTER TABLE submissions ALTER COLUMN file_path SET NOT NULL;
+ALTER TABLE submissions
+  DROP CONSTRAINT IF EXISTS submissions_file_location,
+  DROP COLUMN IF EXISTS storage_key,
+  DROP COLUMN IF EXISTS storage_driver;
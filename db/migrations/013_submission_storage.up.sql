@@ -0,0 +1,12 @@
+-- 013: submissions point at a storage key instead of a hard-coded file URL
+-- file_path is kept for entries uploaded before this (absolute Cloudinary URLs);
+-- new entries leave it NULL and are downloaded through /api/files/submissions/:id.
+
+ALTER TABLE submissions
+  ADD COLUMN storage_driver  VARCHAR(20),
+  ADD COLUMN storage_key     TEXT,
+  ADD CONSTRAINT submissions_file_location CHECK (
+    (storage_key IS NOT NULL AND storage_driver IS NOT NULL) OR file_path IS NOT NULL
+  );
+
+ALTER TABLE submissions ALTER COLUMN file_path DROP NOT NULL;
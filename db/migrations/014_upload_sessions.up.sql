@@ -0,0 +1,26 @@
+-- 014: resumable (chunked) uploads
+-- Chunks are appended in order to a temporary file; received_bytes is the
+-- offset a client resumes from. Completing the session creates the submission.
+
+CREATE TABLE upload_sessions (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id            INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  file_name          VARCHAR(255) NOT NULL,
+  file_size          BIGINT NOT NULL CHECK (file_size > 0),
+  file_sha256        CHAR(64),
+  chunk_size         INTEGER NOT NULL CHECK (chunk_size > 0),
+  received_bytes     BIGINT NOT NULL DEFAULT 0,
+  chunk_count        INTEGER NOT NULL DEFAULT 0,
+  last_chunk_sha256  CHAR(64),
+  fields             JSONB NOT NULL DEFAULT '{}',
+  status             VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'completing', 'completed', 'aborted', 'expired')),
+  submission_id      INTEGER REFERENCES submissions(id) ON DELETE SET NULL,
+  expires_at         TIMESTAMPTZ NOT NULL,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (received_bytes BETWEEN 0 AND file_size)
+);
+
+CREATE INDEX idx_upload_sessions_user ON upload_sessions (user_id) WHERE status IN ('active', 'completing');
+CREATE INDEX idx_upload_sessions_expires ON upload_sessions (expires_at) WHERE status IN ('active', 'completing');
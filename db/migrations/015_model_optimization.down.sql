@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS submission_assets;
+DROP INDEX IF EXISTS idx_submissions_optimization_due;
+ALTER TABLE submissions
+  DROP COLUMN IF EXISTS optimized_at,
+  DROP COLUMN IF EXISTS optimization_locked_at,
+  DROP COLUMN IF EXISTS optimization_report,
+  DROP COLUMN IF EXISTS optimization_error,
+  DROP COLUMN IF EXISTS optimization_attempts,
+  DROP COLUMN IF EXISTS optimization_status;
@@ -0,0 +1,30 @@
+-- 015: post-upload model optimization
+-- A background job builds low/medium/high LOD variants of each uploaded model.
+-- Generated files live in submission_assets, next to the original in storage.
+
+ALTER TABLE submissions
+  ADD COLUMN optimization_status    VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (optimization_status IN ('pending', 'processing', 'ready', 'failed', 'skipped')),
+  ADD COLUMN optimization_attempts  INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN optimization_error     TEXT,
+  ADD COLUMN optimization_report    JSONB,
+  ADD COLUMN optimization_locked_at TIMESTAMPTZ,
+  ADD COLUMN optimized_at           TIMESTAMPTZ;
+
+-- Legacy entries (absolute URLs, no storage key) have nothing to fetch
+UPDATE submissions SET optimization_status = 'skipped' WHERE storage_key IS NULL;
+
+CREATE INDEX idx_submissions_optimization_due ON submissions (created_at)
+  WHERE optimization_status IN ('pending', 'processing');
+
+CREATE TABLE submission_assets (
+  submission_id   INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  kind            VARCHAR(30) NOT NULL,
+  storage_driver  VARCHAR(20) NOT NULL,
+  storage_key     TEXT NOT NULL,
+  content_type    VARCHAR(100) NOT NULL,
+  file_size       BIGINT NOT NULL,
+  metadata        JSONB NOT NULL DEFAULT '{}',
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (submission_id, kind)
+);
@@ -0,0 +1,9 @@
+DELETE FROM submission_assets WHERE kind IN ('thumbnail', 'turntable');
+DROP INDEX IF EXISTS idx_submissions_render_due;
+ALTER TABLE submissions
+  DROP COLUMN IF EXISTS rendered_at,
+  DROP COLUMN IF EXISTS render_locked_at,
+  DROP COLUMN IF EXISTS render_report,
+  DROP COLUMN IF EXISTS render_error,
+  DROP COLUMN IF EXISTS render_attempts,
+  DROP COLUMN IF EXISTS render_status;
@@ -0,0 +1,16 @@
+-- 016: rendered previews (thumbnail + turntable sprite sheet)
+-- Rendered by a background job into submission_assets, like the LOD variants.
+
+ALTER TABLE submissions
+  ADD COLUMN render_status    VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (render_status IN ('pending', 'processing', 'ready', 'failed', 'skipped')),
+  ADD COLUMN render_attempts  INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN render_error     TEXT,
+  ADD COLUMN render_report    JSONB,
+  ADD COLUMN render_locked_at TIMESTAMPTZ,
+  ADD COLUMN rendered_at      TIMESTAMPTZ;
+
+UPDATE submissions SET render_status = 'skipped' WHERE storage_key IS NULL;
+
+CREATE INDEX idx_submissions_render_due ON submissions (created_at)
+  WHERE render_status IN ('pending', 'processing');
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS ai_session_steps;
+DROP TABLE IF EXISTS ai_sessions;
@@ -0,0 +1,26 @@
+-- 017: AI modding sessions
+-- One session per user and car. Each prompt becomes a step holding the actions
+-- it produced; the car's state is the actions of steps 1..position in order.
+-- Undo/redo move position, and a new prompt drops any steps after it.
+
+CREATE TABLE ai_sessions (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  car_model    VARCHAR(255) NOT NULL,
+  car_context  JSONB NOT NULL DEFAULT '{}',
+  position     INTEGER NOT NULL DEFAULT 0 CHECK (position >= 0),
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_ai_sessions_user_car ON ai_sessions (user_id, LOWER(car_model));
+
+CREATE TABLE ai_session_steps (
+  session_id  UUID NOT NULL REFERENCES ai_sessions(id) ON DELETE CASCADE,
+  step        INTEGER NOT NULL CHECK (step > 0),
+  prompt      TEXT NOT NULL,
+  actions     JSONB NOT NULL DEFAULT '[]',
+  warnings    JSONB NOT NULL DEFAULT '[]',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (session_id, step)
+);
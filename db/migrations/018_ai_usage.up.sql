@@ -0,0 +1,22 @@
+-- 018: AI token usage
+-- One row per interpreted prompt (the repair pass included). Cached results
+-- are recorded too, with zero tokens, so hit rates can be read from here.
+
+CREATE TABLE ai_usage (
+  id                 BIGSERIAL PRIMARY KEY,
+  user_id            INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  session_id         UUID REFERENCES ai_sessions(id) ON DELETE SET NULL,
+  provider           VARCHAR(20) NOT NULL,
+  model              VARCHAR(100) NOT NULL,
+  calls              INTEGER NOT NULL DEFAULT 0,
+  prompt_tokens      INTEGER NOT NULL DEFAULT 0,
+  completion_tokens  INTEGER NOT NULL DEFAULT 0,
+  total_tokens       INTEGER NOT NULL DEFAULT 0,
+  cached             BOOLEAN NOT NULL DEFAULT false,
+  duration_ms        INTEGER NOT NULL DEFAULT 0,
+  error              TEXT,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_usage_created ON ai_usage (created_at);
+CREATE INDEX idx_ai_usage_user ON ai_usage (user_id, created_at) WHERE user_id IS NOT NULL;
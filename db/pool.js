@@ -0,0 +1,34 @@
+// db/pool.js
+import pkg from "pg";
+
+const { Pool } = pkg;
+
+/**
+ * Shared Postgres pool.
+ * Hosted databases need SSL; set DATABASE_SSL=false for a plain local Postgres.
+ */
+export const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_SSL === "false" ? false : { rejectUnauthorized: false },
+});
+
+/**
+ * Run `fn(client)` inside BEGIN/COMMIT on a dedicated connection.
+ * Rolls back and rethrows if `fn` throws.
+ */
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export default pool;
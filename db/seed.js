@@ -0,0 +1,231 @@
+// db/seed.js
+import "dotenv/config.js";
+import bcrypt from "bcrypt";
+import { pool } from "./pool.js";
+
+/**
+ * Local development seed data: users, submissions spread across weeks and
+ * votes between them, so voting/winner endpoints have something to work with.
+ *
+ * Usage:
+ *   npm run seed              refuse to run if users already exist
+ *   npm run seed -- --reset   wipe users/submissions/votes first
+ *
+ * Every seeded account uses the password "password123".
+ */
+
+const SEED_PASSWORD = "password123";
+const VOTES_REQUIRED = 25;
+
+const USERS = [
+  { username: "admin", email: "admin@carmod.dev", roles: ["admin"] },
+  { username: "nitro_nina", email: "nina@carmod.dev", roles: ["moderator"] },
+  { username: "boost_ben", email: "ben@carmod.dev", roles: ["judge"] },
+  { username: "drift_dana", email: "dana@carmod.dev" },
+  { username: "apex_ali", email: "ali@carmod.dev" },
+  { username: "camber_cole", email: "cole@carmod.dev" },
+  { username: "rotary_rae", email: "rae@carmod.dev" },
+  { username: "turbo_tom", email: "tom@carmod.dev" },
+  { username: "slammed_sam", email: "sam@carmod.dev" },
+  { username: "widebody_wes", email: "wes@carmod.dev" },
+  { username: "gearhead_gia", email: "gia@carmod.dev" },
+  { username: "lowrider_lu", email: "lu@carmod.dev" },
+];
+
+const PARTS = [
+  ["Carbon Duckbill Spoiler", "spoiler", "Nissan GT-R R35"],
+  ["Aero Disc Rims", "rims", "Porsche 911 GT3"],
+  ["Quad Exhaust Tips", "exhaust", "BMW M4 G82"],
+  ["Track Front Splitter", "splitter", "Toyota GR86"],
+  ["Vented Hood Scoop", "hood", "Ford Mustang GT"],
+  ["Sculpted Side Skirts", "side_skirt", "Honda Civic Type R"],
+  ["Five-Fin Diffuser", "diffuser", "Audi RS3"],
+  ["Mesh Sport Rims", "rims", "Subaru WRX STI"],
+  ["Swan-Neck Wing", "spoiler", "Mazda RX-7 FD"],
+  ["Titanium Burnt Tips", "exhaust", "Nissan 370Z"],
+];
+
+/** Small deterministic PRNG so every seed run produces the same data */
+function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function placeholderModelStats(random) {
+  const triangles = 2000 + Math.floor(random() * 60000);
+  return {
+    format: "glb",
+    version: "2.0",
+    meshCount: 1 + Math.floor(random() * 6),
+    triangleCount: triangles,
+    vertexCount: Math.round(triangles * 0.6),
+    materialCount: 1 + Math.floor(random() * 4),
+    textureCount: 0,
+    textures: [],
+    boundingBox: null,
+    externalUris: [],
+    warnings: [],
+  };
+}
+
+async function seed({ reset }) {
+  const client = await pool.connect();
+  const random = mulberry32(2025);
+
+  try {
+    await client.query("BEGIN");
+
+    if (reset) {
+      console.log("🧹 Clearing existing data");
+      await client.query("TRUNCATE voting_session_entries, voting_sessions, user_votes, submissions, users RESTART IDENTITY CASCADE");
+    } else {
+      const existing = await client.query("SELECT COUNT(*) FROM users");
+      if (parseInt(existing.rows[0].count) > 0) {
+        throw new Error("Database already has users. Re-run with --reset to wipe and reseed.");
+      }
+    }
+
+    // 👤 Users
+    const hashedPassword = await bcrypt.hash(SEED_PASSWORD, 10);
+    const users = [];
+    for (const u of USERS) {
+      const result = await client.query(
+        "INSERT INTO users (email, username, password, email_verified_at) VALUES ($1, $2, $3, NOW()) RETURNING id, email, username",
+        [u.email, u.username, hashedPassword]
+      );
+      for (const role of u.roles || []) {
+        await client.query("INSERT INTO user_roles (user_id, role) VALUES ($1, $2)", [result.rows[0].id, role]);
+      }
+      users.push(result.rows[0]);
+    }
+    console.log(`👤 Seeded ${users.length} users`);
+
+    // 🏁 Competitions: season-1 comes from migration 003, plus a themed cup running alongside it
+    const season = await client.query("SELECT id FROM competitions WHERE slug = 'season-1'");
+    if (!season.rows.length) throw new Error("Competition season-1 not found. Run npm run migrate first.");
+    const competitionId = season.rows[0].id;
+    // Let the close-out scheduler handle the seeded weeks instead of the migration backfill
+    await client.query("DELETE FROM week_closeouts WHERE competition_id = $1", [competitionId]);
+    await client.query(`
+      INSERT INTO competitions (slug, name, description, start_date, week_length_days, rounds, votes_required, allowed_part_types)
+      VALUES ('aero-cup', 'Aero Cup', 'Wings, splitters and diffusers only', NOW() - INTERVAL '3 days', 7, 4, 10,
+              ARRAY['spoiler', 'splitter', 'diffuser'])
+      ON CONFLICT (slug) DO NOTHING
+    `);
+
+    // 📤 Submissions: each creator gets one entry in weeks 1-3
+    const creators = users.slice(1);
+    const submissions = [];
+    for (let week = 1; week <= 3; week++) {
+      for (const [i, creator] of creators.entries()) {
+        if (random() < 0.2) continue; // not everyone enters every week
+        const [partName, partType, carModel] = PARTS[(i + week) % PARTS.length];
+        const result = await client.query(
+          `INSERT INTO submissions
+           (user_id, user_name, email, part_name, part_type, car_model, description, file_path,
+            file_size, week_number, status, anonymous_id, model_stats, competition_id, votes_required, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'PENDING', $11, $12, $13, $14,
+                   DATE '2025-10-07' + ($10 - 1) * 7 + $15::INT)
+           RETURNING id, user_id, week_number`,
+          [
+            creator.id,
+            creator.username,
+            creator.email,
+            partName,
+            partType,
+            carModel,
+            `Seeded ${partType} for week ${week}`,
+            `seed/week${week}/${creator.username}.glb`,
+            200000 + Math.floor(random() * 5000000),
+            week,
+            `ENTRY_W${week}U${creator.id}`,
+            placeholderModelStats(random),
+            competitionId,
+            VOTES_REQUIRED,
+            Math.floor(random() * 6),
+          ]
+        );
+        submissions.push(result.rows[0]);
+      }
+    }
+    console.log(`📤 Seeded ${submissions.length} submissions`);
+
+    // 🗳️ Votes: most users vote enough to qualify, a few stay pending
+    let voteCount = 0;
+    for (const voter of users) {
+      const candidates = submissions.filter((s) => s.user_id !== voter.id);
+      const quota = random() < 0.25 ? Math.floor(random() * VOTES_REQUIRED) : Math.min(candidates.length, VOTES_REQUIRED + 3);
+      const shuffled = candidates.map((s) => [random(), s]).sort((a, b) => a[0] - b[0]).map(([, s]) => s);
+      if (quota === 0) continue;
+
+      // Votes only count when cast on entries issued in a voting session
+      const session = await client.query(
+        `INSERT INTO voting_sessions (voter_id, competition_id, issued_at, expires_at, completed_at)
+         VALUES ($1, $2, DATE '2025-10-08', DATE '2025-10-08' + INTERVAL '1 hour', DATE '2025-10-08' + INTERVAL '30 minutes')
+         RETURNING id`,
+        [voter.id, competitionId]
+      );
+      const sessionId = session.rows[0].id;
+
+      for (const [position, submission] of shuffled.slice(0, quota).entries()) {
+        // Bias approval per submission so rankings have a spread
+        const approval = 0.35 + ((submission.id * 37) % 60) / 100;
+        await client.query(
+          "INSERT INTO voting_session_entries (session_id, submission_id, position, voted_at) VALUES ($1, $2, $3, DATE '2025-10-08')",
+          [sessionId, submission.id, position + 1]
+        );
+        await client.query(
+          "INSERT INTO user_votes (voter_id, submission_id, vote_value, session_id) VALUES ($1, $2, $3, $4)",
+          [voter.id, submission.id, random() < approval ? 1 : 0, sessionId]
+        );
+        voteCount++;
+      }
+    }
+    console.log(`🗳️ Seeded ${voteCount} votes`);
+
+    // Derive counters from the votes so the data is internally consistent
+    await client.query(`
+      UPDATE submissions s SET
+        thumbs_up   = v.up,
+        thumbs_down = v.down,
+        total_votes = v.total,
+        times_shown = v.total + 2
+      FROM (
+        SELECT submission_id,
+               COUNT(*) FILTER (WHERE vote_value = 1) AS up,
+               COUNT(*) FILTER (WHERE vote_value <> 1) AS down,
+               COUNT(*) AS total
+        FROM user_votes GROUP BY submission_id
+      ) v
+      WHERE v.submission_id = s.id
+    `);
+    await client.query(`
+      UPDATE submissions s SET
+        votes_completed = v.cast_votes,
+        status       = CASE WHEN v.cast_votes >= $1 THEN 'QUALIFIED' ELSE 'PENDING' END,
+        qualified_at = CASE WHEN v.cast_votes >= $1 THEN s.created_at + INTERVAL '2 days' END
+      FROM (SELECT voter_id, COUNT(*) AS cast_votes FROM user_votes GROUP BY voter_id) v
+      WHERE v.voter_id = s.user_id
+    `, [VOTES_REQUIRED]);
+
+    await client.query("COMMIT");
+    console.log(`✅ Seed complete. Log in as admin@carmod.dev (admin), nina@carmod.dev (moderator) or ben@carmod.dev (judge) / ${SEED_PASSWORD}`);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+seed({ reset: process.argv.includes("--reset") })
+  .catch((err) => {
+    console.error("❌ Seed failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
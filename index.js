@@ -1,46 +1,75 @@
 import "dotenv/config.js";
 import express from "express";
-import pkg from "pg";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import cors from "cors";
-import { v2 as cloudinary } from 'cloudinary';
-import { Resend } from 'resend';
 import aiRoutes from "./routes/aiRoutes.js";
 import generateRoutes from "./routes/generateRoutes.js";
 import partRoutes from "./routes/partRoutes.js";
+import competitionRoutes from "./routes/competitionRoutes.js";
+import closeoutRoutes from "./routes/closeoutRoutes.js";
+import emailRoutes from "./routes/emailRoutes.js";
+import accountRoutes from "./routes/accountRoutes.js";
+import sessionRoutes from "./routes/sessionRoutes.js";
+import roleRoutes from "./routes/roleRoutes.js";
+import moderationRoutes from "./routes/moderationRoutes.js";
+import auditRoutes from "./routes/auditRoutes.js";
+import fileRoutes from "./routes/fileRoutes.js";
+import uploadRoutes from "./routes/uploadRoutes.js";
+import { pool, withTransaction } from "./db/pool.js";
+import { authenticateToken, requirePermission, requireVerifiedEmail } from "./middleware/auth.js";
+import { rateLimit } from "./middleware/rateLimit.js";
+import {
+  CompetitionValidationError,
+  describeCompetition,
+  resolveCompetition
+} from "./services/competitionService.js";
+import { countIssuedVotes, issueVotingBatch, recordVote, VoteError } from "./services/votingService.js";
+import { computeWeekRanking } from "./services/rankingService.js";
+import { GalleryQueryError, listGallery } from "./services/galleryService.js";
+import {
+  serializeAdminSubmission,
+  serializeOwnSubmission,
+  serializePublicSubmission,
+  serializeVotingEntry,
+} from "./serializers/submissionSerializer.js";
+import { serializeOwnUser } from "./serializers/userSerializer.js";
+import { enqueueWinnerEmail, processOutbox } from "./services/emailService.js";
+import { getTransport } from "./services/emailTransports.js";
+import { getProvider } from "./services/aiProviders.js";
+import { MIN_PASSWORD_LENGTH, sendVerificationEmail } from "./services/accountService.js";
+import { createSession, pruneExpiredTokens } from "./services/sessionService.js";
+import { recordAudit } from "./services/auditService.js";
+import { getUserRoles, hasPermission } from "./services/rbacService.js";
+import { runDueCloseouts } from "./services/closeoutService.js";
+import { registerJob, startScheduler } from "./services/scheduler.js";
+import { getStorage } from "./services/storageDrivers.js";
+import { createSubmission, describeNewSubmission, SubmissionError } from "./services/submissionService.js";
+import { pruneAbandonedUploads } from "./services/uploadSessionService.js";
+import { SUBMISSION_ASSETS_SQL } from "./services/submissionFileService.js";
+import { processPendingModels, processPendingRenders } from "./services/modelProcessingService.js";
 
 
-const { Pool } = pkg;
 const app = express();
 
 // Get __dirname in ES6 modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ✅ Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// ✅ File storage (STORAGE_DRIVER=local|cloudinary|s3)
+console.log('🗄️ Storage driver:', getStorage().name);
 
-console.log('☁️ Cloudinary configured:', {
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME ? '✅' : '❌',
-  api_key: process.env.CLOUDINARY_API_KEY ? '✅' : '❌',
-  api_secret: process.env.CLOUDINARY_API_SECRET ? '✅' : '❌'
-});
+// ✅ Email transport (EMAIL_TRANSPORT=resend|smtp|file|console)
+console.log('📧 Email transport:', getTransport().name);
 
-// ✅ Configure Resend for emails
-const resend = new Resend(process.env.RESEND_API_KEY);
+// ✅ AI provider (AI_PROVIDER=openai|local|fixture|none)
+console.log('🤖 AI provider:', getProvider() ? `${getProvider().name} (${getProvider().model})` : 'none (offline parser)');
 
-console.log('📧 Resend configured:', {
-  api_key: process.env.RESEND_API_KEY ? '✅' : '❌'
-});
+// Behind a load balancer (Render, Heroku, ...) set TRUST_PROXY=1 so req.ip is the client address
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 
 // ✅ Middleware (must be at the top)
 app.use(cors({
@@ -52,25 +81,28 @@ app.use(cors({
 })); // Enable CORS for frontend communication
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'))); // Serve uploaded files
 app.use("/api/ai", aiRoutes);
 app.use("/api/generate", generateRoutes);
 app.use("/api/part", partRoutes);
-
-
-// ✅ Create uploads folder if it doesn't exist (still needed for temporary storage)
+app.use("/api", competitionRoutes);
+app.use("/api/admin/closeouts", closeoutRoutes);
+app.use("/api/admin/emails", emailRoutes);
+app.use("/api", accountRoutes);
+app.use("/api", sessionRoutes);
+app.use("/api/admin/roles", roleRoutes);
+app.use("/api/admin/audit", auditRoutes);
+app.use("/api", moderationRoutes);
+app.use("/api/files", fileRoutes);
+app.use("/api/uploads", uploadRoutes);
+
+
+// ✅ Create uploads folder if it doesn't exist (temporary storage while an upload is checked)
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir);
   console.log('📁 Created uploads folder');
 }
 
-// ✅ Database setup
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-});
-
 // ✅ Test database connection
 pool.connect()
   .then(client => {
@@ -79,7 +111,7 @@ pool.connect()
   })
   .catch(err => console.error("❌ Database connection error:", err));
 
-// ✅ Configure multer for file uploads (temporary local storage before Cloudinary)
+// ✅ Configure multer for file uploads (temporary local storage before the storage driver)
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, uploadsDir);
@@ -105,37 +137,8 @@ const upload = multer({
   }
 });
 
-// ✅ Middleware to verify JWT token
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided. Please login.' });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
-}
-
-// ✅ Calculate current competition week (1-10)
-function getCurrentWeek() {
-  const startDate = new Date('2025-10-07'); // ⚠️ CHANGE THIS to your competition start date!
-  const now = new Date();
-  const diffTime = now - startDate;
-  const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-  const weekNumber = Math.floor(diffDays / 7) + 1;
-  
-  if (weekNumber < 1) return 0; // Competition hasn't started
-  if (weekNumber > 10) return 11; // Competition ended
-  
-  return weekNumber;
-}
+// Slow down account creation from a single address
+const registerLimit = rateLimit({ name: "register", windowMs: 60 * 60 * 1000, max: 10 });
 
 // ✅ Root route
 app.get("/", (req, res) => {
@@ -145,20 +148,29 @@ app.get("/", (req, res) => {
 // ---------------------------
 // 🧍 User Registration
 // ---------------------------
-app.post("/api/register", async (req, res) => {
+app.post("/api/register", registerLimit, async (req, res) => {
   const { email, username, password } = req.body;
   if (!email || !username || !password) {
     return res.status(400).json({ error: "All fields are required" });
   }
+  // Same rule as password resets
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
   try {
     const hashedPassword = await bcrypt.hash(password, 10);
-    const result = await pool.query(
-      "INSERT INTO users (email, username, password) VALUES ($1, $2, $3) RETURNING id, email, username",
-      [email, username, hashedPassword]
-    );
+    const user = await withTransaction(async (client) => {
+      const result = await client.query(
+        "INSERT INTO users (email, username, password) VALUES ($1, $2, $3) RETURNING *",
+        [email, username, hashedPassword]
+      );
+      // 📬 Verification link goes out only if the account is actually created
+      await sendVerificationEmail(result.rows[0], { ip: req.ip }, client);
+      return result.rows[0];
+    });
     res.status(201).json({
-      message: "User registered successfully!",
-      user: result.rows[0],
+      message: "User registered successfully! Check your email to confirm your address.",
+      user: serializeOwnUser(user),
     });
   } catch (err) {
     console.error(err);
@@ -184,12 +196,18 @@ app.post("/api/login", async (req, res) => {
     const user = result.rows[0];
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) return res.status(400).json({ error: "Invalid credentials" });
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
-    res.json({ message: "Login successful", token, userId: user.id });
+    // Short-lived access token + rotating refresh token (see services/sessionService.js)
+    const session = await createSession(user, { ip: req.ip, userAgent: req.get('user-agent') });
+    res.json({
+      message: "Login successful",
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      userId: user.id,
+      emailVerified: !!user.email_verified_at,
+      roles: await getUserRoles(user.id),
+      user: serializeOwnUser(user)
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Login failed" });
@@ -197,16 +215,15 @@ app.post("/api/login", async (req, res) => {
 });
 
 // ---------------------------
-// 📤 Upload Custom Part (WITH CLOUDINARY & EMAIL!)
+// 📤 Upload Custom Part (WITH STORAGE DRIVER & EMAIL!)
 // ---------------------------
-app.post("/api/upload-part", authenticateToken, upload.single('file'), async (req, res) => {
+app.post("/api/upload-part", authenticateToken, requireVerifiedEmail, upload.single('file'), async (req, res) => {
   try {
     console.log('📤 Upload request received');
     console.log('👤 User:', req.user);
     console.log('📝 Body:', req.body);
     console.log('📁 File:', req.file);
 
-    const { userName, email, partName, partType, carModel, description } = req.body;
     const file = req.file;
 
     // Validation
@@ -214,157 +231,31 @@ app.post("/api/upload-part", authenticateToken, upload.single('file'), async (re
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    if (!partName || !partType || !carModel) {
-      return res.status(400).json({ error: 'Missing required fields: partName, partType, carModel' });
-    }
-
-    // Get current week
-    const weekNumber = getCurrentWeek();
-
-    if (weekNumber === 0) {
-      // Delete local file
-      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
-      return res.status(400).json({ error: 'Competition has not started yet!' });
-    }
-
-    if (weekNumber === 11) {
-      // Delete local file
-      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
-      return res.status(400).json({ error: 'Competition has ended!' });
-    }
-
-    // 🚀 UPLOAD TO CLOUDINARY
-    console.log('☁️ Uploading to Cloudinary...');
-    const cloudinaryResult = await cloudinary.uploader.upload(file.path, {
-      resource_type: 'raw',
-      folder: 'carmod-parts',
-      public_id: `week${weekNumber}-${Date.now()}-${file.originalname.replace(/\.[^/.]+$/, "")}`,
-      overwrite: false
+    // Competition checks, inspection, storage, database row and email (services/submissionService.js)
+    const { submission } = await createSubmission({
+      user: req.user,
+      fields: req.body,
+      file: { buffer: fs.readFileSync(file.path), name: file.originalname, size: file.size }
     });
 
-    console.log('✅ Cloudinary upload successful!');
-    console.log('🔗 File URL:', cloudinaryResult.secure_url);
-
-    const cloudinaryUrl = cloudinaryResult.secure_url;
-    const fileSize = file.size;
-
-    // Delete the local temporary file
-    if (fs.existsSync(file.path)) {
-      fs.unlinkSync(file.path);
-      console.log('🗑️ Deleted local temporary file');
-    }
-
-    // Generate anonymous ID
-    const anonymousId = 'ENTRY_' + Date.now().toString().slice(-5);
-
-    // Save to database with Cloudinary URL and voting fields
-    const result = await pool.query(
-      `INSERT INTO submissions 
-       (user_id, user_name, email, part_name, part_type, car_model, description, file_path, file_size, week_number, status, anonymous_id, created_at) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW()) 
-       RETURNING *`,
-      [
-        req.user.id,
-        userName,
-        email,
-        partName,
-        partType,
-        carModel,
-        description || '',
-        cloudinaryUrl,
-        fileSize,
-        weekNumber,
-        'PENDING', // New submissions start as PENDING
-        anonymousId
-      ]
-    );
-
-    console.log('💾 Submission saved to database:', result.rows[0]);
-
-    // 📧 Send confirmation email
-    try {
-      await resend.emails.send({
-        from: 'CarMod Showdown <onboarding@resend.dev>',
-        to: email,
-        subject: '✅ Submission Received - Vote to Qualify!',
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-            <h1 style="color: #FF9800; font-size: 32px;">🎉 Submission Received!</h1>
-            
-            <p style="font-size: 18px;">Hi <strong>${userName}</strong>,</p>
-            
-            <p style="font-size: 16px;">Thank you for submitting your custom car part to the CarMod Showdown competition!</p>
-            
-            <div style="background: #fff3e0; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #FF9800;">
-              <h2 style="margin-top: 0; color: #e65100; font-size: 24px;">⚠️ IMPORTANT: Vote to Qualify!</h2>
-              <p style="font-size: 16px;">Your entry is currently <strong>PENDING</strong>. To qualify for winning, you must:</p>
-              <p style="font-size: 18px; color: #e65100;"><strong>👉 Vote on 25 other entries</strong></p>
-              <p style="font-size: 14px; color: #666;">This ensures fair participation and that everyone's entry gets equal exposure!</p>
-            </div>
-            
-            <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-              <h2 style="margin-top: 0; color: #333; font-size: 24px;">📋 Your Submission Details:</h2>
-              <p style="font-size: 16px;"><strong>Anonymous ID:</strong> ${anonymousId}</p>
-              <p style="font-size: 16px;"><strong>Part Name:</strong> ${partName}</p>
-              <p style="font-size: 16px;"><strong>Part Type:</strong> ${partType}</p>
-              <p style="font-size: 16px;"><strong>Car Model:</strong> ${carModel}</p>
-              <p style="font-size: 16px;"><strong>Week Number:</strong> ${weekNumber}</p>
-              <p style="font-size: 16px;"><strong>Status:</strong> ⏳ Pending (Vote to qualify!)</p>
-            </div>
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="YOUR_WEBSITE_URL/vote" style="display: inline-block; background: #4CAF50; color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-size: 18px; font-weight: bold;">
-                🗳️ Start Voting Now
-              </a>
-            </div>
-            
-            <h3 style="color: #4CAF50; font-size: 22px;">🏆 What Happens Next?</h3>
-            <ul style="font-size: 16px; line-height: 1.8;">
-              <li><strong>Vote on 25 entries</strong> to qualify your submission</li>
-              <li>Once qualified, your entry becomes eligible to win</li>
-              <li>Winners are selected based on community votes (approval rating)</li>
-              <li>Winners receive <strong>Lifetime Premium Access</strong>!</li>
-            </ul>
-            
-            <p style="margin-top: 30px; font-size: 16px;">Good luck! 🍀</p>
-            
-            <p style="color: #888; font-size: 14px; margin-top: 40px;">
-              CarMod Showdown - Fair & Square Competition
-            </p>
-          </div>
-        `
-      });
-      console.log('✅ Confirmation email sent to:', email);
-    } catch (emailError) {
-      console.error('⚠️ Failed to send confirmation email:', emailError);
-      // Don't fail the upload if email fails
-    }
-
     res.json({ 
       success: true, 
-      message: '✅ Submission received! Vote on 25 entries to qualify for winning.',
-      submission: {
-        id: result.rows[0].id,
-        anonymousId: anonymousId,
-        partName: result.rows[0].part_name,
-        weekNumber: result.rows[0].week_number,
-        status: result.rows[0].status,
-        fileUrl: cloudinaryUrl,
-        votesRequired: 25,
-        votesCompleted: 0
-      }
+      message: `✅ Submission received! Vote on ${submission.votes_required} entries to qualify for winning.`,
+      submission: describeNewSubmission(submission)
     });
 
   } catch (error) {
+    if (error instanceof SubmissionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('❌ Upload error:', error);
-    
-    // Delete uploaded file if anything fails
+    res.status(500).json({ error: 'Upload failed: ' + error.message });
+  } finally {
+    // The temporary file is never needed once the request is done
     if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
-      console.log('🗑️ Deleted failed upload file');
+      console.log('🗑️ Deleted local temporary file');
     }
-    
-    res.status(500).json({ error: 'Upload failed: ' + error.message });
   }
 });
 
@@ -373,67 +264,36 @@ app.post("/api/upload-part", authenticateToken, upload.single('file'), async (re
 // ========================================
 
 // 1️⃣ GET voting batch - Get 25 entries to vote on
+// Issues (or resumes) a server-side voting session; votes must quote its batchId
 app.get('/api/voting/batch/:userId', authenticateToken, async (req, res) => {
-  const { userId } = req.params;
+  // Batches are personal: only the logged-in user can fetch their own
+  if (parseInt(req.params.userId) !== req.user.id) {
+    return res.status(403).json({ success: false, error: 'You can only fetch your own voting batch' });
+  }
   
   try {
-    // Get 25 entries user hasn't voted on yet
-    // Prioritize entries with lowest times_shown for fairness
-    const result = await pool.query(`
-      SELECT * FROM submissions 
-      WHERE user_id != $1
-        AND id NOT IN (
-          SELECT submission_id FROM user_votes WHERE voter_id = $1
-        )
-        AND status = 'QUALIFIED'
-      ORDER BY times_shown ASC, RANDOM()
-      LIMIT 25
-    `, [userId]);
-    
-    const entries = result.rows;
-    
-    // If no qualified entries, return pending entries (for early voting)
-    if (entries.length === 0) {
-      const pendingResult = await pool.query(`
-        SELECT * FROM submissions 
-        WHERE user_id != $1
-          AND id NOT IN (
-            SELECT submission_id FROM user_votes WHERE voter_id = $1
-          )
-        ORDER BY times_shown ASC, RANDOM()
-        LIMIT 25
-      `, [userId]);
-      
-      const pendingEntries = pendingResult.rows;
-      
-      // Mark as shown
-      for (const entry of pendingEntries) {
-        await pool.query(
-          'UPDATE submissions SET times_shown = times_shown + 1 WHERE id = $1',
-          [entry.id]
-        );
-      }
-      
-      return res.json({ 
-        success: true,
-        entries: pendingEntries 
-      });
-    }
-    
-    // Mark as shown
-    for (const entry of entries) {
-      await pool.query(
-        'UPDATE submissions SET times_shown = times_shown + 1 WHERE id = $1',
-        [entry.id]
-      );
+    // Voting happens inside one competition (?competitionId=, default: the running one)
+    const competition = await resolveCompetition({ competitionId: req.query.competitionId });
+    if (!competition) {
+      return res.status(404).json({ success: false, error: 'Competition not found' });
     }
+
+    const batch = await issueVotingBatch({ voterId: req.user.id, competitionId: competition.id });
     
     res.json({ 
       success: true,
-      entries: entries 
+      competitionId: competition.id,
+      batchId: batch.batchId,
+      expiresAt: batch.expiresAt,
+      resumed: batch.resumed,
+      // Anonymous during voting: no creator name, email or id
+      entries: batch.entries.map(serializeVotingEntry)
     });
     
   } catch (error) {
+    if (error instanceof CompetitionValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Error getting voting batch:', error);
     res.status(500).json({ 
       success: false,
@@ -441,80 +301,32 @@ app.get('/api/voting/batch/:userId', authenticateToken, async (req, res) => {
     });
   }
 });
-
 // 2️⃣ POST vote - Submit a vote
+// Body: { batchId, submissionId, voteValue } — the voter is always the logged-in user
 app.post('/api/vote', authenticateToken, async (req, res) => {
-  const { voterId, submissionId, voteValue } = req.body;
+  const { batchId, submissionId, voteValue } = req.body;
   
   try {
-    // Record vote
-    await pool.query(`
-      INSERT INTO user_votes (voter_id, submission_id, vote_value)
-      VALUES ($1, $2, $3)
-      ON CONFLICT (voter_id, submission_id) DO NOTHING
-    `, [voterId, submissionId, voteValue]);
-    
-    // Update submission stats
-    if (voteValue === 1) {
-      await pool.query(
-        'UPDATE submissions SET thumbs_up = thumbs_up + 1, total_votes = total_votes + 1 WHERE id = $1',
-        [submissionId]
-      );
-    } else {
-      await pool.query(
-        'UPDATE submissions SET thumbs_down = thumbs_down + 1, total_votes = total_votes + 1 WHERE id = $1',
-        [submissionId]
-      );
-    }
-    
-    // Check if voter has their own submission
-    const voterSubmissionResult = await pool.query(
-      'SELECT * FROM submissions WHERE user_id = $1',
-      [voterId]
-    );
-    
-    let qualified = false;
-    let voteCount = 0;
-    
-    if (voterSubmissionResult.rows.length > 0) {
-      const voterSubmission = voterSubmissionResult.rows[0];
-      
-      // Count total votes by this user
-      const voteCountResult = await pool.query(
-        'SELECT COUNT(*) as count FROM user_votes WHERE voter_id = $1',
-        [voterId]
-      );
-      
-      voteCount = parseInt(voteCountResult.rows[0].count);
-      
-      // Update their submission's qualification progress
-      await pool.query(
-        'UPDATE submissions SET votes_completed = $1 WHERE user_id = $2',
-        [voteCount, voterId]
-      );
-      
-      // If reached 25 votes, QUALIFY the entry!
-      if (voteCount >= 25 && voterSubmission.status === 'PENDING') {
-        await pool.query(
-          `UPDATE submissions 
-           SET status = 'QUALIFIED', qualified_at = NOW() 
-           WHERE user_id = $1`,
-          [voterId]
-        );
-        
-        qualified = true;
-      }
-    }
+    const { votesCompleted, votesRequired, qualified, batchCompleted } = await recordVote({
+      voterId: req.user.id,
+      batchId,
+      submissionId,
+      voteValue
+    });
     
     res.json({
       success: true,
       message: qualified ? '🎉 YOUR ENTRY IS NOW QUALIFIED TO WIN!' : 'Vote recorded',
-      votesCompleted: voteCount,
-      votesRequired: 25,
-      qualified: qualified
+      votesCompleted: votesCompleted,
+      votesRequired: votesRequired,
+      qualified: qualified,
+      batchCompleted: batchCompleted
     });
     
   } catch (error) {
+    if (error instanceof VoteError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('Error submitting vote:', error);
     res.status(500).json({ 
       success: false,
@@ -525,12 +337,18 @@ app.post('/api/vote', authenticateToken, async (req, res) => {
 
 // 3️⃣ GET submission status - Check if user's submission is qualified
 app.get('/api/submission/status/:userId', authenticateToken, async (req, res) => {
-  const { userId } = req.params;
+  const userId = parseInt(req.params.userId);
   
   try {
+    // Linking a user to their entry would break voting anonymity: own entries only, unless staff
+    const isOwner = userId === req.user.id;
+    if (!isOwner && !hasPermission(await getUserRoles(req.user.id), 'submissions.view_all')) {
+      return res.status(403).json({ success: false, error: 'You can only check your own submission' });
+    }
+
     const result = await pool.query(
       'SELECT * FROM submissions WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
-      [userId]
+      [userId || 0]
     );
     
     if (result.rows.length === 0) {
@@ -543,17 +361,12 @@ app.get('/api/submission/status/:userId', authenticateToken, async (req, res) =>
     
     const submission = result.rows[0];
     
-    // Get vote count
-    const voteCountResult = await pool.query(
-      'SELECT COUNT(*) as count FROM user_votes WHERE voter_id = $1',
-      [userId]
-    );
-    
-    const votesCompleted = parseInt(voteCountResult.rows[0].count);
+    // Only votes on entries issued in a voting batch count
+    const votesCompleted = await countIssuedVotes(submission.user_id, submission.competition_id);
     
     res.json({
       success: true,
-      submission: submission,
+      submission: isOwner ? serializeOwnSubmission(submission) : serializeAdminSubmission(submission),
       votesCompleted: votesCompleted
     });
     
@@ -566,42 +379,39 @@ app.get('/api/submission/status/:userId', authenticateToken, async (req, res) =>
   }
 });
 
-// 4️⃣ GET winners - Get qualified winners based on approval rating
+// 4️⃣ GET winners - Get qualified winners ranked by the competition's strategy
 app.get('/api/winners/:weekNumber', async (req, res) => {
-  const { weekNumber } = req.params;
+  const weekNumber = parseInt(req.params.weekNumber);
   
   try {
-    // Get total voters
-    const totalVotersResult = await pool.query(
-      'SELECT COUNT(DISTINCT voter_id) as count FROM user_votes'
-    );
-    const totalVoters = parseInt(totalVotersResult.rows[0].count);
-    
-    // 20% threshold
-    const minimumVotes = Math.max(Math.ceil(totalVoters * 0.20), 1);
-    
-    // Get winners
-    const result = await pool.query(`
-      SELECT *,
-        CASE 
-          WHEN total_votes > 0 THEN (thumbs_up::FLOAT / total_votes * 100)
-          ELSE 0
-        END as approval_rating
-      FROM submissions
-      WHERE week_number = $1
-        AND status = 'QUALIFIED'
-        AND total_votes >= $2
-      ORDER BY approval_rating DESC, total_votes DESC
-      LIMIT 10
-    `, [weekNumber, minimumVotes]);
+    if (!Number.isInteger(weekNumber) || weekNumber < 1) {
+      return res.status(400).json({ success: false, error: 'weekNumber must be a positive integer' });
+    }
+
+    const competition = await resolveCompetition({ competitionId: req.query.competitionId });
+    if (!competition) {
+      return res.status(404).json({ success: false, error: 'Competition not found' });
+    }
+
+    // Wilson / Bayesian / approval ranking, with a vote floor based on that week's voters
+    const ranking = await computeWeekRanking(competition, weekNumber);
     
     res.json({
       success: true,
-      winners: result.rows,
-      minimumVotes: minimumVotes
+      competition: describeCompetition(competition),
+      ranking: {
+        strategy: ranking.strategy,
+        options: ranking.options,
+        weekVoters: ranking.weekVoters
+      },
+      winners: ranking.ranked.map(serializePublicSubmission),
+      minimumVotes: ranking.minimumVotes
     });
     
   } catch (error) {
+    if (error instanceof CompetitionValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Error getting winners:', error);
     res.status(500).json({ 
       success: false,
@@ -616,20 +426,17 @@ app.get('/api/winners/:weekNumber', async (req, res) => {
 app.get("/api/my-submissions", authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT id, part_name, part_type, car_model, description, file_size, file_path,
-              week_number, status, is_winner, anonymous_id, votes_completed, votes_required,
-              times_shown, thumbs_up, thumbs_down, total_votes, 
-              CASE 
-                WHEN total_votes > 0 THEN (thumbs_up::FLOAT / total_votes * 100)
-                ELSE 0
-              END as approval_rating,
-              created_at 
-       FROM submissions 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC`,
+      `SELECT s.id, s.part_name, s.part_type, s.car_model, s.description, s.file_size, s.file_path, s.storage_key,
+              s.model_stats, s.competition_id, s.week_number, s.status, s.is_winner, s.anonymous_id,
+              s.votes_completed, s.votes_required, s.times_shown, s.thumbs_up, s.thumbs_down, s.total_votes,
+              s.approval_rating, s.moderation_status, s.moderation_reason, s.optimization_status, s.render_status, s.created_at,
+              ${SUBMISSION_ASSETS_SQL}
+       FROM submissions s
+       WHERE s.user_id = $1 
+       ORDER BY s.created_at DESC`,
       [req.user.id]
     );
-    res.json({ submissions: result.rows });
+    res.json({ submissions: result.rows.map(serializeOwnSubmission) });
   } catch (error) {
     console.error('Error fetching submissions:', error);
     res.status(500).json({ error: 'Failed to fetch submissions' });
@@ -641,19 +448,22 @@ app.get("/api/my-submissions", authenticateToken, async (req, res) => {
 // ---------------------------
 app.get("/api/weekly-winners", async (req, res) => {
   try {
+    // Optional ?competitionId= filter; otherwise winners from every competition
+    const competitionId = parseInt(req.query.competitionId) || null;
     const result = await pool.query(
       `SELECT s.id, s.part_name, s.part_type, s.car_model, s.user_name, 
-              s.week_number, s.created_at, s.file_path, s.anonymous_id,
-              s.thumbs_up, s.total_votes,
-              CASE 
-                WHEN s.total_votes > 0 THEN (s.thumbs_up::FLOAT / s.total_votes * 100)
-                ELSE 0
-              END as approval_rating
+              s.week_number, s.created_at, s.file_path, s.storage_key, s.anonymous_id,
+              s.thumbs_up, s.total_votes, s.competition_id, c.name as competition_name,
+              s.approval_rating, s.frozen_at, ${SUBMISSION_ASSETS_SQL}
        FROM submissions s
+       JOIN competitions c ON c.id = s.competition_id
        WHERE s.is_winner = true
-       ORDER BY s.week_number DESC`
+         AND s.moderation_status = 'visible'
+         AND ($1::INT IS NULL OR s.competition_id = $1)
+       ORDER BY c.start_date DESC, s.week_number DESC`,
+      [competitionId]
     );
-    res.json({ winners: result.rows });
+    res.json({ winners: result.rows.map(serializePublicSubmission) });
   } catch (error) {
     console.error('Error fetching winners:', error);
     res.status(500).json({ error: 'Failed to fetch winners' });
@@ -665,25 +475,46 @@ app.get("/api/weekly-winners", async (req, res) => {
 // ---------------------------
 app.get("/api/competition-stats", async (req, res) => {
   try {
-    const currentWeek = getCurrentWeek();
+    const competition = await resolveCompetition({ competitionId: req.query.competitionId });
+    if (!competition) {
+      return res.status(404).json({ error: 'Competition not found' });
+    }
+
+    const { currentWeek, status, rounds, votesRequired } = describeCompetition(competition);
     
-    const totalSubmissions = await pool.query('SELECT COUNT(*) FROM submissions');
+    const totalSubmissions = await pool.query(
+      'SELECT COUNT(*) FROM submissions WHERE competition_id = $1',
+      [competition.id]
+    );
     const weeklySubmissions = await pool.query(
-      'SELECT COUNT(*) FROM submissions WHERE week_number = $1',
-      [currentWeek]
+      'SELECT COUNT(*) FROM submissions WHERE competition_id = $1 AND week_number = $2',
+      [competition.id, currentWeek]
+    );
+    const totalWinners = await pool.query(
+      'SELECT COUNT(*) FROM submissions WHERE competition_id = $1 AND is_winner = true',
+      [competition.id]
+    );
+    const qualifiedEntries = await pool.query(
+      "SELECT COUNT(*) FROM submissions WHERE competition_id = $1 AND status = 'QUALIFIED'",
+      [competition.id]
     );
-    const totalWinners = await pool.query('SELECT COUNT(*) FROM submissions WHERE is_winner = true');
-    const qualifiedEntries = await pool.query("SELECT COUNT(*) FROM submissions WHERE status = 'QUALIFIED'");
     
     res.json({
+      competitionId: competition.id,
+      competitionName: competition.name,
       currentWeek: currentWeek,
+      totalWeeks: rounds,
+      votesRequired: votesRequired,
       totalSubmissions: parseInt(totalSubmissions.rows[0].count),
       weeklySubmissions: parseInt(weeklySubmissions.rows[0].count),
       totalWinners: parseInt(totalWinners.rows[0].count),
       qualifiedEntries: parseInt(qualifiedEntries.rows[0].count),
-      competitionStatus: currentWeek === 0 ? 'Not Started' : currentWeek === 11 ? 'Ended' : 'Active'
+      competitionStatus: status
     });
   } catch (error) {
+    if (error instanceof CompetitionValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching stats:', error);
     res.status(500).json({ error: 'Failed to fetch stats' });
   }
@@ -692,27 +523,21 @@ app.get("/api/competition-stats", async (req, res) => {
 // ---------------------------
 // 🔧 Admin: View All Submissions
 // ---------------------------
-app.get("/api/admin/submissions", authenticateToken, async (req, res) => {
+app.get("/api/admin/submissions", authenticateToken, requirePermission('submissions.view_all'), async (req, res) => {
   try {
-    // Check if user is admin
-    const adminResult = await pool.query('SELECT is_admin FROM users WHERE id = $1', [req.user.id]);
-    
-    if (!adminResult.rows[0]?.is_admin) {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
+    // Optional model-size filters, e.g. ?maxTriangles=50000
+    const { minTriangles, maxTriangles } = req.query;
     const result = await pool.query(
-      `SELECT s.*, u.username, u.email as user_email,
-              CASE 
-                WHEN s.total_votes > 0 THEN (s.thumbs_up::FLOAT / s.total_votes * 100)
-                ELSE 0
-              END as approval_rating
+      `SELECT s.*, u.username, u.email as user_email, ${SUBMISSION_ASSETS_SQL}
        FROM submissions s 
        JOIN users u ON s.user_id = u.id 
-       ORDER BY s.created_at DESC`
+       WHERE ($1::INT IS NULL OR (s.model_stats->>'triangleCount')::INT >= $1)
+         AND ($2::INT IS NULL OR (s.model_stats->>'triangleCount')::INT <= $2)
+       ORDER BY s.created_at DESC`,
+      [parseInt(minTriangles) || null, parseInt(maxTriangles) || null]
     );
     
-    res.json({ submissions: result.rows });
+    res.json({ submissions: result.rows.map(serializeAdminSubmission) });
   } catch (error) {
     console.error('Error fetching admin submissions:', error);
     res.status(500).json({ error: 'Failed to fetch submissions' });
@@ -722,90 +547,48 @@ app.get("/api/admin/submissions", authenticateToken, async (req, res) => {
 // ---------------------------
 // 🏆 Admin: Select Winner (WITH EMAIL!)
 // ---------------------------
-app.post("/api/admin/select-winner/:id", authenticateToken, async (req, res) => {
+app.post("/api/admin/select-winner/:id", authenticateToken, requirePermission('winners.select'), async (req, res) => {
   try {
     const { id } = req.params;
-    
-    // Check if user is admin
-    const adminResult = await pool.query('SELECT is_admin FROM users WHERE id = $1', [req.user.id]);
-    
-    if (!adminResult.rows[0]?.is_admin) {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
 
-    // Update submission as winner
-    const result = await pool.query(
-      'UPDATE submissions SET is_winner = true, status = $1 WHERE id = $2 RETURNING *',
-      ['winner', id]
-    );
+    const winner = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM submissions WHERE id = $1 FOR UPDATE', [id]);
+      if (before.rows.length === 0) return null;
+      if (before.rows[0].moderation_status !== 'visible') return { removed: before.rows[0].moderation_status };
 
-    if (result.rows.length === 0) {
+      // Update submission as winner
+      const result = await client.query(
+        'UPDATE submissions SET is_winner = true, status = $1 WHERE id = $2 RETURNING *',
+        ['winner', id]
+      );
+
+      await recordAudit({
+        actorId: req.user.id,
+        action: 'submission.select_winner',
+        targetType: 'submission',
+        targetId: id,
+        before: { is_winner: before.rows[0].is_winner, status: before.rows[0].status },
+        after: { is_winner: true, status: 'winner' },
+        ip: req.ip
+      }, client);
+
+      // 📧 Queue winner notification email (sent only if this commits)
+      await enqueueWinnerEmail(result.rows[0], client);
+      return result.rows[0];
+    });
+
+    if (!winner) {
       return res.status(404).json({ error: 'Submission not found' });
     }
-
-    const winner = result.rows[0];
+    if (winner.removed) {
+      return res.status(409).json({ error: `Submission is ${winner.removed} and can't win` });
+    }
     console.log('🏆 Winner selected:', winner);
 
-    // 📧 Send winner notification email
-    try {
-      await resend.emails.send({
-        from: 'CarMod Showdown <onboarding@resend.dev>',
-        to: winner.email,
-        subject: '🏆 YOU WON! CarMod Week ' + winner.week_number + ' Winner!',
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px; border-radius: 12px;">
-            <div style="background: white; padding: 40px; border-radius: 8px;">
-              <h1 style="color: #FFD700; text-align: center; font-size: 42px; margin-top: 0;">
-                🏆 CONGRATULATIONS! 🏆
-              </h1>
-              
-              <p style="font-size: 24px; text-align: center; color: #333;">
-                <strong>${winner.user_name}</strong>, you are the <strong>Week ${winner.week_number} Winner!</strong>
-              </p>
-              
-              <div style="background: #f0f8ff; padding: 20px; border-radius: 8px; margin: 30px 0; border-left: 4px solid #FFD700;">
-                <h2 style="margin-top: 0; color: #333; font-size: 26px;">🎉 Your Winning Submission:</h2>
-                <p style="font-size: 18px;"><strong>Part Name:</strong> ${winner.part_name}</p>
-                <p style="font-size: 18px;"><strong>Part Type:</strong> ${winner.part_type}</p>
-                <p style="font-size: 18px;"><strong>Car Model:</strong> ${winner.car_model}</p>
-              </div>
-              
-              <div style="background: #e8f5e9; padding: 20px; border-radius: 8px; margin: 30px 0;">
-                <h2 style="margin-top: 0; color: #2e7d32; font-size: 26px;">🎁
-Your Prizes:</h2>
-                <ul style="font-size: 18px; line-height: 1.8;">
-                  <li>✅ <strong>Lifetime Premium Access</strong> - Activated NOW!</li>
-                  <li>✅ <strong>Unlimited Customizations</strong></li>
-                  <li>✅ <strong>Access to Full Part Library</strong></li>
-                  <li>✅ <strong>Free Entry to ALL Future Competitions</strong></li>
-                  <li>✅ <strong>Featured as Creator of the Week</strong></li>
-                  <li>✅ <strong>Eligible for £50 Grand Prize</strong></li>
-                </ul>
-              </div>
-              
-              <div style="text-align: center; margin: 40px 0;">
-                <p style="font-size: 22px; color: #333;">Your premium account is now <strong style="color: #4CAF50;">ACTIVE</strong>!</p>
-                <p style="color: #666; font-size: 16px;">Login to access all your premium features</p>
-              </div>
-              
-              <p style="text-align: center; color: #888; font-size: 16px; margin-top: 40px;">
-                Keep creating amazing customizations!<br/>
-                You can still win the £50 Grand Prize for best overall submission!
-              </p>
-            </div>
-          </div>
-        `
-      });
-      console.log('✅ Winner notification email sent to:', winner.email);
-    } catch (emailError) {
-      console.error('⚠️ Failed to send winner email:', emailError);
-      // Still return success even if email fails
-    }
-    
     res.json({ 
       success: true, 
-      message: 'Winner selected successfully! Email notification sent.',
-      winner: result.rows[0]
+      message: 'Winner selected successfully! Email notification queued.',
+      winner: serializeAdminSubmission(winner)
     });
   } catch (error) {
     console.error('Error selecting winner:', error);
@@ -814,45 +597,27 @@ Your Prizes:</h2>
 });
 
 // ---------------------------
-// 📸 Gallery - Get all submissions
+// 📸 Gallery - Browse submissions
 // ---------------------------
+/**
+ * GET /api/gallery
+ * Query: q, sort=newest|votes|approval|wilson|relevance, cursor, limit,
+ *        week, partType, carModel, status=pending|qualified|winner, isWinner,
+ *        competitionId, minTriangles, maxTriangles
+ * Pass pageInfo.nextCursor back as ?cursor= for the next page
+ */
 app.get('/api/gallery', async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        id,
-        user_name,
-        email,
-        part_name,
-        part_type,
-        car_model,
-        description,
-        file_path,
-        file_size,
-        week_number,
-        status,
-        is_winner,
-        anonymous_id,
-        times_shown,
-        thumbs_up,
-        thumbs_down,
-        total_votes,
-        CASE 
-          WHEN total_votes > 0 THEN (thumbs_up::FLOAT / total_votes * 100)
-          ELSE 0
-        END as approval_rating,
-        created_at
-      FROM submissions
-      ORDER BY created_at DESC
-    `;
-    
-    const result = await pool.query(query);
-    
+    const { submissions, pageInfo } = await listGallery(req.query);
     res.json({
       success: true,
-      submissions: result.rows
+      submissions: submissions.map(serializePublicSubmission),
+      pageInfo
     });
   } catch (error) {
+    if (error instanceof GalleryQueryError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Gallery fetch error:', error);
     res.status(500).json({
       success: false,
@@ -861,6 +626,17 @@ app.get('/api/gallery', async (req, res) => {
   }
 });
 
+// ⏰ Background jobs
+registerJob("week-closeouts", parseInt(process.env.CLOSEOUT_INTERVAL_MS) || 5 * 60 * 1000, runDueCloseouts);
+registerJob("email-outbox", parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 15 * 1000, processOutbox);
+registerJob("token-cleanup", 6 * 60 * 60 * 1000, pruneExpiredTokens);
+registerJob("upload-cleanup", 15 * 60 * 1000, pruneAbandonedUploads);
+registerJob("model-optimization", parseInt(process.env.MODEL_OPTIMIZATION_INTERVAL_MS) || 30 * 1000, processPendingModels);
+registerJob("model-previews", parseInt(process.env.MODEL_PREVIEW_INTERVAL_MS) || 30 * 1000, processPendingRenders);
+
 // ✅ Server Start
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => {
+  console.log(`🚀 Server running on port ${PORT}`);
+  startScheduler();
+});
\ No newline at end of file
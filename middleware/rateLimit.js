@@ -0,0 +1,44 @@
+// middleware/rateLimit.js
+
+/**
+ * Fixed-window rate limiter kept in memory (per server instance).
+ * Good enough to stop scripted abuse of the account flows; per-account limits
+ * that must hold across instances are enforced in the database by the services.
+ *
+ * @param {object} options
+ * @param {string} options.name bucket name (limits with different names don't share counters)
+ * @param {number} options.windowMs
+ * @param {number} options.max requests allowed per key per window
+ * @param {(req) => string} [options.key] defaults to the client IP
+ */
+export function rateLimit({ name, windowMs, max, key = (req) => req.ip }) {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [k, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(k);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const k = `${name}:${key(req)}`;
+    let entry = hits.get(k);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(k, entry);
+    }
+    entry.count++;
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - entry.count, 0)));
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: `Too many requests. Try again in ${retryAfter} seconds.` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,86 @@
+// routes/accountRoutes.js
+import express from "express";
+import { authenticateToken } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  AccountError,
+  requestPasswordReset,
+  resendVerification,
+  resetPassword,
+  verifyEmail,
+} from "../services/accountService.js";
+
+const router = express.Router();
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+// Per-IP limits; each account is also capped in the database (see accountService)
+const verifyLimit = rateLimit({ name: "verify-email", windowMs: FIFTEEN_MINUTES, max: 20 });
+const resendLimit = rateLimit({ name: "resend-verification", windowMs: FIFTEEN_MINUTES, max: 5 });
+const forgotLimit = rateLimit({ name: "forgot-password", windowMs: FIFTEEN_MINUTES, max: 5 });
+const resetLimit = rateLimit({ name: "reset-password", windowMs: FIFTEEN_MINUTES, max: 10 });
+
+function handleError(res, err, fallback) {
+  if (err instanceof AccountError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * POST /api/verify-email
+ * Body: { token }
+ * Confirms the address the verification link was sent to
+ */
+router.post("/verify-email", verifyLimit, async (req, res) => {
+  try {
+    const user = await verifyEmail(req.body?.token);
+    res.json({ success: true, message: "Email verified! You can now submit parts.", user });
+  } catch (err) {
+    handleError(res, err, "Failed to verify email");
+  }
+});
+
+/**
+ * POST /api/verify-email/resend
+ * Sends a fresh verification link to the logged-in user
+ */
+router.post("/verify-email/resend", authenticateToken, resendLimit, async (req, res) => {
+  try {
+    await resendVerification(req.user.id, { ip: req.ip });
+    res.json({ success: true, message: "Verification email sent" });
+  } catch (err) {
+    handleError(res, err, "Failed to send verification email");
+  }
+});
+
+/**
+ * POST /api/forgot-password
+ * Body: { email }
+ * Always answers the same way so it can't be used to find out who has an account
+ */
+router.post("/forgot-password", forgotLimit, async (req, res) => {
+  try {
+    await requestPasswordReset(req.body?.email, { ip: req.ip });
+    res.json({ success: true, message: "If that email has an account, a reset link is on its way." });
+  } catch (err) {
+    handleError(res, err, "Failed to start password reset");
+  }
+});
+
+/**
+ * POST /api/reset-password
+ * Body: { token, password }
+ */
+router.post("/reset-password", resetLimit, async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    await resetPassword(token, password);
+    res.json({ success: true, message: "Password updated. You can now log in." });
+  } catch (err) {
+    handleError(res, err, "Failed to reset password");
+  }
+});
+
+export default router;
@@ -1,13 +1,43 @@
 import express from "express";
+import { authenticateToken, optionalAuth } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 import { parsePromptToActions } from "../services/aiPromptService.js";
+import {
+  addPrompt,
+  AiSessionError,
+  deleteSession,
+  getSession,
+  listSessions,
+  openSession,
+  redo,
+  revertTo,
+  undo,
+} from "../services/aiSessionService.js";
 
 const router = express.Router();
 
+const promptLimit = rateLimit({
+  name: "ai-session-prompt",
+  windowMs: 60 * 60 * 1000,
+  max: 120,
+  key: (req) => req.user.id,
+});
+
+function handleError(res, err, fallback) {
+  if (err instanceof AiSessionError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ success: false, error: fallback });
+}
+
 /**
  * POST /api/ai/interpret
- * Body: { "prompt": "make the roof matte black and add blue underglow" }
+ * Body: { "prompt": "make the roof matte black and add blue underglow", "carContext": { "knownParts": [...] } }
+ * Returns { actions, warnings, clarification, cached }; warnings list adjusted values and dropped actions,
+ * clarification is a hint for the user when nothing in the prompt could be turned into an action
  */
-router.post("/interpret", async (req, res) => {
+router.post("/interpret", optionalAuth, async (req, res) => {
   try {
     const { prompt, carContext } = req.body;
 
@@ -15,12 +45,16 @@ router.post("/interpret", async (req, res) => {
       return res.status(400).json({ success: false, error: "Prompt is required." });
     }
 
-    const actions = await parsePromptToActions(prompt, carContext || {});
+    const { actions, warnings, clarification, cached } = await parsePromptToActions(prompt, carContext || {}, { userId: req.user?.id });
     console.log("🎯 AI Actions:", actions);
+    if (warnings.length) console.log("⚠️ AI action warnings:", warnings);
 
     res.json({
       success: true,
       actions,
+      warnings,
+      clarification,
+      cached,
     });
   } catch (err) {
     console.error("❌ AI Route Error:", err);
@@ -31,4 +65,108 @@ router.post("/interpret", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/ai/sessions
+ * Body: { carModel, carContext? }
+ * Opens the user's session for a car (created on first use; 201 when new)
+ */
+router.post("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const { carModel, carContext } = req.body || {};
+    const { created, session } = await openSession({ user: req.user, carModel, carContext });
+    if (created) console.log(`🧠 AI session ${session.sessionId} opened by ${req.user.username} for ${session.carModel}`);
+    res.status(created ? 201 : 200).json({ success: true, session });
+  } catch (err) {
+    handleError(res, err, "Failed to open AI session");
+  }
+});
+
+/**
+ * GET /api/ai/sessions
+ * The user's sessions, most recently used first
+ */
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, sessions: await listSessions(req.user.id) });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch AI sessions");
+  }
+});
+
+/**
+ * GET /api/ai/sessions/:id
+ * Steps plus `actions`, the stack to replay on a stock car
+ */
+router.get("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, session: await getSession(req.params.id, req.user.id) });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch AI session");
+  }
+});
+
+/**
+ * POST /api/ai/sessions/:id/prompts
+ * Body: { prompt, carContext? }
+ * Interprets the prompt against the applied steps and appends it; undone steps are discarded.
+ * When nothing was understood no step is added: step is null and clarification says why
+ */
+router.post("/sessions/:id/prompts", authenticateToken, promptLimit, async (req, res) => {
+  try {
+    const { prompt, carContext } = req.body || {};
+    const { step, clarification, session } = await addPrompt({ id: req.params.id, userId: req.user.id, prompt, carContext });
+    if (!step) return res.json({ success: true, step, clarification, session });
+    console.log(`🎯 AI session ${session.sessionId} step ${step.step}:`, step.actions);
+    res.status(201).json({ success: true, step, clarification, session });
+  } catch (err) {
+    handleError(res, err, "AI interpretation failed");
+  }
+});
+
+/**
+ * POST /api/ai/sessions/:id/undo
+ * POST /api/ai/sessions/:id/redo
+ * Return the session with the resulting action stack
+ */
+router.post("/sessions/:id/undo", authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, session: await undo(req.params.id, req.user.id) });
+  } catch (err) {
+    handleError(res, err, "Failed to undo");
+  }
+});
+
+router.post("/sessions/:id/redo", authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, session: await redo(req.params.id, req.user.id) });
+  } catch (err) {
+    handleError(res, err, "Failed to redo");
+  }
+});
+
+/**
+ * POST /api/ai/sessions/:id/revert
+ * Body: { step } (0 = stock car)
+ * Later steps can still be redone until the next prompt
+ */
+router.post("/sessions/:id/revert", authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, session: await revertTo(req.params.id, req.user.id, req.body?.step) });
+  } catch (err) {
+    handleError(res, err, "Failed to revert");
+  }
+});
+
+/**
+ * DELETE /api/ai/sessions/:id
+ */
+router.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    await deleteSession(req.params.id, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    handleError(res, err, "Failed to delete AI session");
+  }
+});
+
 export default router;
@@ -0,0 +1,28 @@
+// routes/auditRoutes.js
+import express from "express";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { AuditQueryError, queryAuditLog } from "../services/auditService.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission("audit.read"));
+
+/**
+ * GET /api/admin/audit?actorId=&action=&targetType=&targetId=&from=&to=&beforeId=&limit=
+ * Newest first. `action` matches exactly or by prefix (action=role matches role.grant and role.revoke).
+ * Pass nextBeforeId from the previous page as beforeId to page back in time.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const page = await queryAuditLog(req.query);
+    res.json({ success: true, ...page });
+  } catch (err) {
+    if (err instanceof AuditQueryError) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error("❌ Failed to fetch audit log:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch audit log" });
+  }
+});
+
+export default router;
@@ -0,0 +1,104 @@
+// routes/closeoutRoutes.js
+import express from "express";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import {
+  CloseoutError,
+  closeOutWeek,
+  listCloseouts,
+  previewCloseout,
+  requireCompetition,
+  requireWeek,
+} from "../services/closeoutService.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission("closeouts.manage"));
+
+function handleError(res, err, fallback) {
+  if (err instanceof CloseoutError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * GET /api/admin/closeouts?competitionId=1
+ * Close-out history, newest first
+ */
+router.get("/", async (req, res) => {
+  try {
+    const closeouts = await listCloseouts({ competitionId: parseInt(req.query.competitionId) || null });
+    res.json({ success: true, closeouts });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch close-outs");
+  }
+});
+
+/**
+ * GET /api/admin/closeouts/:competitionId/:weekNumber/preview
+ * Ranking and proposed winners without changing anything
+ */
+router.get("/:competitionId/:weekNumber/preview", async (req, res) => {
+  try {
+    const competition = await requireCompetition(req.params.competitionId);
+    const preview = await previewCloseout(competition, requireWeek(competition, req.params.weekNumber));
+    res.json({ success: true, preview });
+  } catch (err) {
+    handleError(res, err, "Failed to preview close-out");
+  }
+});
+
+/**
+ * POST /api/admin/closeouts/:competitionId/:weekNumber/run
+ * Body: { force?: boolean, notes?: string }
+ * Closes the week now. Already-closed weeks are skipped unless force=true (re-run).
+ */
+router.post("/:competitionId/:weekNumber/run", async (req, res) => {
+  try {
+    const competition = await requireCompetition(req.params.competitionId);
+    const { force, notes } = req.body || {};
+    const outcome = await closeOutWeek({
+      competition,
+      weekNumber: requireWeek(competition, req.params.weekNumber),
+      runType: force ? "rerun" : "manual",
+      triggeredBy: req.user.id,
+      notes,
+      ip: req.ip,
+    });
+    res.json({
+      success: true,
+      skipped: outcome.skipped,
+      message: outcome.skipped ? "Week was already closed out. Pass force=true to re-run it." : "Week closed out",
+      closeout: outcome.closeout,
+    });
+  } catch (err) {
+    handleError(res, err, "Failed to close out week");
+  }
+});
+
+/**
+ * POST /api/admin/closeouts/:competitionId/:weekNumber/override
+ * Body: { winnerIds: number[], notes?: string }
+ * Replaces the week's winners with an explicit list
+ */
+router.post("/:competitionId/:weekNumber/override", async (req, res) => {
+  try {
+    const competition = await requireCompetition(req.params.competitionId);
+    const { winnerIds, notes } = req.body || {};
+    const outcome = await closeOutWeek({
+      competition,
+      weekNumber: requireWeek(competition, req.params.weekNumber),
+      runType: "override",
+      triggeredBy: req.user.id,
+      winnerIds,
+      notes,
+      ip: req.ip,
+    });
+    res.json({ success: true, closeout: outcome.closeout });
+  } catch (err) {
+    handleError(res, err, "Failed to override close-out");
+  }
+});
+
+export default router;
@@ -0,0 +1,150 @@
+// routes/competitionRoutes.js
+import express from "express";
+import { withTransaction } from "../db/pool.js";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../services/auditService.js";
+import {
+  CompetitionValidationError,
+  createCompetition,
+  deleteCompetition,
+  describeCompetition,
+  getCompetition,
+  listCompetitions,
+  updateCompetition,
+} from "../services/competitionService.js";
+
+const router = express.Router();
+
+function handleError(res, err, fallback) {
+  if (err instanceof CompetitionValidationError) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  if (err.code === "23505") {
+    return res.status(409).json({ success: false, error: "A competition with that slug already exists" });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * GET /api/competitions
+ * Public list of active competitions with their current week/status
+ */
+router.get("/competitions", async (req, res) => {
+  try {
+    const competitions = await listCompetitions();
+    res.json({ success: true, competitions: competitions.map((c) => describeCompetition(c)) });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch competitions");
+  }
+});
+
+/**
+ * GET /api/competitions/:id
+ */
+router.get("/competitions/:id", async (req, res) => {
+  try {
+    const competition = await getCompetition(parseInt(req.params.id, 10) || 0);
+    if (!competition) return res.status(404).json({ success: false, error: "Competition not found" });
+    res.json({ success: true, competition: describeCompetition(competition) });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch competition");
+  }
+});
+
+/**
+ * GET /api/admin/competitions
+ * All competitions, including inactive ones
+ */
+router.get("/admin/competitions", authenticateToken, requirePermission("competitions.manage"), async (req, res) => {
+  try {
+    const competitions = await listCompetitions({ includeInactive: true });
+    res.json({ success: true, competitions: competitions.map((c) => describeCompetition(c)) });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch competitions");
+  }
+});
+
+/**
+ * POST /api/admin/competitions
+ * Body: { slug, name, startDate, weekLengthDays?, rounds?, votesRequired?, allowedPartTypes?, description?, isActive? }
+ */
+router.post("/admin/competitions", authenticateToken, requirePermission("competitions.manage"), async (req, res) => {
+  try {
+    const competition = await withTransaction(async (client) => {
+      const created = await createCompetition(req.body || {}, client);
+      await recordAudit(
+        { actorId: req.user.id, action: "competition.create", targetType: "competition", targetId: created.id, after: created, ip: req.ip },
+        client
+      );
+      return created;
+    });
+    console.log("🏁 Competition created:", competition.slug);
+    res.status(201).json({ success: true, competition: describeCompetition(competition) });
+  } catch (err) {
+    handleError(res, err, "Failed to create competition");
+  }
+});
+
+/**
+ * PUT /api/admin/competitions/:id
+ * Body: any subset of the create fields
+ */
+router.put("/admin/competitions/:id", authenticateToken, requirePermission("competitions.manage"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10) || 0;
+    const competition = await withTransaction(async (client) => {
+      const before = await getCompetition(id, client);
+      if (!before) return null;
+      const updated = await updateCompetition(id, req.body || {}, client);
+      await recordAudit(
+        { actorId: req.user.id, action: "competition.update", targetType: "competition", targetId: id, before, after: updated, ip: req.ip },
+        client
+      );
+      return updated;
+    });
+    if (!competition) return res.status(404).json({ success: false, error: "Competition not found" });
+    res.json({ success: true, competition: describeCompetition(competition) });
+  } catch (err) {
+    handleError(res, err, "Failed to update competition");
+  }
+});
+
+/**
+ * DELETE /api/admin/competitions/:id
+ * Competitions with submissions, close-outs or voting sessions are deactivated rather than deleted
+ */
+router.delete("/admin/competitions/:id", authenticateToken, requirePermission("competitions.manage"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10) || 0;
+    const outcome = await withTransaction(async (client) => {
+      const before = await getCompetition(id, client);
+      if (!before) return null;
+      const result = await deleteCompetition(id, client);
+      await recordAudit(
+        {
+          actorId: req.user.id,
+          action: result.deleted ? "competition.delete" : "competition.deactivate",
+          targetType: "competition",
+          targetId: id,
+          before,
+          after: result.deleted ? null : result.competition,
+          ip: req.ip,
+        },
+        client
+      );
+      return result;
+    });
+    if (!outcome) return res.status(404).json({ success: false, error: "Competition not found" });
+    res.json({
+      success: true,
+      deleted: outcome.deleted,
+      message: outcome.deleted ? "Competition deleted" : "Competition is in use (submissions, close-outs or voting sessions), so it was deactivated instead",
+      competition: describeCompetition(outcome.competition),
+    });
+  } catch (err) {
+    handleError(res, err, "Failed to delete competition");
+  }
+});
+
+export default router;
@@ -0,0 +1,111 @@
+// routes/emailRoutes.js
+import express from "express";
+import { withTransaction } from "../db/pool.js";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../services/auditService.js";
+import {
+  EmailTemplateError,
+  listOutbox,
+  listTemplates,
+  renderTemplate,
+  retryEmail,
+  SAMPLE_VARIABLES,
+} from "../services/emailService.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission("emails.manage"));
+
+function handleError(res, err, fallback) {
+  if (err instanceof EmailTemplateError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ success: false, error: fallback });
+}
+
+function sendPreview(res, name, variables, format) {
+  const rendered = renderTemplate(name, variables);
+  if (format === "html") return res.type("html").send(rendered.html);
+  if (format === "text") return res.type("text").send(rendered.text);
+  res.json({ success: true, template: name, variables, ...rendered });
+}
+
+/**
+ * GET /api/admin/emails/templates
+ * Available templates with their sample variables
+ */
+router.get("/templates", (req, res) => {
+  try {
+    const templates = listTemplates().map((name) => ({ name, sampleVariables: SAMPLE_VARIABLES[name] || {} }));
+    res.json({ success: true, templates });
+  } catch (err) {
+    handleError(res, err, "Failed to list email templates");
+  }
+});
+
+/**
+ * GET /api/admin/emails/preview/:template?format=html|text|json
+ * Render a template with sample data. format=html can be opened directly in a browser.
+ */
+router.get("/preview/:template", (req, res) => {
+  try {
+    sendPreview(res, req.params.template, SAMPLE_VARIABLES[req.params.template] || {}, req.query.format);
+  } catch (err) {
+    handleError(res, err, "Failed to render email preview");
+  }
+});
+
+/**
+ * POST /api/admin/emails/preview/:template?format=html|text|json
+ * Body: { variables: {...} } - merged over the sample data
+ */
+router.post("/preview/:template", (req, res) => {
+  try {
+    const variables = { ...(SAMPLE_VARIABLES[req.params.template] || {}), ...(req.body?.variables || {}) };
+    sendPreview(res, req.params.template, variables, req.query.format);
+  } catch (err) {
+    handleError(res, err, "Failed to render email preview");
+  }
+});
+
+/**
+ * GET /api/admin/emails/outbox?status=pending|sending|sent|failed
+ * Recent outbox entries, newest first
+ */
+router.get("/outbox", async (req, res) => {
+  try {
+    const emails = await listOutbox({
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+    });
+    res.json({ success: true, emails });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch email outbox");
+  }
+});
+
+/**
+ * POST /api/admin/emails/outbox/:id/retry
+ * Re-queue a failed email
+ */
+router.post("/outbox/:id/retry", async (req, res) => {
+  try {
+    const email = await withTransaction(async (client) => {
+      const retried = await retryEmail(parseInt(req.params.id) || 0, client);
+      if (retried) {
+        await recordAudit(
+          { actorId: req.user.id, action: "email.retry", targetType: "email", targetId: retried.id, before: { status: "failed" }, after: retried, ip: req.ip },
+          client
+        );
+      }
+      return retried;
+    });
+    if (!email) return res.status(404).json({ success: false, error: "No failed email with that id" });
+    res.json({ success: true, email });
+  } catch (err) {
+    handleError(res, err, "Failed to retry email");
+  }
+});
+
+export default router;
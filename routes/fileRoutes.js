@@ -0,0 +1,75 @@
+// routes/fileRoutes.js
+import express from "express";
+import path from "path";
+import { optionalAuth } from "../middleware/auth.js";
+import { getStorage, StorageError, verifyLocalSignature } from "../services/storageDrivers.js";
+import { contentTypeFor, getSubmissionDownload } from "../services/submissionFileService.js";
+
+const router = express.Router();
+
+function handleError(res, err, fallback) {
+  if (err instanceof StorageError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * GET /api/files/submissions/:id?redirect=false
+ * Redirects to a short-lived signed URL for the entry's model. Hidden and
+ * disqualified entries are only served to their creator and staff, so send the
+ * Authorization header (and redirect=false to get { url, expiresIn } as JSON).
+ */
+router.get("/submissions/:id", optionalAuth, async (req, res) => {
+  try {
+    const download = await getSubmissionDownload(req.params.id, req.user);
+    if (req.query.redirect === "false") return res.json({ success: true, ...download });
+    res.set("Cache-Control", "no-store");
+    res.redirect(302, download.url);
+  } catch (err) {
+    handleError(res, err, "Failed to fetch file");
+  }
+});
+
+/**
+ * GET /api/files/submissions/:id/assets/:kind?redirect=false
+ * Same as above for a file derived from the entry: model-low / model-medium /
+ * model-high (the optimized LOD variants), thumbnail or turntable (rendered PNG
+ * previews). 404 until the asset has been built.
+ */
+router.get("/submissions/:id/assets/:kind", optionalAuth, async (req, res) => {
+  try {
+    const download = await getSubmissionDownload(req.params.id, req.user, { asset: req.params.kind });
+    if (req.query.redirect === "false") return res.json({ success: true, ...download });
+    res.set("Cache-Control", "no-store");
+    res.redirect(302, download.url);
+  } catch (err) {
+    handleError(res, err, "Failed to fetch file");
+  }
+});
+
+/**
+ * GET /api/files/local/*key?expires=&signature=
+ * Serves files for STORAGE_DRIVER=local. Links come from the local driver's
+ * signedUrl() and stop working once they expire.
+ */
+router.get("/local/*key", async (req, res) => {
+  try {
+    const key = req.params.key.join("/");
+    if (!verifyLocalSignature(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ success: false, error: "Link is invalid or has expired" });
+    }
+    const body = await getStorage("local").get(key);
+    res.set({
+      "Content-Type": contentTypeFor(key),
+      "Content-Disposition": `inline; filename="${path.basename(key).replace(/"/g, "")}"`,
+      "Cache-Control": "private, max-age=300",
+    });
+    res.send(body);
+  } catch (err) {
+    handleError(res, err, "Failed to fetch file");
+  }
+});
+
+export default router;
@@ -0,0 +1,119 @@
+// routes/moderationRoutes.js
+import express from "express";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  dismissReport,
+  getModerationDetail,
+  getModerationQueue,
+  ModerationError,
+  moderateSubmission,
+  REPORT_REASONS,
+  reportSubmission,
+} from "../services/moderationService.js";
+
+const router = express.Router();
+
+const reportLimit = rateLimit({
+  name: "report-submission",
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  key: (req) => req.user.id,
+});
+const moderate = [authenticateToken, requirePermission("moderation.manage")];
+
+function handleError(res, err, fallback) {
+  if (err instanceof ModerationError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * POST /api/submissions/:id/report
+ * Body: { reason: "inappropriate"|"stolen"|"spam"|"broken"|"other", details? }
+ */
+router.post("/submissions/:id/report", authenticateToken, reportLimit, async (req, res) => {
+  try {
+    const { reason, details } = req.body || {};
+    const report = await reportSubmission({ submissionId: req.params.id, reporterId: req.user.id, reason, details });
+    console.log(`🚩 Submission ${report.submission_id} reported (${report.reason}) by user ${req.user.id}`);
+    res.status(201).json({ success: true, message: "Thanks, a moderator will take a look.", reportId: report.id });
+  } catch (err) {
+    handleError(res, err, "Failed to report submission");
+  }
+});
+
+/**
+ * GET /api/admin/moderation/queue?includeHidden=false&limit=50
+ * Entries with open reports, most reported first, plus hidden entries awaiting a decision
+ */
+router.get("/admin/moderation/queue", ...moderate, async (req, res) => {
+  try {
+    const queue = await getModerationQueue({
+      includeHidden: req.query.includeHidden !== "false",
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+    });
+    res.json({ success: true, reasons: REPORT_REASONS, queue });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch moderation queue");
+  }
+});
+
+/**
+ * GET /api/admin/moderation/submissions/:id
+ * The entry with every report filed against it
+ */
+router.get("/admin/moderation/submissions/:id", ...moderate, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getModerationDetail(req.params.id)) });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch submission");
+  }
+});
+
+/**
+ * POST /api/admin/moderation/submissions/:id/hide      Body: { reason? }
+ * POST /api/admin/moderation/submissions/:id/disqualify Body: { reason } (emailed to the creator)
+ * POST /api/admin/moderation/submissions/:id/restore   Body: { reason? }
+ */
+router.post("/admin/moderation/submissions/:id/:action", ...moderate, async (req, res) => {
+  try {
+    const { action } = req.params;
+    const outcome = await moderateSubmission({
+      action,
+      submissionId: req.params.id,
+      moderatorId: req.user.id,
+      reason: req.body?.reason,
+      ip: req.ip,
+    });
+    console.log(`🛡️ Submission ${outcome.submission.id} ${outcome.submission.moderation_status} by ${req.user.username}`);
+    res.json({
+      success: true,
+      submission: outcome.submission,
+      resolvedReports: outcome.resolvedReports,
+      wasWinner: outcome.wasWinner,
+      ...(outcome.wasWinner && {
+        message: "This entry was a winner. Re-run the week's close-out to pick a replacement.",
+      }),
+    });
+  } catch (err) {
+    handleError(res, err, "Failed to moderate submission");
+  }
+});
+
+/**
+ * POST /api/admin/moderation/reports/:id/dismiss
+ * Close one report without touching the entry
+ */
+router.post("/admin/moderation/reports/:id/dismiss", ...moderate, async (req, res) => {
+  try {
+    const report = await dismissReport({ reportId: req.params.id, moderatorId: req.user.id, ip: req.ip });
+    res.json({ success: true, report });
+  } catch (err) {
+    handleError(res, err, "Failed to dismiss report");
+  }
+});
+
+export default router;
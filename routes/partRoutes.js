@@ -1,40 +1,69 @@
-import { generatePartGLB } from "../services/partBuilderService.js";
-
+// routes/partRoutes.js
 import express from "express";
-import fs from "fs";
-import path from "path";
+import { generatePart } from "../services/partBuilderService.js";
+import { describePartTypes, PartSpecError } from "../services/partLibrary.js";
 
 const router = express.Router();
 
+const MAX_PROMPT_LENGTH = 1000;
+
+// JSON for a response header: ASCII only (non-ASCII escaped as \uXXXX, still valid JSON)
+const headerJson = (value) => JSON.stringify(value).replace(/[^\x20-\x7e]/g, (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`);
+
+function handleError(res, err, fallback) {
+  if (err instanceof PartSpecError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  return res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * GET /api/part/types
+ * The parametric part library: each type's parameters with ranges and defaults
+ */
+router.get("/types", (req, res) => {
+  res.json({ success: true, types: describePartTypes() });
+});
+
 /**
  * POST /api/part/create
- * Returns a 3D GLB file (used by AIChatBox for new parts)
+ * Body: { prompt?, type?, params?, mount?, carContext? } - at least a prompt or a type.
+ *   prompt      "1.6m carbon wing at 12 degrees", mapped onto the part's parameters
+ *   type        spoiler | rim | exhaust | splitter | hood_scoop | side_skirt | diffuser
+ *   params      JSON parameters; these win over anything read from the prompt
+ *   mount       mount point to attach to (e.g. "roof", "wheelHubs.rearRight"); defaults per type
+ *   carContext  { dimensions?, mountPoints? } to size and place the part for the car
+ * Returns the GLB (used by AIChatBox for new parts), positioned at its mount
+ * point with { partType, params, attachment } in the part node's extras. The
+ * same is in the X-Part-* headers; clamped or ignored values in X-Part-Warnings.
+ * Nothing is stored and no previews are rendered here: a generated part gets
+ * its thumbnail and turntable once it's uploaded as an entry (/upload-part).
  */
 router.post("/create", async (req, res) => {
   try {
-    console.log("🧱 Received part creation request:", req.body);
-
-    const { prompt } = req.body || {};
-    if (!prompt) {
-      return res.status(400).json({ error: "Prompt is required" });
+    const { prompt, type, params, mount, carContext } = req.body || {};
+    if (prompt !== undefined && typeof prompt !== "string") {
+      return res.status(400).json({ success: false, error: "prompt must be a string" });
     }
-
-    // Point to your placeholder GLB inside carmod-backend
-    const filePath = path.join(process.cwd(), "carmod-backend", "sample_parts", "placeholder.glb");
-
-    if (!fs.existsSync(filePath)) {
-      console.warn("⚠️ No placeholder.glb found, sending dummy data");
-      const dummyBuffer = Buffer.from("glTF");
-      res.setHeader("Content-Type", "model/gltf-binary");
-      return res.send(dummyBuffer);
+    if (prompt?.length > MAX_PROMPT_LENGTH) {
+      return res.status(400).json({ success: false, error: `Prompts can be at most ${MAX_PROMPT_LENGTH} characters` });
     }
 
-    const glbBuffer = fs.readFileSync(filePath);
+    const part = await generatePart({ prompt, type, params, mount }, carContext);
+    console.log(`🧱 Built ${part.type} at ${part.attachment.point} (${part.glb.length} bytes)`);
+
     res.setHeader("Content-Type", "model/gltf-binary");
-    res.send(glbBuffer);
+    res.setHeader("Content-Disposition", `attachment; filename="${part.type}_${Date.now()}.glb"`);
+    res.setHeader("X-Part-Type", part.type);
+    res.setHeader("X-Part-Params", headerJson(part.params));
+    res.setHeader("X-Part-Attachment", headerJson(part.attachment));
+    if (part.warnings.length) res.setHeader("X-Part-Warnings", headerJson(part.warnings));
+    // The frontend runs on another origin and can only read these if exposed
+    res.setHeader("Access-Control-Expose-Headers", "Content-Disposition, X-Part-Type, X-Part-Params, X-Part-Attachment, X-Part-Warnings");
+    res.send(part.glb);
   } catch (err) {
-    console.error("❌ Part generation error:", err);
-    res.status(500).json({ error: err.message || "Failed to create part" });
+    handleError(res, err, "Failed to create part");
   }
 });
 
@@ -0,0 +1,87 @@
+// routes/roleRoutes.js
+import express from "express";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
+import {
+  getUserRoles,
+  grantRole,
+  listRoleHolders,
+  permissionsFor,
+  PERMISSIONS,
+  revokeRole,
+  RoleError,
+  ROLES,
+} from "../services/rbacService.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission("roles.manage"));
+
+function handleError(res, err, fallback) {
+  if (err instanceof RoleError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * GET /api/admin/roles
+ * Available roles with their permissions
+ */
+router.get("/", (req, res) => {
+  res.json({ success: true, roles: ROLES, permissions: PERMISSIONS });
+});
+
+/**
+ * GET /api/admin/roles/users?role=moderator
+ * Users holding roles
+ */
+router.get("/users", async (req, res) => {
+  try {
+    const users = await listRoleHolders({ role: req.query.role });
+    res.json({ success: true, users });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch role holders");
+  }
+});
+
+/**
+ * GET /api/admin/roles/users/:userId
+ */
+router.get("/users/:userId", async (req, res) => {
+  try {
+    const roles = await getUserRoles(parseInt(req.params.userId) || 0);
+    res.json({ success: true, userId: parseInt(req.params.userId), roles, permissions: permissionsFor(roles) });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch roles");
+  }
+});
+
+/**
+ * POST /api/admin/roles/users/:userId
+ * Body: { role }
+ */
+router.post("/users/:userId", async (req, res) => {
+  try {
+    const outcome = await grantRole({ userId: req.params.userId, role: req.body?.role, actorId: req.user.id, ip: req.ip });
+    if (outcome.changed) console.log(`🛡️ ${req.user.username} granted ${req.body.role} to user ${outcome.user.id}`);
+    res.json({ success: true, changed: outcome.changed, user: outcome.user, roles: outcome.roles });
+  } catch (err) {
+    handleError(res, err, "Failed to grant role");
+  }
+});
+
+/**
+ * DELETE /api/admin/roles/users/:userId/:role
+ */
+router.delete("/users/:userId/:role", async (req, res) => {
+  try {
+    const outcome = await revokeRole({ userId: req.params.userId, role: req.params.role, actorId: req.user.id, ip: req.ip });
+    if (outcome.changed) console.log(`🛡️ ${req.user.username} revoked ${req.params.role} from user ${outcome.user.id}`);
+    res.json({ success: true, changed: outcome.changed, user: outcome.user, roles: outcome.roles });
+  } catch (err) {
+    handleError(res, err, "Failed to revoke role");
+  }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+// routes/sessionRoutes.js
+import express from "express";
+import { authenticateToken } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { endAllSessions, endSession, listSessions, refreshSession, SessionError } from "../services/sessionService.js";
+
+const router = express.Router();
+
+const refreshLimit = rateLimit({ name: "token-refresh", windowMs: 15 * 60 * 1000, max: 60 });
+
+function handleError(res, err, fallback) {
+  if (err instanceof SessionError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * POST /api/token/refresh
+ * Body: { refreshToken }
+ * Returns a new access token and a new refresh token; the old refresh token stops working.
+ */
+router.post("/token/refresh", refreshLimit, async (req, res) => {
+  try {
+    const session = await refreshSession(req.body?.refreshToken, { ip: req.ip, userAgent: req.get("user-agent") });
+    res.json({ success: true, token: session.accessToken, ...session });
+  } catch (err) {
+    handleError(res, err, "Failed to refresh session");
+  }
+});
+
+/**
+ * POST /api/logout
+ * Body: { refreshToken }
+ * Ends this device's session. Works with an expired access token.
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    await endSession(req.body?.refreshToken);
+    res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    handleError(res, err, "Failed to log out");
+  }
+});
+
+/**
+ * POST /api/logout-all
+ * Ends every session of the logged-in user, including this one
+ */
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    await endAllSessions(req.user.id);
+    res.json({ success: true, message: "Logged out of all devices" });
+  } catch (err) {
+    handleError(res, err, "Failed to log out of all devices");
+  }
+});
+
+/**
+ * GET /api/sessions
+ * Devices the user is currently logged in on
+ */
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, sessions: await listSessions(req.user.id) });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch sessions");
+  }
+});
+
+export default router;
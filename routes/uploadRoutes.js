@@ -0,0 +1,126 @@
+// routes/uploadRoutes.js
+import express from "express";
+import { authenticateToken, requireVerifiedEmail } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { describeNewSubmission, SubmissionError } from "../services/submissionService.js";
+import {
+  abortUpload,
+  appendChunk,
+  CHUNK_SIZE,
+  completeUpload,
+  getUpload,
+  startUpload,
+  UploadError,
+} from "../services/uploadSessionService.js";
+
+const router = express.Router();
+
+const startLimit = rateLimit({
+  name: "upload-start",
+  windowMs: 60 * 60 * 1000,
+  max: 30,
+  key: (req) => req.user.id,
+});
+
+router.use(authenticateToken);
+
+function handleError(res, err, fallback) {
+  if (err instanceof UploadError) {
+    return res.status(err.status).json({ success: false, error: err.message, ...err.details });
+  }
+  if (err instanceof SubmissionError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ success: false, error: `Chunks can be at most ${CHUNK_SIZE} bytes` });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * POST /api/uploads
+ * Body: { fileName, fileSize, fileSha256?, userName, email, partName, partType, carModel, description?, competitionId? }
+ * Opens a resumable upload; send the file in chunks of at most chunkSize bytes
+ */
+router.post("/", requireVerifiedEmail, startLimit, async (req, res) => {
+  try {
+    const { fileName, fileSize, fileSha256, ...fields } = req.body || {};
+    const upload = await startUpload({ user: req.user, fileName, fileSize, fileSha256, fields });
+    console.log(`📦 Upload ${upload.uploadId} started by ${req.user.username} (${upload.fileSize} bytes)`);
+    res.status(201).json({ success: true, upload });
+  } catch (err) {
+    handleError(res, err, "Failed to start upload");
+  }
+});
+
+/**
+ * GET /api/uploads/:id
+ * Current offset, to resume after a dropped connection
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    res.json({ success: true, upload: await getUpload(req.params.id, req.user.id) });
+  } catch (err) {
+    handleError(res, err, "Failed to fetch upload");
+  }
+});
+
+/**
+ * PUT /api/uploads/:id/chunks
+ * Headers: Upload-Offset: <byte offset>, X-Chunk-SHA256: <hex digest of the chunk>
+ * Body: the raw chunk bytes (application/octet-stream)
+ * 409 responses include the offset to resume from
+ */
+router.put(
+  "/:id/chunks",
+  express.raw({ type: () => true, limit: CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const upload = await appendChunk({
+        id: req.params.id,
+        userId: req.user.id,
+        offset: req.get("upload-offset"),
+        body: req.body,
+        checksum: req.get("x-chunk-sha256"),
+      });
+      res.set("Upload-Offset", String(upload.offset));
+      res.json({ success: true, upload });
+    } catch (err) {
+      handleError(res, err, "Failed to store chunk");
+    }
+  },
+  (err, req, res, next) => handleError(res, err, "Failed to store chunk")
+);
+
+/**
+ * POST /api/uploads/:id/complete
+ * Assembles the file and creates the submission (same response as /api/upload-part)
+ */
+router.post("/:id/complete", requireVerifiedEmail, async (req, res) => {
+  try {
+    const { submission, upload } = await completeUpload({ id: req.params.id, user: req.user });
+    res.json({
+      success: true,
+      message: `✅ Submission received! Vote on ${submission.votes_required} entries to qualify for winning.`,
+      submission: describeNewSubmission(submission),
+      upload,
+    });
+  } catch (err) {
+    handleError(res, err, "Failed to complete upload");
+  }
+});
+
+/**
+ * DELETE /api/uploads/:id
+ * Cancel an upload and discard what was sent
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    res.json({ success: true, upload: await abortUpload({ id: req.params.id, userId: req.user.id }) });
+  } catch (err) {
+    handleError(res, err, "Failed to cancel upload");
+  }
+});
+
+export default router;
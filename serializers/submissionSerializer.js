@@ -0,0 +1,164 @@
+// serializers/submissionSerializer.js
+import {
+  MODEL_VARIANTS,
+  modelVariantKind,
+  submissionAssetUrl,
+  submissionFileUrl,
+} from "../services/submissionFileService.js";
+
+/**
+ * Views of a submission row for API responses.
+ *
+ *   - voting: what a voter sees in a batch, the part plus its anonymous_id.
+ *             No creator, no tallies (so they can't sway the vote).
+ *   - public: gallery / winners. The creator's name (never the email) is only
+ *             revealed once the entry's week has been closed out (frozen_at).
+ *   - owner:  the creator's own entries, including qualification progress and
+ *             moderation outcome.
+ *   - admin:  everything, for people with submissions.view_all.
+ *
+ * Fields are whitelisted, so columns added later stay private until a view
+ * opts into them. Fields a query didn't select are left out, not nulled.
+ * file_path is always the download link (see services/submissionFileService.js),
+ * never a storage key.
+ *
+ * When a query selects the entry's assets (SUBMISSION_ASSETS_SQL), every view
+ * also gets model_variants ({ low, medium, high } links of the optimized model)
+ * and model_url, the variant that view should load: low for the gallery,
+ * medium in voting batches, high for owners and staff. model_url falls back to
+ * the original until the variants have been built. Rendered previews come as
+ * thumbnail_url and turntable (sprite sheet URL plus frame layout); both are
+ * null until rendered.
+ */
+
+// The part itself
+const ENTRY_FIELDS = [
+  "id",
+  "anonymous_id",
+  "part_name",
+  "part_type",
+  "car_model",
+  "description",
+  "file_path",
+  "file_size",
+  "model_stats",
+  "competition_id",
+  "week_number",
+];
+
+// Results and listing metadata, plus columns some queries join or compute
+const PUBLIC_FIELDS = [
+  "status",
+  "is_winner",
+  "times_shown",
+  "thumbs_up",
+  "thumbs_down",
+  "total_votes",
+  "approval_rating",
+  "wilson_score",
+  "created_at",
+  "competition_name",
+  "score",
+  "confidence_interval",
+];
+
+const OWNER_FIELDS = [
+  "user_id",
+  "user_name",
+  "email",
+  "votes_completed",
+  "votes_required",
+  "qualified_at",
+  "frozen_at",
+  "moderation_status",
+  "moderation_reason",
+  "optimization_status",
+  "render_status",
+];
+
+const ADMIN_FIELDS = [
+  "moderated_at",
+  "moderated_by",
+  "storage_driver",
+  "storage_key",
+  "username",
+  "user_email",
+  "optimization_error",
+  "optimization_report",
+  "render_error",
+  "render_report",
+];
+
+function modelVariants(row) {
+  const variants = {};
+  for (const variant of MODEL_VARIANTS) {
+    const asset = row.assets?.[modelVariantKind(variant)];
+    if (!asset) continue;
+    variants[variant] = {
+      url: submissionAssetUrl(row, modelVariantKind(variant)),
+      file_size: Number(asset.file_size),
+      triangle_count: asset.metadata?.triangleCount ?? null,
+    };
+  }
+  return variants;
+}
+
+/** Sprite sheet layout: frames run left-to-right, top-to-bottom, evenly spaced around the model */
+function turntable(row) {
+  const asset = row.assets?.turntable;
+  if (!asset) return null;
+  const { frames, columns, rows, frameWidth, frameHeight } = asset.metadata;
+  return {
+    url: submissionAssetUrl(row, "turntable"),
+    frames,
+    columns,
+    rows,
+    frame_width: frameWidth,
+    frame_height: frameHeight,
+  };
+}
+
+function pick(row, fields, preferredVariant) {
+  const out = {};
+  for (const field of fields) {
+    if (field in row) out[field] = row[field];
+  }
+  if ("file_path" in out) out.file_path = submissionFileUrl(row);
+  if ("assets" in row) {
+    out.model_variants = modelVariants(row);
+    out.model_url = out.model_variants[preferredVariant]?.url ?? submissionFileUrl(row);
+    out.thumbnail_url = row.assets?.thumbnail ? submissionAssetUrl(row, "thumbnail") : null;
+    out.turntable = turntable(row);
+  }
+  return out;
+}
+
+/** Whether the creator's name may be shown publicly: only after the week is closed out */
+export function isIdentityRevealed(submission) {
+  return Boolean(submission.frozen_at);
+}
+
+/** An entry in a voting batch: anonymous identity only */
+export function serializeVotingEntry(submission) {
+  return pick(submission, ENTRY_FIELDS, "medium");
+}
+
+/** Gallery / winners view; user_name stays null until the week closes */
+export function serializePublicSubmission(submission) {
+  const revealed = isIdentityRevealed(submission);
+  return {
+    ...pick(submission, [...ENTRY_FIELDS, ...PUBLIC_FIELDS], "low"),
+    user_name: revealed ? submission.user_name ?? null : null,
+    identity_revealed: revealed,
+  };
+}
+
+/** The creator's view of their own entry */
+export function serializeOwnSubmission(submission) {
+  return pick(submission, [...ENTRY_FIELDS, ...PUBLIC_FIELDS, ...OWNER_FIELDS], "high");
+}
+
+/** Staff view (submissions.view_all) */
+export function serializeAdminSubmission(submission) {
+  return pick(submission, [...ENTRY_FIELDS, ...PUBLIC_FIELDS, ...OWNER_FIELDS, ...ADMIN_FIELDS], "high");
+}
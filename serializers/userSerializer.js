@@ -0,0 +1,30 @@
+// serializers/userSerializer.js
+
+/**
+ * Views of a user row for API responses. Password hashes and token versions
+ * never leave the server.
+ *   - public: id and username
+ *   - owner:  the signed-in user's own account
+ *   - admin:  owner view plus roles, when the query loaded them
+ */
+
+export function serializePublicUser(user) {
+  return { id: user.id, username: user.username };
+}
+
+export function serializeOwnUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    emailVerified: Boolean(user.email_verified_at),
+    ...(user.created_at && { createdAt: user.created_at }),
+  };
+}
+
+export function serializeAdminUser(user) {
+  return {
+    ...serializeOwnUser(user),
+    ...(user.roles && { roles: user.roles }),
+  };
+}
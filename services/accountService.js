@@ -0,0 +1,188 @@
+// services/accountService.js
+import bcrypt from "bcrypt";
+import { pool, withTransaction } from "../db/pool.js";
+import { appUrl, enqueueEmail } from "./emailService.js";
+import { endAllSessions, generateToken, hashToken } from "./sessionService.js";
+
+/**
+ * Email verification and password reset.
+ *
+ * Tokens are 32 random bytes sent to the user by email; only their SHA-256
+ * hash is stored. Each token is single-use, expires, and is only valid for the
+ * address it was sent to. Issuing a new token of the same kind retires the old
+ * ones, and each account can only request a few per hour.
+ */
+
+const VERIFY_TTL_HOURS = parseInt(process.env.EMAIL_VERIFY_TTL_HOURS) || 48;
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const MAX_TOKENS_PER_HOUR = 3;
+export const MIN_PASSWORD_LENGTH = 8;
+
+export class AccountError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AccountError";
+    this.status = status;
+  }
+}
+
+/**
+ * Create a token for a user, retiring earlier unused ones of the same purpose.
+ * @returns {Promise<string|null>} the raw token, or null when the account hit its hourly limit
+ */
+async function issueToken(client, user, purpose, ttlMinutes, ip) {
+  const recent = await client.query(
+    `SELECT COUNT(*) AS count FROM account_tokens
+     WHERE user_id = $1 AND purpose = $2 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [user.id, purpose]
+  );
+  if (parseInt(recent.rows[0].count) >= MAX_TOKENS_PER_HOUR) return null;
+
+  await client.query(
+    "UPDATE account_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL",
+    [user.id, purpose]
+  );
+
+  const token = generateToken();
+  await client.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, email, expires_at, requested_ip)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5), $6)`,
+    [user.id, purpose, hashToken(token), user.email, ttlMinutes, ip || null]
+  );
+  return token;
+}
+
+/**
+ * Mark a token used and return its user. Fails for unknown, used or expired
+ * tokens, and for tokens sent to an address the account no longer has.
+ */
+async function consumeToken(client, token, purpose) {
+  if (!token || typeof token !== "string") throw new AccountError(400, "Token is required");
+
+  const result = await client.query(
+    `UPDATE account_tokens t SET used_at = NOW()
+     FROM users u
+     WHERE t.token_hash = $1 AND t.purpose = $2
+       AND t.used_at IS NULL AND t.expires_at > NOW()
+       AND u.id = t.user_id AND u.email = t.email
+     RETURNING u.*`,
+    [hashToken(token), purpose]
+  );
+  if (!result.rows.length) throw new AccountError(400, "This link is invalid or has expired. Please request a new one.");
+  return result.rows[0];
+}
+
+/**
+ * Queue a verification email. Pass the registration transaction's client so
+ * the email is only sent if the account is created.
+ * @returns {Promise<boolean>} false when the account hit its hourly limit
+ */
+export async function sendVerificationEmail(user, { ip } = {}, db = pool) {
+  const token = await issueToken(db, user, "verify_email", VERIFY_TTL_HOURS * 60, ip);
+  if (!token) return false;
+
+  await enqueueEmail(
+    {
+      template: "verify-email",
+      to: user.email,
+      variables: {
+        userName: user.username,
+        verifyUrl: appUrl("/verify-email", { token }),
+        expiresInHours: VERIFY_TTL_HOURS,
+      },
+      sensitive: true,
+    },
+    db
+  );
+  return true;
+}
+
+/** Re-send the verification email for a logged-in user */
+export async function resendVerification(userId, { ip } = {}) {
+  return withTransaction(async (client) => {
+    const result = await client.query("SELECT * FROM users WHERE id = $1 FOR UPDATE", [userId]);
+    const user = result.rows[0];
+    if (!user) throw new AccountError(404, "User not found");
+    if (user.email_verified_at) throw new AccountError(409, "Email is already verified");
+
+    if (!(await sendVerificationEmail(user, { ip }, client))) {
+      throw new AccountError(429, "Too many verification emails requested. Please try again later.");
+    }
+  });
+}
+
+/** Confirm an email address from a verification link */
+export async function verifyEmail(token) {
+  return withTransaction(async (client) => {
+    const user = await consumeToken(client, token, "verify_email");
+    const result = await client.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1
+       RETURNING id, email, username, email_verified_at`,
+      [user.id]
+    );
+    console.log("📬 Email verified:", user.email);
+    return result.rows[0];
+  });
+}
+
+/**
+ * Start a password reset. Always resolves the same way whether or not the
+ * address has an account, so the endpoint can't be used to discover accounts.
+ */
+export async function requestPasswordReset(email, { ip } = {}) {
+  if (!email || typeof email !== "string") throw new AccountError(400, "Email is required");
+
+  await withTransaction(async (client) => {
+    const result = await client.query("SELECT * FROM users WHERE email = $1 FOR UPDATE", [email.trim()]);
+    const user = result.rows[0];
+    if (!user) return;
+
+    const token = await issueToken(client, user, "password_reset", RESET_TTL_MINUTES, ip);
+    if (!token) {
+      console.warn("⚠️ Password reset limit reached for:", user.email);
+      return;
+    }
+
+    await enqueueEmail(
+      {
+        template: "password-reset",
+        to: user.email,
+        variables: {
+          userName: user.username,
+          resetUrl: appUrl("/reset-password", { token }),
+          expiresInMinutes: RESET_TTL_MINUTES,
+        },
+        sensitive: true,
+      },
+      client
+    );
+  });
+}
+
+/** Set a new password from a reset link */
+export async function resetPassword(token, password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AccountError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  return withTransaction(async (client) => {
+    const user = await consumeToken(client, token, "password_reset");
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // The reset link proves the user controls the address, so it also verifies it
+    await client.query(
+      `UPDATE users SET password = $1, email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $2`,
+      [hashedPassword, user.id]
+    );
+    await client.query(
+      "UPDATE account_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = 'password_reset' AND used_at IS NULL",
+      [user.id]
+    );
+    // Whoever had the old password may still be logged in somewhere
+    await endAllSessions(user.id, "password_reset", client);
+    console.log("🔑 Password reset for:", user.email);
+    return { id: user.id, email: user.email };
+  });
+}
@@ -0,0 +1,338 @@
+// services/aiActionSchema.js
+import * as THREE from "three";
+
+/**
+ * Schema for the "level 1" actions the AI mechanic returns.
+ *
+ * validateActions() checks each action against ACTION_SCHEMAS, coerces and
+ * clamps numbers into range, normalizes colors to #rrggbb and resolves targets
+ * to the car's known parts. Invalid actions are dropped and reported as errors;
+ * anything that was adjusted but kept is reported as a warning.
+ */
+
+// Canonical part aliases and the words that identify them in mesh names
+export const PART_ALIASES = {
+  body: ["body", "paint", "chassis", "shell"],
+  roof: ["roof"],
+  window: ["window", "glass", "windshield", "windscreen"],
+  spoiler: ["spoiler", "wing"],
+  grille: ["grille", "grill"],
+  light_head: ["lighthead", "headlight", "headlamp", "frontlight"],
+  light_tail: ["lighttail", "taillight", "taillamp", "rearlight", "brakelight"],
+  mirror: ["mirror"],
+  door_front_left: ["doorfrontleft", "frontleftdoor", "doorfl", "doorlf", "leftdoor"],
+  door_front_right: ["doorfrontright", "frontrightdoor", "doorfr", "doorrf", "rightdoor"],
+  hood: ["hood", "bonnet"],
+  trunk: ["trunk", "boot", "tailgate"],
+  diffuser: ["diffuser"],
+  skirt: ["skirt", "sideskirt"],
+  wheel: ["wheel", "rim", "tyre", "tire"],
+  rim_sport: ["rimsport", "sportrim"],
+  rim_offroad: ["rimoffroad", "offroadrim"],
+  underglow: ["underglow", "neon"],
+};
+
+export const PRESETS = ["sport_rims", "offroad_rims", "luxury_theme"];
+export const FINISHES = ["gloss", "matte", "satin", "chrome", "pearl"];
+export const WRAP_PATTERNS = [
+  "solid",
+  "carbon_fiber",
+  "camo",
+  "racing_stripes",
+  "checkered",
+  "gradient",
+  "flames",
+  "geometric",
+  "tribal",
+];
+export const DECAL_STICKERS = ["race_number", "flames", "tribal", "star", "checkered_flag", "sponsor_logo"];
+export const DECAL_FONTS = ["sans", "serif", "script", "racing"];
+export const BODY_KITS = ["stock", "street", "widebody", "time_attack", "rally", "drift"];
+export const AXLES = ["front", "rear", "both"];
+
+/**
+ * Field specs: { type: "color"|"number"|"boolean"|"enum"|"string", required?, default?, min?, max?, integer?, values?, maxLength? }.
+ * `fields` live on the action itself, `parameters` under action.parameters.
+ * `target: true` requires a part; `defaultTarget` is used when the action doesn't name one.
+ * `anyOf` lists parameters of which at least one must be present.
+ */
+export const ACTION_SCHEMAS = {
+  MATERIAL_EDIT: {
+    target: true,
+    parameters: {
+      color: { type: "color" },
+      roughness: { type: "number", min: 0, max: 1 },
+      metalness: { type: "number", min: 0, max: 1 },
+      emissive: { type: "color" },
+    },
+    anyOf: ["color", "roughness", "metalness", "emissive"],
+  },
+  TOGGLE_PART: {
+    target: true,
+    fields: { visible: { type: "boolean", required: true } },
+  },
+  ADD_UNDERGLOW: {
+    parameters: {
+      color: { type: "color", required: true },
+      intensity: { type: "number", min: 0, max: 5 },
+    },
+  },
+  SET_SUSPENSION: {
+    // meters, relative to stock ride height
+    parameters: { lift: { type: "number", min: -0.1, max: 0.3, required: true } },
+  },
+  SWAP_PRESET: {
+    parameters: { preset: { type: "enum", values: PRESETS, required: true } },
+  },
+  RENAME_PART: {
+    target: true,
+    parameters: { to: { type: "string", maxLength: 40, required: true } },
+  },
+  APPLY_WRAP: {
+    target: true,
+    defaultTarget: "body",
+    parameters: {
+      pattern: { type: "enum", values: WRAP_PATTERNS, required: true },
+      primaryColor: { type: "color", required: true },
+      secondaryColor: { type: "color" },
+      finish: { type: "enum", values: FINISHES, default: "gloss" },
+      // pattern repeats per meter
+      scale: { type: "number", min: 0.1, max: 10 },
+    },
+  },
+  ADD_DECAL: {
+    target: true,
+    defaultTarget: "door_front_left",
+    parameters: {
+      text: { type: "string", maxLength: 32 },
+      sticker: { type: "enum", values: DECAL_STICKERS },
+      color: { type: "color" },
+      font: { type: "enum", values: DECAL_FONTS },
+      // position on the part's surface, 0..1 from its left/bottom edge
+      u: { type: "number", min: 0, max: 1, default: 0.5 },
+      v: { type: "number", min: 0, max: 1, default: 0.5 },
+      // width in meters
+      size: { type: "number", min: 0.05, max: 2, default: 0.4 },
+      rotation: { type: "number", min: -180, max: 180 },
+      // also place a copy on the opposite side of the car
+      mirror: { type: "boolean" },
+    },
+    anyOf: ["text", "sticker"],
+  },
+  SET_WHEELS: {
+    parameters: {
+      axle: { type: "enum", values: AXLES, default: "both" },
+      // inches
+      diameter: { type: "number", min: 14, max: 24 },
+      width: { type: "number", min: 6, max: 13 },
+    },
+    anyOf: ["diameter", "width"],
+  },
+  SET_STANCE: {
+    parameters: {
+      axle: { type: "enum", values: AXLES, default: "both" },
+      // degrees, negative tilts the top of the wheel inwards
+      camber: { type: "number", min: -10, max: 3 },
+      // meters, relative to stock ride height
+      rideHeight: { type: "number", min: -0.1, max: 0.3 },
+    },
+    anyOf: ["camber", "rideHeight"],
+  },
+  SET_WINDOW_TINT: {
+    target: true,
+    defaultTarget: "window",
+    // % of visible light let through: 5 is limo dark, 70 barely tinted
+    parameters: { tint: { type: "number", min: 5, max: 100, required: true } },
+  },
+  SWAP_BODY_KIT: {
+    parameters: { kit: { type: "enum", values: BODY_KITS, required: true } },
+  },
+};
+
+const compact = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Normalize a color to #rrggbb. Accepts #rgb, #rrggbb (with or without #),
+ * rgb()/hsl() and CSS color names.
+ * @returns {string|null}
+ */
+export function normalizeColor(value) {
+  if (typeof value !== "string") return null;
+  const text = value.trim().toLowerCase();
+  const hex = text.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+    return `#${digits}`;
+  }
+  const name = text.replace(/[\s_-]+/g, "");
+  if (Object.hasOwn(THREE.Color.NAMES, name)) return `#${THREE.Color.NAMES[name].toString(16).padStart(6, "0")}`;
+  if (/^(rgb|hsl)a?\([^)]*\)$/.test(text)) {
+    const color = new THREE.Color();
+    color.setStyle(text, THREE.SRGBColorSpace);
+    return `#${color.getHexString(THREE.SRGBColorSpace)}`;
+  }
+  return null;
+}
+
+/** Canonical alias for a target name, or null */
+export function canonicalPart(target) {
+  const key = compact(target);
+  if (!key) return null;
+  for (const [alias, words] of Object.entries(PART_ALIASES)) {
+    if (compact(alias) === key || words.includes(key)) return alias;
+  }
+  return null;
+}
+
+/**
+ * Map a target to one of the car's part names. Without knownParts, targets
+ * must be one of the canonical aliases.
+ * @returns {string|null}
+ */
+export function resolveTarget(target, knownParts = []) {
+  if (typeof target !== "string" || !target.trim()) return null;
+  const alias = canonicalPart(target);
+  if (!knownParts.length) return alias;
+
+  const key = compact(target);
+  const exact = knownParts.find((part) => part === target) ?? knownParts.find((part) => compact(part) === key);
+  if (exact) return exact;
+
+  // Part names like "Body_Paint_01" or "HeadLight_L": match on the alias words, shortest name first
+  const words = alias ? PART_ALIASES[alias] : [key];
+  const matches = knownParts.filter((part) => words.some((word) => compact(part).includes(word)));
+  return matches.sort((a, b) => a.length - b.length)[0] ?? null;
+}
+
+function coerceField(spec, value) {
+  switch (spec.type) {
+    case "color":
+      return normalizeColor(value);
+    case "number": {
+      const number = typeof value === "string" && value.trim() ? Number(value) : value;
+      return typeof number === "number" && Number.isFinite(number) ? number : null;
+    }
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === "false") return value === "true";
+      return null;
+    case "enum": {
+      const match = spec.values.find((option) => compact(option) === compact(value ?? ""));
+      return match ?? null;
+    }
+    case "string":
+      return typeof value === "string" && value.trim() ? value.trim() : null;
+    default:
+      return null;
+  }
+}
+
+export function warnUnknownKeys(source, allowed, where, warnings) {
+  for (const key of Object.keys(source)) {
+    if (!allowed.includes(key)) warnings.push(`${where}: ignored unknown field "${key}"`);
+  }
+}
+
+/** Validate fields against specs and return the cleaned ones (problems go to errors/warnings) */
+export function checkFields(specs, input, where, errors, warnings) {
+  const source = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  const out = {};
+  for (const [key, spec] of Object.entries(specs)) {
+    if (source[key] === undefined || source[key] === null) {
+      if (spec.required) errors.push(`${where}: "${key}" is required`);
+      else if (spec.default !== undefined) out[key] = spec.default;
+      continue;
+    }
+    let value = coerceField(spec, source[key]);
+    if (value === null) {
+      const expected = spec.type === "enum" ? `one of ${spec.values.join(", ")}` : spec.type === "color" ? "a #RRGGBB color" : `a ${spec.type}`;
+      const message = `${where}: "${key}" must be ${expected} (got ${JSON.stringify(source[key])})`;
+      if (spec.required) {
+        errors.push(message);
+      } else if (spec.default !== undefined) {
+        warnings.push(`${message}; using ${JSON.stringify(spec.default)}`);
+        out[key] = spec.default;
+      } else {
+        warnings.push(`${message}; ignored`);
+      }
+      continue;
+    }
+    if (spec.type === "number" && spec.integer) value = Math.round(value);
+    if (spec.type === "number" && (value < spec.min || value > spec.max)) {
+      const clamped = Math.min(spec.max, Math.max(spec.min, value));
+      warnings.push(`${where}: "${key}" ${value} is out of range [${spec.min}, ${spec.max}]; clamped to ${clamped}`);
+      value = clamped;
+    }
+    if (spec.type === "string" && value.length > spec.maxLength) {
+      warnings.push(`${where}: "${key}" was shortened to ${spec.maxLength} characters`);
+      value = value.slice(0, spec.maxLength);
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Validate one action.
+ * @returns {{ action: object|null, errors: string[], warnings: string[] }}
+ */
+export function validateAction(raw, { knownParts = [] } = {}, index = 0) {
+  const errors = [];
+  const warnings = [];
+  const where = `actions[${index}]`;
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { action: null, errors: [`${where}: must be an object`], warnings };
+  }
+  const type = typeof raw.type === "string" ? raw.type.trim().toUpperCase() : "";
+  const schema = ACTION_SCHEMAS[type];
+  if (!schema) {
+    return { action: null, errors: [`${where}: unknown action type ${JSON.stringify(raw.type)}`], warnings };
+  }
+
+  const action = { type };
+  warnUnknownKeys(raw, ["type", "target", "parameters", ...Object.keys(schema.fields || {})], where, warnings);
+  if (schema.target) {
+    const name = raw.target ?? schema.defaultTarget;
+    const target = resolveTarget(name, knownParts);
+    if (!target) {
+      errors.push(name ? `${where}: unknown part "${name}"` : `${where}: "target" is required`);
+    } else {
+      action.target = target;
+    }
+  }
+  if (schema.fields) Object.assign(action, checkFields(schema.fields, raw, where, errors, warnings));
+  if (schema.parameters) {
+    if (raw.parameters && typeof raw.parameters === "object") {
+      warnUnknownKeys(raw.parameters, Object.keys(schema.parameters), `${where}.parameters`, warnings);
+    }
+    const parameters = checkFields(schema.parameters, raw.parameters, `${where}.parameters`, errors, warnings);
+    if (schema.anyOf && !schema.anyOf.some((key) => key in parameters)) {
+      errors.push(`${where}: ${type} needs at least one of ${schema.anyOf.join(", ")}`);
+    }
+    action.parameters = parameters;
+  }
+
+  return { action: errors.length ? null : action, errors, warnings };
+}
+
+/**
+ * Validate a list of actions.
+ * @param {unknown} raw usually parsed model output (an array of actions)
+ * @param {{ knownParts?: string[] }} [carContext]
+ * @returns {{ actions: object[], errors: string[], warnings: string[], rejected: object[] }}
+ */
+export function validateActions(raw, carContext = {}) {
+  const knownParts = Array.isArray(carContext?.knownParts) ? carContext.knownParts.filter((p) => typeof p === "string") : [];
+  if (!Array.isArray(raw)) return { actions: [], errors: ['"actions" must be an array'], warnings: [], rejected: [] };
+
+  const result = { actions: [], errors: [], warnings: [], rejected: [] };
+  raw.forEach((item, index) => {
+    const { action, errors, warnings } = validateAction(item, { knownParts }, index);
+    result.warnings.push(...warnings);
+    result.errors.push(...errors);
+    if (action) result.actions.push(action);
+    else result.rejected.push(item);
+  });
+  return result;
+}
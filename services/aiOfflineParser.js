@@ -0,0 +1,686 @@
+// services/aiOfflineParser.js
+import * as THREE from "three";
+import { canonicalPart, normalizeColor, resolveTarget } from "./aiActionSchema.js";
+
+/**
+ * Offline interpreter for modding prompts, used when no model is configured
+ * (AI_PROVIDER=none). It produces the same actions as the LLM path.
+ *
+ *   1. quoted text and rgb()/hsl() colors are set aside, then the prompt is
+ *      split into clauses on punctuation and "and / with / then / but / also / plus"
+ *   2. each clause is tokenized into words, #hex colors and quantities with
+ *      units ("2 inches", "40%", "-3°", "19s")
+ *   3. parts (PART_ALIASES plus plurals), colors (CSS names plus car paint
+ *      names), finishes and feature words are picked out of the words;
+ *      negation ("no", "remove", "get rid of", ...) and undo ("undo",
+ *      "revert", "reset") apply to their clause, and parts after "except"
+ *      ("but not", "apart from", ...) are set aside as exclusions
+ *   4. a clause that only names parts ("the roof and hood black") or only
+ *      colors ("red and black stripes") lends them to its neighbour, and a
+ *      "not the wheels" clause excludes the wheels from the paint job before it
+ *
+ * Relative requests ("darker", "lighter") and undoing a part's change start
+ * from the session history. Exclusions can't be expressed as actions, so a
+ * clause with one gets a note instead of an action. When nothing is
+ * understood the result has no actions and a clarification hint.
+ */
+
+// Paint names that aren't CSS colors; multi-word names are written compacted
+const CAR_COLORS = {
+  gunmetal: "#2a3439",
+  graphite: "#383838",
+  charcoal: "#36454f",
+  bronze: "#cd7f32",
+  copper: "#b87333",
+  champagne: "#f7e7ce",
+  rosegold: "#b76e79",
+  racinggreen: "#004225",
+  britishracinggreen: "#004225",
+  babyblue: "#89cff0",
+  candyred: "#c00a1f",
+  candyapplered: "#c00a1f",
+  mintgreen: "#98ff98",
+  burgundy: "#800020",
+  nardogrey: "#7c7f7e",
+  nardogray: "#7c7f7e",
+  neongreen: "#39ff14",
+  neonpink: "#ff6ec7",
+  neonblue: "#1f51ff",
+};
+
+export const FINISH_MATERIALS = {
+  matte: { roughness: 0.9, metalness: 0.1 },
+  satin: { roughness: 0.5, metalness: 0.3 },
+  gloss: { roughness: 0.2, metalness: 0.3 },
+  chrome: { roughness: 0.05, metalness: 1 },
+  pearl: { roughness: 0.25, metalness: 0.6 },
+};
+
+const FINISH_WORDS = {
+  matte: "matte",
+  matt: "matte",
+  flat: "matte",
+  satin: "satin",
+  gloss: "gloss",
+  glossy: "gloss",
+  shiny: "gloss",
+  chrome: "chrome",
+  chromed: "chrome",
+  pearl: "pearl",
+  pearlescent: "pearl",
+};
+
+const FEATURE_WORDS = {
+  underglow: ["underglow", "neon", "neons", "underlight", "underlights", "underlighting", "groundglow"],
+  decal: ["decal", "decals", "sticker", "stickers", "lettering", "text", "logo", "logos", "graphic", "graphics"],
+  wrap: ["wrap", "wrapped", "livery", "vinyl"],
+  tint: ["tint", "tinted", "tints", "limo"],
+  camber: ["camber", "cambered"],
+  lift: ["lift", "lifted", "raise", "raised", "taller"],
+  lower: ["lower", "lowered", "drop", "dropped", "slam", "slammed", "stance", "stanced"],
+  kit: ["kit", "kits", "bodykit", "widebody", "aero"],
+  luxury: ["luxury", "luxurious", "classy"],
+  relative: ["darker", "lighter", "brighter"],
+};
+
+const WRAP_PATTERNS = {
+  carbon: "carbon_fiber",
+  camo: "camo",
+  camouflage: "camo",
+  stripe: "racing_stripes",
+  stripes: "racing_stripes",
+  striped: "racing_stripes",
+  checker: "checkered",
+  checkered: "checkered",
+  chequered: "checkered",
+  checkerboard: "checkered",
+  gradient: "gradient",
+  fade: "gradient",
+  faded: "gradient",
+  flame: "flames",
+  flames: "flames",
+  geometric: "geometric",
+  tribal: "tribal",
+};
+
+const DECAL_STICKERS = {
+  number: "race_number",
+  flame: "flames",
+  flames: "flames",
+  tribal: "tribal",
+  star: "star",
+  stars: "star",
+  flag: "checkered_flag",
+  logo: "sponsor_logo",
+  logos: "sponsor_logo",
+  sponsor: "sponsor_logo",
+};
+
+const BODY_KIT_WORDS = {
+  widebody: "widebody",
+  wide: "widebody",
+  timeattack: "time_attack",
+  rally: "rally",
+  drift: "drift",
+  street: "street",
+  stock: "stock",
+  oem: "stock",
+  factory: "stock",
+  original: "stock",
+};
+
+const NEGATIONS = new Set(["no", "not", "without", "remove", "delete", "hide", "kill", "ditch", "lose", "rid", "don't", "dont", "never", "off", "nix"]);
+const RESTORE_WORDS = new Set(["show", "unhide", "restore", "reinstall"]);
+const UNDO_WORDS = new Set(["undo", "revert", "reset"]);
+// Ways of leaving something out, all read as "except"
+const EXCLUSION_PATTERN = /\b(?:except(?:\s+for)?|excluding|excepting|but\s+not|apart\s+from|aside\s+from|other\s+than|save\s+for)\b|(?<=\b(?:everything|all)\s+)but\b/gi;
+// Words that carry no request on their own; a clause made only of these is ignored quietly
+const FILLER = new Set(
+  ("a an the it its it's my me i i'd want would like please can you could to on of in at with for and this that " +
+    "make set give put add apply change turn get go be is are some bit little slightly more less new car whole entire " +
+    "paint painted color colour thanks thank look looking style also just really very now then except everything " +
+    "says saying reads reading keep")
+    .split(" ")
+);
+
+// Parts the parser never reads as parts: "paint" is a verb here, and underglow is a feature
+const NOT_PARTS = new Set(["paint", "underglow", "neon"]);
+
+// Car parts the actions have no target for, so a paint job can say what it left out
+const UNKNOWN_PARTS = new Set(
+  ("fender bumper caliper brake exhaust vent pillar handle lip splitter canard fascia panel engine interior seat dash " +
+    "antenna wiper cage badge emblem plate intake scoop fin arch flare").split(" ")
+);
+
+// Words for more than one part
+const PART_GROUPS = {
+  door: ["door_front_left", "door_front_right"],
+  frontdoor: ["door_front_left", "door_front_right"],
+};
+
+// Meters per unit
+const LENGTH_UNITS = { mm: 0.001, cm: 0.01, m: 1, in: 0.0254, ft: 0.3048 };
+const UNIT_NAMES = {
+  inches: "in",
+  inch: "in",
+  in: "in",
+  '"': "in",
+  "''": "in",
+  mm: "mm",
+  cm: "cm",
+  meters: "m",
+  meter: "m",
+  metres: "m",
+  metre: "m",
+  m: "m",
+  feet: "ft",
+  foot: "ft",
+  ft: "ft",
+  degrees: "deg",
+  degree: "deg",
+  deg: "deg",
+  "°": "deg",
+  percent: "%",
+  "%": "%",
+  s: "s",
+};
+
+const TOKEN_PATTERN =
+  /\u0000(\d+)\u0000|(#[0-9a-f]{6}|#[0-9a-f]{3})(?![0-9a-z])|(-?\d+(?:\.\d+)?)(?:[\s-]*(inches|inch|in|mm|cm|meters|meter|metres|metre|m|feet|foot|ft|degrees|degree|deg|°|percent|%|"|''|s)(?![a-z0-9]))?|([a-z]+(?:'[a-z]+)?)/g;
+const CLAUSE_SEPARATOR = /[,;!?]+|\.(?!\d)|\b(?:and|with|then|but|also|plus)\b|&/;
+
+const UNDO_HINT = "To take back a whole prompt, use undo or revert the session to an earlier step.";
+
+export const CLARIFICATION_HINT =
+  'I couldn\'t work out what to change. Name a part and what to do with it, e.g. "paint the roof matte black", ' +
+  '"add blue underglow", "lift it 2 inches" or "35% tint on the windows".';
+
+// Word tables are plain objects, so skip what they inherit ("constructor", "toString")
+const lookup = (table, key) => (Object.hasOwn(table, key) ? table[key] : undefined);
+
+function namedColor(name) {
+  if (Object.hasOwn(CAR_COLORS, name)) return CAR_COLORS[name];
+  return Object.hasOwn(THREE.Color.NAMES, name) ? normalizeColor(name) : null;
+}
+
+/** A part alias, or a list of them for group words ("doors") */
+function partFor(key) {
+  if (NOT_PARTS.has(key)) return null;
+  const group = lookup(PART_GROUPS, key) ?? (key.endsWith("s") ? lookup(PART_GROUPS, key.slice(0, -1)) : undefined);
+  if (group) return group;
+  return canonicalPart(key) ?? (key.endsWith("s") ? canonicalPart(key.slice(0, -1)) : null);
+}
+
+/** Quoted text and color functions become placeholders so clause splitting can't cut them */
+function extractLiterals(prompt) {
+  const literals = [];
+  const text = prompt
+    .replace(/["“”]([^"“”]*)["“”]/g, (_, quoted) => `\u0000${literals.push({ kind: "quote", value: quoted.trim() }) - 1}\u0000`)
+    .replace(/\b(?:rgba?|hsla?)\s*\([^)]*\)/gi, (match) => {
+      const color = normalizeColor(match.replace(/\s+/g, ""));
+      return color ? `\u0000${literals.push({ kind: "color", value: color }) - 1}\u0000` : " ";
+    });
+  return { text, literals };
+}
+
+function tokenize(text, literals) {
+  const tokens = [];
+  for (const match of text.toLowerCase().matchAll(TOKEN_PATTERN)) {
+    const [, literal, hex, number, unit, word] = match;
+    if (literal !== undefined) tokens.push(literals[Number(literal)]);
+    else if (hex) tokens.push({ kind: "color", value: normalizeColor(hex) });
+    else if (number !== undefined) tokens.push({ kind: "quantity", value: Number(number), unit: unit ? UNIT_NAMES[unit] : null });
+    else tokens.push({ kind: "word", value: word });
+  }
+  return tokens;
+}
+
+/** Pick parts, colors, finishes and features out of one clause */
+function readClause(source, literals) {
+  const tokens = tokenize(source, literals);
+  const frame = {
+    source: source.replace(/\u0000(\d+)\u0000/g, (_, i) => `"${literals[Number(i)].value}"`).trim(),
+    tokens,
+    parts: [],
+    except: [],
+    colors: [],
+    quotes: [],
+    quantities: [],
+    finish: null,
+    features: new Set(),
+    negated: false,
+    restore: false,
+    undo: false,
+    wholeCar: false,
+    unread: [],
+    notes: [],
+  };
+  const used = new Set();
+  const wordAt = (i) => (tokens[i]?.kind === "word" ? tokens[i].value : null);
+  const exceptAt = tokens.findIndex((token) => token.kind === "word" && token.value === "except");
+
+  // Multi-word names first (parts, then colors), longest match wins
+  for (const [size, find, add] of [
+    [3, partFor, (part, i) => (exceptAt >= 0 && i > exceptAt ? frame.except : frame.parts).push(...[part].flat())],
+    [3, namedColor, (color) => frame.colors.push(color)],
+  ]) {
+    for (let n = size; n >= 1; n--) {
+      for (let i = 0; i + n <= tokens.length; i++) {
+        const span = Array.from({ length: n }, (_, k) => i + k);
+        if (span.some((k) => used.has(k) || !wordAt(k))) continue;
+        const found = find(span.map(wordAt).join(""));
+        if (!found) continue;
+        add(found, i);
+        span.forEach((k) => used.add(k));
+      }
+    }
+  }
+
+  tokens.forEach((token, i) => {
+    if (token.kind === "quote") frame.quotes.push(token.value);
+    else if (token.kind === "color") frame.colors.push(token.value);
+    else if (token.kind === "quantity") frame.quantities.push({ ...token, index: i });
+    if (token.kind !== "word" || used.has(i)) return;
+
+    const word = token.value;
+    if (NEGATIONS.has(word)) frame.negated = true;
+    else if (UNDO_WORDS.has(word)) {
+      // Features go back to stock the way negation takes them off; parts go back through the history
+      frame.undo = true;
+      frame.negated = true;
+    } else if (RESTORE_WORDS.has(word)) frame.restore = true;
+    else if (lookup(FINISH_WORDS, word)) frame.finish = FINISH_WORDS[word];
+    else {
+      const feature = Object.keys(FEATURE_WORDS).find((name) => FEATURE_WORDS[name].includes(word));
+      if (feature) frame.features.add(feature);
+      else if (lookup(WRAP_PATTERNS, word)) frame.features.add("wrap");
+      else if (!(lookup(DECAL_STICKERS, word) || lookup(BODY_KIT_WORDS, word) || FILLER.has(word))) frame.unread.push(word);
+    }
+  });
+
+  const words = tokens.map((token) => (token.kind === "word" ? token.value : ""));
+  const has = (...list) => list.some((word) => words.includes(word));
+  // "put the spoiler back", "bring back the mirrors"
+  if (has("back") && has("put", "bring", "add")) frame.restore = true;
+  if (has("wide") && has("body")) frame.features.add("kit");
+  if (has("race", "racing") && has("number")) frame.features.add("decal");
+  if (frame.parts.includes("wheel") && frame.features.has("lift")) frame.features.delete("lift");
+  // "paint it red with chrome wheels": "it" is the car's body, so the color stays in this clause
+  if (has("it", "car") && !frame.parts.length && (frame.colors.length || frame.finish) && !frame.features.size) {
+    frame.parts.push("body");
+    frame.wholeCar = true;
+  }
+  frame.words = words;
+  frame.has = has;
+  return frame;
+}
+
+const isLonePart = (f) =>
+  f.parts.length && !f.colors.length && !f.finish && !f.features.size && !f.negated && !f.restore && !f.quantities.length && !f.quotes.length;
+const isLoneColor = (f) =>
+  f.colors.length && !f.parts.length && !f.except.length && !f.features.size && !f.negated && !f.quantities.length;
+const isLoneExclusion = (f) => f.except.length && !f.parts.length && !f.colors.length && !f.finish && !f.features.size;
+const isNotPart = (f) =>
+  f.words.find(Boolean) === "not" && f.parts.length && !f.colors.length && !f.finish && !f.features.size && !f.quantities.length;
+const isPaint = (f) => f.colors.length || f.finish;
+// "add a decal" with nothing to put on it
+const isBareDecal = (f) =>
+  f.features.size === 1 && f.features.has("decal") && !f.colors.length && !f.quotes.length && !f.quantities.length && !f.negated &&
+  !f.words.some((word) => lookup(DECAL_STICKERS, word));
+
+/** "roof and hood black" → the roof joins the hood clause; "red and black stripes" → red joins the stripes */
+function mergeClauses(frames) {
+  const out = [];
+  for (let i = 0; i < frames.length; i++) {
+    const frame = frames[i];
+    const next = frames[i + 1];
+    // "paint it black, except the roof": the exclusion belongs to the clause before
+    if (isLoneExclusion(frame) && out.length) {
+      out[out.length - 1].except.push(...frame.except);
+      continue;
+    }
+    // "add a decal with the text FAST": the decal is described in the next clause
+    if (isBareDecal(frame) && next?.features.has("decal")) {
+      next.parts.unshift(...frame.parts);
+      continue;
+    }
+    // "paint the body red, not the wheels" leaves the wheels out of that paint job rather than removing them
+    if (isNotPart(frame) && out.length && isPaint(out[out.length - 1])) {
+      out[out.length - 1].except.push(...frame.parts);
+      continue;
+    }
+    if (isLonePart(frame) && next) {
+      next.parts.unshift(...frame.parts);
+      continue;
+    }
+    if (isLonePart(frame) && out.length) {
+      out[out.length - 1].parts.push(...frame.parts);
+      continue;
+    }
+    if (isLoneColor(frame) && next && !next.negated && (next.features.size || (next.parts.length && !next.colors.length))) {
+      next.colors.unshift(...frame.colors);
+      next.finish ??= frame.finish;
+      continue;
+    }
+    out.push(frame);
+  }
+  return out;
+}
+
+function axleOf(frame) {
+  const front = frame.has("front");
+  const rear = frame.has("rear", "back");
+  if (front && !rear) return "front";
+  if (rear && !front) return "rear";
+  return "both";
+}
+
+/** First quantity (optionally with one of the given units) */
+function quantity(frame, units) {
+  return frame.quantities.find((q) => !units || units.includes(q.unit)) ?? null;
+}
+
+/** Lengths in meters; bare numbers up to 0.3 are meters, larger ones inches */
+function meters(q) {
+  if (!q) return null;
+  if (LENGTH_UNITS[q.unit]) return q.value * LENGTH_UNITS[q.unit];
+  if (q.unit) return null;
+  return Math.abs(q.value) <= 0.3 ? q.value : q.value * LENGTH_UNITS.in;
+}
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+function materialFor(frame, part, color) {
+  const parameters = {};
+  if (color) {
+    parameters.color = color;
+    // Lights glow in their color
+    if (part === "light_head" || part === "light_tail") parameters.emissive = color;
+  }
+  if (frame.finish) Object.assign(parameters, FINISH_MATERIALS[frame.finish]);
+  return { type: "MATERIAL_EDIT", target: part, parameters };
+}
+
+/** Last color applied to a part in the session, for "darker" / "lighter" */
+function lastColor(history, part) {
+  const actions = history.flatMap((step) => step.actions || []);
+  for (let i = actions.length - 1; i >= 0; i--) {
+    const action = actions[i];
+    if (action.type !== "MATERIAL_EDIT" || !action.parameters?.color) continue;
+    if (action.target === part || resolveTarget(part, [action.target])) return action.parameters.color;
+  }
+  return null;
+}
+
+/**
+ * Take back the last change made to a part in the session: a hidden part is
+ * shown again (and the other way round), and paint goes back to the part's
+ * previous material. Returns a note when there's nothing to go back to.
+ */
+function undoPart(history, part) {
+  const name = part.replace(/_/g, " ");
+  const changes = history
+    .flatMap((step) => step.actions || [])
+    .filter((action) => ["MATERIAL_EDIT", "TOGGLE_PART"].includes(action.type) && (action.target === part || resolveTarget(part, [action.target])));
+  const last = changes.pop();
+  if (!last) return `Nothing to undo on the ${name}`;
+  if (last.type === "TOGGLE_PART") return { type: "TOGGLE_PART", target: last.target, visible: !last.visible };
+  const previous = changes.reverse().find((action) => action.type === "MATERIAL_EDIT" && action.parameters?.color);
+  if (!previous) return `The ${name} has no earlier paint to go back to; undo the step that painted it instead`;
+  return { type: "MATERIAL_EDIT", target: last.target, parameters: { ...previous.parameters } };
+}
+
+function frameActions(frame, history) {
+  const actions = [];
+  const { has } = frame;
+  let colors = [...frame.colors];
+  let parts = [...frame.parts];
+  const takeColor = () => colors.shift() ?? null;
+  const takePart = (...wanted) => {
+    const part = parts.find((p) => wanted.includes(p)) ?? null;
+    if (part) parts = parts.filter((p) => p !== part);
+    return part;
+  };
+
+  // Excluded parts drop out of the parts the clause names. "everything except
+  // the roof" has no action that leaves the roof out, and acting on the rest of
+  // the clause would change the very part the user excluded
+  if (frame.except.length) {
+    parts = parts.filter((part) => !frame.except.includes(part));
+    if (frame.wholeCar || !parts.length) {
+      const names = [...new Set(frame.except)].map((part) => `the ${part.replace(/_/g, " ")}`).join(" and ");
+      frame.notes.push(`I can't leave out ${names} ("${frame.source}"). Name the parts to change instead, e.g. "paint the hood and doors black".`);
+      return actions;
+    }
+  }
+
+  // RENAME_PART: "rename the spoiler to Big Wing"
+  if (has("rename") && parts.length) {
+    const to = frame.quotes[0] ?? frame.source.match(/\b(?:to|as)\s+(.+)$/i)?.[1]?.trim();
+    if (to) return [{ type: "RENAME_PART", target: parts[0], parameters: { to } }];
+  }
+
+  // Rim presets before anything reads "rims" as a part
+  if (has("sport", "sporty") && takePart("wheel", "rim_sport")) {
+    actions.push({ type: "SWAP_PRESET", parameters: { preset: "sport_rims" } });
+  } else if ((has("offroad", "terrain") || (has("off") && has("road"))) && takePart("wheel", "rim_offroad")) {
+    actions.push({ type: "SWAP_PRESET", parameters: { preset: "offroad_rims" } });
+    frame.negated = false;
+  }
+  if (frame.features.has("luxury")) actions.push({ type: "SWAP_PRESET", parameters: { preset: "luxury_theme" } });
+
+  if (frame.features.has("decal")) {
+    const sticker = frame.words.map((word) => lookup(DECAL_STICKERS, word)).find(Boolean);
+    const number = has("number") ? quantity(frame, [null]) : null;
+    // "a decal that says GO FAST on the door": the words up to the placement, as written
+    const said = frame.source.match(/\b(?:says|saying|reads|reading|text)\s+(?!(?:on|in|at|to|the|a)\b)(.+?)(?=\s+(?:on|in|at|across|along|to)\b|$)/i)?.[1];
+    const text = frame.quotes[0] ?? said ?? (number ? String(number.value) : null);
+    if (!frame.negated && (text || sticker)) {
+      const parameters = text ? { text } : { sticker };
+      const color = takeColor();
+      if (color) parameters.color = color;
+      if (number || sticker === "race_number") parameters.font = "racing";
+      if (has("big", "large", "huge")) parameters.size = 0.8;
+      if (has("small", "tiny")) parameters.size = 0.2;
+      const rotation = quantity(frame, ["deg"]);
+      if (rotation) parameters.rotation = rotation.value;
+      // Both doors are one decal mirrored onto the other side
+      if (has("both", "sides", "mirrored") || (parts.includes("door_front_left") && parts.includes("door_front_right"))) {
+        parameters.mirror = true;
+      }
+      const target = parts.shift();
+      actions.push({ type: "ADD_DECAL", ...(target && { target }), parameters });
+    }
+    return actions;
+  }
+
+  const pattern = frame.words.map((word) => lookup(WRAP_PATTERNS, word)).find(Boolean);
+  if ((frame.features.has("wrap") || pattern) && !frame.negated) {
+    const target = parts.shift();
+    const parameters = { pattern: pattern || "solid", primaryColor: takeColor() || (pattern === "carbon_fiber" ? "#1b1b1b" : "#ffffff") };
+    const secondary = takeColor();
+    if (secondary) parameters.secondaryColor = secondary;
+    if (frame.finish) parameters.finish = frame.finish;
+    actions.push({ type: "APPLY_WRAP", ...(target && { target }), parameters });
+    return actions;
+  }
+
+  if (frame.features.has("underglow")) {
+    if (frame.negated) {
+      actions.push({ type: "ADD_UNDERGLOW", parameters: { color: "#000000", intensity: 0 } });
+    } else {
+      const amount = quantity(frame, [null, "%"]);
+      let intensity = 2.2;
+      if (amount) intensity = amount.unit === "%" ? (amount.value / 100) * 5 : amount.value;
+      else if (has("bright", "intense", "strong")) intensity = 3.5;
+      else if (has("subtle", "dim", "soft", "faint")) intensity = 1.2;
+      actions.push({ type: "ADD_UNDERGLOW", parameters: { color: takeColor() || "#00ffff", intensity: round(intensity, 2) } });
+    }
+  }
+
+  const darkWindows = parts.includes("window") && has("dark", "darker", "blacked") && !colors.length;
+  if (frame.features.has("tint") || darkWindows) {
+    takePart("window");
+    let tint = 20;
+    const percent = quantity(frame, ["%"]);
+    if (frame.negated) tint = 100;
+    else if (percent) tint = percent.value;
+    else if (has("limo")) tint = 5;
+    else if (has("dark", "darker", "blacked")) tint = 15;
+    else if (has("light")) tint = 50;
+    else if (has("medium")) tint = 35;
+    actions.push({ type: "SET_WINDOW_TINT", target: "window", parameters: { tint } });
+  }
+
+  // Wheel size: "19 inch rims", "on 20s", "wider rear wheels"
+  const size = frame.quantities.find((q) => q.unit === "s" || ((q.unit === "in" || !q.unit) && q.value >= 14 && q.value <= 24));
+  const widthWords = has("wide", "wider", "width");
+  if (!frame.features.has("kit") && (size?.unit === "s" || (parts.includes("wheel") && (size || widthWords)))) {
+    const parameters = { axle: axleOf(frame) };
+    // "9.5 inch wide": the number next to the width word is the width
+    const width = widthWords
+      ? frame.quantities.find((q) => ["wide", "width"].includes(frame.words[q.index + 1]) || frame.words[q.index - 1] === "width")
+      : null;
+    if (size && size !== width) parameters.diameter = size.value;
+    if (width) parameters.width = width.value;
+    else if (widthWords) parameters.width = 10;
+    actions.push({ type: "SET_WHEELS", parameters });
+  }
+
+  if (frame.features.has("camber")) {
+    let camber = -3;
+    const angle = quantity(frame, ["deg", null]);
+    if (frame.negated) camber = 0;
+    else if (angle) camber = has("positive") ? Math.abs(angle.value) : -Math.abs(angle.value);
+    else if (has("aggressive", "extreme", "max", "lots", "heavy")) camber = -6;
+    else if (has("slight", "mild", "bit", "little")) camber = -1.5;
+    actions.push({ type: "SET_STANCE", parameters: { axle: axleOf(frame), camber } });
+  }
+
+  const rideHeight = frame.features.has("lift") || frame.features.has("lower") || (has("ride") && has("height"));
+  if (rideHeight) {
+    const distance = meters(quantity(frame, ["mm", "cm", "m", "in", "ft", null]));
+    let lift;
+    if (frame.negated) lift = 0;
+    else if (frame.features.has("lower")) lift = distance !== null ? -Math.abs(distance) : has("slam", "slammed") ? -0.08 : -0.05;
+    else if (frame.features.has("lift")) lift = distance !== null ? Math.abs(distance) : has("bit", "little", "slightly") ? 0.05 : 0.15;
+    else lift = distance ?? 0;
+    const axle = axleOf(frame);
+    actions.push(
+      axle === "both"
+        ? { type: "SET_SUSPENSION", parameters: { lift: round(lift) } }
+        : { type: "SET_STANCE", parameters: { axle, rideHeight: round(lift) } }
+    );
+  }
+
+  if (frame.features.has("kit")) {
+    const kit = frame.negated
+      ? "stock"
+      : (has("time") && has("attack") ? "time_attack" : frame.words.map((word) => lookup(BODY_KIT_WORDS, word)).find(Boolean)) || "street";
+    actions.push({ type: "SWAP_BODY_KIT", parameters: { kit } });
+    return actions;
+  }
+
+  // "darker" / "lighter": adjust the color the part was last given
+  if (frame.features.has("relative") && !colors.length) {
+    for (const part of parts.length ? parts : ["body"]) {
+      const previous = lastColor(history, part);
+      if (!previous) continue;
+      // Lightness steps are taken in sRGB so they look even
+      const color = new THREE.Color(previous);
+      const hsl = color.getHSL({}, THREE.SRGBColorSpace);
+      const lightness = Math.min(1, Math.max(0, hsl.l + (has("darker") ? -0.12 : 0.12)));
+      color.setHSL(hsl.h, hsl.s, lightness, THREE.SRGBColorSpace);
+      actions.push({ type: "MATERIAL_EDIT", target: part, parameters: { color: `#${color.getHexString(THREE.SRGBColorSpace)}` } });
+    }
+    return actions;
+  }
+
+  // "undo the red paint", "revert the spoiler": go back a step on each part
+  if (frame.undo) {
+    if (!parts.length && !actions.length && (colors.length || frame.finish || has("paint", "color", "colour"))) parts = ["body"];
+    for (const part of parts) {
+      const undone = undoPart(history, part);
+      if (typeof undone === "string") frame.notes.push(undone);
+      else actions.push(undone);
+    }
+    if (!actions.length && !frame.notes.length) frame.notes.push(UNDO_HINT);
+    return actions;
+  }
+
+  // Whatever parts are left get painted, shown or hidden. A paint job on a part
+  // there's no target for ("black calipers") says so instead of painting the body
+  const unknown = frame.unread.filter((word) => UNKNOWN_PARTS.has(word) || UNKNOWN_PARTS.has(word.replace(/e?s$/, "")));
+  if (unknown.length && (colors.length || frame.finish) && !frame.negated) {
+    frame.notes.push(`There's no "${unknown.join(" ")}" part to paint, so it was left out`);
+  } else if (!parts.length && (colors.length || frame.finish) && !actions.length && !frame.negated) {
+    parts = ["body"];
+  }
+  if (!parts.length) return actions;
+  if (frame.negated && !colors.length) {
+    parts.forEach((part) => actions.push({ type: "TOGGLE_PART", target: part, visible: false }));
+  } else if (frame.restore && !colors.length && !frame.finish) {
+    parts.forEach((part) => actions.push({ type: "TOGGLE_PART", target: part, visible: true }));
+  } else if (!frame.negated && (colors.length || frame.finish)) {
+    // One color per part when they line up ("red roof blue hood"), otherwise the first color for all
+    const paired = colors.length === parts.length;
+    parts.forEach((part, i) => actions.push(materialFor(frame, part, paired ? colors[i] : colors[0])));
+  }
+  return actions;
+}
+
+/**
+ * Read a phrase without splitting it into clauses: its words (aligned with
+ * the token positions quantities refer to), quantities, colors, finish and
+ * negation. Used by the part library to map prompts onto part parameters.
+ */
+export function readPhrase(text = "") {
+  const { text: source, literals } = extractLiterals(String(text));
+  const { words, quantities, colors, finish, negated, quotes, has } = readClause(source, literals);
+  return { words, quantities, colors, finish, negated, quotes, has };
+}
+
+function clarificationFor(frames) {
+  const notes = frames.flatMap((frame) => frame.notes);
+  if (notes.length) return notes.join(" ");
+  const parts = [...new Set(frames.flatMap((frame) => frame.parts))];
+  if (parts.length) {
+    const part = parts[0].replace(/_/g, " ");
+    return `What should change on the ${part}? Try "paint the ${part} matte black" or "remove the ${part}".`;
+  }
+  return CLARIFICATION_HINT;
+}
+
+/**
+ * Interpret a prompt without a model.
+ * @param {string} prompt
+ * @param {{ history?: { actions: object[] }[] }} [options] applied session steps, for relative requests
+ * @returns {{ actions: object[], warnings: string[], clarification: string|null }}
+ */
+export function parsePromptOffline(prompt = "", { history = [] } = {}) {
+  const { text, literals } = extractLiterals(String(prompt));
+  const frames = mergeClauses(
+    text
+      .replace(EXCLUSION_PATTERN, "except")
+      .split(CLAUSE_SEPARATOR)
+      .filter((clause) => clause && clause.trim())
+      .map((clause) => readClause(clause, literals))
+  );
+
+  const actions = [];
+  const warnings = [];
+  for (const frame of frames) {
+    const produced = frameActions(frame, history);
+    actions.push(...produced);
+    warnings.push(...frame.notes);
+    if (!produced.length && !frame.notes.length && (frame.unread.length || frame.parts.length || frame.features.size)) {
+      warnings.push(`Didn't understand "${frame.source}"`);
+    }
+  }
+
+  return {
+    actions,
+    warnings: actions.length ? warnings : [],
+    clarification: actions.length ? null : clarificationFor(frames),
+  };
+}
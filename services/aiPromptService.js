@@ -1,116 +1,258 @@
 // backend/services/aiPromptService.js
-import OpenAI from "openai";
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import crypto from "crypto";
+import { pool } from "../db/pool.js";
+import { validateActions } from "./aiActionSchema.js";
+import { CLARIFICATION_HINT, parsePromptOffline } from "./aiOfflineParser.js";
+import { AI_TEMPERATURE, getProvider } from "./aiProviders.js";
 
 /**
- * Convert natural language into "Level 1" actions for Three.js edits.
- * We return an array of actions; the frontend will apply them to the loaded GLB.
+ * Interpreted prompts are cached in memory, keyed by the normalized prompt,
+ * car context, session history and provider/model, so repeating a prompt
+ * doesn't cost another model call.
+ *
+ * Optional env:
+ *   AI_CACHE_TTL_MS=3600000
+ *   AI_CACHE_MAX_ENTRIES=500   (0 disables the cache)
  */
-export async function parsePromptToActions(prompt, carContext = {}) {
-  // If no API key present, fallback to dumb rules so dev can still test
-  if (!process.env.OPENAI_API_KEY) {
-    return ruleBasedFallback(prompt);
-  }
+const CACHE_TTL_MS = parseInt(process.env.AI_CACHE_TTL_MS) || 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = process.env.AI_CACHE_MAX_ENTRIES !== undefined ? parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 0 : 500;
+const cache = new Map();
 
-  const system = `
+const SYSTEM_PROMPT = `
 You are an AI mechanic for a 3D car modding app. 
 ONLY return compact JSON. Convert requests into level-1 actions:
 
 TYPES:
-- MATERIAL_EDIT { target, parameters:{ color?, roughness?, metalness?, emissive? } }
+- MATERIAL_EDIT { target, parameters:{ color?, roughness?, metalness?, emissive? } } // roughness/metalness 0..1, emissive is a color
 - TOGGLE_PART   { target, visible:boolean }
-- ADD_UNDERGLOW { parameters:{ color, intensity } }
-- SET_SUSPENSION{ parameters:{ lift } }  // meters
+- ADD_UNDERGLOW { parameters:{ color, intensity } } // intensity 0..5
+- SET_SUSPENSION{ parameters:{ lift } }  // meters, -0.1..0.3
 - SWAP_PRESET   { parameters:{ preset } } // "sport_rims" | "offroad_rims" | "luxury_theme"
-- RENAME_PART   { target, parameters:{ to } } // rarely used
+- RENAME_PART   { target, parameters:{ to } } // rarely used, max 40 chars
+- APPLY_WRAP    { target?, parameters:{ pattern, primaryColor, secondaryColor?, finish?, scale? } } // vinyl wrap / livery, target defaults to body
+    pattern: "solid" | "carbon_fiber" | "camo" | "racing_stripes" | "checkered" | "gradient" | "flames" | "geometric" | "tribal"
+    finish: "gloss" | "matte" | "satin" | "chrome" | "pearl"; scale = pattern repeats per meter, 0.1..10
+- ADD_DECAL     { target?, parameters:{ text?, sticker?, color?, font?, u?, v?, size?, rotation?, mirror? } } // needs text or sticker
+    sticker: "race_number" | "flames" | "tribal" | "star" | "checkered_flag" | "sponsor_logo"; text max 32 chars
+    font: "sans" | "serif" | "script" | "racing"; u,v = position on the part 0..1 (default 0.5); size = width in meters 0.05..2
+    rotation in degrees -180..180; mirror:true also places it on the other side; target defaults to door_front_left
+- SET_WHEELS    { parameters:{ axle?, diameter?, width? } } // inches: diameter 14..24, width 6..13
+- SET_STANCE    { parameters:{ axle?, camber?, rideHeight? } } // camber degrees -10..3 (negative = top tilted in), rideHeight meters -0.1..0.3
+    axle (SET_WHEELS / SET_STANCE): "front" | "rear" | "both" (default both); use one action per axle when they differ
+- SET_WINDOW_TINT { target?, parameters:{ tint } } // % visible light transmission 5..100 (5 = limo dark), target defaults to window
+- SWAP_BODY_KIT { parameters:{ kit } } // "stock" | "street" | "widebody" | "time_attack" | "rally" | "drift"
 
 Targets are simple aliases: 
 body, roof, window, spoiler, grille, light_head, light_tail, mirror,
 door_front_left, door_front_right, hood, trunk, diffuser, skirt, 
-rim_sport, rim_offroad, underglow.
+wheel, rim_sport, rim_offroad, underglow.
 
-Color must be #RRGGBB. Only include fields used. Default roughness=0.6, metalness=0.3.
+Colors (color, emissive, primaryColor, secondaryColor) must be #RRGGBB. Only include fields used. Default roughness=0.6, metalness=0.3.
+
+When earlier steps are listed, they are already applied. Return only the NEW actions, which the app
+appends after them. Relative requests ("a bit darker", "lower it more") start from the applied values.
+To take something back, return actions that restore it (ADD_UNDERGLOW intensity 0, TOGGLE_PART visible true,
+SWAP_BODY_KIT "stock", SET_SUSPENSION lift 0, ...).
 Return strictly: { "actions": [ ... ] }
 `;
 
-  const user = `
-Prompt: ${prompt}
+// Earlier steps sent with a prompt; older ones are summarized by their count only
+const HISTORY_STEPS = 10;
 
-Known parts: ${JSON.stringify(carContext?.knownParts || [])}
-Themes: ${JSON.stringify(carContext?.themes || ["neon_night","luxury","offroad","street_racer"])}
-Return strictly JSON only. 
-`;
+/** Lowercase and collapse whitespace, except inside quotes (decal text keeps its case) */
+function normalizePrompt(prompt) {
+  return prompt
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/"[^"]*"|[^"]+/g, (part) => (part.startsWith('"') ? part : part.toLowerCase()));
+}
 
-  const resp = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    temperature: 0.2,
-    messages: [
-      { role: "system", content: system },
-      { role: "user", content: user },
-    ],
-  });
+function cacheKey(provider, prompt, carContext, history) {
+  const knownParts = Array.isArray(carContext?.knownParts) ? [...new Set(carContext.knownParts)].sort() : [];
+  const themes = Array.isArray(carContext?.themes) ? carContext.themes : null;
+  const steps = history.map((step) => [step.prompt, step.actions]);
+  const key = JSON.stringify([provider.name, provider.model, AI_TEMPERATURE, normalizePrompt(prompt), knownParts, themes, steps]);
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
 
-  const text = resp.choices?.[0]?.message?.content?.trim() || "{}";
+function cacheGet(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  return structuredClone(entry.result);
+}
+
+function cacheSet(key, result) {
+  if (CACHE_MAX_ENTRIES <= 0) return;
+  cache.delete(key);
+  // Maps iterate in insertion order, so the first key is the oldest entry
+  while (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+  cache.set(key, { result: structuredClone(result), expiresAt: Date.now() + CACHE_TTL_MS });
+}
+
+/** Token usage per interpreted prompt; failing to record it never fails the request */
+async function recordUsage({ provider, userId, sessionId, usage, cached, startedAt, error }) {
   try {
-    const parsed = JSON.parse(text);
-    if (Array.isArray(parsed?.actions)) return parsed.actions;
-  } catch (_) {
-    const match = text.match(/\{[\s\S]*\}/);
-    if (match) {
-      const parsed = JSON.parse(match[0]);
+    await pool.query(
+      `INSERT INTO ai_usage
+         (user_id, session_id, provider, model, calls, prompt_tokens, completion_tokens, total_tokens, cached, duration_ms, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        userId ?? null,
+        sessionId ?? null,
+        provider.name,
+        provider.model,
+        usage.calls,
+        usage.promptTokens,
+        usage.completionTokens,
+        usage.totalTokens,
+        cached,
+        Date.now() - startedAt,
+        error ? String(error.message || error).slice(0, 1000) : null,
+      ]
+    );
+  } catch (err) {
+    console.error("⚠️ Failed to record AI usage:", err.message || err);
+  }
+}
+
+/** The actions array from a model reply, or null when there isn't one */
+function extractActions(text) {
+  const candidates = [text, text.match(/\{[\s\S]*\}/)?.[0]].filter(Boolean);
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
       if (Array.isArray(parsed?.actions)) return parsed.actions;
+    } catch (_) {
+      // try the next candidate
     }
   }
-  return [];
+  return null;
 }
 
-/** very simple fallback mapper (dev only) */
-function ruleBasedFallback(prompt = "") {
-  const p = prompt.toLowerCase();
-  const actions = [];
-
-  if (p.includes("matte") && p.includes("black")) {
-    actions.push({
-      type: "MATERIAL_EDIT",
-      target: "body",
-      parameters: { color: "#111111", roughness: 0.9, metalness: 0.1 },
-    });
-  }
-  if (p.includes("roof")) {
-    actions.push({
-      type: "MATERIAL_EDIT",
-      target: "roof",
-      parameters: { color: "#111111", roughness: 0.8, metalness: 0.2 },
-    });
-  }
-  if (p.includes("sport rim") || p.includes("sport wheel")) {
-    actions.push({ type: "SWAP_PRESET", parameters: { preset: "sport_rims" } });
+function check(raw, carContext) {
+  if (raw === null) {
+    return { actions: [], errors: ['Reply was not JSON of the form { "actions": [...] }'], warnings: [], rejected: [] };
   }
-  if (p.includes("offroad")) {
-    actions.push({ type: "SWAP_PRESET", parameters: { preset: "offroad_rims" } });
+  return validateActions(raw, carContext);
+}
+
+/** Everything the client should hear about: adjustments, plus why actions were dropped */
+function describe(result) {
+  return [...result.warnings, ...result.errors.map((error) => `Dropped ${error}`)];
+}
+
+function describeHistory(history) {
+  if (!history.length) return "";
+  const recent = history.slice(-HISTORY_STEPS);
+  const skipped = history.length - recent.length;
+  const lines = recent.map((step) => `- "${step.prompt}" -> ${JSON.stringify(step.actions)}`);
+  if (skipped) lines.unshift(`(${skipped} earlier step(s) not shown)`);
+  return `\nAlready applied, oldest first:\n${lines.join("\n")}\n`;
+}
+
+/**
+ * Convert natural language into "Level 1" actions for Three.js edits.
+ * Actions are validated against the schema in aiActionSchema.js (targets are
+ * mapped onto carContext.knownParts); when the model's reply has invalid
+ * actions it gets one chance to repair them, and whatever is still invalid is
+ * dropped with a warning.
+ * @param {string} prompt
+ * @param {object} [carContext]
+ * @param {object} [options]
+ * @param {{ prompt: string, actions: object[] }[]} [options.history] steps already applied (AI sessions)
+ * @param {number} [options.userId] recorded with the token usage
+ * @param {string} [options.sessionId] recorded with the token usage
+ * @returns {Promise<{ actions: object[], warnings: string[], clarification: string|null, cached: boolean }>}
+ *   clarification is a hint for the user when no action came out of the prompt
+ */
+export async function parsePromptToActions(prompt, carContext = {}, { history = [], userId, sessionId } = {}) {
+  const provider = getProvider();
+  // Without a model (AI_PROVIDER=none), the offline parser does the interpreting
+  if (!provider) {
+    const parsed = parsePromptOffline(prompt, { history });
+    const result = validateActions(parsed.actions, carContext);
+    return {
+      actions: result.actions,
+      warnings: [...parsed.warnings, ...describe(result)],
+      clarification: result.actions.length ? null : parsed.clarification || CLARIFICATION_HINT,
+      cached: false,
+    };
   }
-  if (p.includes("underglow") || p.includes("neon")) {
-    actions.push({
-      type: "ADD_UNDERGLOW",
-      parameters: { color: "#00ffff", intensity: 2.2 },
-    });
+
+  const startedAt = Date.now();
+  const key = cacheKey(provider, prompt, carContext, history);
+  const hit = cacheGet(key);
+  const usage = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  if (hit) {
+    await recordUsage({ provider, userId, sessionId, usage, cached: true, startedAt });
+    return { ...hit, cached: true };
   }
-  if (p.includes("lift")) {
-    actions.push({ type: "SET_SUSPENSION", parameters: { lift: 0.15 } });
+
+  const complete = async (messages) => {
+    const reply = await provider.complete({ messages });
+    usage.calls++;
+    for (const field of ["promptTokens", "completionTokens", "totalTokens"]) usage[field] += reply.usage?.[field] ?? 0;
+    return reply.text;
+  };
+
+  try {
+    const result = await interpret(complete, prompt, carContext, history);
+    cacheSet(key, result);
+    await recordUsage({ provider, userId, sessionId, usage, cached: false, startedAt });
+    console.log(`🤖 ${provider.name}/${provider.model}: ${usage.calls} call(s), ${usage.totalTokens} tokens`);
+    return { ...result, cached: false };
+  } catch (err) {
+    await recordUsage({ provider, userId, sessionId, usage, cached: false, startedAt, error: err });
+    throw err;
   }
-  if (p.includes("window") && (p.includes("dark") || p.includes("tint"))) {
-    actions.push({
-      type: "MATERIAL_EDIT",
-      target: "window",
-      parameters: { color: "#111111", roughness: 0.2, metalness: 0.0 },
-    });
+}
+
+/** One model round trip plus the repair pass; returns the validated actions */
+async function interpret(complete, prompt, carContext, history) {
+  const user = `
+Prompt: ${prompt}
+
+Known parts: ${JSON.stringify(carContext?.knownParts || [])}
+Themes: ${JSON.stringify(carContext?.themes || ["neon_night","luxury","offroad","street_racer"])}
+${describeHistory(history)}Return strictly JSON only. 
+`;
+
+  const messages = [
+    { role: "system", content: SYSTEM_PROMPT },
+    { role: "user", content: user },
+  ];
+  const text = await complete(messages);
+  let result = check(extractActions(text), carContext);
+
+  if (result.errors.length) {
+    // 🔧 Repair pass: show the model its reply and what was wrong with it
+    try {
+      const repairText = await complete([
+        ...messages,
+        { role: "assistant", content: text },
+        {
+          role: "user",
+          content: `These problems were found in your reply:\n- ${result.errors.join("\n- ")}\n` +
+            "Fix them and return the complete corrected JSON. Drop any action that can't be expressed with the allowed types, targets and values.",
+        },
+      ]);
+      const repaired = check(extractActions(repairText), carContext);
+      if (repaired.errors.length <= result.errors.length) {
+        console.log(`🔧 Repaired AI actions (${result.errors.length} problem(s) before, ${repaired.errors.length} after)`);
+        result = repaired;
+      }
+    } catch (err) {
+      console.error("⚠️ AI repair pass failed:", err.message || err);
+    }
   }
-  return actions.length ? actions : [{
-    type: "MATERIAL_EDIT",
-    target: "body",
-    parameters: { color: "#ffcc00", metalness: 0.7, roughness: 0.35 },
-  }];
+
+  return {
+    actions: result.actions,
+    warnings: describe(result),
+    clarification: result.actions.length ? null : CLARIFICATION_HINT,
+  };
 }
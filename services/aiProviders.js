@@ -0,0 +1,131 @@
+// services/aiProviders.js
+import fs from "fs";
+import path from "path";
+import OpenAI from "openai";
+
+/**
+ * LLM providers for the AI mechanic. Every provider exposes
+ *   complete({ messages, temperature, timeoutMs }) => Promise<{ text, usage }>
+ * where usage is { promptTokens, completionTokens, totalTokens } (or null when
+ * the endpoint doesn't report it), and throws when no reply was produced.
+ *
+ * Selected with AI_PROVIDER:
+ *   openai   OpenAI API (OPENAI_API_KEY)                       - default when a key is set
+ *   local    any OpenAI-compatible endpoint (AI_LOCAL_BASE_URL, e.g. http://localhost:11434/v1
+ *            for Ollama; AI_LOCAL_API_KEY if it wants one)
+ *   fixture  canned replies from AI_FIXTURE_FILE, keyed by prompt - tests, fully deterministic
+ *   none     no model; prompts go to the offline parser           - default otherwise
+ *
+ * Optional env:
+ *   AI_MODEL=gpt-4o-mini (openai) / llama3.1 (local)
+ *   AI_TEMPERATURE=0.2
+ *   AI_TIMEOUT_MS=20000   (per attempt)
+ *   AI_MAX_RETRIES=2      (timeouts, connection errors, 429 and 5xx responses)
+ */
+
+export const AI_TEMPERATURE = process.env.AI_TEMPERATURE !== undefined ? Number(process.env.AI_TEMPERATURE) : 0.2;
+export const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS) || 20000;
+export const AI_MAX_RETRIES = process.env.AI_MAX_RETRIES !== undefined ? parseInt(process.env.AI_MAX_RETRIES) || 0 : 2;
+
+function readUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens ?? 0,
+    completionTokens: usage.completion_tokens ?? 0,
+    totalTokens: usage.total_tokens ?? (usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0),
+  };
+}
+
+function createChatProvider(name, client, model) {
+  return {
+    name,
+    model,
+    async complete({ messages, temperature = AI_TEMPERATURE, timeoutMs = AI_TIMEOUT_MS }) {
+      const resp = await client.chat.completions.create({ model, temperature, messages }, { timeout: timeoutMs });
+      return {
+        text: resp.choices?.[0]?.message?.content?.trim() || "{}",
+        usage: readUsage(resp.usage),
+      };
+    },
+  };
+}
+
+function createOpenAIProvider() {
+  if (!process.env.OPENAI_API_KEY) throw new Error("AI_PROVIDER=openai needs OPENAI_API_KEY");
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, timeout: AI_TIMEOUT_MS, maxRetries: AI_MAX_RETRIES });
+  return createChatProvider("openai", client, process.env.AI_MODEL || "gpt-4o-mini");
+}
+
+function createLocalProvider() {
+  if (!process.env.AI_LOCAL_BASE_URL) throw new Error("AI_PROVIDER=local needs AI_LOCAL_BASE_URL");
+  const client = new OpenAI({
+    baseURL: process.env.AI_LOCAL_BASE_URL,
+    // Most local servers ignore the key, but the SDK insists on one
+    apiKey: process.env.AI_LOCAL_API_KEY || "local",
+    timeout: AI_TIMEOUT_MS,
+    maxRetries: AI_MAX_RETRIES,
+  });
+  return createChatProvider("local", client, process.env.AI_MODEL || "llama3.1");
+}
+
+/** Prompt as written in the first user message ("Prompt: ..."), normalized */
+export function fixtureKey(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Replies from a JSON file mapping prompts to replies, e.g.
+ *   { "make it red": { "actions": [ ... ] }, "garbage": "not json", "fix me": [ "first reply", "repair reply" ] }
+ * Objects are sent back as JSON, strings as-is; an array holds the replies for
+ * successive turns of the conversation. Unknown prompts get an empty action list. Usage is estimated from the text length so it is repeatable.
+ * @param {{ fixtures?: object }} [options] replies to use instead of AI_FIXTURE_FILE
+ */
+export function createFixtureProvider({ fixtures } = {}) {
+  let replies = fixtures;
+  if (!replies) {
+    const file = process.env.AI_FIXTURE_FILE;
+    if (!file) throw new Error("AI_PROVIDER=fixture needs AI_FIXTURE_FILE");
+    replies = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  }
+  const byPrompt = new Map(Object.entries(replies).map(([prompt, reply]) => [fixtureKey(prompt), reply]));
+  const estimate = (text) => Math.ceil(text.length / 4);
+
+  return {
+    name: "fixture",
+    model: "fixture",
+    async complete({ messages }) {
+      const user = messages.find((message) => message.role === "user")?.content || "";
+      const prompt = user.match(/^Prompt: (.*)$/m)?.[1] ?? user;
+      let reply = byPrompt.get(fixtureKey(prompt)) ?? { actions: [] };
+      if (Array.isArray(reply)) {
+        const turn = messages.filter((message) => message.role === "assistant").length;
+        reply = reply[Math.min(turn, reply.length - 1)];
+      }
+      const text = typeof reply === "string" ? reply : JSON.stringify(reply);
+      const promptTokens = messages.reduce((sum, message) => sum + estimate(message.content), 0);
+      const completionTokens = estimate(text);
+      return { text, usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } };
+    },
+  };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  fixture: () => createFixtureProvider(),
+  none: () => null,
+};
+
+/** @returns {object|null} null for AI_PROVIDER=none */
+export function createProvider(name = process.env.AI_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : "none")) {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown AI_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(", ")})`);
+  return factory();
+}
+
+// Created on first use so importing the AI services needs no provider config
+let provider;
+export function getProvider() {
+  if (provider === undefined) provider = createProvider();
+  return provider;
+}
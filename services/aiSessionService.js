@@ -0,0 +1,225 @@
+// services/aiSessionService.js
+import { pool, withTransaction } from "../db/pool.js";
+import { parsePromptToActions } from "./aiPromptService.js";
+
+/**
+ * Persisted AI modding sessions, one per user and car model.
+ *
+ * Every prompt becomes a step holding the (validated) actions it produced.
+ * position is the number of steps currently applied, so the car's state is
+ * the actions of steps 1..position replayed in order:
+ *   - undo/redo move position back/forward one step
+ *   - revert moves it to any step (0 = stock car)
+ *   - a new prompt is interpreted against the applied steps and replaces any
+ *     undone steps after position, like an editor's undo stack
+ */
+
+const MAX_PROMPT_LENGTH = 1000;
+const MAX_STEPS = 200;
+const MAX_KNOWN_PARTS = 500;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export class AiSessionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AiSessionError";
+    this.status = status;
+  }
+}
+
+/** Keep only the parts of a client's carContext the interpreter uses */
+function sanitizeCarContext(carContext) {
+  const strings = (list, limit) =>
+    Array.isArray(list) ? list.filter((item) => typeof item === "string" && item.length <= 100).slice(0, limit) : undefined;
+  const context = {
+    knownParts: strings(carContext?.knownParts, MAX_KNOWN_PARTS),
+    themes: strings(carContext?.themes, 20),
+  };
+  return Object.fromEntries(Object.entries(context).filter(([, value]) => value !== undefined));
+}
+
+/** What clients get back: the steps and the action stack to replay */
+export function describeSession(session, steps) {
+  const position = session.position;
+  return {
+    sessionId: session.id,
+    carModel: session.car_model,
+    carContext: session.car_context,
+    position,
+    stepCount: steps.length,
+    canUndo: position > 0,
+    canRedo: position < steps.length,
+    steps: steps.map((step) => ({
+      step: step.step,
+      prompt: step.prompt,
+      actions: step.actions,
+      warnings: step.warnings,
+      applied: step.step <= position,
+      createdAt: step.created_at,
+    })),
+    actions: steps.filter((step) => step.step <= position).flatMap((step) => step.actions),
+    createdAt: session.created_at,
+    updatedAt: session.updated_at,
+  };
+}
+
+async function findSession(db, id, userId, { lock = false } = {}) {
+  if (!UUID_PATTERN.test(String(id))) throw new AiSessionError(404, "Session not found");
+  const result = await db.query(
+    `SELECT * FROM ai_sessions WHERE id = $1 AND user_id = $2${lock ? " FOR UPDATE" : ""}`,
+    [id, userId]
+  );
+  if (!result.rows[0]) throw new AiSessionError(404, "Session not found");
+  return result.rows[0];
+}
+
+async function loadSteps(db, sessionId) {
+  const result = await db.query(
+    `SELECT step, prompt, actions, warnings, created_at FROM ai_session_steps WHERE session_id = $1 ORDER BY step`,
+    [sessionId]
+  );
+  return result.rows;
+}
+
+/**
+ * Open the user's session for a car, creating it on first use.
+ * @param {object} params
+ * @param {{ id: number }} params.user
+ * @param {string} params.carModel
+ * @param {object} [params.carContext] { knownParts?, themes? }; replaces the stored one when given
+ */
+export async function openSession({ user, carModel, carContext }) {
+  const car = typeof carModel === "string" ? carModel.trim() : "";
+  if (!car) throw new AiSessionError(400, "carModel is required");
+  if (car.length > 255) throw new AiSessionError(400, "carModel can be at most 255 characters");
+
+  const result = await pool.query(
+    `INSERT INTO ai_sessions (user_id, car_model, car_context)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, LOWER(car_model)) DO UPDATE
+       SET car_context = CASE WHEN $4 THEN EXCLUDED.car_context ELSE ai_sessions.car_context END,
+           updated_at = NOW()
+     RETURNING *, (xmax = 0) AS created`,
+    [user.id, car, sanitizeCarContext(carContext), carContext !== undefined]
+  );
+  const { created, ...session } = result.rows[0];
+  return { created, session: describeSession(session, await loadSteps(pool, session.id)) };
+}
+
+export async function listSessions(userId) {
+  const result = await pool.query(
+    `SELECT s.id, s.car_model, s.position, s.created_at, s.updated_at,
+            (SELECT COUNT(*)::INT FROM ai_session_steps st WHERE st.session_id = s.id) AS step_count
+     FROM ai_sessions s
+     WHERE s.user_id = $1
+     ORDER BY s.updated_at DESC`,
+    [userId]
+  );
+  return result.rows.map((row) => ({
+    sessionId: row.id,
+    carModel: row.car_model,
+    position: row.position,
+    stepCount: row.step_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  }));
+}
+
+export async function getSession(id, userId) {
+  const session = await findSession(pool, id, userId);
+  return describeSession(session, await loadSteps(pool, session.id));
+}
+
+export async function deleteSession(id, userId) {
+  await findSession(pool, id, userId);
+  await pool.query("DELETE FROM ai_sessions WHERE id = $1", [id]);
+}
+
+/**
+ * Interpret a prompt against the applied steps and append it as the next step.
+ * The model call happens outside the transaction; if the session moved in the
+ * meantime (another tab undid or prompted) the prompt is rejected with 409.
+ * A prompt that produced no actions and needs clarifying isn't stored (step is null).
+ * @returns {Promise<{ step: object|null, clarification: string|null, session: object }>}
+ */
+export async function addPrompt({ id, userId, prompt, carContext }) {
+  const text = typeof prompt === "string" ? prompt.trim() : "";
+  if (!text) throw new AiSessionError(400, "Prompt is required.");
+  if (text.length > MAX_PROMPT_LENGTH) throw new AiSessionError(400, `Prompts can be at most ${MAX_PROMPT_LENGTH} characters`);
+
+  const session = await findSession(pool, id, userId);
+  if (session.position >= MAX_STEPS) {
+    throw new AiSessionError(409, `Sessions can have at most ${MAX_STEPS} steps. Revert to an earlier step or start over.`);
+  }
+  const context = carContext !== undefined ? sanitizeCarContext(carContext) : session.car_context;
+  const history = (await loadSteps(pool, session.id)).filter((step) => step.step <= session.position);
+
+  const { actions, warnings, clarification } = await parsePromptToActions(text, context, { history, userId, sessionId: session.id });
+  if (!actions.length && clarification) {
+    return { step: null, clarification, session: describeSession(session, await loadSteps(pool, session.id)) };
+  }
+
+  return withTransaction(async (client) => {
+    const current = await findSession(client, id, userId, { lock: true });
+    if (current.position !== session.position || new Date(current.updated_at) > new Date(session.updated_at)) {
+      throw new AiSessionError(409, "The session changed while your prompt was being interpreted. Try again.");
+    }
+    const step = current.position + 1;
+    // A new prompt after undo discards the undone steps
+    await client.query("DELETE FROM ai_session_steps WHERE session_id = $1 AND step >= $2", [id, step]);
+    await client.query(
+      `INSERT INTO ai_session_steps (session_id, step, prompt, actions, warnings) VALUES ($1, $2, $3, $4, $5)`,
+      [id, step, text, JSON.stringify(actions), JSON.stringify(warnings)]
+    );
+    const updated = await client.query(
+      `UPDATE ai_sessions SET position = $2, car_context = $3, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [id, step, context]
+    );
+    return {
+      step: { step, prompt: text, actions, warnings },
+      clarification,
+      session: describeSession(updated.rows[0], await loadSteps(client, id)),
+    };
+  });
+}
+
+async function moveTo(id, userId, target) {
+  return withTransaction(async (client) => {
+    const session = await findSession(client, id, userId, { lock: true });
+    const steps = await loadSteps(client, id);
+    const position = target(session.position, steps.length);
+    const updated = await client.query(
+      `UPDATE ai_sessions SET position = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [id, position]
+    );
+    return describeSession(updated.rows[0], steps);
+  });
+}
+
+export function undo(id, userId) {
+  return moveTo(id, userId, (position) => {
+    if (position === 0) throw new AiSessionError(409, "Nothing to undo");
+    return position - 1;
+  });
+}
+
+export function redo(id, userId) {
+  return moveTo(id, userId, (position, stepCount) => {
+    if (position >= stepCount) throw new AiSessionError(409, "Nothing to redo");
+    return position + 1;
+  });
+}
+
+/**
+ * Apply steps 1..step only; later steps stay available to redo until the next prompt.
+ * @param {number} step 0 reverts to the stock car
+ */
+export function revertTo(id, userId, step) {
+  const target = Number(step);
+  return moveTo(id, userId, (position, stepCount) => {
+    if (!Number.isInteger(target) || target < 0 || target > stepCount) {
+      throw new AiSessionError(400, `step must be between 0 and ${stepCount}`);
+    }
+    return target;
+  });
+}
@@ -0,0 +1,83 @@
+// services/auditService.js
+import { pool } from "../db/pool.js";
+
+/**
+ * Append-only audit log of privileged actions.
+ * Rows can only be inserted (a trigger rejects UPDATE/DELETE), so write them in
+ * the same transaction as the change they describe by passing the client.
+ *
+ * Actions are "<thing>.<verb>" strings, e.g. role.grant, competition.update,
+ * closeout.override, submission.select_winner.
+ */
+
+export class AuditQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuditQueryError";
+  }
+}
+
+/**
+ * @param {object} entry
+ * @param {number|null} entry.actorId user who did it (null for the scheduler)
+ * @param {string} entry.action
+ * @param {string} entry.targetType
+ * @param {string|number} [entry.targetId]
+ * @param {object} [entry.before] state before the change
+ * @param {object} [entry.after] state after the change
+ * @param {object} [entry.metadata] anything else worth keeping (reason, notes, ...)
+ * @param {string} [entry.ip]
+ */
+export async function recordAudit({ actorId = null, action, targetType, targetId = null, before = null, after = null, metadata = {}, ip = null }, db = pool) {
+  const result = await db.query(
+    `INSERT INTO audit_log (actor_id, action, target_type, target_id, before, after, metadata, ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [actorId, action, targetType, targetId === null ? null : String(targetId), before, after, metadata, ip]
+  );
+  return result.rows[0];
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new AuditQueryError(`${name} must be a valid date`);
+  return date;
+}
+
+/**
+ * Query the log, newest first. `beforeId` pages backwards through older rows.
+ * @returns {Promise<{ entries: object[], nextBeforeId: number|null }>}
+ */
+export async function queryAuditLog({ actorId, action, targetType, targetId, from, to, beforeId, limit = 50 } = {}, db = pool) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const result = await db.query(
+    `SELECT a.*, u.username AS actor_username
+     FROM audit_log a
+     LEFT JOIN users u ON u.id = a.actor_id
+     WHERE ($1::INT IS NULL OR a.actor_id = $1)
+       AND ($2::TEXT IS NULL OR a.action = $2 OR a.action LIKE $2 || '.%')
+       AND ($3::TEXT IS NULL OR a.target_type = $3)
+       AND ($4::TEXT IS NULL OR a.target_id = $4)
+       AND ($5::TIMESTAMPTZ IS NULL OR a.created_at >= $5)
+       AND ($6::TIMESTAMPTZ IS NULL OR a.created_at < $6)
+       AND ($7::BIGINT IS NULL OR a.id < $7)
+     ORDER BY a.id DESC
+     LIMIT $8`,
+    [
+      parseInt(actorId) || null,
+      action || null,
+      targetType || null,
+      targetId === undefined ? null : String(targetId),
+      parseDate(from, "from"),
+      parseDate(to, "to"),
+      parseInt(beforeId) || null,
+      pageSize,
+    ]
+  );
+  const entries = result.rows;
+  return {
+    entries,
+    nextBeforeId: entries.length === pageSize ? Number(entries[entries.length - 1].id) : null,
+  };
+}
@@ -0,0 +1,256 @@
+// services/closeoutService.js
+import { pool, withTransaction } from "../db/pool.js";
+import { getCompetition, getCompetitionWeek, getWeekWindow, listCompetitions } from "./competitionService.js";
+import { computeWeekRanking } from "./rankingService.js";
+import { cancelWinnerEmails, enqueueWinnerEmail } from "./emailService.js";
+import { recordAudit } from "./auditService.js";
+
+/**
+ * Week close-outs.
+ * When a competition week ends we freeze its submissions (no more votes),
+ * rank them with the competition's strategy, mark the winners and queue their
+ * emails in the outbox (in the same transaction, so a rolled-back close-out
+ * never emails anyone).
+ *
+ * Close-outs are idempotent: a week with a recorded close-out is skipped unless
+ * an admin explicitly re-runs or overrides it. Every run is kept in
+ * week_closeouts as history. Winners a re-run or override demotes lose their
+ * winner email if it's still waiting in the outbox.
+ */
+
+export class CloseoutError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "CloseoutError";
+    this.status = status;
+  }
+}
+
+function assertWeekEnded(competition, weekNumber, now = new Date()) {
+  if (!Number.isInteger(weekNumber) || weekNumber < 1 || weekNumber > competition.rounds) {
+    throw new CloseoutError(400, `Week must be between 1 and ${competition.rounds}`);
+  }
+  const { endsAt } = getWeekWindow(competition, weekNumber);
+  if (endsAt > now) {
+    throw new CloseoutError(409, `Week ${weekNumber} of ${competition.name} doesn't end until ${endsAt.toISOString()}`);
+  }
+}
+
+export async function getLatestCloseout(competitionId, weekNumber, db = pool) {
+  const result = await db.query(
+    `SELECT * FROM week_closeouts
+     WHERE competition_id = $1 AND week_number = $2
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [competitionId, weekNumber]
+  );
+  return result.rows[0] || null;
+}
+
+export async function listCloseouts({ competitionId, limit = 50 } = {}, db = pool) {
+  const result = await db.query(
+    `SELECT wc.*, c.name AS competition_name
+     FROM week_closeouts wc
+     JOIN competitions c ON c.id = wc.competition_id
+     WHERE ($1::INT IS NULL OR wc.competition_id = $1)
+     ORDER BY wc.created_at DESC, wc.id DESC
+     LIMIT $2`,
+    [competitionId || null, limit]
+  );
+  return result.rows;
+}
+
+/** What a close-out would do right now, without writing anything */
+export async function previewCloseout(competition, weekNumber) {
+  const ranking = await computeWeekRanking(competition, weekNumber, { limit: 0 });
+  const current = await pool.query(
+    "SELECT id FROM submissions WHERE competition_id = $1 AND week_number = $2 AND is_winner ORDER BY id",
+    [competition.id, weekNumber]
+  );
+  const { endsAt } = getWeekWindow(competition, weekNumber);
+
+  return {
+    competitionId: competition.id,
+    weekNumber,
+    weekEndsAt: endsAt,
+    weekEnded: endsAt <= new Date(),
+    lastCloseout: await getLatestCloseout(competition.id, weekNumber),
+    currentWinnerIds: current.rows.map((r) => r.id),
+    proposedWinnerIds: ranking.ranked.slice(0, competition.winners_per_week).map((r) => r.id),
+    ranking,
+  };
+}
+
+/**
+ * Close out one competition week.
+ * @param {object} params
+ * @param {object} params.competition competition row
+ * @param {number} params.weekNumber
+ * @param {"scheduled"|"manual"|"rerun"|"override"} params.runType
+ * @param {number} [params.triggeredBy] admin user id (null for the scheduler)
+ * @param {number[]} [params.winnerIds] explicit winners (override only)
+ * @param {string} [params.notes]
+ * @param {string} [params.ip] admin's address, for the audit log
+ * @returns {Promise<{ skipped: boolean, closeout: object, newWinners: object[] }>}
+ */
+export async function closeOutWeek({ competition, weekNumber, runType, triggeredBy = null, winnerIds, notes = null, ip = null }) {
+  assertWeekEnded(competition, weekNumber);
+  const force = runType === "rerun" || runType === "override";
+
+  const outcome = await withTransaction(async (client) => {
+    // One close-out per competition week at a time, across every server instance
+    await client.query("SELECT pg_advisory_xact_lock($1, $2)", [competition.id, weekNumber]);
+
+    const existing = await getLatestCloseout(competition.id, weekNumber, client);
+    if (existing && !force) return { skipped: true, closeout: existing, newWinners: [] };
+
+    // Freeze the week: voting on these entries stops now
+    await client.query(
+      `UPDATE submissions SET frozen_at = COALESCE(frozen_at, NOW())
+       WHERE competition_id = $1 AND week_number = $2`,
+      [competition.id, weekNumber]
+    );
+
+    const ranking = await computeWeekRanking(competition, weekNumber, { limit: 0 }, client);
+
+    let winners;
+    if (runType === "override") {
+      const isId = (id) => Number.isInteger(id) && id >= 1 && id <= 2147483647;
+      if (!Array.isArray(winnerIds) || winnerIds.length === 0 || !winnerIds.every(isId)) {
+        throw new CloseoutError(400, "winnerIds must be a non-empty array of submission ids");
+      }
+      const valid = await client.query(
+        `SELECT id FROM submissions
+         WHERE id = ANY($1::INT[]) AND competition_id = $2 AND week_number = $3 AND moderation_status = 'visible'`,
+        [winnerIds, competition.id, weekNumber]
+      );
+      if (valid.rows.length !== new Set(winnerIds).size) {
+        throw new CloseoutError(400, `Every winner must be a visible submission from week ${weekNumber} of ${competition.name}`);
+      }
+      winners = [...new Set(winnerIds)];
+    } else {
+      winners = ranking.ranked.slice(0, competition.winners_per_week).map((r) => r.id);
+    }
+
+    const previous = await client.query(
+      "SELECT id FROM submissions WHERE competition_id = $1 AND week_number = $2 AND is_winner ORDER BY id",
+      [competition.id, weekNumber]
+    );
+    const previousWinnerIds = previous.rows.map((r) => r.id);
+
+    // Demote winners that are no longer winners after a re-run/override; their "you won" email mustn't go out
+    const demoted = await client.query(
+      `UPDATE submissions SET is_winner = false, status = 'QUALIFIED'
+       WHERE competition_id = $1 AND week_number = $2 AND is_winner AND NOT (id = ANY($3::INT[]))
+       RETURNING id`,
+      [competition.id, weekNumber, winners]
+    );
+    await cancelWinnerEmails(demoted.rows.map((r) => r.id), client);
+    const promoted = await client.query(
+      `UPDATE submissions SET is_winner = true, status = 'winner'
+       WHERE id = ANY($1::INT[]) AND NOT is_winner
+       RETURNING *`,
+      [winners]
+    );
+    for (const winner of promoted.rows) {
+      await enqueueWinnerEmail(winner, client);
+    }
+
+    const closeout = await client.query(
+      `INSERT INTO week_closeouts
+       (competition_id, week_number, run_type, ranking_strategy, ranking, winner_ids, previous_winner_ids, triggered_by, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        competition.id,
+        weekNumber,
+        runType,
+        ranking.strategy,
+        {
+          options: ranking.options,
+          weekVoters: ranking.weekVoters,
+          minimumVotes: ranking.minimumVotes,
+          entries: ranking.ranked.map((r) => ({
+            id: r.id,
+            score: r.score,
+            confidenceInterval: r.confidence_interval,
+            thumbsUp: r.thumbs_up,
+            totalVotes: r.total_votes,
+          })),
+        },
+        winners,
+        previousWinnerIds,
+        triggeredBy,
+        notes,
+      ]
+    );
+
+    await recordAudit(
+      {
+        actorId: triggeredBy,
+        action: `closeout.${runType}`,
+        targetType: "competition_week",
+        targetId: `${competition.id}:${weekNumber}`,
+        before: { winnerIds: previousWinnerIds },
+        after: { winnerIds: winners },
+        metadata: { closeoutId: closeout.rows[0].id, rankingStrategy: ranking.strategy, notes },
+        ip,
+      },
+      client
+    );
+
+    return { skipped: false, closeout: closeout.rows[0], newWinners: promoted.rows };
+  });
+
+  if (!outcome.skipped) {
+    console.log(`🏁 Closed out ${competition.slug} week ${weekNumber} (${runType}):`, outcome.closeout.winner_ids);
+  }
+  return outcome;
+}
+
+/**
+ * Scheduler entry point: close every ended week that has no close-out yet.
+ * @returns {Promise<number>} number of weeks closed
+ */
+export async function runDueCloseouts(now = new Date()) {
+  let closed = 0;
+
+  for (const competition of await listCompetitions()) {
+    const currentWeek = getCompetitionWeek(competition, now);
+    const lastEndedWeek = Math.min(currentWeek - 1, competition.rounds);
+    if (lastEndedWeek < 1) continue;
+
+    const done = await pool.query(
+      "SELECT DISTINCT week_number FROM week_closeouts WHERE competition_id = $1",
+      [competition.id]
+    );
+    const closedWeeks = new Set(done.rows.map((r) => r.week_number));
+
+    for (let week = 1; week <= lastEndedWeek; week++) {
+      if (closedWeeks.has(week)) continue;
+      try {
+        const { skipped } = await closeOutWeek({ competition, weekNumber: week, runType: "scheduled" });
+        if (!skipped) closed++;
+      } catch (err) {
+        console.error(`❌ Close-out failed for ${competition.slug} week ${week}:`, err);
+      }
+    }
+  }
+  return closed;
+}
+
+/** Parse a week number from a URL: a whole number from 1 to the competition's rounds, or a 400 CloseoutError */
+export function requireWeek(competition, value) {
+  const weekNumber = /^\d{1,9}$/.test(String(value)) ? Number(value) : NaN;
+  if (!Number.isInteger(weekNumber) || weekNumber < 1 || weekNumber > competition.rounds) {
+    throw new CloseoutError(400, `Week must be between 1 and ${competition.rounds}`);
+  }
+  return weekNumber;
+}
+
+/** Load a competition or throw a 404 CloseoutError */
+export async function requireCompetition(id) {
+  const competition = await getCompetition(parseInt(id, 10) || 0);
+  if (!competition) throw new CloseoutError(404, "Competition not found");
+  return competition;
+}
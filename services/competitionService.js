@@ -0,0 +1,257 @@
+// services/competitionService.js
+import { pool } from "../db/pool.js";
+import { RankingValidationError, validateRankingConfig } from "./rankingService.js";
+
+/**
+ * Competitions (seasons / themed events).
+ * Each competition has its own start date, week length, number of rounds,
+ * vote requirement and optional list of allowed part types.
+ *
+ * Week numbers keep the old getCurrentWeek() convention:
+ *   0            = not started yet
+ *   1..rounds    = running
+ *   rounds + 1   = ended
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export class CompetitionValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CompetitionValidationError";
+  }
+}
+
+/** Calculate which week of the competition `now` falls in */
+export function getCompetitionWeek(competition, now = new Date()) {
+  const start = new Date(competition.start_date);
+  const diff = now - start;
+  if (diff < 0) return 0; // Competition hasn't started
+
+  const weekNumber = Math.floor(diff / (competition.week_length_days * DAY_MS)) + 1;
+  if (weekNumber > competition.rounds) return competition.rounds + 1; // Competition ended
+
+  return weekNumber;
+}
+
+export function getCompetitionStatus(competition, now = new Date()) {
+  const week = getCompetitionWeek(competition, now);
+  if (week === 0) return "Not Started";
+  if (week > competition.rounds) return "Ended";
+  return "Active";
+}
+
+/** Start/end timestamps of a given week */
+export function getWeekWindow(competition, weekNumber) {
+  const start = new Date(competition.start_date).getTime();
+  const length = competition.week_length_days * DAY_MS;
+  return {
+    startsAt: new Date(start + (weekNumber - 1) * length),
+    endsAt: new Date(start + weekNumber * length),
+  };
+}
+
+export function isPartTypeAllowed(competition, partType) {
+  const allowed = competition.allowed_part_types;
+  if (!allowed || allowed.length === 0) return true;
+  return allowed.map((t) => t.toLowerCase()).includes(String(partType).toLowerCase());
+}
+
+/** Shape a competition row for API responses */
+export function describeCompetition(competition, now = new Date()) {
+  const currentWeek = getCompetitionWeek(competition, now);
+  return {
+    id: competition.id,
+    slug: competition.slug,
+    name: competition.name,
+    description: competition.description,
+    startDate: competition.start_date,
+    weekLengthDays: competition.week_length_days,
+    rounds: competition.rounds,
+    votesRequired: competition.votes_required,
+    allowedPartTypes: competition.allowed_part_types,
+    rankingStrategy: competition.ranking_strategy,
+    rankingOptions: competition.ranking_options,
+    isActive: competition.is_active,
+    currentWeek,
+    status: getCompetitionStatus(competition, now),
+  };
+}
+
+export async function getCompetition(id, db = pool) {
+  const result = await db.query("SELECT * FROM competitions WHERE id = $1", [id]);
+  return result.rows[0] || null;
+}
+
+export async function listCompetitions({ includeInactive = false } = {}, db = pool) {
+  const result = await db.query(
+    `SELECT * FROM competitions
+     WHERE ($1 OR is_active)
+     ORDER BY start_date DESC, id DESC`,
+    [includeInactive]
+  );
+  return result.rows;
+}
+
+/** Active competitions whose current week is within their rounds */
+export async function getRunningCompetitions(now = new Date(), db = pool) {
+  const competitions = await listCompetitions({}, db);
+  return competitions.filter((c) => getCompetitionStatus(c, now) === "Active");
+}
+
+/**
+ * Pick the competition a request is about.
+ * - explicit competitionId wins
+ * - otherwise a running competition (themed ones that list the part type
+ *   are preferred over catch-all seasons)
+ * - otherwise the most recently started active competition (for stats/winners
+ *   after a season has ended)
+ */
+export async function resolveCompetition({ competitionId, partType, now = new Date() } = {}, db = pool) {
+  if (competitionId !== undefined && competitionId !== null && competitionId !== "") {
+    const id = parseInt(competitionId, 10);
+    if (!Number.isInteger(id)) throw new CompetitionValidationError("competitionId must be a number");
+    return getCompetition(id, db);
+  }
+
+  const competitions = await listCompetitions({}, db);
+  let running = competitions.filter((c) => getCompetitionStatus(c, now) === "Active");
+
+  if (partType) {
+    running = running.filter((c) => isPartTypeAllowed(c, partType));
+    const themed = running.filter((c) => c.allowed_part_types && c.allowed_part_types.length);
+    if (themed.length) return themed[0];
+  }
+  if (running.length) return running[0];
+
+  return competitions.find((c) => getCompetitionStatus(c, now) !== "Not Started") || competitions[0] || null;
+}
+
+const FIELDS = {
+  slug: "slug",
+  name: "name",
+  description: "description",
+  startDate: "start_date",
+  weekLengthDays: "week_length_days",
+  rounds: "rounds",
+  votesRequired: "votes_required",
+  allowedPartTypes: "allowed_part_types",
+  rankingStrategy: "ranking_strategy",
+  rankingOptions: "ranking_options",
+  isActive: "is_active",
+};
+
+/** Validate an admin create/update body and map it to column values */
+function toColumns(body, { partial }) {
+  const values = {};
+
+  for (const [key, column] of Object.entries(FIELDS)) {
+    if (body[key] === undefined) continue;
+    const value = body[key];
+
+    switch (key) {
+      case "slug":
+        if (typeof value !== "string" || !/^[a-z0-9][a-z0-9-]{1,98}$/.test(value)) {
+          throw new CompetitionValidationError("slug must be lowercase letters, numbers and dashes");
+        }
+        break;
+      case "name":
+        if (typeof value !== "string" || !value.trim()) throw new CompetitionValidationError("name is required");
+        break;
+      case "description":
+        if (typeof value !== "string") throw new CompetitionValidationError("description must be a string");
+        break;
+      case "startDate":
+        if (Number.isNaN(new Date(value).getTime())) throw new CompetitionValidationError("startDate must be a valid date");
+        break;
+      case "weekLengthDays":
+      case "rounds":
+        if (!Number.isInteger(value) || value < 1) throw new CompetitionValidationError(`${key} must be a positive integer`);
+        break;
+      case "votesRequired":
+        if (!Number.isInteger(value) || value < 0) throw new CompetitionValidationError("votesRequired must be a non-negative integer");
+        break;
+      case "allowedPartTypes":
+        if (value !== null && (!Array.isArray(value) || value.some((t) => typeof t !== "string" || !t.trim()))) {
+          throw new CompetitionValidationError("allowedPartTypes must be null or an array of part type names");
+        }
+        break;
+      case "rankingStrategy":
+      case "rankingOptions":
+        try {
+          if (key === "rankingStrategy") validateRankingConfig(value);
+          else validateRankingConfig(undefined, value);
+        } catch (err) {
+          if (err instanceof RankingValidationError) throw new CompetitionValidationError(err.message);
+          throw err;
+        }
+        break;
+      case "isActive":
+        if (typeof value !== "boolean") throw new CompetitionValidationError("isActive must be true or false");
+        break;
+    }
+
+    values[column] = key === "allowedPartTypes" && value ? value.map((t) => t.trim()) : value;
+  }
+
+  if (!partial) {
+    for (const required of ["slug", "name", "startDate"]) {
+      if (body[required] === undefined) throw new CompetitionValidationError(`${required} is required`);
+    }
+  }
+  if (partial && Object.keys(values).length === 0) {
+    throw new CompetitionValidationError("Nothing to update");
+  }
+  return values;
+}
+
+export async function createCompetition(body, db = pool) {
+  const values = toColumns(body, { partial: false });
+  const columns = Object.keys(values);
+  const result = await db.query(
+    `INSERT INTO competitions (${columns.join(", ")})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})
+     RETURNING *`,
+    Object.values(values)
+  );
+  return result.rows[0];
+}
+
+export async function updateCompetition(id, body, db = pool) {
+  const values = toColumns(body, { partial: true });
+  const columns = Object.keys(values);
+  const result = await db.query(
+    `UPDATE competitions
+     SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(", ")}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...Object.values(values)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a competition. Competitions that are referenced anywhere (submissions,
+ * week close-outs - written for every ended week, even empty ones - or voting
+ * sessions) are deactivated instead so their history (and winners) stay intact.
+ */
+export async function deleteCompetition(id, db = pool) {
+  // Inside a transaction this holds off close-outs/sessions that would reference it meanwhile
+  await db.query("SELECT id FROM competitions WHERE id = $1 FOR UPDATE", [id]);
+  const used = await db.query(
+    `SELECT EXISTS (SELECT 1 FROM submissions WHERE competition_id = $1)
+         OR EXISTS (SELECT 1 FROM week_closeouts WHERE competition_id = $1)
+         OR EXISTS (SELECT 1 FROM voting_sessions WHERE competition_id = $1) AS in_use`,
+    [id]
+  );
+  if (used.rows[0].in_use) {
+    const result = await db.query(
+      "UPDATE competitions SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING *",
+      [id]
+    );
+    return result.rows[0] ? { competition: result.rows[0], deleted: false } : null;
+  }
+
+  const result = await db.query("DELETE FROM competitions WHERE id = $1 RETURNING *", [id]);
+  return result.rows[0] ? { competition: result.rows[0], deleted: true } : null;
+}
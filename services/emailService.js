@@ -0,0 +1,331 @@
+// services/emailService.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { pool } from "../db/pool.js";
+import { DEFAULT_FROM, getTransport } from "./emailTransports.js";
+
+/**
+ * Transactional email.
+ *
+ * Templates live in templates/email/<name>/ as subject.txt, body.html and
+ * body.txt. Placeholders:
+ *   {{name}}     HTML-escaped in body.html, as-is in subject/body.txt
+ *   {{{name}}}   never escaped (only for trusted markup)
+ *   {{a.b}}      dotted paths into nested variables
+ *
+ * Emails are rendered when they are enqueued and stored in email_outbox; the
+ * "email-outbox" scheduler job delivers them through the configured transport
+ * and retries failures with exponential backoff.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATE_DIR = path.join(__dirname, "..", "templates", "email");
+
+const FROM = process.env.EMAIL_FROM || DEFAULT_FROM;
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/+$/, "");
+const BATCH_SIZE = 20;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// A row stuck in 'sending' this long belongs to a worker that died mid-send
+const STALE_LOCK_MINUTES = 10;
+
+export class EmailTemplateError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "EmailTemplateError";
+    this.status = status;
+  }
+}
+
+/** Absolute link into the frontend for use in emails */
+export function appUrl(pathname, query) {
+  const qs = query ? `?${new URLSearchParams(query)}` : "";
+  return `${FRONTEND_URL}${pathname}${qs}`;
+}
+
+/** Example data for the admin preview endpoint */
+export const SAMPLE_VARIABLES = {
+  "submission-received": {
+    userName: "Alex Driver",
+    votesRequired: 25,
+    competitionName: "Season 1",
+    anonymousId: "Creator #4821",
+    partName: "Carbon Ducktail",
+    partType: "spoiler",
+    carModel: "BMW M3 E46",
+    weekNumber: 3,
+    voteUrl: "http://localhost:3000/vote",
+  },
+  winner: {
+    userName: "Alex Driver",
+    weekNumber: 3,
+    partName: "Carbon Ducktail",
+    partType: "spoiler",
+    carModel: "BMW M3 E46",
+  },
+  "verify-email": {
+    userName: "Alex Driver",
+    verifyUrl: "http://localhost:3000/verify-email?token=sample",
+    expiresInHours: 48,
+  },
+  "submission-disqualified": {
+    userName: "Alex Driver",
+    competitionName: "Season 1",
+    reason: "This model is a copy of a paid asset from an online store.",
+    partName: "Carbon Ducktail",
+    partType: "spoiler",
+    carModel: "BMW M3 E46",
+    weekNumber: 3,
+  },
+  "password-reset": {
+    userName: "Alex Driver",
+    resetUrl: "http://localhost:3000/reset-password?token=sample",
+    expiresInMinutes: 30,
+  },
+};
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
+
+function lookup(variables, key) {
+  return key.split(".").reduce((obj, part) => (obj == null ? undefined : obj[part]), variables);
+}
+
+/**
+ * Replace placeholders in one template string.
+ * @returns {{ output: string, missing: string[] }}
+ */
+function interpolate(source, variables, { html }) {
+  const missing = [];
+  const output = source.replace(/\{\{(\{?)\s*([\w.]+)\s*\}?\}\}/g, (match, raw, key) => {
+    const value = lookup(variables, key);
+    if (value === undefined || value === null) {
+      missing.push(key);
+      return "";
+    }
+    return html && !raw ? escapeHtml(value) : String(value);
+  });
+  return { output, missing };
+}
+
+const templateCache = new Map();
+
+function readTemplateFile(name, file) {
+  const fullPath = path.join(TEMPLATE_DIR, name, file);
+  return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf8") : null;
+}
+
+export function listTemplates() {
+  if (!fs.existsSync(TEMPLATE_DIR)) return [];
+  return fs
+    .readdirSync(TEMPLATE_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+function loadTemplate(name) {
+  if (typeof name !== "string" || !/^[a-z0-9-]+$/.test(name)) {
+    throw new EmailTemplateError(400, "Invalid template name");
+  }
+  // Re-read on every render outside production so template edits show up immediately
+  if (process.env.NODE_ENV === "production" && templateCache.has(name)) return templateCache.get(name);
+
+  const subject = readTemplateFile(name, "subject.txt");
+  const html = readTemplateFile(name, "body.html");
+  const text = readTemplateFile(name, "body.txt");
+  if (subject === null || html === null) throw new EmailTemplateError(404, `Email template "${name}" not found`);
+
+  // Plain-text alternative: body.txt, or the HTML with the tags stripped
+  const template = { subject: subject.trim(), html, text: text ?? htmlToText(html) };
+  templateCache.set(name, template);
+  return template;
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(br|\/p|\/div|\/h\d|\/li)\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*\n\s*\n+/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Render a template.
+ * @param {string} name template directory name
+ * @param {object} variables
+ * @returns {{ subject: string, html: string, text: string, missing: string[] }}
+ */
+export function renderTemplate(name, variables = {}) {
+  const template = loadTemplate(name);
+  const subject = interpolate(template.subject, variables, { html: false });
+  const html = interpolate(template.html, variables, { html: true });
+  const text = interpolate(template.text, variables, { html: false });
+
+  return {
+    subject: subject.output,
+    html: html.output,
+    text: text.output,
+    missing: [...new Set([...subject.missing, ...html.missing, ...text.missing])],
+  };
+}
+
+/**
+ * Render an email and put it in the outbox.
+ * Pass a transaction client as `db` to send the email only if the surrounding
+ * change commits. A dedupeKey makes enqueueing idempotent.
+ * Sensitive emails (ones carrying a login/reset link) don't keep their
+ * variables, and their body is scrubbed from the outbox once delivered.
+ * @returns {Promise<object|null>} the outbox row, or null if the dedupeKey was already used
+ */
+export async function enqueueEmail({ template, to, variables = {}, dedupeKey = null, sensitive = false }, db = pool) {
+  if (!to) throw new EmailTemplateError(400, "Recipient address is required");
+  const rendered = renderTemplate(template, variables);
+  if (rendered.missing.length) {
+    console.warn(`⚠️ Email "${template}" to ${to} is missing variables:`, rendered.missing);
+  }
+
+  const result = await db.query(
+    `INSERT INTO email_outbox (template, to_address, variables, subject, html, text, dedupe_key, sensitive)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING *`,
+    [template, to, sensitive ? {} : variables, rendered.subject, rendered.html, rendered.text, dedupeKey, sensitive]
+  );
+  return result.rows[0] || null;
+}
+
+/** 🏆 Winner notification (admin "select winner" and automated close-outs) */
+export function enqueueWinnerEmail(winner, db = pool) {
+  return enqueueEmail(
+    {
+      template: "winner",
+      to: winner.email,
+      variables: {
+        userName: winner.user_name,
+        weekNumber: winner.week_number,
+        partName: winner.part_name,
+        partType: winner.part_type,
+        carModel: winner.car_model,
+      },
+      dedupeKey: `winner:${winner.id}`,
+    },
+    db
+  );
+}
+
+/**
+ * Drop winner notifications that haven't gone out yet, for entries that lost
+ * the title in a re-run or override. Emails already being sent are left alone.
+ * @param {number[]} submissionIds
+ * @returns {Promise<number>} emails cancelled
+ */
+export async function cancelWinnerEmails(submissionIds, db = pool) {
+  if (!submissionIds.length) return 0;
+  const result = await db.query("DELETE FROM email_outbox WHERE status = 'pending' AND dedupe_key = ANY($1::TEXT[])", [
+    submissionIds.map((id) => `winner:${id}`),
+  ]);
+  return result.rowCount;
+}
+
+function backoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Outbox worker: deliver due emails.
+ * Rows are claimed with SKIP LOCKED so several server instances can run the
+ * worker at once without sending anything twice.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export async function processOutbox({ limit = BATCH_SIZE } = {}) {
+  const claimed = await pool.query(
+    `UPDATE email_outbox SET status = 'sending', locked_at = NOW(), attempts = attempts + 1
+     WHERE id IN (
+       SELECT id FROM email_outbox
+       WHERE (status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'sending' AND locked_at < NOW() - make_interval(mins => $2))
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, STALE_LOCK_MINUTES]
+  );
+
+  let sent = 0;
+  let failed = 0;
+  const transport = getTransport();
+
+  for (const email of claimed.rows) {
+    try {
+      const { messageId } = await transport.send({
+        from: FROM,
+        to: email.to_address,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+      });
+      await pool.query(
+        `UPDATE email_outbox
+         SET status = 'sent', sent_at = NOW(), locked_at = NULL, last_error = NULL,
+             transport = $2, provider_message_id = $3,
+             html = CASE WHEN sensitive THEN '' ELSE html END,
+             text = CASE WHEN sensitive THEN '' ELSE text END
+         WHERE id = $1`,
+        [email.id, transport.name, messageId]
+      );
+      sent++;
+      console.log(`✅ Email "${email.template}" sent to:`, email.to_address);
+    } catch (err) {
+      const giveUp = email.attempts >= email.max_attempts;
+      await pool.query(
+        `UPDATE email_outbox
+         SET status = $2, locked_at = NULL, last_error = $3, transport = $4,
+             next_attempt_at = NOW() + make_interval(secs => $5)
+         WHERE id = $1`,
+        [email.id, giveUp ? "failed" : "pending", String(err.message || err), transport.name, backoffMs(email.attempts) / 1000]
+      );
+      failed++;
+      console.error(
+        `❌ Email "${email.template}" to ${email.to_address} failed (attempt ${email.attempts}/${email.max_attempts}${giveUp ? ", giving up" : ""}):`,
+        err.message || err
+      );
+    }
+  }
+
+  return { sent, failed };
+}
+
+export async function listOutbox({ status, limit = 50 } = {}, db = pool) {
+  const result = await db.query(
+    `SELECT id, template, to_address, subject, status, attempts, max_attempts, next_attempt_at,
+            last_error, transport, provider_message_id, dedupe_key, created_at, sent_at
+     FROM email_outbox
+     WHERE ($1::TEXT IS NULL OR status = $1)
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [status || null, limit]
+  );
+  return result.rows;
+}
+
+/** Put failed emails back in the queue */
+export async function retryEmail(id, db = pool) {
+  const result = await db.query(
+    `UPDATE email_outbox
+     SET status = 'pending', next_attempt_at = NOW(), max_attempts = GREATEST(max_attempts, attempts + 1)
+     WHERE id = $1 AND status = 'failed'
+     RETURNING id, status, attempts, max_attempts`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
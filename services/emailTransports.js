@@ -0,0 +1,98 @@
+// services/emailTransports.js
+import fs from "fs/promises";
+import path from "path";
+import { Resend } from "resend";
+import nodemailer from "nodemailer";
+
+/**
+ * Email transports. Every transport exposes
+ *   send({ from, to, subject, html, text }) => Promise<{ messageId }>
+ * and throws when the message was not accepted, so the outbox can retry it.
+ *
+ * Selected with EMAIL_TRANSPORT:
+ *   resend   Resend API (RESEND_API_KEY)                    - default when a key is set
+ *   smtp     any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ *   file     writes .eml/.html files to EMAIL_FILE_DIR       - development
+ *   console  logs the message                                 - default otherwise
+ */
+
+export const DEFAULT_FROM = "CarMod Showdown <onboarding@resend.dev>";
+
+function createResendTransport() {
+  if (!process.env.RESEND_API_KEY) throw new Error("EMAIL_TRANSPORT=resend needs RESEND_API_KEY");
+  const resend = new Resend(process.env.RESEND_API_KEY);
+  return {
+    name: "resend",
+    async send({ from, to, subject, html, text }) {
+      // Resend reports failures in the response instead of throwing
+      const { data, error } = await resend.emails.send({ from, to, subject, html, text });
+      if (error) throw new Error(`Resend: ${error.message || error.name || "send failed"}`);
+      return { messageId: data?.id || null };
+    },
+  };
+}
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) throw new Error("EMAIL_TRANSPORT=smtp needs SMTP_HOST");
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId || null };
+    },
+  };
+}
+
+function createFileTransport() {
+  const dir = path.resolve(process.env.EMAIL_FILE_DIR || "tmp/emails");
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return {
+    name: "file",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const base = `${new Date().toISOString().replace(/[:.]/g, "-")}-${String(message.to).replace(/[^a-z0-9@.-]/gi, "_")}`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${base}.eml`), info.message);
+      if (message.html) await fs.writeFile(path.join(dir, `${base}.html`), message.html);
+      console.log(`📁 Email to ${message.to} written to ${path.join(dir, base)}.eml`);
+      return { messageId: info.messageId || base };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    async send({ from, to, subject, text }) {
+      console.log(`📧 [console email] From: ${from}\n   To: ${to}\n   Subject: ${subject}\n\n${text}\n`);
+      return { messageId: `console-${Date.now()}` };
+    },
+  };
+}
+
+const TRANSPORTS = {
+  resend: createResendTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+export function createTransport(name = process.env.EMAIL_TRANSPORT || (process.env.RESEND_API_KEY ? "resend" : "console")) {
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected ${Object.keys(TRANSPORTS).join(", ")})`);
+  return factory();
+}
+
+// Created on first use so scripts that never send mail don't need transport config
+let transport;
+export function getTransport() {
+  if (!transport) transport = createTransport();
+  return transport;
+}
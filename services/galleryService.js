@@ -0,0 +1,187 @@
+// services/galleryService.js
+import { pool } from "../db/pool.js";
+import { SUBMISSION_ASSETS_SQL } from "./submissionFileService.js";
+
+/**
+ * Public gallery listing: filters, sorting, full-text search and keyset
+ * (cursor) pagination.
+ *
+ * Cursors are opaque base64url strings holding the last row's sort value and
+ * id, so pages stay stable while new entries and votes come in (no OFFSET).
+ */
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// Must match the expression index in db/migrations/012_gallery_search.up.sql
+const SEARCH_VECTOR = `(
+  setweight(to_tsvector('english', coalesce(s.part_name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(s.car_model, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(s.description, '')), 'C')
+)`;
+
+/**
+ * Sort options. `expr` is the sort key (always DESC, ties broken by id DESC);
+ * `type` is what the cursor value is cast back to.
+ */
+const SORTS = {
+  newest: { expr: "s.created_at", type: "TIMESTAMPTZ" },
+  votes: { expr: "s.total_votes", type: "INT" },
+  approval: { expr: "s.approval_rating", type: "DOUBLE PRECISION" },
+  wilson: { expr: "s.wilson_score", type: "DOUBLE PRECISION" },
+  relevance: { expr: `ts_rank(${SEARCH_VECTOR}, websearch_to_tsquery('english', $q))`, type: "REAL", needsSearch: true },
+};
+
+const STATUSES = { pending: "PENDING", qualified: "QUALIFIED", winner: "winner" };
+
+// Postgres INT range; the filters and ids are INT columns
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+const isInt4 = (n) => Number.isInteger(n) && n >= INT_MIN && n <= INT_MAX;
+
+function isTimestamp(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(?:\.\d{1,6})?(?:Z|[+-]\d{2}(?::?\d{2}){0,2})?$/.exec(value);
+  if (!match) return false;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && hour < 24 && minute < 60 && second < 60;
+}
+
+const isFloat = (value, max) => /^-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i.test(value) && Math.abs(Number(value)) <= max;
+
+// Cursor values as Postgres prints each sort type; anything else would fail the cast back
+const CURSOR_VALUES = {
+  TIMESTAMPTZ: isTimestamp,
+  INT: (value) => /^-?\d{1,10}$/.test(value) && isInt4(Number(value)),
+  "DOUBLE PRECISION": (value) => isFloat(value, Number.MAX_VALUE),
+  REAL: (value) => isFloat(value, 3.4e38),
+};
+
+export class GalleryQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GalleryQueryError";
+  }
+}
+
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ sort, v: row.sort_key, id: row.id })).toString("base64url");
+}
+
+function decodeCursor(cursor, sort, type) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw new GalleryQueryError("Invalid cursor");
+  }
+  if (!parsed || parsed.sort !== sort || !isInt4(parsed.id) || typeof parsed.v !== "string") {
+    throw new GalleryQueryError("Invalid cursor (was it from a different sort?)");
+  }
+  if (!CURSOR_VALUES[type](parsed.v)) throw new GalleryQueryError("Invalid cursor");
+  return parsed;
+}
+
+function parseInteger(value, name) {
+  if (value === undefined || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n)) throw new GalleryQueryError(`${name} must be a whole number`);
+  if (!isInt4(n)) throw new GalleryQueryError(`${name} is out of range`);
+  return n;
+}
+
+function parseBoolean(value, name) {
+  if (value === undefined || value === "") return null;
+  if (value === "true" || value === true) return true;
+  if (value === "false" || value === false) return false;
+  throw new GalleryQueryError(`${name} must be true or false`);
+}
+
+/**
+ * List visible gallery entries.
+ * @param {object} query request query string
+ * @param {string} [query.q] full-text search over part name, car model and description
+ * @param {"newest"|"votes"|"approval"|"wilson"|"relevance"} [query.sort] default newest (relevance when searching)
+ * @param {string} [query.cursor] nextCursor from the previous page
+ * @param {number} [query.limit]
+ * @param {number} [query.week] week number
+ * @param {string} [query.partType]
+ * @param {string} [query.carModel]
+ * @param {string} [query.status] pending | qualified | winner
+ * @param {boolean} [query.isWinner]
+ * @param {number} [query.competitionId]
+ * @param {number} [query.minTriangles]
+ * @param {number} [query.maxTriangles]
+ * @returns {Promise<{ submissions: object[], pageInfo: { sort: string, limit: number, hasMore: boolean, nextCursor: string|null } }>}
+ */
+export async function listGallery(query = {}, db = pool) {
+  const q = typeof query.q === "string" && query.q.trim() ? query.q.trim().slice(0, 200) : null;
+  const sortName = query.sort || (q ? "relevance" : "newest");
+  const sort = Object.hasOwn(SORTS, sortName) ? SORTS[sortName] : null;
+  if (!sort) throw new GalleryQueryError(`sort must be one of ${Object.keys(SORTS).join(", ")}`);
+  if (sort.needsSearch && !q) throw new GalleryQueryError("sort=relevance needs a search query (q)");
+
+  const limit = Math.min(Math.max(parseInteger(query.limit, "limit") ?? DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  let status = null;
+  if (query.status) {
+    const key = String(query.status).toLowerCase();
+    status = Object.hasOwn(STATUSES, key) ? STATUSES[key] : null;
+    if (!status) throw new GalleryQueryError(`status must be one of ${Object.keys(STATUSES).join(", ")}`);
+  }
+
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const where = ["s.moderation_status = 'visible'"];
+  const filters = {
+    week: ["s.week_number = ", parseInteger(query.week ?? query.weekNumber, "week")],
+    competitionId: ["s.competition_id = ", parseInteger(query.competitionId, "competitionId")],
+    partType: ["LOWER(s.part_type) = LOWER(", query.partType || null, ")"],
+    carModel: ["LOWER(s.car_model) = LOWER(", query.carModel || null, ")"],
+    status: ["s.status = ", status],
+    isWinner: ["s.is_winner = ", parseBoolean(query.isWinner ?? query.winner, "isWinner")],
+    minTriangles: ["(s.model_stats->>'triangleCount')::INT >= ", parseInteger(query.minTriangles, "minTriangles")],
+    maxTriangles: ["(s.model_stats->>'triangleCount')::INT <= ", parseInteger(query.maxTriangles, "maxTriangles")],
+  };
+  for (const [prefix, value, suffix = ""] of Object.values(filters)) {
+    if (value !== null) where.push(`${prefix}${param(value)}${suffix}`);
+  }
+
+  let sortExpr = sort.expr;
+  if (q) {
+    const qParam = param(q);
+    where.push(`${SEARCH_VECTOR} @@ websearch_to_tsquery('english', ${qParam})`);
+    sortExpr = sortExpr.replace("$q", qParam);
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sortName, sort.type);
+    where.push(`(${sortExpr}, s.id) < (${param(cursor.v)}::${sort.type}, ${param(cursor.id)})`);
+  }
+
+  const result = await db.query(
+    `SELECT s.id, s.user_name, s.part_name, s.part_type, s.car_model, s.description,
+            s.file_path, s.storage_key, s.file_size, s.model_stats, s.competition_id, s.week_number, s.status,
+            s.is_winner, s.anonymous_id, s.times_shown, s.thumbs_up, s.thumbs_down, s.total_votes,
+            s.approval_rating, s.wilson_score, s.frozen_at, s.created_at, ${SUBMISSION_ASSETS_SQL},
+            (${sortExpr})::TEXT AS sort_key
+     FROM submissions s
+     WHERE ${where.join("\n       AND ")}
+     ORDER BY ${sortExpr} DESC, s.id DESC
+     LIMIT ${param(limit + 1)}`,
+    params
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const nextCursor = hasMore ? encodeCursor(sortName, rows[rows.length - 1]) : null;
+
+  return {
+    submissions: rows.map(({ sort_key, ...row }) => row),
+    pageInfo: { sort: sortName, limit, hasMore, nextCursor },
+  };
+}
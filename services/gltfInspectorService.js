@@ -0,0 +1,560 @@
+// services/gltfInspectorService.js
+import * as THREE from "three";
+
+/**
+ * Server-side glTF 2.0 inspector.
+ * Parses a .glb (binary container) or .gltf (JSON) upload, checks that every
+ * index and byte range inside it is valid, and returns model stats we can
+ * store on the submission row.
+ *
+ * Throws GltfValidationError with a precise message when the file is malformed.
+ */
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a; // "JSON"
+const CHUNK_BIN = 0x004e4942; // "BIN\0"
+
+const COMPONENT_SIZES = {
+  5120: 1, // BYTE
+  5121: 1, // UNSIGNED_BYTE
+  5122: 2, // SHORT
+  5123: 2, // UNSIGNED_SHORT
+  5125: 4, // UNSIGNED_INT
+  5126: 4, // FLOAT
+};
+
+const TYPE_SIZES = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16,
+};
+
+export class GltfValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GltfValidationError";
+  }
+}
+
+function fail(message) {
+  throw new GltfValidationError(message);
+}
+
+/** Best-effort guess of what a non-glTF file actually is (for nicer errors) */
+function sniffFileType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "JPEG image";
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return "PNG image";
+  if (buffer.length >= 4 && buffer.toString("latin1", 0, 4) === "PK\u0003\u0004") return "ZIP archive";
+  if (buffer.length >= 5 && buffer.toString("latin1", 0, 5) === "%PDF-") return "PDF document";
+  if (buffer.length >= 12 && buffer.toString("latin1", 4, 8) === "ftyp") return "MP4/MOV video";
+  return null;
+}
+
+/** Read width/height from PNG or JPEG bytes without decoding them */
+export function readImageSize(bytes) {
+  if (bytes.length >= 24 && bytes.readUInt32BE(0) === 0x89504e47) {
+    return { mimeType: "image/png", width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+  }
+
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) return { mimeType: "image/jpeg", width: null, height: null };
+      const marker = bytes[offset + 1];
+      const segmentLength = bytes.readUInt16BE(offset + 2);
+      // SOF0..SOF15 carry the frame size (skip DHT/JPG/DAC markers)
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return {
+          mimeType: "image/jpeg",
+          height: bytes.readUInt16BE(offset + 5),
+          width: bytes.readUInt16BE(offset + 7),
+        };
+      }
+      offset += 2 + segmentLength;
+    }
+    return { mimeType: "image/jpeg", width: null, height: null };
+  }
+
+  if (bytes.length >= 30 && bytes.toString("latin1", 0, 4) === "RIFF" && bytes.toString("latin1", 8, 12) === "WEBP") {
+    const chunk = bytes.toString("latin1", 12, 16);
+    if (chunk === "VP8X") {
+      return { mimeType: "image/webp", width: 1 + bytes.readUIntLE(24, 3), height: 1 + bytes.readUIntLE(27, 3) };
+    }
+    if (chunk === "VP8 ") {
+      return { mimeType: "image/webp", width: bytes.readUInt16LE(26) & 0x3fff, height: bytes.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === "VP8L") {
+      const bits = bytes.readUInt32LE(21);
+      return { mimeType: "image/webp", width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    return { mimeType: "image/webp", width: null, height: null };
+  }
+
+  return { mimeType: null, width: null, height: null };
+}
+
+function decodeDataUri(uri, where) {
+  const match = uri.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+  if (!match) fail(`${where} has a malformed data: URI`);
+  if (match[2]) return Buffer.from(match[3], "base64");
+  try {
+    return Buffer.from(decodeURIComponent(match[3]), "latin1");
+  } catch {
+    fail(`${where} has a malformed percent-encoded data: URI`);
+  }
+}
+
+/** Split a .glb container into its JSON document and BIN chunk */
+function parseGlbContainer(buffer) {
+  if (buffer.length < 12) fail(`File is too small to be a GLB (${buffer.length} bytes)`);
+
+  const magic = buffer.readUInt32LE(0);
+  if (magic !== GLB_MAGIC) {
+    const actual = sniffFileType(buffer);
+    fail(actual
+      ? `Not a GLB file: it looks like a ${actual} renamed to .glb`
+      : `Not a GLB file: expected magic "glTF", got 0x${magic.toString(16).padStart(8, "0")}`);
+  }
+
+  const version = buffer.readUInt32LE(4);
+  if (version !== 2) fail(`Unsupported GLB container version ${version} (only version 2 is supported)`);
+
+  const declaredLength = buffer.readUInt32LE(8);
+  if (declaredLength !== buffer.length) {
+    fail(`GLB header declares ${declaredLength} bytes but the file has ${buffer.length} bytes (truncated or padded upload?)`);
+  }
+
+  let offset = 12;
+  let json = null;
+  let bin = null;
+  let chunkIndex = 0;
+
+  while (offset < buffer.length) {
+    if (offset + 8 > buffer.length) fail(`Chunk ${chunkIndex} header at byte ${offset} runs past the end of the file`);
+    const chunkLength = buffer.readUInt32LE(offset);
+    const chunkType = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    const end = start + chunkLength;
+
+    if (end > buffer.length) fail(`Chunk ${chunkIndex} declares ${chunkLength} bytes but only ${buffer.length - start} remain`);
+    if (chunkLength % 4 !== 0) fail(`Chunk ${chunkIndex} length ${chunkLength} is not 4-byte aligned`);
+
+    if (chunkIndex === 0 && chunkType !== CHUNK_JSON) fail("First GLB chunk must be the JSON chunk");
+
+    if (chunkType === CHUNK_JSON) {
+      if (json) fail("GLB contains more than one JSON chunk");
+      json = buffer.subarray(start, end);
+    } else if (chunkType === CHUNK_BIN) {
+      if (bin) fail("GLB contains more than one BIN chunk");
+      if (chunkIndex !== 1) fail("BIN chunk must directly follow the JSON chunk");
+      bin = buffer.subarray(start, end);
+    }
+    // Unknown chunk types must be ignored per spec
+
+    offset = end;
+    chunkIndex++;
+  }
+
+  if (!json) fail("GLB has no JSON chunk");
+
+  return { document: parseJsonDocument(json), bin };
+}
+
+function parseJsonDocument(bytes) {
+  let text = bytes.toString("utf8");
+  // Strip BOM and the space padding GLB uses to align the JSON chunk
+  text = text.replace(/^\uFEFF/, "").replace(/[\s\u0000]+$/, "");
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    fail(`glTF JSON is not valid JSON: ${err.message}`);
+  }
+}
+
+// Top-level arrays whose elements must be objects
+const COLLECTIONS = ["accessors", "animations", "buffers", "bufferViews", "cameras", "images", "materials", "meshes", "nodes", "samplers", "scenes", "skins", "textures"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isNumbers = (value, length) => Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+
+/** The JSON has the shape the rest of the inspector reads: arrays of objects, extension names as strings */
+function validateStructure(doc) {
+  for (const collection of COLLECTIONS) {
+    if (doc[collection] === undefined) continue;
+    if (!Array.isArray(doc[collection])) fail(`${collection} must be an array`);
+    doc[collection].forEach((item, i) => {
+      if (!isObject(item)) fail(`${collection}[${i}] must be an object`);
+    });
+  }
+  for (const key of ["extensionsUsed", "extensionsRequired"]) {
+    if (doc[key] !== undefined && !(Array.isArray(doc[key]) && doc[key].every((ext) => typeof ext === "string"))) {
+      fail(`${key} must be an array of extension names`);
+    }
+  }
+}
+
+function checkIndex(doc, collection, index, where) {
+  const list = doc[collection];
+  if (!Number.isInteger(index) || !Array.isArray(list) || index < 0 || index >= list.length) {
+    fail(`${where} references ${collection}[${index}], which does not exist`);
+  }
+  return list[index];
+}
+
+/** Resolve every buffer to bytes. External .bin files can't be part of a single-file upload */
+function resolveBuffers(doc, bin) {
+  return (doc.buffers || []).map((buffer, i) => {
+    const where = `buffers[${i}]`;
+    if (!Number.isInteger(buffer.byteLength) || buffer.byteLength < 1) fail(`${where} has an invalid byteLength`);
+
+    let data;
+    if (buffer.uri !== undefined && typeof buffer.uri !== "string") {
+      fail(`${where}.uri must be a string`);
+    } else if (buffer.uri === undefined) {
+      if (i !== 0 || !bin) fail(`${where} has no uri and there is no GLB BIN chunk to back it`);
+      data = bin;
+    } else if (buffer.uri.startsWith("data:")) {
+      data = decodeDataUri(buffer.uri, where);
+    } else {
+      fail(`${where} references external file "${buffer.uri}", which is not included in the upload. Export as a single .glb instead`);
+    }
+
+    if (data.length < buffer.byteLength) {
+      fail(`${where} declares ${buffer.byteLength} bytes but only ${data.length} are available`);
+    }
+    return data;
+  });
+}
+
+function validateBufferViews(doc) {
+  (doc.bufferViews || []).forEach((view, i) => {
+    const where = `bufferViews[${i}]`;
+    const buffer = checkIndex(doc, "buffers", view.buffer, where);
+    if (view.byteOffset !== undefined && !isCount(view.byteOffset)) fail(`${where} has an invalid byteOffset`);
+    const offset = view.byteOffset || 0;
+    if (!Number.isInteger(view.byteLength) || view.byteLength < 1) fail(`${where} has an invalid byteLength`);
+    if (offset + view.byteLength > buffer.byteLength) {
+      fail(`${where} (offset ${offset}, length ${view.byteLength}) overruns buffers[${view.buffer}] (${buffer.byteLength} bytes)`);
+    }
+    if (view.byteStride !== undefined && (!Number.isInteger(view.byteStride) || view.byteStride < 4 || view.byteStride > 252 || view.byteStride % 4 !== 0)) {
+      fail(`${where} has an invalid byteStride ${view.byteStride}`);
+    }
+  });
+}
+
+function validateAccessors(doc) {
+  (doc.accessors || []).forEach((accessor, i) => {
+    const where = `accessors[${i}]`;
+    if (!Object.hasOwn(COMPONENT_SIZES, accessor.componentType)) fail(`${where} has unknown componentType ${accessor.componentType}`);
+    if (!Object.hasOwn(TYPE_SIZES, accessor.type)) fail(`${where} has unknown type "${accessor.type}"`);
+    const componentSize = COMPONENT_SIZES[accessor.componentType];
+    const typeSize = TYPE_SIZES[accessor.type];
+    if (!Number.isInteger(accessor.count) || accessor.count < 1) fail(`${where} has an invalid count`);
+    if (accessor.byteOffset !== undefined && !isCount(accessor.byteOffset)) fail(`${where} has an invalid byteOffset`);
+    for (const key of ["min", "max"]) {
+      if (accessor[key] !== undefined && !isNumbers(accessor[key], typeSize)) fail(`${where}.${key} must be ${typeSize} numbers`);
+    }
+
+    // Accessors without a bufferView are zero-filled (or come from an extension such as Draco)
+    if (accessor.bufferView === undefined) return;
+
+    const view = checkIndex(doc, "bufferViews", accessor.bufferView, where);
+    const elementSize = componentSize * typeSize;
+    const stride = view.byteStride || elementSize;
+    const offset = accessor.byteOffset || 0;
+    const required = offset + stride * (accessor.count - 1) + elementSize;
+    if (offset % componentSize !== 0) fail(`${where} byteOffset ${offset} is not aligned to its component size`);
+    if (required > view.byteLength) {
+      fail(`${where} needs ${required} bytes but bufferViews[${accessor.bufferView}] only has ${view.byteLength}`);
+    }
+  });
+}
+
+/** Read a FLOAT VEC3 accessor's min/max from its data (used when min/max is missing) */
+function computeAccessorBounds(doc, buffers, accessor) {
+  if (accessor.componentType !== 5126 || accessor.type !== "VEC3" || accessor.bufferView === undefined) return null;
+  const view = doc.bufferViews[accessor.bufferView];
+  const data = buffers[view.buffer];
+  const stride = view.byteStride || 12;
+  const base = data.byteOffset + (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  const dv = new DataView(data.buffer, base, stride * (accessor.count - 1) + 12);
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < accessor.count; i++) {
+    for (let c = 0; c < 3; c++) {
+      const v = dv.getFloat32(i * stride + c * 4, true);
+      if (v < min[c]) min[c] = v;
+      if (v > max[c]) max[c] = v;
+    }
+  }
+  return { min, max };
+}
+
+function inspectMeshes(doc, buffers) {
+  const meshStats = [];
+  let primitiveCount = 0;
+
+  (doc.meshes || []).forEach((mesh, m) => {
+    if (!Array.isArray(mesh.primitives) || mesh.primitives.length === 0) fail(`meshes[${m}] has no primitives`);
+
+    let triangles = 0;
+    let vertices = 0;
+    const bounds = [];
+
+    mesh.primitives.forEach((prim, p) => {
+      const where = `meshes[${m}].primitives[${p}]`;
+      if (!isObject(prim)) fail(`${where} must be an object`);
+      if (!isObject(prim.attributes) || prim.attributes.POSITION === undefined) fail(`${where} has no POSITION attribute`);
+
+      for (const [name, index] of Object.entries(prim.attributes)) {
+        checkIndex(doc, "accessors", index, `${where}.attributes.${name}`);
+      }
+
+      const position = doc.accessors[prim.attributes.POSITION];
+      if (position.type !== "VEC3") fail(`${where} POSITION accessor must be VEC3, got ${position.type}`);
+      if (prim.material !== undefined) checkIndex(doc, "materials", prim.material, where);
+
+      let count = position.count;
+      if (prim.indices !== undefined) {
+        const indices = checkIndex(doc, "accessors", prim.indices, `${where}.indices`);
+        if (indices.type !== "SCALAR" || ![5121, 5123, 5125].includes(indices.componentType)) {
+          fail(`${where}.indices must be an unsigned integer SCALAR accessor`);
+        }
+        count = indices.count;
+      }
+
+      const mode = prim.mode === undefined ? 4 : prim.mode;
+      if (mode === 4) triangles += Math.floor(count / 3);
+      else if (mode === 5 || mode === 6) triangles += Math.max(count - 2, 0);
+      else if (!Number.isInteger(mode) || mode < 0 || mode > 6) fail(`${where} has unknown primitive mode ${mode}`);
+
+      vertices += position.count;
+
+      if (Array.isArray(position.min) && Array.isArray(position.max)) {
+        bounds.push({ min: position.min, max: position.max });
+      } else {
+        const computed = computeAccessorBounds(doc, buffers, position);
+        if (computed) bounds.push(computed);
+      }
+      primitiveCount++;
+    });
+
+    meshStats.push({ triangles, vertices, bounds });
+  });
+
+  return { meshStats, primitiveCount };
+}
+
+function nodeMatrix(node) {
+  const matrix = new THREE.Matrix4();
+  if (node.matrix !== undefined) return matrix.fromArray(node.matrix);
+  const t = node.translation || [0, 0, 0];
+  const r = node.rotation || [0, 0, 0, 1];
+  const s = node.scale || [1, 1, 1];
+  return matrix.compose(
+    new THREE.Vector3(t[0], t[1], t[2]),
+    new THREE.Quaternion(r[0], r[1], r[2], r[3]),
+    new THREE.Vector3(s[0], s[1], s[2])
+  );
+}
+
+/** Walk the default scene, applying node transforms to mesh bounds */
+function computeSceneBounds(doc, meshStats) {
+  const nodes = doc.nodes || [];
+  nodes.forEach((node, i) => {
+    const where = `nodes[${i}]`;
+    if (node.mesh !== undefined) checkIndex(doc, "meshes", node.mesh, where);
+    if (node.children !== undefined && !Array.isArray(node.children)) fail(`${where}.children must be an array`);
+    (node.children || []).forEach((child) => checkIndex(doc, "nodes", child, `${where}.children`));
+    for (const [key, length] of [["matrix", 16], ["translation", 3], ["rotation", 4], ["scale", 3]]) {
+      if (node[key] !== undefined && !isNumbers(node[key], length)) fail(`${where}.${key} must be ${length} numbers`);
+    }
+  });
+
+  let roots;
+  if (Array.isArray(doc.scenes) && doc.scenes.length) {
+    const sceneIndex = doc.scene === undefined ? 0 : doc.scene;
+    const scene = checkIndex(doc, "scenes", sceneIndex, "scene");
+    if (scene.nodes !== undefined && !Array.isArray(scene.nodes)) fail(`scenes[${sceneIndex}].nodes must be an array`);
+    roots = scene.nodes || [];
+    roots.forEach((root) => checkIndex(doc, "nodes", root, `scenes[${sceneIndex}]`));
+  } else {
+    // No scenes: treat every node that isn't somebody's child as a root
+    const children = new Set(nodes.flatMap((n) => n.children || []));
+    roots = nodes.map((_, i) => i).filter((i) => !children.has(i));
+  }
+
+  const box = new THREE.Box3();
+  const corner = new THREE.Vector3();
+  const visited = new Set();
+
+  const visit = (index, parentMatrix) => {
+    if (visited.has(index)) fail(`nodes[${index}] appears more than once in the scene graph (cycle or shared node)`);
+    visited.add(index);
+
+    const node = nodes[index];
+    const world = parentMatrix.clone().multiply(nodeMatrix(node));
+
+    if (node.mesh !== undefined) {
+      for (const { min, max } of meshStats[node.mesh].bounds) {
+        for (let c = 0; c < 8; c++) {
+          corner.set(c & 1 ? max[0] : min[0], c & 2 ? max[1] : min[1], c & 4 ? max[2] : min[2]);
+          box.expandByPoint(corner.applyMatrix4(world));
+        }
+      }
+    }
+    (node.children || []).forEach((child) => visit(child, world));
+  };
+
+  roots.forEach((root) => visit(root, new THREE.Matrix4()));
+
+  if (box.isEmpty()) return null;
+  const round = (v) => Math.round(v * 1e4) / 1e4;
+  const size = box.getSize(new THREE.Vector3());
+  return {
+    min: box.min.toArray().map(round),
+    max: box.max.toArray().map(round),
+    size: size.toArray().map(round),
+  };
+}
+
+function inspectTextures(doc, buffers, externalUris, warnings) {
+  const images = (doc.images || []).map((image, i) => {
+    const where = `images[${i}]`;
+    let bytes = null;
+
+    if (image.bufferView !== undefined) {
+      const view = checkIndex(doc, "bufferViews", image.bufferView, where);
+      const data = buffers[view.buffer];
+      bytes = data.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+    } else if (typeof image.uri === "string") {
+      if (image.uri.startsWith("data:")) {
+        bytes = decodeDataUri(image.uri, where);
+      } else {
+        externalUris.push(image.uri);
+        warnings.push(`${where} references external file "${image.uri}", which will not load`);
+      }
+    } else {
+      fail(`${where} has neither a bufferView nor a uri`);
+    }
+
+    if (!bytes) return { index: i, name: image.name || null, mimeType: image.mimeType || null, width: null, height: null, byteLength: 0, uri: image.uri };
+
+    const size = readImageSize(bytes);
+    if (!size.mimeType) warnings.push(`${where} is not a PNG, JPEG or WebP image`);
+    return {
+      index: i,
+      name: image.name || null,
+      mimeType: size.mimeType || image.mimeType || null,
+      width: size.width,
+      height: size.height,
+      byteLength: bytes.length,
+    };
+  });
+
+  (doc.textures || []).forEach((texture, i) => {
+    if (texture.source !== undefined) checkIndex(doc, "images", texture.source, `textures[${i}]`);
+    if (texture.sampler !== undefined) checkIndex(doc, "samplers", texture.sampler, `textures[${i}]`);
+  });
+
+  return images;
+}
+
+/**
+ * Parse a .glb/.gltf file into its JSON document and resolved buffers,
+ * checking every buffer view and accessor range (shared by the inspector and
+ * the model optimizer).
+ * @param {Buffer} buffer file contents
+ * @param {object} [options]
+ * @param {string} [options.fileName] original file name (used to pick .gltf vs .glb parsing)
+ * @returns {{ format: "glb"|"gltf", doc: object, buffers: Buffer[] }}
+ */
+export function readGltfDocument(buffer, { fileName = "" } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) fail("File is empty");
+
+  const isBinary = buffer.length >= 4 && buffer.readUInt32LE(0) === GLB_MAGIC;
+  const looksLikeJson = /^\s*(\uFEFF)?\s*\{/.test(buffer.toString("utf8", 0, Math.min(buffer.length, 64)));
+
+  let doc;
+  let bin = null;
+  let format;
+
+  if (isBinary || fileName.toLowerCase().endsWith(".glb") || !looksLikeJson) {
+    ({ document: doc, bin } = parseGlbContainer(buffer));
+    format = "glb";
+  } else {
+    doc = parseJsonDocument(buffer);
+    format = "gltf";
+  }
+
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) fail("glTF JSON root must be an object");
+  if (!doc.asset || typeof doc.asset.version !== "string") fail("glTF is missing asset.version");
+  if (!doc.asset.version.startsWith("2.")) fail(`Unsupported glTF version ${doc.asset.version} (only 2.x is supported)`);
+
+  validateStructure(doc);
+  const buffers = resolveBuffers(doc, bin);
+  validateBufferViews(doc);
+  validateAccessors(doc);
+
+  return { format, doc, buffers };
+}
+
+/** Bytes of an embedded image (bufferView or data: URI); null for external files */
+export function readImageBytes(doc, buffers, imageIndex) {
+  const image = checkIndex(doc, "images", imageIndex, "texture");
+  const where = `images[${imageIndex}]`;
+  if (image.bufferView !== undefined) {
+    const view = checkIndex(doc, "bufferViews", image.bufferView, where);
+    return buffers[view.buffer].subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+  }
+  if (typeof image.uri === "string" && image.uri.startsWith("data:")) return decodeDataUri(image.uri, where);
+  if (typeof image.uri === "string") return null;
+  fail(`${where} has neither a bufferView nor a uri`);
+}
+
+/**
+ * Inspect a glTF upload.
+ * @param {Buffer} buffer file contents
+ * @param {object} [options]
+ * @param {string} [options.fileName] original file name (used to pick .gltf vs .glb parsing)
+ * @returns {object} model stats (counts, texture sizes, bounding box, external URIs, warnings)
+ */
+export function inspectGltf(buffer, { fileName = "" } = {}) {
+  const { format, doc, buffers } = readGltfDocument(buffer, { fileName });
+
+  const externalUris = [];
+  const warnings = [];
+
+  const { meshStats, primitiveCount } = inspectMeshes(doc, buffers);
+  const boundingBox = computeSceneBounds(doc, meshStats);
+  const textures = inspectTextures(doc, buffers, externalUris, warnings);
+
+  if (!meshStats.length) warnings.push("Model contains no meshes");
+
+  return {
+    format,
+    version: doc.asset.version,
+    generator: doc.asset.generator || null,
+    fileSize: buffer.length,
+    nodeCount: (doc.nodes || []).length,
+    meshCount: meshStats.length,
+    primitiveCount,
+    triangleCount: meshStats.reduce((sum, m) => sum + m.triangles, 0),
+    vertexCount: meshStats.reduce((sum, m) => sum + m.vertices, 0),
+    materialCount: (doc.materials || []).length,
+    textureCount: (doc.textures || []).length,
+    animationCount: (doc.animations || []).length,
+    textures,
+    boundingBox,
+    externalUris,
+    extensionsUsed: doc.extensionsUsed || [],
+    extensionsRequired: doc.extensionsRequired || [],
+    warnings,
+  };
+}
@@ -0,0 +1,576 @@
+// services/modelOptimizerService.js
+import crypto from "crypto";
+import * as THREE from "three";
+import { deinterleaveGeometry, mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { exportGlb, parseGltf } from "./threeEnvironment.js";
+import { GltfValidationError, inspectGltf, readGltfDocument, readImageBytes, readImageSize } from "./gltfInspectorService.js";
+import { decodePng, encodePng, fitWithin, isPng, resizeImage } from "./pngCodec.js";
+
+/**
+ * Post-upload model optimization.
+ *
+ * The upload is loaded into a Three.js scene (GLTFLoader), cleaned up and
+ * written back out with GLTFExporter once per level of detail:
+ *   - vertices are welded and identical geometries/materials shared
+ *   - cameras, lights and empty nodes are dropped; only used materials are exported
+ *   - medium/low levels are decimated by vertex clustering
+ *   - textures are capped per level (PNGs are resized; other formats are kept as-is)
+ *
+ * Images can't be decoded by the loader in Node, so textures are taken out of
+ * the document before loading and put back into each exported GLB, matched by
+ * the source material index the exporter carries through in material extras.
+ */
+
+export const LOD_LEVELS = {
+  high: { ratio: 1, maxTextureSize: 2048 },
+  medium: { ratio: 0.5, maxTextureSize: 1024 },
+  low: { ratio: 0.15, maxTextureSize: 512 },
+};
+
+// Meshes smaller than this aren't worth decimating
+const MIN_DECIMATE_TRIANGLES = 64;
+const MAX_GRID_RESOLUTION = 1024;
+const WELD_TOLERANCE = 1e-5;
+
+const TEXTURE_SLOTS = [
+  ["pbrMetallicRoughness", "baseColorTexture"],
+  ["pbrMetallicRoughness", "metallicRoughnessTexture"],
+  [null, "normalTexture"],
+  [null, "occlusionTexture"],
+  [null, "emissiveTexture"],
+];
+const SOURCE_MATERIAL_KEY = "carmodSourceMaterial";
+const UNSUPPORTED_EXTENSIONS = ["KHR_draco_mesh_compression", "EXT_meshopt_compression"];
+
+export class ModelOptimizationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ModelOptimizationError";
+  }
+}
+
+// ─── GLB container ──────────────────────────────────────────────────────────
+
+function padTo4(bytes, fill) {
+  const padding = (4 - (bytes.length % 4)) % 4;
+  return padding ? Buffer.concat([bytes, Buffer.alloc(padding, fill)]) : bytes;
+}
+
+function writeGlb(doc, bin) {
+  const json = padTo4(Buffer.from(JSON.stringify(doc)), 0x20);
+  const header = Buffer.alloc(12);
+  const jsonHeader = Buffer.alloc(8);
+  jsonHeader.writeUInt32LE(json.length, 0);
+  jsonHeader.writeUInt32LE(0x4e4f534a, 4);
+  const parts = [header, jsonHeader, json];
+  if (bin && bin.length) {
+    const body = padTo4(bin, 0);
+    const binHeader = Buffer.alloc(8);
+    binHeader.writeUInt32LE(body.length, 0);
+    binHeader.writeUInt32LE(0x004e4942, 4);
+    parts.push(binHeader, body);
+  }
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  header.writeUInt32LE(0x46546c67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(total, 8);
+  return Buffer.concat(parts, total);
+}
+
+/** Concatenate every buffer into one BIN chunk (4-byte aligned) and point the views at it */
+function packBuffers(doc, buffers) {
+  const offsets = [];
+  let length = 0;
+  for (const data of buffers) {
+    offsets.push(length);
+    length += Math.ceil(data.length / 4) * 4;
+  }
+  const bin = Buffer.alloc(length);
+  buffers.forEach((data, i) => data.copy(bin, offsets[i]));
+  for (const view of doc.bufferViews || []) {
+    view.byteOffset = (view.byteOffset || 0) + offsets[view.buffer];
+    view.buffer = 0;
+  }
+  doc.buffers = length ? [{ byteLength: length }] : [];
+  return bin;
+}
+
+// ─── Source document preparation ────────────────────────────────────────────
+
+/** Remove every texture reference from a material (any "...Texture" object with an index) */
+function stripTextureRefs(value) {
+  let removed = 0;
+  if (!value || typeof value !== "object") return removed;
+  for (const [key, child] of Object.entries(value)) {
+    if (/Texture$/.test(key) && child && typeof child === "object" && "index" in child) {
+      delete value[key];
+      removed++;
+    } else {
+      removed += stripTextureRefs(child);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Take textures out of the document, remembering which core slots each
+ * material used, and merge materials that are identical apart from their name.
+ */
+function extractTextures(doc, buffers, warnings) {
+  const images = (doc.images || []).map((image, i) => {
+    const bytes = readImageBytes(doc, buffers, i);
+    if (!bytes) warnings.push(`images[${i}] is an external file and was dropped`);
+    return bytes && { bytes, mimeType: readImageSize(bytes).mimeType || image.mimeType || "image/png", name: image.name };
+  });
+
+  const canonical = new Map();
+  const remap = [];
+  const materialTextures = [];
+  (doc.materials || []).forEach((material, i) => {
+    const { name, ...rest } = material;
+    const key = JSON.stringify(rest);
+    if (canonical.has(key)) {
+      remap[i] = canonical.get(key);
+      return;
+    }
+    canonical.set(key, i);
+    remap[i] = i;
+
+    const slots = {};
+    for (const [parent, slot] of TEXTURE_SLOTS) {
+      const info = parent ? material[parent]?.[slot] : material[slot];
+      const texture = info && doc.textures?.[info.index];
+      if (!texture || texture.source === undefined || !images[texture.source]) continue;
+      slots[slot] = { info: { ...info }, image: texture.source, sampler: doc.samplers?.[texture.sampler] || null };
+    }
+    materialTextures[i] = slots;
+
+    const dropped = stripTextureRefs(material) - Object.keys(slots).length;
+    if (dropped > 0) warnings.push(`Material "${name || i}" uses ${dropped} texture(s) outside the core PBR slots; they were dropped`);
+    material.extras = { ...material.extras, [SOURCE_MATERIAL_KEY]: i };
+  });
+
+  for (const mesh of doc.meshes || []) {
+    for (const primitive of mesh.primitives || []) {
+      if (primitive.material !== undefined) primitive.material = remap[primitive.material];
+    }
+  }
+
+  delete doc.textures;
+  delete doc.images;
+  delete doc.samplers;
+  const textureExtensions = /^(KHR_texture_basisu|EXT_texture_webp|EXT_texture_avif)$/;
+  if (doc.extensionsRequired) doc.extensionsRequired = doc.extensionsRequired.filter((ext) => !textureExtensions.test(ext));
+
+  return { images, materialTextures, mergedMaterials: remap.filter((target, i) => target !== i).length };
+}
+
+// ─── Scene cleanup ──────────────────────────────────────────────────────────
+
+function animatedNodeNames(animations) {
+  const names = new Set();
+  for (const clip of animations) {
+    for (const track of clip.tracks) names.add(THREE.PropertyBinding.parseTrackName(track.name).nodeName);
+  }
+  return names;
+}
+
+/** Drop cameras, lights and empty leaf nodes; returns how many objects were removed */
+function pruneScene(scene, animations) {
+  const keep = animatedNodeNames(animations);
+  let removed = 0;
+
+  const visit = (object) => {
+    for (const child of [...object.children]) visit(child);
+    if (object === scene) return;
+
+    if (keep.has(object.name) || keep.has(object.uuid)) return;
+    const empty = object.children.length === 0 && !object.isMesh && !object.isBone && !object.isPoints && !object.isLine;
+    if (!object.isCamera && !object.isLight && !empty) return;
+    // Children of a removed camera/light node still belong in the scene
+    for (const child of [...object.children]) {
+      child.applyMatrix4(object.matrix);
+      object.parent.add(child);
+    }
+    object.removeFromParent();
+    removed++;
+  };
+  visit(scene);
+  return removed;
+}
+
+function geometryHash(geometry) {
+  const hash = crypto.createHash("sha1");
+  const feed = (attribute) => {
+    hash.update(`${attribute.itemSize}:${attribute.normalized}:`);
+    hash.update(Buffer.from(attribute.array.buffer, attribute.array.byteOffset, attribute.array.byteLength));
+  };
+  for (const name of Object.keys(geometry.attributes).sort()) {
+    hash.update(name);
+    feed(geometry.attributes[name]);
+  }
+  for (const name of Object.keys(geometry.morphAttributes).sort()) {
+    hash.update(`morph:${name}`);
+    geometry.morphAttributes[name].forEach(feed);
+  }
+  if (geometry.index) feed(geometry.index);
+  hash.update(JSON.stringify(geometry.groups));
+  return hash.digest("hex");
+}
+
+function triangleCount(geometry) {
+  return Math.floor((geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3);
+}
+
+/**
+ * Weld every mesh's vertices and share identical geometries between meshes.
+ * @returns {{ weldedVertices: number, sharedGeometries: number }}
+ */
+function weldScene(scene) {
+  const welded = new Map();
+  const byHash = new Map();
+  let before = 0;
+  let after = 0;
+  let sharedGeometries = 0;
+
+  scene.traverse((object) => {
+    if (!object.isMesh || !object.geometry.attributes.position) return;
+    const source = object.geometry;
+    if (!welded.has(source)) {
+      before += source.attributes.position.count;
+      let geometry = deinterleaveGeometry(source.clone()) ?? source.clone();
+      geometry = mergeVertices(geometry, WELD_TOLERANCE);
+      after += geometry.attributes.position.count;
+
+      const hash = geometryHash(geometry);
+      if (byHash.has(hash)) {
+        geometry = byHash.get(hash);
+        sharedGeometries++;
+      } else {
+        byHash.set(hash, geometry);
+      }
+      welded.set(source, geometry);
+    }
+    object.geometry = welded.get(source);
+  });
+
+  return { weldedVertices: before - after, sharedGeometries };
+}
+
+// ─── Decimation (vertex clustering) ─────────────────────────────────────────
+
+/** Map every vertex to a grid cell `resolution` cells across the longest side */
+function clusterVertices(positions, box, resolution) {
+  const size = box.getSize(new THREE.Vector3());
+  const cell = Math.max(size.x, size.y, size.z) / resolution || 1;
+  const span = resolution + 1;
+  const cells = new Map();
+  const clusterOf = new Uint32Array(positions.count);
+  for (let i = 0; i < positions.count; i++) {
+    const x = Math.min(resolution, Math.floor((positions.getX(i) - box.min.x) / cell));
+    const y = Math.min(resolution, Math.floor((positions.getY(i) - box.min.y) / cell));
+    const z = Math.min(resolution, Math.floor((positions.getZ(i) - box.min.z) / cell));
+    const key = x + span * (y + span * z);
+    let cluster = cells.get(key);
+    if (cluster === undefined) {
+      cluster = cells.size;
+      cells.set(key, cluster);
+    }
+    clusterOf[i] = cluster;
+  }
+  return { clusterOf, clusterCount: cells.size };
+}
+
+function countClusteredTriangles(index, clusterOf) {
+  let count = 0;
+  for (let i = 0; i + 2 < index.length; i += 3) {
+    const a = clusterOf[index[i]];
+    const b = clusterOf[index[i + 1]];
+    const c = clusterOf[index[i + 2]];
+    if (a !== b && b !== c && a !== c) count++;
+  }
+  return count;
+}
+
+/** Rebuild a geometry from its clusters, per material group, dropping collapsed and duplicate triangles */
+function buildClusteredGeometry(geometry, { clusterOf, clusterCount }) {
+  const index = geometry.index.array;
+  const positions = geometry.attributes.position;
+
+  const representative = new Int32Array(clusterCount).fill(-1);
+  const sums = new Float64Array(clusterCount * 4);
+  for (let i = 0; i < positions.count; i++) {
+    const cluster = clusterOf[i];
+    if (representative[cluster] < 0) representative[cluster] = i;
+    sums[cluster * 4] += positions.getX(i);
+    sums[cluster * 4 + 1] += positions.getY(i);
+    sums[cluster * 4 + 2] += positions.getZ(i);
+    sums[cluster * 4 + 3]++;
+  }
+
+  const groups = geometry.groups.length ? geometry.groups : [{ start: 0, count: index.length, materialIndex: 0 }];
+  const newIndex = [];
+  const newGroups = [];
+  const vertexOf = new Int32Array(clusterCount).fill(-1);
+  const used = [];
+  for (const group of groups) {
+    const start = newIndex.length;
+    const seen = new Set();
+    const end = Math.min(index.length, group.start + group.count);
+    for (let i = group.start; i + 2 < end; i += 3) {
+      const tri = [clusterOf[index[i]], clusterOf[index[i + 1]], clusterOf[index[i + 2]]];
+      if (tri[0] === tri[1] || tri[1] === tri[2] || tri[0] === tri[2]) continue;
+      // Rotate so the smallest cluster comes first; keeps the winding while catching duplicates
+      const first = tri.indexOf(Math.min(...tri));
+      const key = `${tri[first]},${tri[(first + 1) % 3]},${tri[(first + 2) % 3]}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      for (const cluster of tri) {
+        if (vertexOf[cluster] < 0) {
+          vertexOf[cluster] = used.length;
+          used.push(cluster);
+        }
+        newIndex.push(vertexOf[cluster]);
+      }
+    }
+    newGroups.push({ start, count: newIndex.length - start, materialIndex: group.materialIndex });
+  }
+
+  const result = new THREE.BufferGeometry();
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    const array = new attribute.array.constructor(used.length * attribute.itemSize);
+    used.forEach((cluster, v) => {
+      const source = representative[cluster];
+      for (let k = 0; k < attribute.itemSize; k++) array[v * attribute.itemSize + k] = attribute.array[source * attribute.itemSize + k];
+      if (name === "position") {
+        const n = sums[cluster * 4 + 3];
+        array[v * 3] = sums[cluster * 4] / n;
+        array[v * 3 + 1] = sums[cluster * 4 + 1] / n;
+        array[v * 3 + 2] = sums[cluster * 4 + 2] / n;
+      }
+    });
+    result.setAttribute(name, new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized));
+  }
+  result.setIndex(newIndex);
+  if (geometry.groups.length) newGroups.forEach((g) => result.addGroup(g.start, g.count, g.materialIndex));
+  return result;
+}
+
+/**
+ * Decimate to roughly `ratio` of the triangles: binary-search the finest
+ * clustering grid that gets under the target.
+ * @returns {THREE.BufferGeometry} the original geometry when it can't be reduced
+ */
+function decimateGeometry(geometry, ratio) {
+  const triangles = triangleCount(geometry);
+  if (ratio >= 1 || triangles < MIN_DECIMATE_TRIANGLES || !geometry.index) return geometry;
+  if (Object.keys(geometry.morphAttributes).length) return geometry;
+
+  geometry.computeBoundingBox();
+  const box = geometry.boundingBox;
+  const positions = geometry.attributes.position;
+  const index = geometry.index.array;
+  const target = Math.max(1, Math.floor(triangles * ratio));
+
+  let best = null;
+  let lo = 1;
+  let hi = MAX_GRID_RESOLUTION;
+  while (lo <= hi) {
+    const resolution = (lo + hi) >> 1;
+    const clusters = clusterVertices(positions, box, resolution);
+    const count = countClusteredTriangles(index, clusters.clusterOf);
+    if (count <= target && count > 0) {
+      best = clusters;
+      lo = resolution + 1;
+    } else if (count === 0) {
+      lo = resolution + 1;
+    } else {
+      hi = resolution - 1;
+    }
+  }
+  if (!best) return geometry;
+
+  const result = buildClusteredGeometry(geometry, best);
+  return triangleCount(result) > 0 && triangleCount(result) < triangles ? result : geometry;
+}
+
+// ─── Texture re-injection ───────────────────────────────────────────────────
+
+/** Resize a source image for one level; PNGs only, other formats are kept as uploaded */
+function fitImage(image, maxSize, warnings) {
+  const size = readImageSize(image.bytes);
+  if (!size.width || (size.width <= maxSize && size.height <= maxSize)) return image;
+  if (!isPng(image.bytes)) {
+    warnings.add(`${size.mimeType || "Non-PNG"} texture ${size.width}x${size.height} exceeds ${maxSize}px but can't be resized; kept as-is`);
+    return image;
+  }
+  const decoded = decodePng(image.bytes);
+  const { width, height } = fitWithin(decoded.width, decoded.height, maxSize);
+  const hasAlpha = decoded.data.some((value, i) => i % 4 === 3 && value !== 255);
+  const bytes = encodePng(resizeImage(decoded, width, height), { alpha: hasAlpha });
+  return { ...image, bytes, mimeType: "image/png" };
+}
+
+/**
+ * Put the source textures back into an exported GLB, sized for the level,
+ * and remove the source-material markers.
+ */
+function injectTextures(glb, { images, materialTextures }, maxTextureSize, warnings) {
+  const { doc, buffers } = readGltfDocument(glb, { fileName: "variant.glb" });
+  const bin = packBuffers(doc, buffers);
+  const extra = [];
+  let binLength = bin.length;
+
+  const imageIndex = new Map();
+  const textureIndex = new Map();
+  const samplerIndex = new Map();
+  const addImage = (source) => {
+    if (!imageIndex.has(source)) {
+      const image = fitImage(images[source], maxTextureSize, warnings);
+      doc.bufferViews = doc.bufferViews || [];
+      doc.bufferViews.push({ buffer: 0, byteOffset: binLength, byteLength: image.bytes.length });
+      const padded = padTo4(image.bytes, 0);
+      extra.push(padded);
+      binLength += padded.length;
+      doc.images = doc.images || [];
+      doc.images.push({ bufferView: doc.bufferViews.length - 1, mimeType: image.mimeType, ...(image.name && { name: image.name }) });
+      imageIndex.set(source, doc.images.length - 1);
+    }
+    return imageIndex.get(source);
+  };
+  const addSampler = (sampler) => {
+    if (!sampler) return undefined;
+    const key = JSON.stringify(sampler);
+    if (!samplerIndex.has(key)) {
+      doc.samplers = doc.samplers || [];
+      doc.samplers.push(sampler);
+      samplerIndex.set(key, doc.samplers.length - 1);
+    }
+    return samplerIndex.get(key);
+  };
+
+  for (const material of doc.materials || []) {
+    const source = material.extras?.[SOURCE_MATERIAL_KEY];
+    if (source === undefined) continue;
+    delete material.extras[SOURCE_MATERIAL_KEY];
+    if (!Object.keys(material.extras).length) delete material.extras;
+
+    for (const [parent, slot] of TEXTURE_SLOTS) {
+      const texture = materialTextures[source]?.[slot];
+      if (!texture) continue;
+      const image = addImage(texture.image);
+      const sampler = addSampler(texture.sampler);
+      const key = `${image}:${sampler}`;
+      if (!textureIndex.has(key)) {
+        doc.textures = doc.textures || [];
+        doc.textures.push(sampler === undefined ? { source: image } : { source: image, sampler });
+        textureIndex.set(key, doc.textures.length - 1);
+      }
+      const info = { ...texture.info, index: textureIndex.get(key) };
+      for (const ext of Object.keys(info.extensions || {})) {
+        doc.extensionsUsed = [...new Set([...(doc.extensionsUsed || []), ext])];
+      }
+      if (parent) material[parent] = { ...material[parent], [slot]: info };
+      else material[slot] = info;
+    }
+  }
+
+  const body = Buffer.concat([bin, ...extra]);
+  doc.buffers = body.length ? [{ byteLength: body.length }] : [];
+  return writeGlb(doc, body);
+}
+
+// ─── Pipeline ───────────────────────────────────────────────────────────────
+
+/**
+ * Load a model into a Three.js scene with its textures set aside (see above).
+ * Also used by the preview renderer.
+ * @returns {Promise<{ scene: THREE.Group, animations: THREE.AnimationClip[], textures: object, warnings: string[] }>}
+ */
+export async function loadModelScene(buffer, { fileName = "" } = {}) {
+  let doc;
+  let buffers;
+  try {
+    ({ doc, buffers } = readGltfDocument(buffer, { fileName }));
+  } catch (err) {
+    if (err instanceof GltfValidationError) throw new ModelOptimizationError(err.message);
+    throw err;
+  }
+  const required = (doc.extensionsRequired || []).filter((ext) => UNSUPPORTED_EXTENSIONS.includes(ext));
+  if (required.length) throw new ModelOptimizationError(`Compressed models are not supported (${required.join(", ")})`);
+
+  const warnings = [];
+  const textures = extractTextures(doc, buffers, warnings);
+  const { gltf } = await parseGltf(writeGlb(doc, packBuffers(doc, buffers)));
+  return { scene: gltf.scene, animations: gltf.animations || [], textures, warnings };
+}
+
+/**
+ * The source image behind one texture slot of a loaded material.
+ * @returns {{ bytes: Buffer, mimeType: string, info: object, sampler: object|null }|null}
+ */
+export function materialTexture(textures, material, slot) {
+  const texture = textures.materialTextures[material.userData?.[SOURCE_MATERIAL_KEY]]?.[slot];
+  if (!texture) return null;
+  return { ...textures.images[texture.image], info: texture.info, sampler: texture.sampler };
+}
+
+/** Counted by the inspector (each glTF mesh once, however many nodes use it) so variants compare with model_stats */
+function fileStats(buffer, fileName) {
+  const { triangleCount, vertexCount } = inspectGltf(buffer, { fileName });
+  return { triangles: triangleCount, vertices: vertexCount };
+}
+
+/**
+ * Optimize an uploaded model and build its LOD variants.
+ * @param {Buffer} buffer .glb or .gltf (embedded resources) contents
+ * @param {object} [options]
+ * @param {string} [options.fileName]
+ * @param {object} [options.levels] defaults to LOD_LEVELS
+ * @returns {Promise<{ variants: Record<string, { buffer: Buffer, fileSize: number, triangleCount: number, vertexCount: number }>, report: object }>}
+ */
+export async function optimizeModel(buffer, { fileName = "", levels = LOD_LEVELS } = {}) {
+  const { scene, animations, textures, warnings: sourceWarnings } = await loadModelScene(buffer, { fileName });
+  const warnings = new Set(sourceWarnings);
+  const original = fileStats(buffer, fileName);
+
+  const removedNodes = pruneScene(scene, animations);
+  const { weldedVertices, sharedGeometries } = weldScene(scene);
+
+  const meshes = [];
+  scene.traverse((object) => {
+    if (object.isMesh) meshes.push(object);
+  });
+  const weldedGeometry = new Map(meshes.map((mesh) => [mesh, mesh.geometry]));
+
+  const variants = {};
+  for (const [name, level] of Object.entries(levels)) {
+    const decimated = new Map();
+    for (const mesh of meshes) {
+      const source = weldedGeometry.get(mesh);
+      if (!decimated.has(source)) {
+        decimated.set(source, mesh.isSkinnedMesh ? source : decimateGeometry(source, level.ratio));
+      }
+      mesh.geometry = decimated.get(source);
+    }
+
+    const exported = await exportGlb(scene, { animations, onlyVisible: false });
+    const glb = injectTextures(exported, textures, level.maxTextureSize, warnings);
+    const stats = fileStats(glb, "variant.glb");
+    variants[name] = { buffer: glb, fileSize: glb.length, triangleCount: stats.triangles, vertexCount: stats.vertices };
+  }
+  for (const mesh of meshes) mesh.geometry = weldedGeometry.get(mesh);
+
+  return {
+    variants,
+    report: {
+      original: { fileSize: buffer.length, triangleCount: original.triangles, vertexCount: original.vertices },
+      removedNodes,
+      weldedVertices,
+      sharedGeometries,
+      mergedMaterials: textures.mergedMaterials,
+      variants: Object.fromEntries(Object.entries(variants).map(([name, { buffer: _, ...stats }]) => [name, stats])),
+      warnings: [...warnings],
+    },
+  };
+}
@@ -0,0 +1,195 @@
+// services/modelProcessingService.js
+import { Worker } from "worker_threads";
+import { pool } from "../db/pool.js";
+import { getStorage } from "./storageDrivers.js";
+import { modelVariantKind, saveSubmissionAsset } from "./submissionFileService.js";
+import { ModelOptimizationError } from "./modelOptimizerService.js";
+import { PreviewRenderError } from "./previewRenderService.js";
+
+/**
+ * Background processing of uploaded models, in two independent stages:
+ *   - optimization: LOD variants (model-low / model-medium / model-high assets)
+ *   - render:       preview images (thumbnail / turntable assets)
+ *
+ * Each stage has its own <stage>_status column on submissions; new entries
+ * start as 'pending'. Workers claim rows with SKIP LOCKED (like the email
+ * outbox). Models a stage rejects as unusable fail straight away; other errors
+ * (storage, database, a worker that crashed or timed out) are retried up to
+ * MAX_ATTEMPTS times.
+ *
+ * The stages run in a worker thread (modelProcessingWorker.js), one per model:
+ * a large model takes seconds of CPU, which would otherwise stall every request.
+ */
+
+// Both stages are CPU-bound, so keep batches small
+const BATCH_SIZE = parseInt(process.env.MODEL_PROCESSING_BATCH_SIZE) || 2;
+const MAX_ATTEMPTS = 3;
+const STALE_LOCK_MINUTES = 30;
+const WORKER_TIMEOUT_MS = parseInt(process.env.MODEL_WORKER_TIMEOUT_MS) || 10 * 60 * 1000;
+
+// Errors rebuilt from a worker's message, so a stage can still tell models it rejects from other failures
+const WORKER_ERRORS = { ModelOptimizationError, PreviewRenderError };
+
+const asBuffer = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+async function loadOriginal(submission) {
+  return getStorage(submission.storage_driver).get(submission.storage_key);
+}
+
+/**
+ * Run a stage on a model in its own worker thread.
+ * @param {"optimization" | "render"} stage
+ * @param {Buffer} buffer
+ * @param {object} options passed on to optimizeModel / renderModelPreviews
+ * @returns {Promise<object>} what the stage returned (buffers come back as Uint8Arrays)
+ */
+function runInWorker(stage, buffer, options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./modelProcessingWorker.js", import.meta.url), { workerData: { stage, buffer, options } });
+    let settled = false;
+    const settle = (done, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      done(value);
+    };
+    const timer = setTimeout(
+      () => settle(reject, new Error(`The ${stage} stage took longer than ${WORKER_TIMEOUT_MS / 1000}s`)),
+      WORKER_TIMEOUT_MS
+    );
+
+    worker.once("message", ({ result, error }) => {
+      if (!error) return settle(resolve, result);
+      const err = new (Object.hasOwn(WORKER_ERRORS, error.name) ? WORKER_ERRORS[error.name] : Error)(error.message);
+      err.name = error.name || err.name;
+      err.stack = error.stack;
+      settle(reject, err);
+    });
+    worker.once("error", (err) => settle(reject, err));
+    worker.once("exit", (code) => settle(reject, new Error(`The ${stage} worker exited with code ${code}`)));
+  });
+}
+
+/**
+ * Build and store the LOD variants for one entry.
+ * @param {{ id: number, storage_driver: string, storage_key: string }} submission
+ * @returns {Promise<object>} the optimizer report
+ */
+export async function optimizeSubmission(submission, db = pool) {
+  const { variants, report } = await runInWorker("optimization", await loadOriginal(submission), { fileName: submission.storage_key });
+  for (const [variant, { buffer, triangleCount, vertexCount }] of Object.entries(variants)) {
+    await saveSubmissionAsset(
+      submission,
+      modelVariantKind(variant),
+      asBuffer(buffer),
+      { extension: ".glb", contentType: "model/gltf-binary", metadata: { triangleCount, vertexCount } },
+      db
+    );
+  }
+  return report;
+}
+
+/**
+ * Render and store the thumbnail and turntable sheet for one entry.
+ * @returns {Promise<object>} image sizes and renderer warnings
+ */
+export async function renderSubmission(submission, db = pool) {
+  const { thumbnail, turntable, warnings } = await runInWorker("render", await loadOriginal(submission), {
+    fileName: submission.storage_key,
+  });
+  const { buffer: thumbnailPng, ...thumbnailInfo } = thumbnail;
+  const { buffer: turntablePng, ...turntableInfo } = turntable;
+  await saveSubmissionAsset(submission, "thumbnail", asBuffer(thumbnailPng), { extension: ".png", metadata: thumbnailInfo }, db);
+  await saveSubmissionAsset(submission, "turntable", asBuffer(turntablePng), { extension: ".png", metadata: turntableInfo }, db);
+  return { thumbnail: thumbnailInfo, turntable: turntableInfo, warnings };
+}
+
+// Column prefix → how to run the stage. Column names are only ever built from these keys.
+const STAGES = {
+  optimization: {
+    run: optimizeSubmission,
+    completedAt: "optimized_at",
+    fatal: [ModelOptimizationError],
+    describe: (report) => Object.entries(report.variants).map(([name, v]) => `${name} ${v.triangleCount} tris`).join(", "),
+  },
+  render: {
+    run: renderSubmission,
+    completedAt: "rendered_at",
+    fatal: [ModelOptimizationError, PreviewRenderError],
+    describe: (report) => `${report.turntable.frames} turntable frames`,
+  },
+};
+
+async function processStage(stage, limit) {
+  const { run, completedAt, fatal, describe } = STAGES[stage];
+
+  // Entries without a stored file (legacy URLs) have nothing to process
+  await pool.query(`UPDATE submissions SET ${stage}_status = 'skipped' WHERE ${stage}_status = 'pending' AND storage_key IS NULL`);
+
+  const claimed = await pool.query(
+    `UPDATE submissions
+     SET ${stage}_status = 'processing', ${stage}_locked_at = NOW(), ${stage}_attempts = ${stage}_attempts + 1
+     WHERE id IN (
+       SELECT id FROM submissions
+       WHERE storage_key IS NOT NULL
+         AND (${stage}_status = 'pending'
+              OR (${stage}_status = 'processing' AND ${stage}_locked_at < NOW() - make_interval(mins => $2)))
+       ORDER BY created_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, storage_driver, storage_key, ${stage}_attempts AS attempts`,
+    [limit, STALE_LOCK_MINUTES]
+  );
+
+  let processed = 0;
+  let failed = 0;
+
+  for (const submission of claimed.rows) {
+    const started = Date.now();
+    try {
+      const report = await run(submission);
+      await pool.query(
+        `UPDATE submissions
+         SET ${stage}_status = 'ready', ${stage}_report = $2, ${stage}_error = NULL,
+             ${stage}_locked_at = NULL, ${completedAt} = NOW()
+         WHERE id = $1`,
+        [submission.id, report]
+      );
+      processed++;
+      console.log(`🧊 ${stage} of submission ${submission.id} done in ${Date.now() - started}ms (${describe(report)})`);
+    } catch (err) {
+      const giveUp = fatal.some((type) => err instanceof type) || submission.attempts >= MAX_ATTEMPTS;
+      await pool.query(
+        `UPDATE submissions
+         SET ${stage}_status = $2, ${stage}_error = $3, ${stage}_locked_at = NULL
+         WHERE id = $1`,
+        [submission.id, giveUp ? "failed" : "pending", String(err.message || err)]
+      );
+      failed++;
+      console.error(
+        `❌ ${stage} of submission ${submission.id} failed (attempt ${submission.attempts}/${MAX_ATTEMPTS}${giveUp ? ", giving up" : ""}):`,
+        err.message || err
+      );
+    }
+  }
+
+  return { processed, failed };
+}
+
+/**
+ * Worker: build LOD variants for pending uploads.
+ * @returns {Promise<{ processed: number, failed: number }>}
+ */
+export function processPendingModels({ limit = BATCH_SIZE } = {}) {
+  return processStage("optimization", limit);
+}
+
+/**
+ * Worker: render previews for pending uploads.
+ * @returns {Promise<{ processed: number, failed: number }>}
+ */
+export function processPendingRenders({ limit = BATCH_SIZE } = {}) {
+  return processStage("render", limit);
+}
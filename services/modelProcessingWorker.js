@@ -0,0 +1,26 @@
+// services/modelProcessingWorker.js
+import { parentPort, workerData } from "worker_threads";
+import { optimizeModel } from "./modelOptimizerService.js";
+import { renderModelPreviews } from "./previewRenderService.js";
+
+/**
+ * Worker thread for modelProcessingService: runs one stage on one model so
+ * the CPU-heavy part (decimation, software rendering) stays off the API's
+ * event loop. workerData is { stage, buffer, options }; posts back { result }
+ * or { error: { name, message, stack } }.
+ */
+
+const STAGES = {
+  optimization: optimizeModel,
+  render: renderModelPreviews,
+};
+
+const { stage, buffer, options } = workerData;
+
+try {
+  // Buffers arrive as plain Uint8Arrays
+  const model = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  parentPort.postMessage({ result: await STAGES[stage](model, options) });
+} catch (err) {
+  parentPort.postMessage({ error: { name: err.name, message: String(err.message || err), stack: err.stack } });
+}
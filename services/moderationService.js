@@ -0,0 +1,248 @@
+// services/moderationService.js
+import { pool, withTransaction } from "../db/pool.js";
+import { recordAudit } from "./auditService.js";
+import { enqueueEmail } from "./emailService.js";
+import { submissionFileUrl } from "./submissionFileService.js";
+
+/**
+ * Reports and moderation.
+ *
+ * Users report entries; moderators work through the queue of entries with
+ * open reports and can:
+ *   - hide:        take the entry out of voting, the gallery and rankings
+ *                  while it is looked into
+ *   - disqualify:  remove it for good (a winner loses the title); the
+ *                  creator is emailed the reason
+ *   - restore:     make it visible again
+ *
+ * Every action resolves the entry's open reports and is written to the audit log.
+ */
+
+export const REPORT_REASONS = ["inappropriate", "stolen", "spam", "broken", "other"];
+const MAX_REASON_LENGTH = 2000;
+
+export class ModerationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ModerationError";
+    this.status = status;
+  }
+}
+
+const MODERATION_FIELDS = ["moderation_status", "moderation_reason", "moderated_at", "moderated_by", "status", "is_winner"];
+
+function moderationState(submission) {
+  return Object.fromEntries(MODERATION_FIELDS.map((f) => [f, submission[f]]));
+}
+
+function cleanText(value, name, { required }) {
+  if (value === undefined || value === null || value === "") {
+    if (required) throw new ModerationError(400, `${name} is required`);
+    return null;
+  }
+  if (typeof value !== "string") throw new ModerationError(400, `${name} must be a string`);
+  const trimmed = value.trim();
+  if (required && !trimmed) throw new ModerationError(400, `${name} is required`);
+  if (trimmed.length > MAX_REASON_LENGTH) throw new ModerationError(400, `${name} must be at most ${MAX_REASON_LENGTH} characters`);
+  return trimmed || null;
+}
+
+async function lockSubmission(client, submissionId) {
+  const id = parseInt(submissionId, 10);
+  const result = await client.query("SELECT * FROM submissions WHERE id = $1 FOR UPDATE", [id || 0]);
+  if (!result.rows[0]) throw new ModerationError(404, "Submission not found");
+  return result.rows[0];
+}
+
+/**
+ * File a report. One report per user per entry; reporting again updates it.
+ */
+export async function reportSubmission({ submissionId, reporterId, reason, details }) {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ModerationError(400, `reason must be one of ${REPORT_REASONS.join(", ")}`);
+  }
+  const text = cleanText(details, "details", { required: reason === "other" }) || "";
+
+  return withTransaction(async (client) => {
+    const submission = await lockSubmission(client, submissionId);
+    if (submission.user_id === reporterId) throw new ModerationError(400, "You can't report your own entry");
+    if (submission.moderation_status === "disqualified") {
+      throw new ModerationError(409, "This entry has already been removed");
+    }
+
+    const result = await client.query(
+      `INSERT INTO submission_reports (submission_id, reporter_id, reason, details)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (submission_id, reporter_id) DO UPDATE
+         SET reason = EXCLUDED.reason, details = EXCLUDED.details, status = 'open',
+             resolved_by = NULL, resolved_at = NULL, created_at = NOW()
+       RETURNING *`,
+      [submission.id, reporterId, reason, text]
+    );
+    return result.rows[0];
+  });
+}
+
+/**
+ * Moderation queue: entries with open reports (most reported first), plus
+ * hidden entries still waiting for a decision.
+ */
+export async function getModerationQueue({ includeHidden = true, limit = 50 } = {}, db = pool) {
+  const result = await db.query(
+    `SELECT s.id, s.part_name, s.part_type, s.car_model, s.user_id, s.user_name, s.anonymous_id,
+            s.file_path, s.storage_key, s.week_number, s.competition_id, s.status, s.is_winner,
+            s.moderation_status, s.moderation_reason, s.moderated_at, s.created_at,
+            COUNT(r.id) FILTER (WHERE r.status = 'open')::INT AS open_reports,
+            ARRAY_REMOVE(ARRAY_AGG(DISTINCT r.reason) FILTER (WHERE r.status = 'open'), NULL) AS reasons,
+            MIN(r.created_at) FILTER (WHERE r.status = 'open') AS first_reported_at
+     FROM submissions s
+     LEFT JOIN submission_reports r ON r.submission_id = s.id
+     WHERE EXISTS (SELECT 1 FROM submission_reports o WHERE o.submission_id = s.id AND o.status = 'open')
+        OR ($1 AND s.moderation_status = 'hidden')
+     GROUP BY s.id
+     ORDER BY open_reports DESC, first_reported_at ASC NULLS LAST, s.id
+     LIMIT $2`,
+    [includeHidden, limit]
+  );
+  return result.rows.map((row) => ({ ...row, file_path: submissionFileUrl(row) }));
+}
+
+/** One entry with every report filed against it */
+export async function getModerationDetail(submissionId, db = pool) {
+  const submission = await db.query("SELECT * FROM submissions WHERE id = $1", [parseInt(submissionId, 10) || 0]);
+  if (!submission.rows[0]) throw new ModerationError(404, "Submission not found");
+  const reports = await db.query(
+    `SELECT r.*, u.username AS reporter_username
+     FROM submission_reports r
+     JOIN users u ON u.id = r.reporter_id
+     WHERE r.submission_id = $1
+     ORDER BY r.created_at DESC`,
+    [submission.rows[0].id]
+  );
+  const row = submission.rows[0];
+  return { submission: { ...row, file_path: submissionFileUrl(row) }, reports: reports.rows };
+}
+
+async function resolveReports(client, submissionId, status, moderatorId) {
+  const result = await client.query(
+    `UPDATE submission_reports SET status = $2, resolved_by = $3, resolved_at = NOW()
+     WHERE submission_id = $1 AND status = 'open'
+     RETURNING id`,
+    [submissionId, status, moderatorId]
+  );
+  return result.rows.length;
+}
+
+/**
+ * Apply a moderation action.
+ * @param {object} params
+ * @param {"hide"|"disqualify"|"restore"} params.action
+ * @param {number} params.submissionId
+ * @param {number} params.moderatorId
+ * @param {string} [params.reason] required for disqualify
+ * @param {string} [params.ip]
+ * @returns {Promise<{ submission: object, resolvedReports: number, wasWinner: boolean }>}
+ */
+export async function moderateSubmission({ action, submissionId, moderatorId, reason, ip }) {
+  const targets = { hide: "hidden", disqualify: "disqualified", restore: "visible" };
+  const target = Object.hasOwn(targets, action) ? targets[action] : null;
+  if (!target) throw new ModerationError(400, `Unknown moderation action "${action}"`);
+  const text = cleanText(reason, "reason", { required: action === "disqualify" });
+
+  return withTransaction(async (client) => {
+    const before = await lockSubmission(client, submissionId);
+    if (before.moderation_status === target) {
+      throw new ModerationError(409, `Submission is already ${target}`);
+    }
+
+    // A disqualified winner loses the title; the week can be re-run from the close-out tools
+    const wasWinner = action === "disqualify" && before.is_winner;
+    const result = await client.query(
+      `UPDATE submissions
+       SET moderation_status = $2, moderation_reason = $3, moderated_at = NOW(), moderated_by = $4,
+           is_winner = CASE WHEN $5 THEN false ELSE is_winner END,
+           status = CASE WHEN $5 THEN 'QUALIFIED' ELSE status END
+       WHERE id = $1
+       RETURNING *`,
+      [before.id, target, text, moderatorId, wasWinner]
+    );
+    const submission = result.rows[0];
+
+    const resolvedReports = await resolveReports(client, submission.id, action === "restore" ? "dismissed" : "actioned", moderatorId);
+
+    await recordAudit(
+      {
+        actorId: moderatorId,
+        action: `submission.${action}`,
+        targetType: "submission",
+        targetId: submission.id,
+        before: moderationState(before),
+        after: moderationState(submission),
+        metadata: { reason: text, resolvedReports },
+        ip,
+      },
+      client
+    );
+
+    if (action === "disqualify") {
+      // Email the account's (verified) address rather than the one typed into the upload form
+      const owner = await client.query(
+        `SELECT u.email, u.username, c.name AS competition_name
+         FROM users u, competitions c
+         WHERE u.id = $1 AND c.id = $2`,
+        [submission.user_id, submission.competition_id]
+      );
+      const { email, username, competition_name: competitionName } = owner.rows[0] || {};
+      if (email || submission.email) {
+        await enqueueEmail(
+          {
+            template: "submission-disqualified",
+            to: email || submission.email,
+            variables: {
+              userName: submission.user_name || username,
+              competitionName,
+              reason: text,
+              partName: submission.part_name,
+              partType: submission.part_type,
+              carModel: submission.car_model,
+              weekNumber: submission.week_number,
+            },
+            dedupeKey: `disqualified:${submission.id}:${submission.moderated_at.toISOString()}`,
+          },
+          client
+        );
+      }
+    }
+
+    return { submission, resolvedReports, wasWinner };
+  });
+}
+
+/** Close a single report without acting on the entry */
+export async function dismissReport({ reportId, moderatorId, ip }) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE submission_reports SET status = 'dismissed', resolved_by = $2, resolved_at = NOW()
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [parseInt(reportId, 10) || 0, moderatorId]
+    );
+    const report = result.rows[0];
+    if (!report) throw new ModerationError(404, "No open report with that id");
+
+    await recordAudit(
+      {
+        actorId: moderatorId,
+        action: "report.dismiss",
+        targetType: "submission_report",
+        targetId: report.id,
+        before: { status: "open" },
+        after: { status: "dismissed" },
+        metadata: { submissionId: report.submission_id },
+        ip,
+      },
+      client
+    );
+    return report;
+  });
+}
@@ -0,0 +1,149 @@
+// services/partFitting.js
+import * as THREE from "three";
+import { partDefinition, PartSpecError } from "./partLibrary.js";
+
+/**
+ * Fitting generated parts onto a car. The car is described by carContext
+ * (the same object the AI mechanic gets), in meters on the part library's
+ * axes with the car centered on the origin and its wheels on the ground:
+ *   dimensions   { length, width, height, wheelbase?, trackWidth?, wheelRadius?, rimDiameter? (inches) }
+ *   mountPoints  { rearBumper, trunkLip, roof, frontBumper, hood, sills,
+ *                  wheelHubs: { frontLeft, frontRight, rearLeft, rearRight } }
+ *                each [x, y, z] or { x, y, z }
+ * Mount points that aren't given are estimated from the dimensions, and the
+ * dimensions default to a mid-size sedan.
+ */
+
+export const DEFAULT_DIMENSIONS = { length: 4.6, width: 1.8, height: 1.4 };
+
+const DIMENSION_RANGES = {
+  length: [2, 8],
+  width: [1, 3],
+  height: [0.8, 3.5],
+  wheelbase: [1.5, 5],
+  trackWidth: [0.9, 2.6],
+  wheelRadius: [0.2, 0.7],
+  rimDiameter: [13, 26],
+};
+
+const HUB_NAMES = ["frontLeft", "frontRight", "rearLeft", "rearRight"];
+
+export const MOUNT_POINTS = ["rearBumper", "trunkLip", "roof", "frontBumper", "hood", "sills", ...HUB_NAMES.map((hub) => `wheelHubs.${hub}`)];
+
+function readPoint(value) {
+  const coords = Array.isArray(value) ? value : value && typeof value === "object" ? [value.x, value.y, value.z] : null;
+  if (!coords || coords.length !== 3) return null;
+  const point = coords.map(Number);
+  return point.every((n) => Number.isFinite(n) && Math.abs(n) <= 100) ? point : null;
+}
+
+/** Where each mount point usually is on a car of this size */
+function estimateMountPoints(car, given) {
+  const { length, height, wheelbase, trackWidth, wheelRadius } = car;
+  const points = {
+    rearBumper: [0, Math.max(wheelRadius * 0.9, height * 0.2), -length / 2],
+    trunkLip: [0, height * 0.78, -length / 2 + length * 0.05],
+    roof: [0, height, -length * 0.08],
+    frontBumper: [0, wheelRadius * 0.5, length / 2],
+    hood: [0, height * 0.64, length * 0.28],
+  };
+  for (const hub of HUB_NAMES) {
+    const side = hub.endsWith("Left") ? 1 : -1;
+    const axle = hub.startsWith("front") ? 1 : -1;
+    points[`wheelHubs.${hub}`] = [(side * trackWidth) / 2, wheelRadius, (axle * wheelbase) / 2];
+  }
+  // Sills run between the wheels, so follow the hubs when the car gives them
+  const front = given["wheelHubs.frontLeft"] ?? points["wheelHubs.frontLeft"];
+  const rear = given["wheelHubs.rearLeft"] ?? points["wheelHubs.rearLeft"];
+  points.sills = [0, wheelRadius * 0.95, (front[2] + rear[2]) / 2];
+  const mm = (meters) => Math.round(meters * 1000) / 1000;
+  return Object.fromEntries(Object.entries(points).map(([name, point]) => [name, point.map(mm)]));
+}
+
+/**
+ * Read a client's carContext. Unusable values are dropped with a warning
+ * rather than failing the request, as the part can still be built.
+ * @returns {{ car: object, fitted: boolean, points: object, given: Set<string>, warnings: string[] }}
+ *   car holds every dimension (estimated where missing); fitted is false when
+ *   the context had no dimensions, in which case part sizes keep their defaults
+ */
+export function readCarContext(carContext) {
+  const warnings = [];
+  const dimensions = carContext?.dimensions && typeof carContext.dimensions === "object" ? carContext.dimensions : {};
+  const car = { ...DEFAULT_DIMENSIONS };
+  let fitted = false;
+  for (const [key, [min, max]] of Object.entries(DIMENSION_RANGES)) {
+    if (dimensions[key] === undefined) continue;
+    const value = Number(dimensions[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      warnings.push(`carContext: dimensions.${key} must be between ${min} and ${max}; ignored`);
+      continue;
+    }
+    car[key] = value;
+    fitted = true;
+  }
+  car.wheelbase ??= car.length * 0.6;
+  car.trackWidth ??= car.width * 0.86;
+  car.wheelRadius ??= 0.33;
+
+  const source = carContext?.mountPoints && typeof carContext.mountPoints === "object" ? carContext.mountPoints : {};
+  const { wheelHubs, ...named } = source;
+  const entries = [
+    ...Object.entries(named),
+    ...(wheelHubs && typeof wheelHubs === "object" ? Object.entries(wheelHubs).map(([hub, value]) => [`wheelHubs.${hub}`, value]) : []),
+  ];
+  const given = {};
+  for (const [name, value] of entries) {
+    if (!MOUNT_POINTS.includes(name)) {
+      warnings.push(`carContext: ignored unknown mount point "${name}"`);
+      continue;
+    }
+    const point = readPoint(value);
+    if (point) given[name] = point;
+    else warnings.push(`carContext: mount point "${name}" must be [x, y, z] or { x, y, z }; estimated instead`);
+  }
+
+  const points = { ...estimateMountPoints(car, given), ...given };
+  return { car, fitted, points, given: new Set(Object.keys(given)), warnings };
+}
+
+/** The mount point to attach a part to: the one asked for, or the part type's default */
+export function chooseMountPoint(type, mount) {
+  const { mounts } = partDefinition(type);
+  if (mount === undefined || mount === null || mount === "") return mounts[0];
+  const name = String(mount);
+  if (!mounts.includes(name)) {
+    throw new PartSpecError(400, `A ${type.replace(/_/g, " ")} can't be mounted at "${name}" (expected ${mounts.join(", ")})`);
+  }
+  return name;
+}
+
+/**
+ * Put a built part at its mount point. The returned node sits at the mount
+ * point itself and carries what the frontend needs to snap it onto the car
+ * (exported as glTF extras): the part type, its parameters and the attachment.
+ * Moving the node to another car's mount point of the same name refits it.
+ */
+export function placePart(part, { type, params, point, context }) {
+  const { mounts, place } = partDefinition(type);
+  const { offset = [0, 0, 0], turn = 0 } = place?.(params, point) || {};
+  part.name = `${type}_model`;
+  part.position.set(...offset);
+  part.rotation.y = turn;
+
+  const node = new THREE.Group();
+  node.name = type;
+  node.position.set(...context.points[point]);
+  node.add(part);
+  node.userData = {
+    partType: type,
+    params,
+    attachment: {
+      point,
+      position: context.points[point],
+      estimated: !context.given.has(point),
+      compatible: mounts,
+    },
+  };
+  return node;
+}
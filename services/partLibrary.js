@@ -0,0 +1,667 @@
+// services/partLibrary.js
+import * as THREE from "three";
+import { checkFields, warnUnknownKeys, FINISHES } from "./aiActionSchema.js";
+import { FINISH_MATERIALS, readPhrase } from "./aiOfflineParser.js";
+
+/**
+ * Parametric aftermarket parts. Every part type is a set of parameter specs
+ * (validated with the same field specs as AI actions) and a builder that
+ * turns a cleaned parameter object into a Three.js group, so the same JSON
+ * always produces the same mesh.
+ *
+ * Units are meters and degrees, except rim sizes which are in inches as
+ * wheels are sold. Axes: X toward the car's left, Y up, Z forward (the nose
+ * points +Z). A part's origin is where it attaches:
+ *   spoiler     center of its mounting base on the trunk
+ *   rim         hub center, with the wheel face on +X
+ *   exhaust     center of the tips' inlet, tips pointing -Z
+ *   splitter    top rear edge, under the front bumper, sticking out +Z
+ *   hood_scoop  center of its base on the hood
+ *   side_skirt  midway between the skirts' top inner edges
+ *   diffuser    top front edge, under the rear bumper, rising toward -Z
+ *
+ * Beside the spec fields, a param spec may carry how prompts fill it in:
+ *   kind      "length" | "inches" | "angle" | "count" - which quantities fit
+ *   words     words that name it ("1.4m span", "angle of 12")
+ *   synonyms  word → enum value ("bbs" → mesh)
+ *
+ * Fitting to a car (see partFitting.js) uses, per part type:
+ *   mounts  the car mount points it attaches to, the first being the default
+ *   fit     car dimensions → { defaults, limits }: sizes to use when none are
+ *           asked for, and the largest that still fit the car
+ *   place   where the part's origin sits relative to the mount point
+ */
+
+const INCH = 0.0254;
+const DEG = Math.PI / 180;
+const mm = (meters) => Math.round(meters * 1000) / 1000;
+const WHEEL_HUBS = ["wheelHubs.frontLeft", "wheelHubs.frontRight", "wheelHubs.rearLeft", "wheelHubs.rearRight"];
+
+export class PartSpecError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "PartSpecError";
+    this.status = status;
+  }
+}
+
+/** A part type's definition; own keys only, so "constructor" or "toString" aren't part types */
+export function partDefinition(type) {
+  if (typeof type !== "string" || !Object.hasOwn(PART_TYPES, type)) {
+    throw new PartSpecError(400, `Unknown part type "${type}" (expected ${Object.keys(PART_TYPES).join(", ")})`);
+  }
+  return PART_TYPES[type];
+}
+
+const color = (value) => ({ type: "color", default: value });
+const finish = (value) => ({ type: "enum", values: FINISHES, default: value });
+
+export const PART_TYPES = {
+  spoiler: {
+    label: "Spoiler / wing",
+    words: ["spoiler", "wing", "gtwing", "ducktail", "lipspoiler", "trunklip"],
+    params: {
+      style: {
+        type: "enum",
+        values: ["wing", "ducktail"],
+        default: "wing",
+        synonyms: { wing: "wing", gt: "wing", ducktail: "ducktail", duck: "ducktail", lip: "ducktail" },
+      },
+      span: { type: "number", min: 0.8, max: 2, default: 1.4, kind: "length", words: ["span", "wide", "width", "across"] },
+      chord: { type: "number", min: 0.08, max: 0.5, default: 0.25, kind: "length", words: ["chord", "deep", "depth"] },
+      angle: {
+        type: "number", min: -5, max: 25, default: 8, kind: "angle",
+        words: ["angle", "aoa", "attack", "tilt", "tilted", "pitch"],
+      },
+      height: {
+        type: "number", min: 0, max: 0.5, default: 0.22, kind: "length",
+        words: ["height", "tall", "high", "riser", "risers", "uprights", "raised"],
+      },
+      endplates: { type: "boolean", default: true, words: ["endplate", "endplates", "plates"] },
+      color: color("#1b1b1b"),
+      finish: finish("gloss"),
+    },
+    mounts: ["trunkLip", "roof"],
+    fit: (car) => ({ defaults: { span: mm(car.width * 0.85) }, limits: { span: car.width } }),
+    build: buildSpoiler,
+  },
+  rim: {
+    label: "Rim",
+    words: ["rim", "rims", "wheel", "wheels", "alloy", "alloys"],
+    params: {
+      diameter: { type: "number", min: 14, max: 24, default: 18, kind: "inches", words: ["diameter", "size"] },
+      width: { type: "number", min: 6, max: 13, default: 8.5, kind: "inches", words: ["wide", "width"] },
+      spokeCount: { type: "number", integer: true, min: 3, max: 20, default: 5, kind: "count", words: ["spoke", "spokes"] },
+      style: {
+        type: "enum",
+        values: ["straight", "split", "mesh", "turbine", "dish"],
+        default: "straight",
+        synonyms: {
+          straight: "straight", classic: "straight", split: "split", mesh: "mesh", bbs: "mesh", lattice: "mesh",
+          turbine: "turbine", directional: "turbine", dish: "dish", deep: "dish",
+        },
+      },
+      color: color("#c0c0c0"),
+      finish: finish("gloss"),
+    },
+    mounts: WHEEL_HUBS,
+    // Leave room for a tyre sidewall of at least 1.5" on the car's wheel size
+    fit: (car) => ({
+      defaults: { diameter: car.rimDiameter ?? Math.round(((car.wheelRadius * 2) / INCH) * 0.7) },
+      limits: { diameter: Math.floor((car.wheelRadius * 2) / INCH - 3) },
+    }),
+    // Right-hand wheels are the same rim turned to face -X
+    place: (p, point) => ({ turn: point.endsWith("Right") ? Math.PI : 0 }),
+    build: buildRim,
+  },
+  exhaust: {
+    label: "Exhaust tips",
+    words: ["exhaust", "exhausts", "tip", "tips", "tailpipe", "tailpipes", "muffler"],
+    params: {
+      count: { type: "number", integer: true, min: 1, max: 4, default: 2, kind: "count", words: ["tip", "tips", "pipe", "pipes", "outlet", "outlets"] },
+      diameter: { type: "number", min: 0.05, max: 0.15, default: 0.09, kind: "length", words: ["diameter", "bore", "wide"] },
+      length: { type: "number", min: 0.08, max: 0.4, default: 0.18, kind: "length", words: ["length", "long"] },
+      shape: {
+        type: "enum",
+        values: ["round", "oval", "square"],
+        default: "round",
+        synonyms: { round: "round", oval: "oval", square: "square", rectangular: "square", boxy: "square" },
+      },
+      slant: { type: "number", min: 0, max: 30, default: 15, kind: "angle", words: ["slant", "slanted", "cut", "angled"] },
+      color: color("#b0b0b0"),
+      finish: finish("chrome"),
+    },
+    mounts: ["rearBumper"],
+    // The tips stick out of the bumper by 40% of their length
+    place: (p) => ({ offset: [0, 0, p.length * 0.6] }),
+    build: buildExhaust,
+  },
+  splitter: {
+    label: "Front splitter",
+    words: ["splitter", "frontlip", "chinspoiler", "airdam"],
+    params: {
+      width: { type: "number", min: 1, max: 2.1, default: 1.7, kind: "length", words: ["wide", "width", "span"] },
+      depth: { type: "number", min: 0.04, max: 0.3, default: 0.1, kind: "length", words: ["depth", "deep", "out", "protrude", "protrudes", "long"] },
+      thickness: { type: "number", min: 0.005, max: 0.03, default: 0.012, kind: "length", words: ["thick", "thickness"] },
+      color: color("#1b1b1b"),
+      finish: finish("matte"),
+    },
+    mounts: ["frontBumper"],
+    fit: (car) => ({ defaults: { width: mm(car.width * 0.92) }, limits: { width: car.width + 0.05 } }),
+    build: buildSplitter,
+  },
+  hood_scoop: {
+    label: "Hood scoop",
+    words: ["scoop", "scoops", "hoodscoop", "ramair", "nacaduct"],
+    params: {
+      style: {
+        type: "enum",
+        values: ["ram_air", "naca"],
+        default: "ram_air",
+        synonyms: { ram: "ram_air", naca: "naca", flush: "naca", recessed: "naca" },
+      },
+      width: { type: "number", min: 0.15, max: 0.9, default: 0.45, kind: "length", words: ["wide", "width"] },
+      length: { type: "number", min: 0.15, max: 0.9, default: 0.4, kind: "length", words: ["long", "length"] },
+      height: { type: "number", min: 0.02, max: 0.2, default: 0.07, kind: "length", words: ["tall", "height", "high"] },
+      color: color("#1b1b1b"),
+      finish: finish("gloss"),
+    },
+    mounts: ["hood", "roof"],
+    fit: (car) => ({ limits: { width: car.width * 0.6 } }),
+    build: buildHoodScoop,
+  },
+  side_skirt: {
+    label: "Side skirts",
+    words: ["skirt", "skirts", "sideskirt", "sideskirts", "rocker", "rockers"],
+    params: {
+      length: { type: "number", min: 1.2, max: 3.4, default: 2.4, kind: "length", words: ["long", "length"] },
+      height: { type: "number", min: 0.04, max: 0.25, default: 0.1, kind: "length", words: ["tall", "height", "high"] },
+      depth: { type: "number", min: 0.02, max: 0.15, default: 0.05, kind: "length", words: ["depth", "deep", "out", "protrude", "protrudes"] },
+      pair: { type: "boolean", default: true, words: ["pair", "both"] },
+      side: { type: "enum", values: ["left", "right"], default: "left", synonyms: { left: "left", right: "right" } },
+      spacing: { type: "number", min: 1.4, max: 2.3, default: 1.8, kind: "length", words: ["apart", "spacing", "spaced"] },
+      color: color("#1b1b1b"),
+      finish: finish("gloss"),
+    },
+    mounts: ["sills"],
+    // Between the wheel arches, flush with the body sides
+    fit: (car) => ({
+      defaults: { length: mm(car.wheelbase - car.wheelRadius * 2 - 0.1), spacing: mm(car.width - 0.02) },
+      limits: { length: car.wheelbase - car.wheelRadius * 1.6, spacing: car.width + 0.1 },
+    }),
+    place: (p) => ({ offset: [p.pair ? 0 : ((p.side === "left" ? 1 : -1) * p.spacing) / 2, 0, 0] }),
+    build: buildSideSkirt,
+  },
+  diffuser: {
+    label: "Rear diffuser",
+    words: ["diffuser", "diffusor"],
+    params: {
+      width: { type: "number", min: 0.6, max: 1.9, default: 1.2, kind: "length", words: ["wide", "width"] },
+      length: { type: "number", min: 0.15, max: 0.9, default: 0.45, kind: "length", words: ["long", "length", "deep"] },
+      angle: { type: "number", min: 3, max: 25, default: 12, kind: "angle", words: ["angle", "rake", "raked"] },
+      fins: {
+        type: "number", integer: true, min: 0, max: 11, default: 5, kind: "count",
+        words: ["fin", "fins", "strake", "strakes", "blade", "blades", "channel", "channels"],
+      },
+      color: color("#1b1b1b"),
+      finish: finish("matte"),
+    },
+    mounts: ["rearBumper"],
+    fit: (car) => ({ defaults: { width: mm(car.width * 0.6) }, limits: { width: car.width * 0.9 } }),
+    // Tucked under the car so its rear edge lines up with the bumper
+    place: (p) => ({ offset: [0, 0, p.length * Math.cos(p.angle * DEG)] }),
+    build: buildDiffuser,
+  },
+};
+
+/* ------------------------------------------------------------------ */
+/* Prompt → parameters                                                 */
+/* ------------------------------------------------------------------ */
+
+const NUMBER_WORDS = {
+  single: 1, one: 1, dual: 2, twin: 2, two: 2, double: 2, triple: 3, three: 3, quad: 4, four: 4,
+  five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20,
+};
+const FILLER = new Set(["of", "at", "to", "is", "by", "about", "around"]);
+const NEGATIONS = new Set(["no", "without", "remove", "skip"]);
+// "front lip" is a splitter, "trunk lip" / "lip spoiler" a ducktail
+const TYPE_PHRASES = [["front", "lip"], ["trunk", "lip"], ["lip", "spoiler"], ["side", "skirt"], ["side", "skirts"], ["hood", "scoop"], ["ram", "air"], ["naca", "duct"], ["gt", "wing"], ["chin", "spoiler"], ["air", "dam"]];
+
+/** Which part a prompt asks for: the earliest part word wins ("wing with a diffuser-style endplate" → spoiler) */
+export function detectPartType(prompt) {
+  const words = readPhrase(prompt).words.filter(Boolean);
+  for (let i = 0; i < words.length; i++) {
+    const pair = TYPE_PHRASES.some(([a, b]) => words[i] === a && words[i + 1] === b) ? words[i] + words[i + 1] : null;
+    for (const candidate of [pair, words[i]]) {
+      const type = candidate && Object.keys(PART_TYPES).find((name) => PART_TYPES[name].words.includes(candidate));
+      if (type) return type;
+    }
+  }
+  return null;
+}
+
+/** Can a quantity with this unit fill a parameter of this kind? */
+function fits(kind, unit) {
+  if (kind === "count") return !unit;
+  if (kind === "angle") return !unit || unit === "deg";
+  if (kind === "inches") return !unit || unit === "s" || unit in { in: 1, mm: 1, cm: 1, m: 1 };
+  return !unit || unit in { mm: 1, cm: 1, m: 1, in: 1, ft: 1 };
+}
+
+function convert(kind, { value, unit }) {
+  const meters = { mm: 0.001, cm: 0.01, m: 1, in: INCH, ft: 0.3048 };
+  if (kind === "length") {
+    if (unit) return value * meters[unit];
+    // Bare numbers: "a 1.5 wide wing" is meters, "a 12 deep splitter" centimeters
+    return value <= 3 ? value : value / 100;
+  }
+  if (kind === "inches") return unit && unit !== "s" && unit !== "in" ? (value * meters[unit]) / INCH : value;
+  return value;
+}
+
+/**
+ * Map a prompt onto a part's parameters. Quantities go to the parameter named
+ * next to them ("1.4m span", "angle of 12") or else to the first free
+ * parameter their unit fits ("18 inch" → rim diameter, "12°" → angle).
+ * Only what the prompt mentions is returned; defaults are applied later.
+ */
+export function paramsFromPrompt(type, prompt) {
+  const specs = partDefinition(type).params;
+  const frame = readPhrase(prompt);
+  const { words } = frame;
+  const params = {};
+  const named = (word) => word && Object.keys(specs).find((key) => specs[key].words?.includes(word));
+
+  const quantities = [
+    ...frame.quantities,
+    ...words.flatMap((word, index) => (Object.hasOwn(NUMBER_WORDS, word) ? [{ value: NUMBER_WORDS[word], unit: null, index }] : [])),
+  ].sort((a, b) => a.index - b.index);
+  const numbered = new Set(quantities.map((quantity) => quantity.index));
+  const filler = (index) => FILLER.has(words[index]);
+  for (const quantity of quantities) {
+    const { index, unit } = quantity;
+    const usable = (name) => name && !(name in params) && fits(specs[name].kind, unit) ? name : null;
+    const before = usable(named(filler(index - 1) ? words[index - 2] : words[index - 1]));
+    const after = usable(named(words[index + 1]));
+    // The word after a number names it ("1.4m span") unless a word before does and the
+    // one after has a number of its own ("span of 1.8m, chord 30cm")
+    const claimed = numbered.has(index + 2) || (filler(index + 2) && numbered.has(index + 3));
+    let key = before && (claimed || !after) ? before : after;
+    key ??= Object.keys(specs).find((name) => specs[name].kind && !(name in params) && fits(specs[name].kind, unit) &&
+      // a bare number only counts things when it is a whole number
+      (specs[name].kind !== "count" || Number.isInteger(quantity.value)));
+    if (key) params[key] = convert(specs[key].kind, quantity);
+  }
+
+  for (const [key, spec] of Object.entries(specs)) {
+    if (spec.type === "boolean") {
+      const index = words.findIndex((word) => spec.words.includes(word));
+      if (index >= 0) params[key] = !words.slice(Math.max(0, index - 2), index).some((word) => NEGATIONS.has(word));
+    }
+    if (spec.synonyms) {
+      const word = words.find((w) => Object.hasOwn(spec.synonyms, w));
+      if (word) params[key] = spec.synonyms[word];
+    }
+  }
+  if (specs.color && frame.colors.length) params.color = frame.colors[0];
+  if (specs.finish && frame.finish) params.finish = frame.finish;
+  return params;
+}
+
+/**
+ * Work out what to build from any mix of an explicit type, a parameter object
+ * and a prompt. Explicit params win over ones read from the prompt; out of
+ * range values are clamped with a warning.
+ * With a car's dimensions, sizes nobody asked for are fitted to the car and
+ * sizes that would stick out past it are reduced (with a warning).
+ * @param {{ type?: string, params?: object, prompt?: string }} request
+ * @param {{ car?: object }} [options] car dimensions from readCarContext
+ * @returns {{ type: string, params: object, warnings: string[] }}
+ */
+export function resolvePartSpec({ type, params, prompt } = {}, { car } = {}) {
+  const text = typeof prompt === "string" ? prompt.trim() : "";
+  if (params !== undefined && (!params || typeof params !== "object" || Array.isArray(params))) {
+    throw new PartSpecError(400, "params must be an object");
+  }
+  let partType = null;
+  if (type !== undefined) {
+    const key = String(type).toLowerCase().replace(/[\s-]+/g, "_");
+    partType = Object.hasOwn(PART_TYPES, key) ? key : Object.keys(PART_TYPES).find((name) => PART_TYPES[name].words.includes(key.replace(/_/g, "")));
+    if (!partType) throw new PartSpecError(400, `Unknown part type "${type}" (expected ${Object.keys(PART_TYPES).join(", ")})`);
+  } else if (text) {
+    partType = detectPartType(text);
+    if (!partType) {
+      throw new PartSpecError(400, `Couldn't tell which part to build. Try one of: ${Object.values(PART_TYPES).map((part) => part.label.toLowerCase()).join(", ")}.`);
+    }
+  } else {
+    throw new PartSpecError(400, "Prompt or part type is required");
+  }
+
+  const { params: specs, fit: fitTo } = partDefinition(partType);
+  const fit = (car && fitTo?.(car)) || {};
+  const errors = [];
+  const warnings = [];
+  const input = { ...fit.defaults, ...(text ? paramsFromPrompt(partType, text) : {}), ...params };
+  warnUnknownKeys(input, Object.keys(specs), "params", warnings);
+  const cleaned = checkFields(specs, input, "params", errors, warnings);
+  if (errors.length) throw new PartSpecError(400, errors.join("; "));
+  for (const [key, limit] of Object.entries(fit.limits || {})) {
+    const largest = Math.max(specs[key].min, specs[key].integer ? Math.floor(limit) : mm(limit));
+    if (cleaned[key] > largest) {
+      warnings.push(`params: "${key}" ${cleaned[key]} doesn't fit the car; reduced to ${largest}`);
+      cleaned[key] = largest;
+    }
+  }
+  return { type: partType, params: cleaned, warnings };
+}
+
+/** The library as clients see it: labels and parameter ranges for building forms */
+export function describePartTypes() {
+  return Object.entries(PART_TYPES).map(([type, { label, params, mounts }]) => ({
+    type,
+    label,
+    mounts,
+    params: Object.fromEntries(
+      Object.entries(params).map(([key, { type: kind, min, max, integer, values, default: value }]) => [
+        key,
+        { type: kind, ...(min !== undefined && { min, max }), ...(integer && { integer }), ...(values && { values }), default: value },
+      ])
+    ),
+  }));
+}
+
+/* ------------------------------------------------------------------ */
+/* Builders                                                            */
+/* ------------------------------------------------------------------ */
+
+function paint(params, name, extra = {}) {
+  return new THREE.MeshStandardMaterial({ name, color: new THREE.Color(params.color), ...FINISH_MATERIALS[params.finish], ...extra });
+}
+
+const opening = () => new THREE.MeshStandardMaterial({ name: "opening", color: 0x0d0d0d, roughness: 0.9, metalness: 0.1 });
+
+function mesh(geometry, material, name) {
+  const object = new THREE.Mesh(geometry, material);
+  object.name = name;
+  return object;
+}
+
+/**
+ * Extrude a profile drawn in (u, v) across X: u runs toward the rear (-Z),
+ * v up, and the extrusion spans x = -width/2..width/2.
+ */
+function extrudeAcross(points, width, options = {}) {
+  const shape = new THREE.Shape(points.map(([u, v]) => new THREE.Vector2(u, v)));
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth: width, bevelEnabled: false, ...options });
+  geometry.rotateY(Math.PI / 2);
+  geometry.translate(-width / 2, 0, 0);
+  return geometry;
+}
+
+/** Inverted NACA 4-digit section (camber pointing down, for downforce), leading edge at u = 0 */
+function airfoil(chord, thickness = 0.12, camber = 0.05, samples = 20) {
+  const upper = [];
+  const lower = [];
+  for (let i = 0; i <= samples; i++) {
+    const x = (1 - Math.cos((i / samples) * Math.PI)) / 2;
+    const half = 5 * thickness * (0.2969 * Math.sqrt(x) - 0.126 * x - 0.3516 * x ** 2 + 0.2843 * x ** 3 - 0.1036 * x ** 4);
+    const p = 0.4;
+    const mean = x < p ? (camber / p ** 2) * (2 * p * x - x * x) : (camber / (1 - p) ** 2) * (1 - 2 * p + 2 * p * x - x * x);
+    upper.push([x * chord, (half - mean) * chord]);
+    lower.push([x * chord, (-half - mean) * chord]);
+  }
+  // The section closes at both ends, so skip the duplicated leading/trailing points
+  return [...upper, ...lower.reverse().slice(1, -1)];
+}
+
+function buildSpoiler(p) {
+  const group = new THREE.Group();
+  const material = paint(p, "spoiler_paint");
+  const angle = p.angle * DEG;
+
+  if (p.style === "ducktail") {
+    const rise = Math.max(0.015, p.chord * Math.tan(Math.max(angle, 2 * DEG)));
+    const lip = extrudeAcross([[0, 0], [p.chord, 0], [p.chord, rise], [p.chord * 0.85, rise], [0, 0.01]], p.span);
+    lip.translate(0, 0, p.chord / 2);
+    group.add(mesh(lip, material, "ducktail"));
+    return group;
+  }
+
+  const wing = extrudeAcross(airfoil(p.chord), p.span, { curveSegments: 1 });
+  wing.translate(0, 0, p.chord / 2);
+  wing.rotateX(angle);
+  wing.translate(0, p.height, 0);
+  group.add(mesh(wing, material, "wing"));
+
+  if (p.height > 0) {
+    for (const side of [1, -1]) {
+      const upright = new THREE.BoxGeometry(0.014, p.height, Math.max(0.05, p.chord * 0.45));
+      upright.translate(side * p.span * 0.32, p.height / 2, 0);
+      group.add(mesh(upright, material, side > 0 ? "upright_left" : "upright_right"));
+    }
+  }
+  if (p.endplates) {
+    const plateHeight = Math.max(0.06, p.chord * 0.55);
+    for (const side of [1, -1]) {
+      const plate = mesh(new THREE.BoxGeometry(0.006, plateHeight, p.chord * 1.15), material, side > 0 ? "endplate_left" : "endplate_right");
+      plate.position.set(side * (p.span / 2 + 0.003), p.height - plateHeight * 0.15, 0);
+      plate.rotation.x = angle;
+      group.add(plate);
+    }
+  }
+  return group;
+}
+
+function buildRim(p) {
+  const group = new THREE.Group();
+  const radius = (p.diameter * INCH) / 2;
+  const width = p.width * INCH;
+  const lip = Math.min(0.02, radius * 0.06);
+  const metal = paint(p, "rim_paint");
+  const barrelMetal = paint(p, "rim_barrel", { side: THREE.DoubleSide });
+
+  // Barrel with a lip on both sides, lathed around Y and turned so the axle runs along X
+  const profile = [
+    [radius - lip * 2, -width / 2], [radius, -width / 2], [radius, -width / 2 + lip], [radius - lip, -width / 2 + lip * 1.5],
+    [radius - lip, width / 2 - lip * 1.5], [radius, width / 2 - lip], [radius, width / 2], [radius - lip * 2, width / 2],
+  ].map(([r, y]) => new THREE.Vector2(r, y));
+  const barrel = new THREE.LatheGeometry(profile, 64);
+  barrel.rotateZ(-Math.PI / 2);
+  group.add(mesh(barrel, barrelMetal, "barrel"));
+
+  const face = width / 2 - lip * 2.5;
+  const hubRadius = radius * 0.2;
+  const inner = radius - lip * 1.2;
+  const spokeLength = inner - hubRadius * 0.8;
+  const middle = hubRadius * 0.8 + spokeLength / 2;
+  const spokeWidth = Math.min(0.06, Math.max(0.012, (radius * 1.2) / p.spokeCount));
+  const spokeDepth = Math.min(0.035, width * 0.15);
+
+  const addSpoke = (name, phi, thickness, { offset = 0, twist = 0, lean = 0, depth = spokeDepth, length = spokeLength } = {}) => {
+    const spoke = mesh(new THREE.BoxGeometry(depth, length, thickness), metal, name);
+    const at = phi + offset;
+    spoke.position.set(face - depth / 2, middle * Math.cos(at), middle * Math.sin(at));
+    spoke.rotation.x = phi + lean;
+    if (twist) spoke.rotateY(twist);
+    group.add(spoke);
+  };
+
+  if (p.style === "dish") {
+    const disc = new THREE.CylinderGeometry(inner, inner, 0.01, 48);
+    disc.rotateZ(-Math.PI / 2);
+    disc.translate(face - spokeDepth, 0, 0);
+    group.add(mesh(disc, metal, "dish"));
+  }
+  for (let i = 0; i < p.spokeCount; i++) {
+    const phi = (2 * Math.PI * i) / p.spokeCount;
+    if (p.style === "split") {
+      const gap = (spokeWidth * 0.35) / middle;
+      addSpoke(`spoke_${i}_a`, phi, spokeWidth * 0.45, { offset: gap });
+      addSpoke(`spoke_${i}_b`, phi, spokeWidth * 0.45, { offset: -gap });
+    } else if (p.style === "mesh") {
+      addSpoke(`spoke_${i}_a`, phi, spokeWidth * 0.35, { lean: 0.45, length: spokeLength * 1.08 });
+      addSpoke(`spoke_${i}_b`, phi, spokeWidth * 0.35, { lean: -0.45, length: spokeLength * 1.08 });
+    } else if (p.style === "turbine") {
+      addSpoke(`spoke_${i}`, phi, spokeWidth * 0.8, { twist: 0.6 });
+    } else if (p.style === "dish") {
+      addSpoke(`spoke_${i}`, phi, spokeWidth * 0.6, { depth: spokeDepth * 0.6 });
+    } else {
+      addSpoke(`spoke_${i}`, phi, spokeWidth);
+    }
+  }
+
+  const hub = new THREE.CylinderGeometry(hubRadius, hubRadius * 1.1, spokeDepth * 1.6, 32);
+  hub.rotateZ(-Math.PI / 2);
+  hub.translate(face - spokeDepth * 0.8, 0, 0);
+  group.add(mesh(hub, metal, "hub"));
+  const cap = new THREE.CylinderGeometry(hubRadius * 0.45, hubRadius * 0.45, 0.01, 24);
+  cap.rotateZ(-Math.PI / 2);
+  cap.translate(face + 0.005, 0, 0);
+  group.add(mesh(cap, opening(), "center_cap"));
+  return group;
+}
+
+function buildExhaust(p) {
+  const group = new THREE.Group();
+  const material = paint(p, "exhaust_paint", { side: THREE.DoubleSide });
+  const outer = p.diameter / 2;
+  const inner = outer - Math.max(0.002, outer * 0.08);
+  const squash = p.shape === "oval" ? 1.45 : 1;
+  const spacing = p.diameter * squash * 1.25;
+
+  for (let i = 0; i < p.count; i++) {
+    // A thick-walled tube along Y; a 4-segment lathe turned 45° is a square tube
+    const ring = [[inner, 0], [outer, 0], [outer, p.length], [inner, p.length], [inner, 0]].map(([r, y]) => new THREE.Vector2(r, y));
+    const tube = p.shape === "square" ? new THREE.LatheGeometry(ring, 4, Math.PI / 4) : new THREE.LatheGeometry(ring, 40);
+    if (p.shape === "square") tube.scale(Math.SQRT2, 1, Math.SQRT2);
+    if (squash !== 1) tube.scale(squash, 1, 1);
+    // Slash cut: the outlet end is longer at the top
+    const position = tube.attributes.position;
+    const slope = Math.tan(p.slant * DEG);
+    for (let v = 0; v < position.count; v++) {
+      if (position.getY(v) > p.length * 0.999) position.setY(v, p.length + slope * (position.getZ(v) + outer));
+    }
+    tube.computeVertexNormals();
+    // Y (the tube's axis) → -Z, the lathe's Z → up
+    tube.rotateX(-Math.PI / 2);
+    tube.translate((i - (p.count - 1) / 2) * spacing, 0, 0);
+    group.add(mesh(tube, material, `tip_${i}`));
+  }
+  return group;
+}
+
+function buildSplitter(p) {
+  const group = new THREE.Group();
+  const half = p.width / 2;
+  const corner = Math.min(p.depth * 0.8, 0.08);
+  // Drawn top-down with y = -forward, so the rounded corners end up at the front
+  const shape = new THREE.Shape();
+  shape.moveTo(-half, 0);
+  shape.lineTo(half, 0);
+  shape.lineTo(half, -p.depth + corner);
+  shape.quadraticCurveTo(half, -p.depth, half - corner, -p.depth);
+  shape.lineTo(-half + corner, -p.depth);
+  shape.quadraticCurveTo(-half, -p.depth, -half, -p.depth + corner);
+  shape.closePath();
+  const blade = new THREE.ExtrudeGeometry(shape, { depth: p.thickness, bevelEnabled: false, curveSegments: 8 });
+  blade.rotateX(-Math.PI / 2);
+  blade.translate(0, -p.thickness, 0);
+  group.add(mesh(blade, paint(p, "splitter_paint"), "splitter"));
+  return group;
+}
+
+function buildHoodScoop(p) {
+  const group = new THREE.Group();
+  const material = paint(p, "hood_scoop_paint");
+
+  if (p.style === "naca") {
+    // Flush duct: a low frame with a recessed inlet that narrows toward the front
+    const outline = (scale, height) => {
+      const front = (p.width / 2) * 0.35 * scale;
+      const rear = (p.width / 2) * scale;
+      const length = p.length * scale;
+      const shape = new THREE.Shape([
+        new THREE.Vector2(-front, -length / 2), new THREE.Vector2(front, -length / 2),
+        new THREE.Vector2(rear, length / 2), new THREE.Vector2(-rear, length / 2),
+      ]);
+      const geometry = new THREE.ExtrudeGeometry(shape, { depth: height, bevelEnabled: false });
+      geometry.rotateX(-Math.PI / 2);
+      return geometry;
+    };
+    const frameHeight = Math.min(p.height, 0.03);
+    group.add(mesh(outline(1, frameHeight), material, "frame"));
+    const inlet = outline(0.8, frameHeight + 0.002);
+    group.add(mesh(inlet, opening(), "inlet"));
+    return group;
+  }
+
+  // Ram air: tall open front sweeping down into the hood at the rear
+  const { length, height } = p;
+  const shell = new THREE.Shape();
+  shell.moveTo(length / 2, 0);
+  shell.lineTo(-length / 2, 0);
+  shell.lineTo(-length / 2, height);
+  shell.lineTo(-length * 0.35, height);
+  shell.quadraticCurveTo(length * 0.1, height * 0.9, length / 2, 0.004);
+  shell.closePath();
+  const body = new THREE.ExtrudeGeometry(shell, { depth: p.width, bevelEnabled: false, curveSegments: 12 });
+  body.rotateY(Math.PI / 2);
+  body.translate(-p.width / 2, 0, 0);
+  group.add(mesh(body, material, "scoop"));
+  const mouth = new THREE.BoxGeometry(p.width * 0.8, height * 0.7, 0.004);
+  mouth.translate(0, height * 0.45, length / 2 + 0.002);
+  group.add(mesh(mouth, opening(), "inlet"));
+  return group;
+}
+
+function buildSideSkirt(p) {
+  const group = new THREE.Group();
+  const material = paint(p, "side_skirt_paint");
+  const sides = p.pair ? ["left", "right"] : [p.side];
+
+  for (const side of sides) {
+    const sign = side === "left" ? 1 : -1;
+    // Profile in (outward, up) hanging below the sill, extruded along the car
+    let profile = [[0, 0], [p.depth, 0], [p.depth, -p.height * 0.35], [p.depth * 0.55, -p.height], [0, -p.height]];
+    profile = profile.map(([u, v]) => new THREE.Vector2(u * sign, v));
+    // Mirroring flips the winding; keep faces pointing outward
+    if (sign < 0) profile.reverse();
+    const skirt = new THREE.ExtrudeGeometry(new THREE.Shape(profile), { depth: p.length, bevelEnabled: false });
+    skirt.translate(p.pair ? (sign * p.spacing) / 2 : 0, 0, -p.length / 2);
+    group.add(mesh(skirt, material, `skirt_${side}`));
+  }
+  return group;
+}
+
+function buildDiffuser(p) {
+  const group = new THREE.Group();
+  const material = paint(p, "diffuser_paint");
+  const angle = p.angle * DEG;
+  const thickness = 0.008;
+
+  const plate = new THREE.BoxGeometry(p.width, thickness, p.length);
+  plate.translate(0, -thickness / 2, -p.length / 2);
+  plate.rotateX(angle);
+  group.add(mesh(plate, material, "plate"));
+
+  // Strakes fill the wedge between the raked plate and the car's floor line
+  const run = p.length * Math.cos(angle);
+  const rise = p.length * Math.sin(angle);
+  const spread = p.width * 0.85;
+  for (let i = 0; i < p.fins; i++) {
+    const fin = extrudeAcross([[0, -thickness], [run, -thickness], [run, rise - thickness]], 0.006);
+    fin.translate(p.fins > 1 ? (i / (p.fins - 1) - 0.5) * spread : 0, 0, 0);
+    group.add(mesh(fin, material, `fin_${i}`));
+  }
+  return group;
+}
+
+/**
+ * Build a part from cleaned parameters (see resolvePartSpec)
+ * @returns {THREE.Group} named after the part type
+ */
+export function buildPart(type, params) {
+  const group = partDefinition(type).build(params);
+  group.name = type;
+  return group;
+}
@@ -0,0 +1,244 @@
+// services/pngCodec.js
+import zlib from "zlib";
+
+/**
+ * Minimal PNG decode/encode on top of zlib, so textures can be resized and
+ * thumbnails written without native image libraries.
+ *
+ * Images are { width, height, data } with data as 8-bit RGBA (Uint8Array,
+ * width * height * 4 bytes). Decoding supports every non-interlaced PNG
+ * (grayscale, RGB, palette, with alpha, 1-16 bit); 16-bit channels are
+ * reduced to 8 bits and color-key transparency on gray/RGB images is ignored.
+ */
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+export class PngError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PngError";
+  }
+}
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function isPng(bytes) {
+  return bytes.length > 8 && SIGNATURE.equals(Buffer.from(bytes.subarray(0, 8)));
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/** Reverse the per-scanline filters in place; returns the raw scanlines */
+function unfilter(inflated, height, stride, bpp) {
+  const out = new Uint8Array(height * stride);
+  let prev = new Uint8Array(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = inflated[y * (stride + 1)];
+    const line = inflated.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const cur = out.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? cur[x - bpp] : 0;
+      const up = prev[x];
+      const upLeft = x >= bpp ? prev[x - bpp] : 0;
+      let value = line[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      else if (filter !== 0) throw new PngError(`Unknown PNG filter ${filter}`);
+      cur[x] = value;
+    }
+    prev = cur;
+  }
+  return out;
+}
+
+/**
+ * @param {Buffer|Uint8Array} bytes
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function decodePng(bytes) {
+  const buf = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (!isPng(buf)) throw new PngError("Not a PNG file");
+
+  let header;
+  let palette;
+  let transparency;
+  const idat = [];
+  for (let offset = 8; offset + 8 <= buf.length; ) {
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString("latin1", offset + 4, offset + 8);
+    const data = buf.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") palette = data;
+    else if (type === "tRNS") transparency = data;
+    else if (type === "IDAT") idat.push(data);
+    else if (type === "IEND") break;
+  }
+  if (!header) throw new PngError("PNG has no IHDR chunk");
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new PngError(`Unsupported PNG color type ${colorType}`);
+  if (interlace) throw new PngError("Interlaced PNGs are not supported");
+  if (colorType === 3 && !palette) throw new PngError("Palette PNG without a palette");
+
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const raw = unfilter(zlib.inflateSync(Buffer.concat(idat)), height, stride, Math.max(1, bitsPerPixel >> 3));
+
+  const data = new Uint8Array(width * height * 4);
+  const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+  // Sample n of a row, scaled to 0-255 (palette indices are returned unscaled)
+  const sample = (row, n, scale) => {
+    if (bitDepth === 8) return row[n];
+    if (bitDepth === 16) return row[n * 2];
+    const bit = n * bitDepth;
+    const value = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    return scale ? Math.round((value * 255) / maxSample) : value;
+  };
+
+  for (let y = 0; y < height; y++) {
+    const row = raw.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (colorType === 3) {
+        const index = sample(row, x, false);
+        data[o] = palette[index * 3];
+        data[o + 1] = palette[index * 3 + 1];
+        data[o + 2] = palette[index * 3 + 2];
+        data[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        const gray = sample(row, x * channels, true);
+        data[o] = data[o + 1] = data[o + 2] = gray;
+        data[o + 3] = colorType === 4 ? sample(row, x * channels + 1, true) : 255;
+      } else {
+        for (let c = 0; c < 3; c++) data[o + c] = sample(row, x * channels + c, true);
+        data[o + 3] = colorType === 6 ? sample(row, x * channels + 3, true) : 255;
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const out = Buffer.alloc(body.length + 8);
+  out.writeUInt32BE(data.length, 0);
+  body.copy(out, 4);
+  out.writeUInt32BE(crc32(body), body.length + 4);
+  return out;
+}
+
+/**
+ * Encode RGBA (or RGB with { alpha: false }) as PNG, choosing each
+ * scanline's filter with the usual minimum-sum-of-absolutes heuristic.
+ */
+export function encodePng({ width, height, data }, { alpha = true, level = 9 } = {}) {
+  const channels = alpha ? 4 : 3;
+  const stride = width * channels;
+  const filtered = Buffer.alloc(height * (stride + 1));
+  const candidate = new Uint8Array(stride);
+  let prev = new Uint8Array(stride);
+  const cur = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < channels; c++) cur[x * channels + c] = data[(y * width + x) * 4 + c];
+    }
+    let bestScore = Infinity;
+    for (let filter = 0; filter <= 4; filter++) {
+      let score = 0;
+      for (let x = 0; x < stride; x++) {
+        const left = x >= channels ? cur[x - channels] : 0;
+        const up = prev[x];
+        const upLeft = x >= channels ? prev[x - channels] : 0;
+        const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+        const value = (cur[x] - predictor) & 0xff;
+        candidate[x] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        filtered[y * (stride + 1)] = filter;
+        filtered.set(candidate, y * (stride + 1) + 1);
+      }
+    }
+    prev = Uint8Array.from(cur);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = alpha ? 6 : 2;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(filtered, { level })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/** Downscale with area averaging (box filter); never upscales */
+export function resizeImage(image, width, height) {
+  const { width: sw, height: sh, data } = image;
+  if (width >= sw && height >= sh) return image;
+  const out = new Uint8Array(width * height * 4);
+  const xScale = sw / width;
+  const yScale = sh / height;
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * yScale);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * yScale));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * xScale);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * xScale));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const o = (sy * sw + sx) * 4;
+          sum[0] += data[o];
+          sum[1] += data[o + 1];
+          sum[2] += data[o + 2];
+          sum[3] += data[o + 3];
+        }
+      }
+      const n = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) out[o + c] = Math.round(sum[c] / n);
+    }
+  }
+  return { width, height, data: out };
+}
+
+/** Size that fits within maxSize on the longest side, keeping the aspect ratio */
+export function fitWithin(width, height, maxSize) {
+  if (width <= maxSize && height <= maxSize) return { width, height };
+  const scale = maxSize / Math.max(width, height);
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
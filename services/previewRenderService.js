@@ -0,0 +1,119 @@
+// services/previewRenderService.js
+import * as THREE from "three";
+import { loadModelScene, materialTexture } from "./modelOptimizerService.js";
+import { decodePng, encodePng, isPng } from "./pngCodec.js";
+import { orbitCamera, renderScene } from "./softwareRenderer.js";
+
+/**
+ * Preview images of a model, so lists can show a part without loading it:
+ *   - thumbnail: one three-quarter view (THUMBNAIL_SIZE square PNG, transparent background)
+ *   - turntable: TURNTABLE_FRAMES views around the vertical axis, equally spaced,
+ *     laid out left-to-right, top-to-bottom in a sprite sheet TURNTABLE_COLUMNS wide
+ *
+ * Optional env:
+ *   THUMBNAIL_SIZE=512
+ *   TURNTABLE_FRAMES=12
+ *   TURNTABLE_FRAME_SIZE=160
+ *   TURNTABLE_COLUMNS=4
+ */
+
+export const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE) || 512;
+export const TURNTABLE_FRAMES = parseInt(process.env.TURNTABLE_FRAMES) || 12;
+export const TURNTABLE_FRAME_SIZE = parseInt(process.env.TURNTABLE_FRAME_SIZE) || 160;
+export const TURNTABLE_COLUMNS = parseInt(process.env.TURNTABLE_COLUMNS) || 4;
+
+const THUMBNAIL_VIEW = { azimuth: 35, elevation: 22 };
+const TURNTABLE_ELEVATION = 15;
+
+export class PreviewRenderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PreviewRenderError";
+  }
+}
+
+/** Base color textures decoded for the rasterizer; PNG only (other formats render untextured) */
+function textureLookup(textures, warnings) {
+  const decoded = new Map();
+  return (material) => {
+    const texture = materialTexture(textures, material, "baseColorTexture");
+    if (!texture) return null;
+    if (!decoded.has(texture.bytes)) {
+      let image = null;
+      if (!isPng(texture.bytes)) {
+        warnings.add(`${texture.mimeType} textures can't be decoded; drawn with the base color only`);
+      } else {
+        try {
+          image = decodePng(texture.bytes);
+        } catch (err) {
+          warnings.add(`Texture could not be decoded: ${err.message}`);
+        }
+      }
+      decoded.set(texture.bytes, image);
+    }
+    return decoded.get(texture.bytes);
+  };
+}
+
+/** Bounding sphere of everything that will be drawn */
+function boundingSphere(scene) {
+  scene.updateMatrixWorld(true);
+  const box = new THREE.Box3();
+  scene.traverseVisible((object) => {
+    if (object.isMesh && object.geometry.attributes.position) box.expandByObject(object);
+  });
+  if (box.isEmpty()) return null;
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  return sphere.radius > 0 && Number.isFinite(sphere.radius) ? sphere : null;
+}
+
+/**
+ * Render the thumbnail and turntable sheet for a model.
+ * @param {Buffer} buffer .glb or .gltf contents
+ * @returns {Promise<{ thumbnail: { buffer: Buffer, width: number, height: number },
+ *   turntable: { buffer: Buffer, width: number, height: number, frames: number, columns: number, rows: number, frameWidth: number, frameHeight: number },
+ *   warnings: string[] }>}
+ */
+export async function renderModelPreviews(buffer, { fileName = "" } = {}) {
+  const { scene, textures, warnings: sourceWarnings } = await loadModelScene(buffer, { fileName });
+  const sphere = boundingSphere(scene);
+  if (!sphere) throw new PreviewRenderError("Model has no visible geometry to render");
+
+  const warnings = new Set(sourceWarnings);
+  const textureFor = textureLookup(textures, warnings);
+
+  const thumbnailImage = renderScene(scene, orbitCamera(sphere, THUMBNAIL_VIEW.azimuth, THUMBNAIL_VIEW.elevation), {
+    width: THUMBNAIL_SIZE,
+    height: THUMBNAIL_SIZE,
+    textureFor,
+  });
+
+  const size = TURNTABLE_FRAME_SIZE;
+  const columns = Math.min(TURNTABLE_COLUMNS, TURNTABLE_FRAMES);
+  const rows = Math.ceil(TURNTABLE_FRAMES / columns);
+  const sheet = { width: columns * size, height: rows * size, data: new Uint8Array(columns * size * rows * size * 4) };
+  for (let frame = 0; frame < TURNTABLE_FRAMES; frame++) {
+    const azimuth = (360 / TURNTABLE_FRAMES) * frame;
+    const image = renderScene(scene, orbitCamera(sphere, azimuth, TURNTABLE_ELEVATION), { width: size, height: size, textureFor });
+    const left = (frame % columns) * size;
+    const top = Math.floor(frame / columns) * size;
+    for (let y = 0; y < size; y++) {
+      sheet.data.set(image.data.subarray(y * size * 4, (y + 1) * size * 4), ((top + y) * sheet.width + left) * 4);
+    }
+  }
+
+  return {
+    thumbnail: { buffer: encodePng(thumbnailImage), width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE },
+    turntable: {
+      buffer: encodePng(sheet),
+      width: sheet.width,
+      height: sheet.height,
+      frames: TURNTABLE_FRAMES,
+      columns,
+      rows,
+      frameWidth: size,
+      frameHeight: size,
+    },
+    warnings: [...warnings],
+  };
+}
@@ -0,0 +1,180 @@
+// services/rankingService.js
+import { pool } from "../db/pool.js";
+import { SUBMISSION_ASSETS_SQL } from "./submissionFileService.js";
+
+/**
+ * Pluggable ranking strategies for weekly winners.
+ *
+ * Every strategy turns (thumbsUp, totalVotes) into a score plus a confidence
+ * interval, all expressed as percentages like approval_rating:
+ *   - wilson:   lower bound of the Wilson score interval (default)
+ *   - bayesian: Bayesian average pulled toward a prior approval rate
+ *   - approval: raw thumbs_up / total_votes (the original behaviour)
+ *
+ * Competitions pick a strategy with ranking_strategy / ranking_options.
+ */
+
+export class RankingValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RankingValidationError";
+  }
+}
+
+// Two-sided z values for the confidence levels we allow
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.98: 2.3263, 0.99: 2.5758 };
+
+const DEFAULT_OPTIONS = {
+  confidence: 0.95,
+  // Share of the week's voters an entry must have been voted on by to be eligible
+  minVoteShare: 0.2,
+  // Bayesian prior: "auto" = average approval of the week's eligible entries
+  priorMean: "auto",
+  priorWeight: 10,
+};
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+const pct = (v) => Math.round(clamp01(v) * 10000) / 100;
+
+function wilsonInterval(up, total, z) {
+  if (total === 0) return { lower: 0, upper: 0 };
+  const p = up / total;
+  const z2 = z * z;
+  const denominator = 1 + z2 / total;
+  const center = p + z2 / (2 * total);
+  const margin = z * Math.sqrt((p * (1 - p) + z2 / (4 * total)) / total);
+  return { lower: (center - margin) / denominator, upper: (center + margin) / denominator };
+}
+
+export const STRATEGIES = {
+  wilson: {
+    description: "Lower bound of the Wilson score confidence interval",
+    score(up, total, { z }) {
+      const { lower, upper } = wilsonInterval(up, total, z);
+      return { score: lower, lower, upper };
+    },
+  },
+
+  bayesian: {
+    description: "Bayesian average with a Beta prior (priorMean, priorWeight)",
+    score(up, total, { z, priorMean, priorWeight }) {
+      // Beta(priorMean * w, (1 - priorMean) * w) prior updated with the votes
+      const n = total + priorWeight;
+      const mean = (up + priorMean * priorWeight) / n;
+      const margin = z * Math.sqrt((mean * (1 - mean)) / (n + 1));
+      return { score: mean, lower: mean - margin, upper: mean + margin };
+    },
+  },
+
+  approval: {
+    description: "Raw approval rating (thumbs_up / total_votes)",
+    score(up, total, { z }) {
+      if (total === 0) return { score: 0, lower: 0, upper: 0 };
+      const p = up / total;
+      const { lower, upper } = wilsonInterval(up, total, z);
+      return { score: p, lower, upper };
+    },
+  },
+};
+
+export const DEFAULT_STRATEGY = "wilson";
+
+/** Validate a strategy name + options object (used by competition admin CRUD) */
+export function validateRankingConfig(strategy, options = {}) {
+  if (strategy !== undefined && !Object.hasOwn(STRATEGIES, strategy)) {
+    throw new RankingValidationError(`Unknown ranking strategy "${strategy}" (expected ${Object.keys(STRATEGIES).join(", ")})`);
+  }
+  if (options === null || typeof options !== "object" || Array.isArray(options)) {
+    throw new RankingValidationError("rankingOptions must be an object");
+  }
+
+  for (const key of Object.keys(options)) {
+    if (!Object.hasOwn(DEFAULT_OPTIONS, key)) throw new RankingValidationError(`Unknown ranking option "${key}"`);
+  }
+  if (options.confidence !== undefined && !Object.hasOwn(Z_SCORES, options.confidence)) {
+    throw new RankingValidationError(`confidence must be one of ${Object.keys(Z_SCORES).join(", ")}`);
+  }
+  if (options.minVoteShare !== undefined && !(options.minVoteShare >= 0 && options.minVoteShare <= 1)) {
+    throw new RankingValidationError("minVoteShare must be between 0 and 1");
+  }
+  if (options.priorMean !== undefined && options.priorMean !== "auto" && !(options.priorMean >= 0 && options.priorMean <= 1)) {
+    throw new RankingValidationError('priorMean must be "auto" or between 0 and 1');
+  }
+  if (options.priorWeight !== undefined && !(options.priorWeight >= 0)) {
+    throw new RankingValidationError("priorWeight must be zero or positive");
+  }
+}
+
+/**
+ * Score and sort submissions.
+ * @param {object[]} rows submission rows with thumbs_up / total_votes
+ * @param {string} strategyName
+ * @param {object} [options] ranking options (see DEFAULT_OPTIONS)
+ * @returns {{ ranked: object[], options: object }} rows with score + confidence_interval, best first
+ */
+export function rankSubmissions(rows, strategyName = DEFAULT_STRATEGY, options = {}) {
+  const strategy = Object.hasOwn(STRATEGIES, strategyName) ? STRATEGIES[strategyName] : null;
+  if (!strategy) throw new RankingValidationError(`Unknown ranking strategy "${strategyName}"`);
+
+  const resolved = { ...DEFAULT_OPTIONS, ...options };
+  if (resolved.priorMean === "auto") {
+    const up = rows.reduce((sum, r) => sum + r.thumbs_up, 0);
+    const total = rows.reduce((sum, r) => sum + r.total_votes, 0);
+    resolved.priorMean = total > 0 ? up / total : 0.5;
+  }
+  const params = { ...resolved, z: Z_SCORES[resolved.confidence] };
+
+  const ranked = rows
+    .map((row) => {
+      const { score, lower, upper } = strategy.score(row.thumbs_up, row.total_votes, params);
+      return {
+        ...row,
+        score: pct(score),
+        confidence_interval: { lower: pct(lower), upper: pct(upper), level: resolved.confidence },
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.total_votes - a.total_votes || a.id - b.id);
+
+  return { ranked, options: resolved };
+}
+
+/**
+ * Compute the ranked, eligible entries for one competition week.
+ * The minimum-vote floor is a share of the distinct voters who voted on that
+ * week's entries (not all-time voters).
+ */
+export async function computeWeekRanking(competition, weekNumber, { limit = 10 } = {}, db = pool) {
+  const strategyName = competition.ranking_strategy || DEFAULT_STRATEGY;
+  const options = { ...DEFAULT_OPTIONS, ...(competition.ranking_options || {}) };
+
+  const votersResult = await db.query(
+    `SELECT COUNT(DISTINCT v.voter_id) AS count
+     FROM user_votes v
+     JOIN submissions s ON s.id = v.submission_id
+     WHERE s.competition_id = $1 AND s.week_number = $2`,
+    [competition.id, weekNumber]
+  );
+  const weekVoters = parseInt(votersResult.rows[0].count);
+  const minimumVotes = Math.max(Math.ceil(weekVoters * options.minVoteShare), 1);
+
+  const result = await db.query(
+    `SELECT s.*, ${SUBMISSION_ASSETS_SQL}
+     FROM submissions s
+     WHERE s.competition_id = $1
+       AND s.week_number = $2
+       AND s.status IN ('QUALIFIED', 'winner')
+       AND s.moderation_status = 'visible'
+       AND s.total_votes >= $3`,
+    [competition.id, weekNumber, minimumVotes]
+  );
+
+  const { ranked, options: resolved } = rankSubmissions(result.rows, strategyName, options);
+
+  return {
+    strategy: strategyName,
+    options: resolved,
+    weekVoters,
+    minimumVotes,
+    ranked: limit ? ranked.slice(0, limit) : ranked,
+  };
+}
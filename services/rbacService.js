@@ -0,0 +1,139 @@
+// services/rbacService.js
+import { pool, withTransaction } from "../db/pool.js";
+import { recordAudit } from "./auditService.js";
+
+/**
+ * Roles and permissions.
+ *
+ * Users hold any number of roles (user_roles); each role grants a fixed set
+ * of permissions. Routes check permissions, not roles, so a role can be given
+ * more power here without touching the routes.
+ */
+
+export const PERMISSIONS = {
+  "submissions.view_all": "See every submission with its owner and stats",
+  "winners.select": "Pick weekly winners by hand",
+  "closeouts.manage": "Preview, run, re-run and override week close-outs",
+  "competitions.manage": "Create, edit and retire competitions",
+  "moderation.manage": "Hide, disqualify and restore entries, handle reports",
+  "emails.manage": "Preview templates and manage the email outbox",
+  "roles.manage": "Grant and revoke roles",
+  "audit.read": "Read the audit log",
+};
+
+export const ROLES = {
+  admin: Object.keys(PERMISSIONS),
+  moderator: ["submissions.view_all", "moderation.manage"],
+  judge: ["submissions.view_all", "winners.select", "closeouts.manage"],
+};
+
+export class RoleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "RoleError";
+    this.status = status;
+  }
+}
+
+export async function getUserRoles(userId, db = pool) {
+  const result = await db.query("SELECT role FROM user_roles WHERE user_id = $1 ORDER BY role", [userId]);
+  return result.rows.map((r) => r.role);
+}
+
+export function permissionsFor(roles) {
+  return [...new Set(roles.flatMap((role) => ROLES[role] || []))].sort();
+}
+
+export function hasPermission(roles, permission) {
+  return roles.some((role) => (ROLES[role] || []).includes(permission));
+}
+
+function assertRole(role) {
+  if (!Object.hasOwn(ROLES, role)) throw new RoleError(400, `Unknown role "${role}" (expected ${Object.keys(ROLES).join(", ")})`);
+}
+
+async function requireUser(client, userId) {
+  const id = parseInt(userId, 10);
+  const result = await client.query("SELECT id, email, username FROM users WHERE id = $1 FOR UPDATE", [id || 0]);
+  if (!result.rows[0]) throw new RoleError(404, "User not found");
+  return result.rows[0];
+}
+
+/** Users that hold at least one role (optionally only one role) */
+export async function listRoleHolders({ role } = {}, db = pool) {
+  if (role) assertRole(role);
+  const result = await db.query(
+    `SELECT u.id, u.email, u.username,
+            ARRAY_AGG(r.role ORDER BY r.role) AS roles,
+            MAX(r.granted_at) AS last_granted_at
+     FROM user_roles r
+     JOIN users u ON u.id = r.user_id
+     GROUP BY u.id
+     HAVING ($1::TEXT IS NULL OR $1 = ANY(ARRAY_AGG(r.role)))
+     ORDER BY u.id`,
+    [role || null]
+  );
+  return result.rows;
+}
+
+/**
+ * Grant a role. Granting a role the user already has is a no-op.
+ * @returns {Promise<{ user: object, roles: string[], changed: boolean }>}
+ */
+export async function grantRole({ userId, role, actorId, ip }) {
+  assertRole(role);
+  return withTransaction(async (client) => {
+    const user = await requireUser(client, userId);
+    const before = await getUserRoles(user.id, client);
+
+    const inserted = await client.query(
+      `INSERT INTO user_roles (user_id, role, granted_by) VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING
+       RETURNING role`,
+      [user.id, role, actorId]
+    );
+    const roles = await getUserRoles(user.id, client);
+
+    if (inserted.rows.length) {
+      await recordAudit(
+        { actorId, action: "role.grant", targetType: "user", targetId: user.id, before: { roles: before }, after: { roles }, metadata: { role }, ip },
+        client
+      );
+    }
+    return { user, roles, changed: inserted.rows.length > 0 };
+  });
+}
+
+/**
+ * Revoke a role. The last admin can't be removed, so the site can't lock
+ * itself out of its own admin tools.
+ * @returns {Promise<{ user: object, roles: string[], changed: boolean }>}
+ */
+export async function revokeRole({ userId, role, actorId, ip }) {
+  assertRole(role);
+  return withTransaction(async (client) => {
+    const user = await requireUser(client, userId);
+    const before = await getUserRoles(user.id, client);
+
+    if (role === "admin" && before.includes("admin")) {
+      // Serialize admin revocations so two admins can't remove each other at once
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('user_roles:admin'))");
+      const admins = await client.query("SELECT COUNT(*) AS count FROM user_roles WHERE role = 'admin'");
+      if (parseInt(admins.rows[0].count) <= 1) throw new RoleError(409, "Can't revoke the last admin");
+    }
+
+    const deleted = await client.query(
+      "DELETE FROM user_roles WHERE user_id = $1 AND role = $2 RETURNING role",
+      [user.id, role]
+    );
+    const roles = await getUserRoles(user.id, client);
+
+    if (deleted.rows.length) {
+      await recordAudit(
+        { actorId, action: "role.revoke", targetType: "user", targetId: user.id, before: { roles: before }, after: { roles }, metadata: { role }, ip },
+        client
+      );
+    }
+    return { user, roles, changed: deleted.rows.length > 0 };
+  });
+}
@@ -0,0 +1,54 @@
+// services/scheduler.js
+
+/**
+ * Tiny in-process job scheduler for background work (week close-outs, ...).
+ * Each job runs on its own interval and never overlaps with itself; jobs that
+ * must be safe across several server instances use Postgres locks internally.
+ *
+ * Disable with SCHEDULER_ENABLED=false (e.g. when running one-off scripts).
+ */
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a recurring job.
+ * @param {string} name
+ * @param {number} intervalMs
+ * @param {() => Promise<unknown>} fn
+ */
+export function registerJob(name, intervalMs, fn) {
+  if (jobs.has(name)) throw new Error(`Job "${name}" is already registered`);
+  jobs.set(name, { name, intervalMs, fn, running: false, timer: null });
+  if (started) schedule(jobs.get(name));
+}
+
+async function runJob(job) {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.fn();
+  } catch (err) {
+    console.error(`❌ Scheduled job "${job.name}" failed:`, err);
+  } finally {
+    job.running = false;
+  }
+}
+
+function schedule(job) {
+  job.timer = setInterval(() => runJob(job), job.intervalMs);
+  job.timer.unref();
+  // First run shortly after boot rather than a full interval later
+  setTimeout(() => runJob(job), 5000).unref();
+}
+
+export function startScheduler() {
+  if (started) return;
+  if (process.env.SCHEDULER_ENABLED === "false") {
+    console.log("⏸️ Scheduler disabled (SCHEDULER_ENABLED=false)");
+    return;
+  }
+  started = true;
+  for (const job of jobs.values()) schedule(job);
+  console.log(`⏰ Scheduler started: ${[...jobs.keys()].join(", ") || "no jobs"}`);
+}
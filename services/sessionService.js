@@ -0,0 +1,187 @@
+// services/sessionService.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { pool, withTransaction } from "../db/pool.js";
+
+/**
+ * Login sessions.
+ *
+ * Access tokens are short-lived JWTs ({ id, username, ver }) where `ver` is the
+ * user's token_version at signing time; authenticateToken rejects tokens whose
+ * version no longer matches, so bumping it logs the user out everywhere.
+ *
+ * Refresh tokens are random strings stored hashed in refresh_tokens. Each use
+ * rotates the token (the old one stops working). If a rotated token is
+ * presented again it has been copied, so the whole family is revoked and the
+ * user has to log in again.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export class SessionError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = "SessionError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export function generateToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function signAccessToken(user) {
+  return jwt.sign(
+    { id: user.id, username: user.username, ver: user.token_version },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function insertRefreshToken(client, { userId, familyId, parentId = null, ip, userAgent }) {
+  const token = generateToken();
+  await client.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, parent_id, expires_at, ip, user_agent)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5), $6, $7)`,
+    [userId, familyId, hashToken(token), parentId, REFRESH_TOKEN_TTL_DAYS, ip || null, userAgent ? String(userAgent).slice(0, 255) : null]
+  );
+  return token;
+}
+
+function describeTokens(user, refreshToken) {
+  const accessToken = signAccessToken(user);
+  const { exp } = jwt.decode(accessToken);
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: exp - Math.floor(Date.now() / 1000),
+  };
+}
+
+/**
+ * Start a new session (login).
+ * @param {object} user users row
+ * @returns {Promise<{ accessToken: string, refreshToken: string, expiresIn: number }>}
+ */
+export async function createSession(user, { ip, userAgent } = {}, db = pool) {
+  const refreshToken = await insertRefreshToken(db, {
+    userId: user.id,
+    familyId: crypto.randomUUID(),
+    ip,
+    userAgent,
+  });
+  return describeTokens(user, refreshToken);
+}
+
+/**
+ * Swap a refresh token for a new access + refresh token pair.
+ * Reusing an already-rotated token revokes its whole family.
+ */
+export async function refreshSession(refreshToken, { ip, userAgent } = {}) {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw new SessionError(400, "refreshToken is required");
+  }
+
+  const outcome = await withTransaction(async (client) => {
+    const result = await client.query(
+      "SELECT * FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE",
+      [hashToken(refreshToken)]
+    );
+    const current = result.rows[0];
+    if (!current) throw new SessionError(401, "Invalid refresh token", "REFRESH_INVALID");
+
+    if (current.revoked_at) {
+      throw new SessionError(401, "This session has ended. Please log in again.", "REFRESH_REVOKED");
+    }
+    if (current.rotated_at) {
+      // A rotated token showing up again means someone else has a copy of it
+      await revokeFamily(client, current.family_id, "reuse_detected");
+      return { reuse: current };
+    }
+    if (new Date(current.expires_at) <= new Date()) {
+      throw new SessionError(401, "Session expired. Please log in again.", "REFRESH_EXPIRED");
+    }
+
+    const userResult = await client.query("SELECT * FROM users WHERE id = $1", [current.user_id]);
+    const user = userResult.rows[0];
+    if (!user) throw new SessionError(401, "Invalid refresh token", "REFRESH_INVALID");
+
+    await client.query("UPDATE refresh_tokens SET rotated_at = NOW() WHERE id = $1", [current.id]);
+    const next = await insertRefreshToken(client, {
+      userId: user.id,
+      familyId: current.family_id,
+      parentId: current.id,
+      ip,
+      userAgent,
+    });
+    return { user, refreshToken: next };
+  });
+
+  // Thrown outside the transaction so the family revocation commits
+  if (outcome.reuse) {
+    console.warn(`🚨 Refresh token reuse detected for user ${outcome.reuse.user_id}; revoked family ${outcome.reuse.family_id}`);
+    throw new SessionError(401, "This session was used from somewhere else and has been ended. Please log in again.", "REFRESH_REUSED");
+  }
+  return describeTokens(outcome.user, outcome.refreshToken);
+}
+
+async function revokeFamily(db, familyId, reason) {
+  await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = $2
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId, reason]
+  );
+}
+
+/**
+ * Log out one session (the family of the given refresh token).
+ * Unknown tokens are ignored so logout always succeeds.
+ */
+export async function endSession(refreshToken, db = pool) {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw new SessionError(400, "refreshToken is required");
+  }
+  const result = await db.query("SELECT family_id FROM refresh_tokens WHERE token_hash = $1", [hashToken(refreshToken)]);
+  if (result.rows[0]) await revokeFamily(db, result.rows[0].family_id, "logout");
+}
+
+/**
+ * Log out everywhere: revoke every refresh token and invalidate every access
+ * token by bumping token_version.
+ */
+export async function endAllSessions(userId, reason = "logout_all", db = pool) {
+  await db.query("UPDATE users SET token_version = token_version + 1 WHERE id = $1", [userId]);
+  await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+}
+
+/** Active sessions (one per family) for the "devices" list */
+export async function listSessions(userId, db = pool) {
+  const result = await db.query(
+    `SELECT DISTINCT ON (family_id) family_id, ip, user_agent, created_at AS last_refreshed_at, expires_at
+     FROM refresh_tokens
+     WHERE user_id = $1 AND revoked_at IS NULL AND rotated_at IS NULL AND expires_at > NOW()
+     ORDER BY family_id, created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Scheduler entry point: delete refresh and account tokens that expired more
+ * than a week ago (recent ones are kept so reuse can still be detected).
+ */
+export async function pruneExpiredTokens() {
+  const refresh = await pool.query("DELETE FROM refresh_tokens WHERE expires_at < NOW() - INTERVAL '7 days'");
+  const account = await pool.query("DELETE FROM account_tokens WHERE expires_at < NOW() - INTERVAL '7 days'");
+  return refresh.rowCount + account.rowCount;
+}
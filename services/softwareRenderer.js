@@ -0,0 +1,332 @@
+// services/softwareRenderer.js
+import * as THREE from "three";
+
+/**
+ * CPU-only rasterizer for model previews (no GPU or native canvas on the server).
+ *
+ * Draws the meshes of a Three.js scene graph with a z-buffer, perspective-correct
+ * UVs, per-pixel Lambert shading from two camera-relative lights and an ambient
+ * term, and supersampling for anti-aliasing. Materials contribute their base
+ * color, vertex colors, emissive color and (through textureFor) a decoded base
+ * color texture. Every face is drawn double-sided and opaque; skinned meshes
+ * are drawn in their bind pose.
+ */
+
+// Light directions in camera space (x right, y up, z towards the viewer)
+const LIGHTS = [
+  { direction: new THREE.Vector3(-0.4, 0.7, 0.6).normalize(), intensity: 0.8 },
+  { direction: new THREE.Vector3(0.7, 0.1, 0.4).normalize(), intensity: 0.3 },
+];
+const AMBIENT = 0.28;
+const NEAR_EPSILON = 1e-5;
+
+const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, i) => (i / 255) ** 2.2);
+
+function linearToSrgb(value) {
+  return Math.round(255 * Math.min(1, Math.max(0, value)) ** (1 / 2.2));
+}
+
+/**
+ * Vertex data for one mesh: clip-space positions, world normals, UVs and colors.
+ * Geometry attributes are read with getX/getY so interleaved/normalized data works.
+ */
+function transformVertices(mesh, viewProjection) {
+  const { position, normal, uv, color } = mesh.geometry.attributes;
+  const count = position.count;
+  const mvp = new THREE.Matrix4().multiplyMatrices(viewProjection, mesh.matrixWorld);
+  const normalMatrix = new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld);
+  const v = new THREE.Vector4();
+  const n = new THREE.Vector3();
+
+  const clip = new Float32Array(count * 4);
+  const normals = normal ? new Float32Array(count * 3) : null;
+  const uvs = uv ? new Float32Array(count * 2) : null;
+  const colors = color && mesh.material && [].concat(mesh.material).some((m) => m.vertexColors) ? new Float32Array(count * 3) : null;
+
+  for (let i = 0; i < count; i++) {
+    v.set(position.getX(i), position.getY(i), position.getZ(i), 1).applyMatrix4(mvp);
+    clip.set([v.x, v.y, v.z, v.w], i * 4);
+    if (normals) {
+      n.set(normal.getX(i), normal.getY(i), normal.getZ(i)).applyMatrix3(normalMatrix).normalize();
+      normals.set([n.x, n.y, n.z], i * 3);
+    }
+    if (uvs) uvs.set([uv.getX(i), uv.getY(i)], i * 2);
+    if (colors) colors.set([color.getX(i), color.getY(i), color.getZ(i)], i * 3);
+  }
+
+  // World positions, only needed for face normals when the mesh has none
+  let world = null;
+  if (!normals) {
+    world = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      n.set(position.getX(i), position.getY(i), position.getZ(i)).applyMatrix4(mesh.matrixWorld);
+      world.set([n.x, n.y, n.z], i * 3);
+    }
+  }
+  return { clip, normals, uvs, colors, world };
+}
+
+/** Clip a polygon against the near plane (z >= -w) */
+function clipNear(vertices) {
+  const out = [];
+  for (let i = 0; i < vertices.length; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    const da = a.clip[2] + a.clip[3] - NEAR_EPSILON;
+    const db = b.clip[2] + b.clip[3] - NEAR_EPSILON;
+    if (da >= 0) out.push(a);
+    if (da >= 0 !== db >= 0) {
+      const t = da / (da - db);
+      const lerp = (x, y) => x && x.map((value, k) => value + (y[k] - value) * t);
+      out.push({ clip: lerp(a.clip, b.clip), normal: lerp(a.normal, b.normal), uv: lerp(a.uv, b.uv), color: lerp(a.color, b.color) });
+    }
+  }
+  return out;
+}
+
+function sampleTexture(texture, u, v) {
+  const x = ((Math.floor((u - Math.floor(u)) * texture.width) % texture.width) + texture.width) % texture.width;
+  const y = ((Math.floor((v - Math.floor(v)) * texture.height) % texture.height) + texture.height) % texture.height;
+  const o = (y * texture.width + x) * 4;
+  return [SRGB_TO_LINEAR[texture.data[o]], SRGB_TO_LINEAR[texture.data[o + 1]], SRGB_TO_LINEAR[texture.data[o + 2]]];
+}
+
+/** How a material is shaded, resolved once per mesh */
+function shadingFor(material, textureFor) {
+  const base = material.color ? [material.color.r, material.color.g, material.color.b] : [0.8, 0.8, 0.8];
+  const intensity = material.emissiveIntensity ?? 1;
+  const emissive = material.emissive ? [material.emissive.r * intensity, material.emissive.g * intensity, material.emissive.b * intensity] : [0, 0, 0];
+  return {
+    base,
+    emissive,
+    lit: !material.isMeshBasicMaterial,
+    // Metals have no diffuse light of their own; keep them readable without reflections
+    diffuse: 1 - 0.6 * (material.metalness ?? 0),
+    texture: textureFor(material),
+    vertexColors: Boolean(material.vertexColors),
+  };
+}
+
+class Target {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.color = new Float32Array(width * height * 3);
+    this.depth = new Float32Array(width * height).fill(Infinity);
+  }
+}
+
+function rasterizeTriangle(target, p, shading, lights, flatNormal) {
+  const { width, height, color, depth } = target;
+  // Screen position, depth and 1/w per vertex
+  const s = p.map(({ clip }) => {
+    const iw = 1 / clip[3];
+    return [((clip[0] * iw + 1) / 2) * width, ((1 - clip[1] * iw) / 2) * height, clip[2] * iw, iw];
+  });
+  const area = (s[1][0] - s[0][0]) * (s[2][1] - s[0][1]) - (s[2][0] - s[0][0]) * (s[1][1] - s[0][1]);
+  if (Math.abs(area) < 1e-12) return;
+
+  const minX = Math.max(0, Math.floor(Math.min(s[0][0], s[1][0], s[2][0])));
+  const maxX = Math.min(width - 1, Math.ceil(Math.max(s[0][0], s[1][0], s[2][0])));
+  const minY = Math.max(0, Math.floor(Math.min(s[0][1], s[1][1], s[2][1])));
+  const maxY = Math.min(height - 1, Math.ceil(Math.max(s[0][1], s[1][1], s[2][1])));
+  if (minX > maxX || minY > maxY) return;
+
+  const { base, emissive, texture } = shading;
+  const hasNormals = Boolean(p[0].normal);
+  const useUv = texture && p[0].uv;
+  const useColor = shading.vertexColors && p[0].color;
+
+  for (let y = minY; y <= maxY; y++) {
+    const py = y + 0.5;
+    for (let x = minX; x <= maxX; x++) {
+      const px = x + 0.5;
+      const w0 = ((s[1][0] - px) * (s[2][1] - py) - (s[2][0] - px) * (s[1][1] - py)) / area;
+      const w1 = ((s[2][0] - px) * (s[0][1] - py) - (s[0][0] - px) * (s[2][1] - py)) / area;
+      const w2 = 1 - w0 - w1;
+      if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+      const z = w0 * s[0][2] + w1 * s[1][2] + w2 * s[2][2];
+      const i = y * width + x;
+      if (z < -1 || z > 1 || z >= depth[i]) continue;
+      depth[i] = z;
+
+      // Perspective-correct weights
+      const iw = w0 * s[0][3] + w1 * s[1][3] + w2 * s[2][3];
+      const b0 = (w0 * s[0][3]) / iw;
+      const b1 = (w1 * s[1][3]) / iw;
+      const b2 = 1 - b0 - b1;
+
+      let r = base[0];
+      let g = base[1];
+      let b = base[2];
+      if (useUv) {
+        const texel = sampleTexture(texture, b0 * p[0].uv[0] + b1 * p[1].uv[0] + b2 * p[2].uv[0], b0 * p[0].uv[1] + b1 * p[1].uv[1] + b2 * p[2].uv[1]);
+        r *= texel[0];
+        g *= texel[1];
+        b *= texel[2];
+      }
+      if (useColor) {
+        r *= b0 * p[0].color[0] + b1 * p[1].color[0] + b2 * p[2].color[0];
+        g *= b0 * p[0].color[1] + b1 * p[1].color[1] + b2 * p[2].color[1];
+        b *= b0 * p[0].color[2] + b1 * p[1].color[2] + b2 * p[2].color[2];
+      }
+
+      let light = 1;
+      if (shading.lit) {
+        let nx;
+        let ny;
+        let nz;
+        if (hasNormals) {
+          nx = b0 * p[0].normal[0] + b1 * p[1].normal[0] + b2 * p[2].normal[0];
+          ny = b0 * p[0].normal[1] + b1 * p[1].normal[1] + b2 * p[2].normal[1];
+          nz = b0 * p[0].normal[2] + b1 * p[1].normal[2] + b2 * p[2].normal[2];
+        } else {
+          [nx, ny, nz] = flatNormal;
+        }
+        const length = Math.hypot(nx, ny, nz) || 1;
+        // Light back faces as if they were front faces
+        const facing = nx * lights.view.x + ny * lights.view.y + nz * lights.view.z < 0 ? -1 : 1;
+        light = AMBIENT;
+        for (const { direction, intensity } of lights.world) {
+          light += Math.max(0, (facing * (nx * direction.x + ny * direction.y + nz * direction.z)) / length) * intensity * shading.diffuse;
+        }
+      }
+
+      color[i * 3] = r * light + emissive[0];
+      color[i * 3 + 1] = g * light + emissive[1];
+      color[i * 3 + 2] = b * light + emissive[2];
+    }
+  }
+}
+
+function drawMesh(target, mesh, viewProjection, lights, textureFor) {
+  const geometry = mesh.geometry;
+  if (!geometry.attributes.position) return;
+  const data = transformVertices(mesh, viewProjection);
+  const materials = [].concat(mesh.material);
+  const shadings = materials.map((material) => material && shadingFor(material, textureFor));
+  const index = geometry.index;
+  const count = index ? index.count : geometry.attributes.position.count;
+  const groups = geometry.groups.length ? geometry.groups : [{ start: 0, count, materialIndex: 0 }];
+
+  const vertex = (i) => ({
+    clip: Array.from(data.clip.subarray(i * 4, i * 4 + 4)),
+    normal: data.normals && Array.from(data.normals.subarray(i * 3, i * 3 + 3)),
+    uv: data.uvs && Array.from(data.uvs.subarray(i * 2, i * 2 + 2)),
+    color: data.colors && Array.from(data.colors.subarray(i * 3, i * 3 + 3)),
+  });
+  const faceNormal = new THREE.Vector3();
+  const edge = new THREE.Vector3();
+
+  for (const group of groups) {
+    const shading = shadings[Array.isArray(mesh.material) ? group.materialIndex : 0];
+    if (!shading) continue;
+    const end = Math.min(count, group.start + group.count);
+    for (let t = group.start; t + 2 < end; t += 3) {
+      const ids = [t, t + 1, t + 2].map((k) => (index ? index.getX(k) : k));
+
+      let flatNormal = null;
+      if (!data.normals) {
+        const w = data.world;
+        edge.set(w[ids[1] * 3] - w[ids[0] * 3], w[ids[1] * 3 + 1] - w[ids[0] * 3 + 1], w[ids[1] * 3 + 2] - w[ids[0] * 3 + 2]);
+        faceNormal.set(w[ids[2] * 3] - w[ids[0] * 3], w[ids[2] * 3 + 1] - w[ids[0] * 3 + 1], w[ids[2] * 3 + 2] - w[ids[0] * 3 + 2]);
+        faceNormal.crossVectors(edge, faceNormal).normalize();
+        flatNormal = [faceNormal.x, faceNormal.y, faceNormal.z];
+      }
+
+      let polygon = ids.map(vertex);
+      if (polygon.some((v) => v.clip[2] + v.clip[3] < NEAR_EPSILON)) polygon = clipNear(polygon);
+      for (let k = 1; k + 1 < polygon.length; k++) {
+        rasterizeTriangle(target, [polygon[0], polygon[k], polygon[k + 1]], shading, lights, flatNormal);
+      }
+    }
+  }
+}
+
+/**
+ * Render a scene to an RGBA image.
+ * @param {THREE.Object3D} scene
+ * @param {THREE.Camera} camera
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.supersample] samples per pixel along each axis
+ * @param {number[]|null} [options.background] sRGB [r, g, b] 0-255, or null for transparent
+ * @param {(material: THREE.Material) => ({ width, height, data }|null)} [options.textureFor] decoded base color texture
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function renderScene(scene, camera, { width, height, supersample = 2, background = null, textureFor = () => null }) {
+  const target = new Target(width * supersample, height * supersample);
+  scene.updateMatrixWorld(true);
+  camera.updateMatrixWorld(true);
+  const viewProjection = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+
+  const rotation = new THREE.Matrix4().extractRotation(camera.matrixWorld);
+  const lights = {
+    world: LIGHTS.map(({ direction, intensity }) => ({ direction: direction.clone().applyMatrix4(rotation), intensity })),
+    view: new THREE.Vector3(0, 0, 1).applyMatrix4(rotation),
+  };
+
+  const textures = new Map();
+  const cachedTextureFor = (material) => {
+    if (!textures.has(material)) textures.set(material, textureFor(material));
+    return textures.get(material);
+  };
+
+  scene.traverseVisible((object) => {
+    if (object.isMesh) drawMesh(target, object, viewProjection, lights, cachedTextureFor);
+  });
+
+  // Resolve: average the samples of each pixel; coverage becomes alpha
+  const out = new Uint8Array(width * height * 4);
+  const samples = supersample * supersample;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let covered = 0;
+      const sum = [0, 0, 0];
+      for (let sy = 0; sy < supersample; sy++) {
+        for (let sx = 0; sx < supersample; sx++) {
+          const i = (y * supersample + sy) * target.width + x * supersample + sx;
+          if (target.depth[i] === Infinity) continue;
+          covered++;
+          sum[0] += target.color[i * 3];
+          sum[1] += target.color[i * 3 + 1];
+          sum[2] += target.color[i * 3 + 2];
+        }
+      }
+      const o = (y * width + x) * 4;
+      const coverage = covered / samples;
+      for (let c = 0; c < 3; c++) {
+        const fg = covered ? linearToSrgb(sum[c] / covered) : 0;
+        out[o + c] = background ? Math.round(fg * coverage + background[c] * (1 - coverage)) : fg;
+      }
+      out[o + 3] = background ? 255 : Math.round(coverage * 255);
+    }
+  }
+  return { width, height, data: out };
+}
+
+/**
+ * A perspective camera looking at a bounding sphere from the given angles.
+ * @param {{ center: THREE.Vector3, radius: number }} sphere
+ * @param {number} azimuth degrees around the vertical axis (0 = looking from +Z)
+ * @param {number} elevation degrees above the horizon
+ */
+export function orbitCamera(sphere, azimuth, elevation, { fov = 30, aspect = 1, margin = 1.08 } = {}) {
+  const camera = new THREE.PerspectiveCamera(fov, aspect);
+  const halfFov = THREE.MathUtils.degToRad(Math.min(fov, fov * aspect)) / 2;
+  const distance = (sphere.radius * margin) / Math.sin(halfFov);
+  const az = THREE.MathUtils.degToRad(azimuth);
+  const el = THREE.MathUtils.degToRad(elevation);
+  camera.position.set(
+    sphere.center.x + distance * Math.cos(el) * Math.sin(az),
+    sphere.center.y + distance * Math.sin(el),
+    sphere.center.z + distance * Math.cos(el) * Math.cos(az)
+  );
+  camera.near = Math.max(distance - sphere.radius * 2, distance / 1000);
+  camera.far = distance + sphere.radius * 2;
+  camera.lookAt(sphere.center);
+  camera.updateProjectionMatrix();
+  return camera;
+}
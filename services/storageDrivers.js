@@ -0,0 +1,263 @@
+// services/storageDrivers.js
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { v2 as cloudinary } from "cloudinary";
+
+/**
+ * File storage drivers. Every driver stores objects under a key such as
+ * "submissions/season-1/week3/1730000000000-wing.glb" and exposes
+ *   put(key, body, { contentType }) => Promise<{ key, size }>
+ *   get(key)                         => Promise<Buffer>   (StorageError 404 when missing)
+ *   delete(key)                      => Promise<void>     (missing keys are ignored)
+ *   signedUrl(key, { expiresIn })    => Promise<string>   time-limited download URL
+ *
+ * Selected with STORAGE_DRIVER:
+ *   local       files under STORAGE_LOCAL_DIR (default "storage"), served by
+ *               /api/files/local/* with HMAC-signed links  - default
+ *   cloudinary  Cloudinary raw uploads (CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY,
+ *               CLOUDINARY_API_SECRET), delivered as signed authenticated URLs -
+ *               default when CLOUDINARY_CLOUD_NAME is set, as uploads always
+ *               went to Cloudinary before there were drivers
+ *   s3          any S3-compatible store (S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID,
+ *               S3_SECRET_ACCESS_KEY, optional S3_ENDPOINT for R2/MinIO/Spaces,
+ *               S3_FORCE_PATH_STYLE)
+ *
+ * Rows remember which driver stored them (submissions.storage_driver), so
+ * switching STORAGE_DRIVER doesn't orphan existing files.
+ */
+
+export const DEFAULT_SIGNED_URL_TTL = parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 15 * 60;
+
+export class StorageError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "StorageError";
+    this.status = status;
+  }
+}
+
+/** Keys are relative, slash-separated and may not climb out of their root */
+export function assertValidKey(key) {
+  if (typeof key !== "string" || !key || key.length > 512 || key.startsWith("/") || key.includes("\\")) {
+    throw new StorageError(400, "Invalid storage key");
+  }
+  if (key.split("/").some((part) => !part || part === "." || part === "..")) {
+    throw new StorageError(400, "Invalid storage key");
+  }
+  return key;
+}
+
+/** Build a key from path parts, keeping only filename-safe characters */
+export function buildKey(...parts) {
+  return parts.map((part) => String(part).replace(/[^a-zA-Z0-9._-]+/g, "-").replace(/^[.-]+/, "") || "_").join("/");
+}
+
+// Public base URL of this API, used for links handed to clients
+export function apiUrl(pathname) {
+  const base = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return new URL(pathname, base.endsWith("/") ? base : `${base}/`).toString();
+}
+
+// ---------------------------
+// Local disk
+// ---------------------------
+
+function localSigningSecret() {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error("STORAGE_DRIVER=local needs STORAGE_SIGNING_SECRET (or JWT_SECRET) to sign links");
+  return secret;
+}
+
+function signLocal(key, expires) {
+  return crypto.createHmac("sha256", localSigningSecret()).update(`${key}\n${expires}`).digest("base64url");
+}
+
+/** Check a signed local link (used by the /api/files/local route) */
+export function verifyLocalSignature(key, expires, signature) {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== "string") return false;
+  const expected = Buffer.from(signLocal(key, expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function createLocalDriver() {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || "storage");
+  const resolve = (key) => path.join(root, ...assertValidKey(key).split("/"));
+
+  return {
+    name: "local",
+    async put(key, body) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+      return { key, size: body.length };
+    },
+    async get(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (err) {
+        if (err.code === "ENOENT") throw new StorageError(404, "File not found");
+        throw err;
+      }
+    },
+    async delete(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+    async signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = assertValidKey(key).split("/").map(encodeURIComponent).join("/");
+      return apiUrl(`/api/files/local/${encodedKey}?expires=${expires}&signature=${signLocal(key, expires)}`);
+    },
+  };
+}
+
+// ---------------------------
+// Cloudinary
+// ---------------------------
+
+function createCloudinaryDriver() {
+  if (!process.env.CLOUDINARY_CLOUD_NAME) throw new Error("STORAGE_DRIVER=cloudinary needs CLOUDINARY_CLOUD_NAME");
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+  // Authenticated delivery: files are only reachable through signed URLs
+  const options = { resource_type: "raw", type: "authenticated" };
+  const deliveryUrl = (key) => cloudinary.url(assertValidKey(key), { ...options, sign_url: true, secure: true });
+
+  return {
+    name: "cloudinary",
+    async put(key, body) {
+      // Raw uploads keep the extension as part of the public_id
+      const result = await new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          { ...options, public_id: assertValidKey(key), overwrite: false },
+          (err, res) => (err ? reject(err) : resolve(res))
+        );
+        stream.end(body);
+      });
+      return { key, size: result.bytes ?? body.length };
+    },
+    async get(key) {
+      const response = await fetch(deliveryUrl(key));
+      if (response.status === 404) throw new StorageError(404, "File not found");
+      if (!response.ok) throw new Error(`Cloudinary download failed (${response.status})`);
+      return Buffer.from(await response.arrayBuffer());
+    },
+    async delete(key) {
+      await cloudinary.uploader.destroy(assertValidKey(key), { ...options, invalidate: true });
+    },
+    // Cloudinary signatures don't expire; the signature still stops key guessing
+    async signedUrl(key) {
+      return deliveryUrl(key);
+    },
+  };
+}
+
+// ---------------------------
+// S3-compatible (AWS S3, Cloudflare R2, MinIO, DigitalOcean Spaces, ...)
+// ---------------------------
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+// RFC 3986 encoding as SigV4 expects (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+function createS3Driver() {
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("STORAGE_DRIVER=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  }
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  // Custom endpoints (MinIO, R2) usually need path-style addressing
+  const pathStyle = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === "true"
+    : Boolean(process.env.S3_ENDPOINT);
+
+  /** Query-string (presigned) SigV4 URL; works for GET, PUT and DELETE alike */
+  function presign(method, key, expiresIn) {
+    const encodedKey = assertValidKey(key).split("/").map(encodeRfc3986).join("/");
+    const host = pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+    const basePath = endpoint.pathname.replace(/\/$/, "");
+    const canonicalUri = pathStyle ? `${basePath}/${encodeRfc3986(bucket)}/${encodedKey}` : `${basePath}/${encodedKey}`;
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const query = Object.entries({
+      "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      "X-Amz-Credential": `${accessKeyId}/${scope}`,
+      "X-Amz-Date": amzDate,
+      "X-Amz-Expires": String(Math.min(expiresIn, 7 * 24 * 60 * 60)),
+      "X-Amz-SignedHeaders": "host",
+    })
+      .map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`)
+      .sort()
+      .join("&");
+
+    const canonicalRequest = [method, canonicalUri, query, `host:${host}`, "", "host", "UNSIGNED-PAYLOAD"].join("\n");
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+    const signingKey = ["s3", "aws4_request"].reduce(
+      (k, part) => hmac(k, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+    );
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+    return `${endpoint.protocol}//${host}${canonicalUri}?${query}&X-Amz-Signature=${signature}`;
+  }
+
+  async function send(method, key, init = {}) {
+    const response = await fetch(presign(method, key, 60), { method, ...init });
+    if (response.status === 404 && method === "GET") throw new StorageError(404, "File not found");
+    if (!response.ok && !(response.status === 404 && method === "DELETE")) {
+      const detail = (await response.text()).match(/<Code>([^<]+)<\/Code>/)?.[1] || response.statusText;
+      throw new Error(`S3 ${method} ${key} failed (${response.status} ${detail})`);
+    }
+    return response;
+  }
+
+  return {
+    name: "s3",
+    async put(key, body, { contentType = "application/octet-stream" } = {}) {
+      await send("PUT", key, { body, headers: { "content-type": contentType } });
+      return { key, size: body.length };
+    },
+    async get(key) {
+      const response = await send("GET", key);
+      return Buffer.from(await response.arrayBuffer());
+    },
+    async delete(key) {
+      await send("DELETE", key);
+    },
+    async signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL } = {}) {
+      return presign("GET", key, expiresIn);
+    },
+  };
+}
+
+const DRIVERS = {
+  local: createLocalDriver,
+  cloudinary: createCloudinaryDriver,
+  s3: createS3Driver,
+};
+
+const defaultDriver = () => process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+
+export function createStorage(name = defaultDriver()) {
+  const factory = Object.hasOwn(DRIVERS, name) ? DRIVERS[name] : null;
+  if (!factory) throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected ${Object.keys(DRIVERS).join(", ")})`);
+  return factory();
+}
+
+// Created on first use; one instance per driver so rows stored by an older driver still resolve
+const drivers = new Map();
+export function getStorage(name = defaultDriver()) {
+  if (!drivers.has(name)) drivers.set(name, createStorage(name));
+  return drivers.get(name);
+}
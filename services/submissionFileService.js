@@ -0,0 +1,138 @@
+// services/submissionFileService.js
+import { pool } from "../db/pool.js";
+import { getUserRoles, hasPermission } from "./rbacService.js";
+import { apiUrl, buildKey, DEFAULT_SIGNED_URL_TTL, getStorage, StorageError } from "./storageDrivers.js";
+
+/**
+ * Where submission model files live and who may download them.
+ *
+ * Entries are stored under submissions/<competition>/week<n>/ in the configured
+ * storage driver. Clients always get the /api/files/submissions/:id link; the
+ * route checks visibility and then redirects to a short-lived signed URL.
+ *
+ * Files derived from an entry (LOD variants, preview images) are "assets": stored
+ * next to the original, listed in submission_assets and served through
+ * /api/files/submissions/:id/assets/:kind with the same visibility rules.
+ */
+
+const CONTENT_TYPES = { ".glb": "model/gltf-binary", ".gltf": "model/gltf+json", ".png": "image/png" };
+
+export function contentTypeFor(fileName) {
+  const ext = String(fileName).toLowerCase().match(/\.[a-z0-9]+$/)?.[0];
+  return CONTENT_TYPES[ext] || "application/octet-stream";
+}
+
+/**
+ * Store an uploaded model.
+ * @returns {Promise<{ driver: string, key: string, size: number }>}
+ */
+export async function storeSubmissionFile(body, { competition, weekNumber, fileName }) {
+  const storage = getStorage();
+  const key = buildKey("submissions", competition.slug, `week${weekNumber}`, `${Date.now()}-${fileName}`);
+  const { size } = await storage.put(key, body, { contentType: contentTypeFor(fileName) });
+  return { driver: storage.name, key, size };
+}
+
+/** Remove a stored file (best effort, e.g. when saving the entry failed after the upload) */
+export async function deleteSubmissionFile({ driver, key }) {
+  try {
+    await getStorage(driver).delete(key);
+  } catch (err) {
+    console.error(`⚠️ Failed to delete ${driver}:${key}:`, err.message);
+  }
+}
+
+/** Asset kinds for the optimized model variants, e.g. "model-low" */
+export const MODEL_VARIANTS = ["low", "medium", "high"];
+
+export function modelVariantKind(variant) {
+  return `model-${variant}`;
+}
+
+/**
+ * Select-list expression for an entry's assets as { kind: { file_size, metadata } }
+ * (NULL when there are none). The submissions table must be aliased as s.
+ */
+export const SUBMISSION_ASSETS_SQL = `(SELECT json_object_agg(a.kind, json_build_object('file_size', a.file_size, 'metadata', a.metadata))
+   FROM submission_assets a WHERE a.submission_id = s.id) AS assets`;
+
+/**
+ * Store a file derived from an entry next to its original and record it.
+ * Re-running replaces the previous asset of that kind.
+ * @param {{ id: number, storage_driver: string, storage_key: string }} submission
+ * @param {string} kind e.g. "model-low"
+ * @param {Buffer} body
+ * @param {{ extension: string, contentType?: string, metadata?: object }} options
+ */
+export async function saveSubmissionAsset(submission, kind, body, { extension, contentType, metadata = {} }, db = pool) {
+  const storage = getStorage(submission.storage_driver);
+  const key = `${submission.storage_key.replace(/\.[^./]+$/, "")}.${kind}${extension}`;
+  const type = contentType || contentTypeFor(key);
+  const { size } = await storage.put(key, body, { contentType: type });
+  const result = await db.query(
+    `INSERT INTO submission_assets (submission_id, kind, storage_driver, storage_key, content_type, file_size, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (submission_id, kind) DO UPDATE
+       SET storage_driver = EXCLUDED.storage_driver, storage_key = EXCLUDED.storage_key,
+           content_type = EXCLUDED.content_type, file_size = EXCLUDED.file_size,
+           metadata = EXCLUDED.metadata, created_at = NOW()
+     RETURNING *`,
+    [submission.id, kind, storage.name, key, type, size, metadata]
+  );
+  return result.rows[0];
+}
+
+export function submissionAssetUrl(submission, kind) {
+  return apiUrl(`/api/files/submissions/${submission.id}/assets/${kind}`);
+}
+
+/** The link clients use for an entry's model */
+export function submissionFileUrl(submission) {
+  if (submission.storage_key) return apiUrl(`/api/files/submissions/${submission.id}`);
+  return submission.file_path ?? null;
+}
+
+/**
+ * Resolve a download for one entry (its model, or one of its assets). Visible
+ * entries are public; hidden or disqualified ones only for their creator and
+ * moderators/staff.
+ * @param {number|string} submissionId
+ * @param {{ id: number }|undefined} user signed-in user, if any
+ * @param {{ expiresIn?: number, asset?: string }} [options] asset: kind to fetch instead of the original
+ * @returns {Promise<{ url: string, expiresIn: number|null }>}
+ */
+export async function getSubmissionDownload(submissionId, user, { expiresIn = DEFAULT_SIGNED_URL_TTL, asset } = {}, db = pool) {
+  const result = await db.query(
+    "SELECT id, user_id, file_path, storage_driver, storage_key, moderation_status FROM submissions WHERE id = $1",
+    [parseInt(submissionId, 10) || 0]
+  );
+  const submission = result.rows[0];
+  if (!submission) throw new StorageError(404, "Submission not found");
+
+  if (submission.moderation_status !== "visible") {
+    const roles = user ? await getUserRoles(user.id, db) : [];
+    const allowed =
+      user && (submission.user_id === user.id || hasPermission(roles, "moderation.manage") || hasPermission(roles, "submissions.view_all"));
+    // 404 rather than 403 so removed entries can't be probed
+    if (!allowed) throw new StorageError(404, "Submission not found");
+  }
+
+  if (asset) {
+    const stored = await db.query(
+      "SELECT storage_driver, storage_key FROM submission_assets WHERE submission_id = $1 AND kind = $2",
+      [submission.id, asset]
+    );
+    if (!stored.rows.length) throw new StorageError(404, "File not found");
+    const url = await getStorage(stored.rows[0].storage_driver).signedUrl(stored.rows[0].storage_key, { expiresIn });
+    return { url, expiresIn };
+  }
+
+  if (!submission.storage_key) {
+    // Entries from before storage keys hold an absolute URL
+    if (!/^https?:\/\//.test(submission.file_path || "")) throw new StorageError(404, "File not found");
+    return { url: submission.file_path, expiresIn: null };
+  }
+
+  const url = await getStorage(submission.storage_driver).signedUrl(submission.storage_key, { expiresIn });
+  return { url, expiresIn };
+}
@@ -0,0 +1,176 @@
+// services/submissionService.js
+import path from "path";
+import { pool } from "../db/pool.js";
+import { appUrl, enqueueEmail } from "./emailService.js";
+import {
+  CompetitionValidationError,
+  getCompetitionWeek,
+  isPartTypeAllowed,
+  resolveCompetition,
+} from "./competitionService.js";
+import { GltfValidationError, inspectGltf } from "./gltfInspectorService.js";
+import { deleteSubmissionFile, storeSubmissionFile, submissionFileUrl } from "./submissionFileService.js";
+
+/**
+ * Creating competition entries. Shared by the single-request upload
+ * (/api/upload-part) and resumable uploads (/api/uploads), so both run the
+ * same checks: an open competition that accepts the part type, a valid
+ * glTF/GLB file, then storage, the database row and the confirmation email.
+ */
+
+export const MODEL_EXTENSIONS = [".glb", ".gltf"];
+
+export class SubmissionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "SubmissionError";
+    this.status = status;
+  }
+}
+
+export function assertModelFileName(fileName) {
+  const ext = path.extname(String(fileName || "")).toLowerCase();
+  if (!MODEL_EXTENSIONS.includes(ext)) throw new SubmissionError(400, "Only .glb and .gltf files are allowed!");
+}
+
+/**
+ * Check the form fields and find the competition week the entry goes into.
+ * Runs before any file is stored, and again when a resumable upload completes.
+ * @returns {Promise<{ competition: object, weekNumber: number }>}
+ */
+export async function prepareSubmission({ partName, partType, carModel, competitionId }, db = pool) {
+  if (!partName || !partType || !carModel) {
+    throw new SubmissionError(400, "Missing required fields: partName, partType, carModel");
+  }
+
+  let competition;
+  try {
+    // Explicit competitionId or the running one
+    competition = await resolveCompetition({ competitionId, partType }, db);
+  } catch (err) {
+    if (err instanceof CompetitionValidationError) throw new SubmissionError(400, err.message);
+    throw err;
+  }
+
+  if (!competition || !competition.is_active) {
+    throw new SubmissionError(400, "No competition is open for submissions");
+  }
+  if (!isPartTypeAllowed(competition, partType)) {
+    throw new SubmissionError(400, `${competition.name} only accepts these part types: ${competition.allowed_part_types.join(", ")}`);
+  }
+
+  const weekNumber = getCompetitionWeek(competition);
+  if (weekNumber === 0) throw new SubmissionError(400, `${competition.name} has not started yet!`);
+  if (weekNumber > competition.rounds) throw new SubmissionError(400, `${competition.name} has ended!`);
+
+  return { competition, weekNumber };
+}
+
+/**
+ * Create an entry from a complete model file.
+ * @param {object} params
+ * @param {{ id: number }} params.user uploader
+ * @param {object} params.fields userName, email, partName, partType, carModel, description, competitionId
+ * @param {{ buffer: Buffer, name: string, size: number }} params.file
+ * @returns {Promise<{ submission: object, competition: object }>}
+ */
+export async function createSubmission({ user, fields, file }) {
+  const { userName, email, partName, partType, carModel, description } = fields;
+  assertModelFileName(file.name);
+  const { competition, weekNumber } = await prepareSubmission(fields);
+
+  // 🔍 Inspect the model before it goes anywhere (catches renamed/corrupt files)
+  let modelStats;
+  try {
+    modelStats = inspectGltf(file.buffer, { fileName: file.name });
+    console.log("🔍 Model stats:", {
+      meshes: modelStats.meshCount,
+      triangles: modelStats.triangleCount,
+      materials: modelStats.materialCount,
+    });
+  } catch (err) {
+    if (err instanceof GltfValidationError) throw new SubmissionError(400, "Invalid 3D model: " + err.message);
+    throw err;
+  }
+
+  // 🚀 Hand the file to the storage driver; the row keeps its key, not a URL
+  const stored = await storeSubmissionFile(file.buffer, { competition, weekNumber, fileName: file.name });
+  console.log(`✅ Stored as ${stored.driver}:${stored.key}`);
+
+  const anonymousId = "ENTRY_" + Date.now().toString().slice(-5);
+
+  let submission;
+  try {
+    const result = await pool.query(
+      `INSERT INTO submissions
+       (user_id, user_name, email, part_name, part_type, car_model, description, storage_driver, storage_key, file_size,
+        week_number, status, anonymous_id, model_stats, competition_id, votes_required, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'PENDING', $12, $13, $14, $15, NOW())
+       RETURNING *`,
+      [
+        user.id,
+        userName,
+        email,
+        partName,
+        partType,
+        carModel,
+        description || "",
+        stored.driver,
+        stored.key,
+        file.size,
+        weekNumber,
+        anonymousId,
+        modelStats,
+        competition.id,
+        competition.votes_required,
+      ]
+    );
+    submission = result.rows[0];
+  } catch (err) {
+    // Stored but never saved: don't leave an orphaned object behind
+    await deleteSubmissionFile(stored);
+    throw err;
+  }
+  console.log("💾 Submission saved to database:", submission.id);
+
+  // 📧 Queue confirmation email (delivered by the outbox worker)
+  try {
+    await enqueueEmail({
+      template: "submission-received",
+      to: email,
+      variables: {
+        userName,
+        votesRequired: competition.votes_required,
+        competitionName: competition.name,
+        anonymousId,
+        partName,
+        partType,
+        carModel,
+        weekNumber,
+        voteUrl: appUrl("/vote"),
+      },
+      dedupeKey: `submission-received:${submission.id}`,
+    });
+  } catch (emailError) {
+    // Don't fail the upload if email fails
+    console.error("⚠️ Failed to queue confirmation email:", emailError);
+  }
+
+  return { submission, competition };
+}
+
+/** The upload response both upload flows return */
+export function describeNewSubmission(submission) {
+  return {
+    id: submission.id,
+    anonymousId: submission.anonymous_id,
+    partName: submission.part_name,
+    competitionId: submission.competition_id,
+    weekNumber: submission.week_number,
+    status: submission.status,
+    fileUrl: submissionFileUrl(submission),
+    modelStats: submission.model_stats,
+    votesRequired: submission.votes_required,
+    votesCompleted: 0,
+  };
+}
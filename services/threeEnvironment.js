@@ -0,0 +1,77 @@
+// services/threeEnvironment.js
+import { JSDOM } from "jsdom";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+
+/**
+ * Lets the Three.js example loaders/exporters run in Node.
+ *
+ * GLTFExporter assembles GLB output with Blob + FileReader. Node has Blob but
+ * no FileReader, so a minimal one (readAsArrayBuffer / readAsDataURL, firing
+ * onload/onloadend) is installed. JSDOM supplies window/document.
+ */
+
+if (typeof globalThis.window === "undefined") {
+  const dom = new JSDOM();
+  globalThis.window = dom.window;
+  globalThis.document = dom.window.document;
+}
+
+if (typeof globalThis.FileReader === "undefined") {
+  globalThis.FileReader = class FileReader {
+    constructor() {
+      this.result = null;
+      this.error = null;
+      this.readyState = 0;
+      this.onload = null;
+      this.onloadend = null;
+      this.onerror = null;
+    }
+
+    _read(blob, convert) {
+      this.readyState = 1;
+      blob
+        .arrayBuffer()
+        .then((buffer) => {
+          this.result = convert(buffer, blob);
+          this.readyState = 2;
+          this.onload?.({ target: this });
+        })
+        .catch((err) => {
+          this.error = err;
+          this.readyState = 2;
+          this.onerror?.({ target: this });
+        })
+        .finally(() => this.onloadend?.({ target: this }));
+    }
+
+    readAsArrayBuffer(blob) {
+      this._read(blob, (buffer) => buffer);
+    }
+
+    readAsDataURL(blob) {
+      this._read(blob, (buffer) => `data:${blob.type || "application/octet-stream"};base64,${Buffer.from(buffer).toString("base64")}`);
+    }
+  };
+}
+
+/** Export a scene/object as a GLB buffer */
+export function exportGlb(input, options = {}) {
+  const exporter = new GLTFExporter();
+  return new Promise((resolve, reject) => {
+    exporter.parse(input, (result) => resolve(Buffer.from(result)), reject, { ...options, binary: true });
+  });
+}
+
+/**
+ * Parse a GLB/glTF buffer into a Three.js scene. Images are not decoded here
+ * (there is no image decoder in Node), so pass documents without textures.
+ * @returns {Promise<{ gltf: object, parser: object }>} parser.associations maps objects back to glTF indices
+ */
+export function parseGltf(data) {
+  const loader = new GLTFLoader();
+  const arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  return new Promise((resolve, reject) => {
+    loader.parse(arrayBuffer, "", (gltf) => resolve({ gltf, parser: gltf.parser }), reject);
+  });
+}
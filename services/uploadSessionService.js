@@ -0,0 +1,287 @@
+// services/uploadSessionService.js
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { pool, withTransaction } from "../db/pool.js";
+import { assertModelFileName, createSubmission, prepareSubmission, SubmissionError } from "./submissionService.js";
+
+/**
+ * Resumable uploads for large models.
+ *
+ *   1. start:     POST the file name, size (and optionally its SHA-256) plus
+ *                 the submission fields; the competition is checked up front
+ *   2. chunks:    PUT bytes at Upload-Offset with X-Chunk-SHA256. A chunk at
+ *                 the wrong offset gets 409 with the server's offset, so a
+ *                 client that lost a response just resumes from there
+ *   3. complete:  the assembled file goes through the same submission
+ *                 creation as /api/upload-part
+ *
+ * Bytes are appended to UPLOAD_TMP_DIR/<id>.part. Sessions expire after
+ * UPLOAD_SESSION_TTL_HOURS without a chunk; the cleanup job removes them.
+ */
+
+export const CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024;
+export const MAX_FILE_SIZE = parseInt(process.env.UPLOAD_MAX_BYTES) || 200 * 1024 * 1024;
+const SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+const MAX_OPEN_SESSIONS = 5;
+// Finished sessions are kept a while so clients can still look up the submission
+const FINISHED_RETENTION_DAYS = 7;
+
+const TMP_DIR = path.resolve(process.env.UPLOAD_TMP_DIR || "uploads/resumable");
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+const FIELD_NAMES = ["userName", "email", "partName", "partType", "carModel", "description", "competitionId"];
+
+export class UploadError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "UploadError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const partPath = (id) => path.join(TMP_DIR, `${id}.part`);
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+/** What clients get back for a session */
+export function describeUpload(session) {
+  return {
+    uploadId: session.id,
+    status: session.status,
+    fileName: session.file_name,
+    fileSize: Number(session.file_size),
+    chunkSize: session.chunk_size,
+    offset: Number(session.received_bytes),
+    chunksReceived: session.chunk_count,
+    expiresAt: session.expires_at,
+    submissionId: session.submission_id,
+  };
+}
+
+async function findSession(db, id, userId, { lock = false } = {}) {
+  if (!UUID_PATTERN.test(String(id))) throw new UploadError(404, "Upload not found");
+  const result = await db.query(
+    `SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2${lock ? " FOR UPDATE" : ""}`,
+    [id, userId]
+  );
+  if (!result.rows[0]) throw new UploadError(404, "Upload not found");
+  return result.rows[0];
+}
+
+function assertActive(session) {
+  if (session.status === "active" && new Date(session.expires_at) > new Date()) return;
+  if (session.status === "active" || session.status === "expired") throw new UploadError(410, "This upload has expired. Start a new one.");
+  throw new UploadError(409, `This upload is already ${session.status}`);
+}
+
+/**
+ * Open a session.
+ * @param {object} params
+ * @param {{ id: number }} params.user
+ * @param {string} params.fileName
+ * @param {number} params.fileSize bytes
+ * @param {string} [params.fileSha256] hex digest of the whole file, checked on completion
+ * @param {object} params.fields submission fields (same as /api/upload-part)
+ */
+export async function startUpload({ user, fileName, fileSize, fileSha256, fields = {} }) {
+  assertModelFileName(fileName);
+  const size = Number(fileSize);
+  if (!Number.isInteger(size) || size <= 0) throw new UploadError(400, "fileSize must be a positive number of bytes");
+  if (size > MAX_FILE_SIZE) throw new UploadError(413, `Files can be at most ${Math.floor(MAX_FILE_SIZE / 1024 / 1024)}MB`);
+  if (fileSha256 !== undefined && !SHA256_PATTERN.test(String(fileSha256))) {
+    throw new UploadError(400, "fileSha256 must be a hex SHA-256 digest");
+  }
+
+  const submissionFields = Object.fromEntries(FIELD_NAMES.filter((f) => fields[f] !== undefined).map((f) => [f, fields[f]]));
+  // Fail before any bytes are sent if the entry can't be accepted
+  await prepareSubmission(submissionFields);
+
+  return withTransaction(async (client) => {
+    // Serialize per user so the open-session cap holds under concurrent starts
+    await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [user.id]);
+    const open = await client.query(
+      "SELECT COUNT(*)::INT AS count FROM upload_sessions WHERE user_id = $1 AND status = 'active' AND expires_at > NOW()",
+      [user.id]
+    );
+    if (open.rows[0].count >= MAX_OPEN_SESSIONS) {
+      throw new UploadError(429, `You already have ${MAX_OPEN_SESSIONS} uploads in progress. Finish or cancel one first.`);
+    }
+
+    const result = await client.query(
+      `INSERT INTO upload_sessions (user_id, file_name, file_size, file_sha256, chunk_size, fields, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(hours => $7))
+       RETURNING *`,
+      [user.id, path.basename(String(fileName)).slice(0, 255), size, fileSha256?.toLowerCase() || null, CHUNK_SIZE, submissionFields, SESSION_TTL_HOURS]
+    );
+    await fs.mkdir(TMP_DIR, { recursive: true });
+    await fs.writeFile(partPath(result.rows[0].id), "");
+    return describeUpload(result.rows[0]);
+  });
+}
+
+export async function getUpload(id, userId) {
+  return describeUpload(await findSession(pool, id, userId));
+}
+
+/**
+ * Append one chunk.
+ * @param {object} params
+ * @param {string} params.id
+ * @param {number} params.userId
+ * @param {number|string} params.offset byte offset the chunk starts at (Upload-Offset)
+ * @param {Buffer} params.body
+ * @param {string} params.checksum hex SHA-256 of the chunk (X-Chunk-SHA256)
+ */
+export async function appendChunk({ id, userId, offset, body, checksum }) {
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    throw new UploadError(400, "Send the chunk bytes as application/octet-stream");
+  }
+  if (!SHA256_PATTERN.test(String(checksum || ""))) {
+    throw new UploadError(400, "X-Chunk-SHA256 header with the chunk's hex SHA-256 is required");
+  }
+  const start = Number(offset);
+  if (!Number.isInteger(start) || start < 0) throw new UploadError(400, "Upload-Offset header must be a byte offset");
+
+  const digest = sha256(body);
+  if (digest !== checksum.toLowerCase()) {
+    throw new UploadError(422, "Chunk checksum mismatch, please resend it");
+  }
+
+  return withTransaction(async (client) => {
+    const session = await findSession(client, id, userId, { lock: true });
+    assertActive(session);
+    const received = Number(session.received_bytes);
+
+    // A retry of the chunk we just stored (its response got lost): acknowledge it again
+    if (start + body.length === received && session.last_chunk_sha256 === digest) {
+      return describeUpload(session);
+    }
+    if (start !== received) {
+      throw new UploadError(409, `Expected a chunk at offset ${received}`, { offset: received });
+    }
+    if (body.length > session.chunk_size) {
+      throw new UploadError(413, `Chunks can be at most ${session.chunk_size} bytes`);
+    }
+    if (received + body.length > Number(session.file_size)) {
+      throw new UploadError(400, "Chunk goes past the declared file size");
+    }
+
+    // Drop anything left by a write whose transaction didn't commit, then append
+    const file = partPath(session.id);
+    await fs.appendFile(file, "");
+    await fs.truncate(file, received);
+    await fs.appendFile(file, body);
+
+    const result = await client.query(
+      `UPDATE upload_sessions
+       SET received_bytes = received_bytes + $2, chunk_count = chunk_count + 1, last_chunk_sha256 = $3,
+           expires_at = NOW() + make_interval(hours => $4), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [session.id, body.length, digest, SESSION_TTL_HOURS]
+    );
+    return describeUpload(result.rows[0]);
+  });
+}
+
+async function setStatus(id, status, extra = {}) {
+  const result = await pool.query(
+    `UPDATE upload_sessions SET status = $2, submission_id = COALESCE($3, submission_id), updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [id, status, extra.submissionId ?? null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Assemble the file and create the submission.
+ * @returns {Promise<{ submission: object, upload: object }>}
+ */
+export async function completeUpload({ id, user }) {
+  // Claim the session so a double-submitted "complete" can't create two entries
+  const session = await withTransaction(async (client) => {
+    const row = await findSession(client, id, user.id, { lock: true });
+    assertActive(row);
+    if (Number(row.received_bytes) !== Number(row.file_size)) {
+      throw new UploadError(409, `Upload is incomplete (${row.received_bytes} of ${row.file_size} bytes)`, {
+        offset: Number(row.received_bytes),
+      });
+    }
+    const claimed = await client.query(
+      "UPDATE upload_sessions SET status = 'completing', updated_at = NOW() WHERE id = $1 RETURNING *",
+      [row.id]
+    );
+    return claimed.rows[0];
+  });
+
+  try {
+    const buffer = await fs.readFile(partPath(session.id));
+    if (buffer.length !== Number(session.file_size)) {
+      throw new UploadError(409, "Stored upload is damaged, please start over");
+    }
+    if (session.file_sha256 && sha256(buffer) !== session.file_sha256) {
+      throw new UploadError(422, "File checksum mismatch, please start over");
+    }
+
+    const { submission } = await createSubmission({
+      user,
+      fields: session.fields,
+      file: { buffer, name: session.file_name, size: buffer.length },
+    });
+    const upload = await setStatus(session.id, "completed", { submissionId: submission.id });
+    await fs.rm(partPath(session.id), { force: true });
+    return { submission, upload: describeUpload(upload) };
+  } catch (err) {
+    // A damaged file or a rejected entry won't get better by retrying; a storage hiccup might
+    if (err instanceof UploadError || err instanceof SubmissionError) {
+      await setStatus(session.id, "aborted");
+      await fs.rm(partPath(session.id), { force: true });
+    } else {
+      await setStatus(session.id, "active");
+    }
+    throw err;
+  }
+}
+
+export async function abortUpload({ id, userId }) {
+  const session = await findSession(pool, id, userId);
+  if (session.status !== "active") throw new UploadError(409, `This upload is already ${session.status}`);
+  const aborted = await setStatus(session.id, "aborted");
+  await fs.rm(partPath(session.id), { force: true });
+  return describeUpload(aborted);
+}
+
+/**
+ * Scheduler job: expire abandoned sessions and delete their temporary files,
+ * forget long-finished sessions and remove .part files with no live session.
+ */
+export async function pruneAbandonedUploads() {
+  const expired = await pool.query(
+    `UPDATE upload_sessions SET status = 'expired', updated_at = NOW()
+     WHERE status IN ('active', 'completing') AND expires_at <= NOW()
+     RETURNING id`
+  );
+  const forgotten = await pool.query(
+    `DELETE FROM upload_sessions
+     WHERE status IN ('completed', 'aborted', 'expired')
+       AND updated_at < NOW() - make_interval(days => $1)`,
+    [FINISHED_RETENTION_DAYS]
+  );
+
+  let files = [];
+  try {
+    files = await fs.readdir(TMP_DIR);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const live = await pool.query("SELECT id FROM upload_sessions WHERE status IN ('active', 'completing')");
+  const liveIds = new Set(live.rows.map((r) => r.id));
+  const orphans = files.filter((f) => f.endsWith(".part") && !liveIds.has(f.slice(0, -".part".length)));
+  await Promise.all(orphans.map((f) => fs.rm(path.join(TMP_DIR, f), { force: true })));
+
+  if (expired.rows.length || forgotten.rowCount || orphans.length) {
+    console.log(`🧹 Uploads: ${expired.rows.length} expired, ${forgotten.rowCount} forgotten, ${orphans.length} temp files removed`);
+  }
+  return { expired: expired.rows.length, forgotten: forgotten.rowCount, filesRemoved: orphans.length };
+}
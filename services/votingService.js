@@ -0,0 +1,259 @@
+// services/votingService.js
+import { pool, withTransaction } from "../db/pool.js";
+import { SUBMISSION_ASSETS_SQL } from "./submissionFileService.js";
+
+/**
+ * Voting batches and vote recording.
+ *
+ * Batches are persisted as voting sessions: the server decides which entries a
+ * voter sees, and a vote only counts when it is for an entry issued in one of
+ * the voter's unexpired sessions.
+ *
+ * The vote insert, the submission counters and the voter's qualification
+ * progress are written in one transaction, so concurrent or repeated requests
+ * can't inflate thumbs_up/total_votes or qualify an entry twice.
+ */
+
+const BATCH_SIZE = 25;
+const BATCH_TTL_MINUTES = parseInt(process.env.VOTING_BATCH_TTL_MINUTES) || 60;
+
+export class VoteError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "VoteError";
+    this.status = status;
+  }
+}
+
+/** Accepts 1 (thumbs up) and 0 / -1 (thumbs down) */
+export function parseVoteValue(value) {
+  const n = Number(value);
+  if (n === 1) return 1;
+  if (n === 0 || n === -1) return n;
+  throw new VoteError(400, "voteValue must be 1 (thumbs up) or 0/-1 (thumbs down)");
+}
+
+/** Votes that count toward qualification: ones cast on entries issued to the voter */
+export async function countIssuedVotes(voterId, competitionId, db = pool) {
+  const result = await db.query(
+    `SELECT COUNT(*) AS count
+     FROM voting_session_entries e
+     JOIN voting_sessions vs ON vs.id = e.session_id
+     WHERE vs.voter_id = $1 AND vs.competition_id = $2 AND e.voted_at IS NOT NULL`,
+    [voterId, competitionId]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+async function loadSessionEntries(client, sessionId) {
+  const result = await client.query(
+    `SELECT s.*, e.voted_at AS batch_voted_at, ${SUBMISSION_ASSETS_SQL}
+     FROM voting_session_entries e
+     JOIN submissions s ON s.id = e.submission_id
+     WHERE e.session_id = $1
+     ORDER BY e.position`,
+    [sessionId]
+  );
+  return result.rows;
+}
+
+/**
+ * Issue (or resume) a voting batch for a voter.
+ * An unexpired session that still has un-voted entries is returned as-is, so
+ * refreshing the page doesn't hand out a new batch or bump times_shown again.
+ * @returns {Promise<{ batchId: string, expiresAt: Date, resumed: boolean, entries: object[] }>}
+ */
+export async function issueVotingBatch({ voterId, competitionId }) {
+  return withTransaction(async (client) => {
+    // Serialize batch creation per voter so double-clicks don't create two sessions
+    await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [voterId]);
+
+    const open = await client.query(
+      `SELECT vs.id, vs.expires_at
+       FROM voting_sessions vs
+       WHERE vs.voter_id = $1 AND vs.competition_id = $2
+         AND vs.expires_at > NOW() AND vs.completed_at IS NULL
+       ORDER BY vs.issued_at DESC
+       LIMIT 1`,
+      [voterId, competitionId]
+    );
+    if (open.rows.length) {
+      const session = open.rows[0];
+      const entries = (await loadSessionEntries(client, session.id)).filter(
+        (e) => !e.batch_voted_at && !e.frozen_at && e.moderation_status === "visible"
+      );
+      if (entries.length) {
+        return { batchId: session.id, expiresAt: session.expires_at, resumed: true, entries };
+      }
+    }
+
+    // Entries the voter hasn't voted on and isn't already holding in another live batch.
+    // Prioritize QUALIFIED entries with the lowest times_shown for fairness;
+    // fall back to PENDING ones for early voting.
+    const candidates = await client.query(
+      `SELECT s.id
+       FROM submissions s
+       WHERE s.competition_id = $2
+         AND s.user_id != $1
+         AND s.status IN ('QUALIFIED', 'PENDING')
+         AND s.frozen_at IS NULL
+         AND s.moderation_status = 'visible'
+         AND NOT EXISTS (SELECT 1 FROM user_votes v WHERE v.voter_id = $1 AND v.submission_id = s.id)
+         AND NOT EXISTS (
+           SELECT 1 FROM voting_session_entries e
+           JOIN voting_sessions vs ON vs.id = e.session_id
+           WHERE vs.voter_id = $1 AND e.submission_id = s.id AND vs.expires_at > NOW()
+         )
+       ORDER BY (s.status = 'QUALIFIED') DESC, s.times_shown ASC, RANDOM()
+       LIMIT $3`,
+      [voterId, competitionId, BATCH_SIZE]
+    );
+    const ids = candidates.rows.map((r) => r.id);
+
+    if (ids.length === 0) {
+      return { batchId: null, expiresAt: null, resumed: false, entries: [] };
+    }
+
+    const session = await client.query(
+      `INSERT INTO voting_sessions (voter_id, competition_id, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(mins => $3))
+       RETURNING id, expires_at`,
+      [voterId, competitionId, BATCH_TTL_MINUTES]
+    );
+    const { id: batchId, expires_at: expiresAt } = session.rows[0];
+
+    await client.query(
+      `INSERT INTO voting_session_entries (session_id, submission_id, position)
+       SELECT $1, submission_id, position
+       FROM unnest($2::INT[]) WITH ORDINALITY AS t(submission_id, position)`,
+      [batchId, ids]
+    );
+
+    // Mark as shown (one set-based statement)
+    await client.query(
+      "UPDATE submissions SET times_shown = times_shown + 1 WHERE id = ANY($1::INT[])",
+      [ids]
+    );
+
+    return { batchId, expiresAt, resumed: false, entries: await loadSessionEntries(client, batchId) };
+  });
+}
+
+/**
+ * Record one vote.
+ * @param {object} vote
+ * @param {number} vote.voterId authenticated user id (never taken from the request body)
+ * @param {string} vote.batchId voting session the entry was issued in
+ * @param {number} vote.submissionId
+ * @param {number} vote.voteValue
+ * @returns {Promise<{ votesCompleted: number, votesRequired: number|null, qualified: boolean, batchCompleted: boolean }>}
+ */
+export async function recordVote({ voterId, batchId, submissionId, voteValue }) {
+  const id = parseInt(submissionId, 10);
+  if (!Number.isInteger(id)) throw new VoteError(400, "submissionId is required");
+  if (!batchId || typeof batchId !== "string" || !/^[0-9a-f-]{36}$/i.test(batchId)) {
+    throw new VoteError(400, "batchId is required (fetch a voting batch first)");
+  }
+  const value = parseVoteValue(voteValue);
+
+  return withTransaction(async (client) => {
+    const entryResult = await client.query(
+      `SELECT e.voted_at, vs.expires_at, vs.competition_id, s.user_id AS owner_id, s.frozen_at, s.moderation_status
+       FROM voting_session_entries e
+       JOIN voting_sessions vs ON vs.id = e.session_id
+       JOIN submissions s ON s.id = e.submission_id
+       WHERE e.session_id = $1 AND e.submission_id = $2 AND vs.voter_id = $3
+       FOR UPDATE OF e`,
+      [batchId, id, voterId]
+    );
+    const entry = entryResult.rows[0];
+    if (!entry) throw new VoteError(403, "This entry was not issued to you in that voting batch");
+    if (entry.owner_id === voterId) throw new VoteError(403, "You can't vote on your own entry");
+    if (entry.voted_at) throw new VoteError(409, "You have already voted on this entry");
+    if (entry.frozen_at) throw new VoteError(409, "Voting for this entry's week has closed");
+    if (entry.moderation_status !== "visible") throw new VoteError(409, "This entry has been removed by a moderator");
+    if (new Date(entry.expires_at) <= new Date()) {
+      throw new VoteError(410, "This voting batch has expired. Fetch a new batch to keep voting");
+    }
+
+    // The voter's own entries in this competition (the ones that qualify by voting)
+    const ownResult = await client.query(
+      `SELECT id FROM submissions
+       WHERE user_id = $1 AND competition_id = $2
+       ORDER BY created_at DESC`,
+      [voterId, entry.competition_id]
+    );
+    const ownIds = ownResult.rows.map((r) => r.id);
+
+    // Lock every row we are about to update in id order, so two voters voting
+    // on each other's entries at the same time can't deadlock
+    await client.query(
+      "SELECT id FROM submissions WHERE id = ANY($1::INT[]) ORDER BY id FOR UPDATE",
+      [[id, ...ownIds]]
+    );
+
+    const inserted = await client.query(
+      `INSERT INTO user_votes (voter_id, submission_id, vote_value, session_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (voter_id, submission_id) DO NOTHING
+       RETURNING id`,
+      [voterId, id, value, batchId]
+    );
+    if (inserted.rows.length === 0) throw new VoteError(409, "You have already voted on this entry");
+
+    await client.query(
+      value === 1
+        ? "UPDATE submissions SET thumbs_up = thumbs_up + 1, total_votes = total_votes + 1 WHERE id = $1"
+        : "UPDATE submissions SET thumbs_down = thumbs_down + 1, total_votes = total_votes + 1 WHERE id = $1",
+      [id]
+    );
+
+    await client.query(
+      "UPDATE voting_session_entries SET voted_at = NOW() WHERE session_id = $1 AND submission_id = $2",
+      [batchId, id]
+    );
+    const sessionDone = await client.query(
+      `UPDATE voting_sessions SET completed_at = NOW()
+       WHERE id = $1 AND completed_at IS NULL
+         AND NOT EXISTS (
+           -- entries frozen or removed by a moderator since the batch was issued don't count
+           SELECT 1 FROM voting_session_entries e
+           JOIN submissions s ON s.id = e.submission_id
+           WHERE e.session_id = $1 AND e.voted_at IS NULL
+             AND s.frozen_at IS NULL AND s.moderation_status = 'visible'
+         )
+       RETURNING id`,
+      [batchId]
+    );
+    const batchCompleted = sessionDone.rows.length > 0;
+
+    if (ownIds.length === 0) {
+      return { votesCompleted: 0, votesRequired: null, qualified: false, batchCompleted };
+    }
+
+    const votesCompleted = await countIssuedVotes(voterId, entry.competition_id, client);
+
+    const progress = await client.query(
+      `UPDATE submissions SET votes_completed = $1
+       WHERE id = ANY($2::INT[])
+       RETURNING id, votes_required`,
+      [votesCompleted, ownIds]
+    );
+
+    // Only PENDING rows flip, so the entry can't be qualified twice
+    const qualifiedResult = await client.query(
+      `UPDATE submissions
+       SET status = 'QUALIFIED', qualified_at = NOW()
+       WHERE id = ANY($1::INT[]) AND status = 'PENDING' AND votes_completed >= votes_required
+       RETURNING id`,
+      [ownIds]
+    );
+
+    return {
+      votesCompleted,
+      votesRequired: progress.rows.find((r) => r.id === ownIds[0]).votes_required,
+      qualified: qualifiedResult.rows.length > 0,
+      batchCompleted,
+    };
+  });
+}